@@ -1,12 +1,20 @@
 require('dotenv').config();
 const app = require('./src/app');
 const connectDB = require('./db');
+const { startStaleCheckJob } = require('./src/jobs/staleCheckJob');
+const { startJobWorker } = require('./src/jobs/jobWorker');
 
 const PORT = process.env.PORT || 5000;
 
 // Connect to MongoDB
 connectDB();
 
+// Periodically re-crawl sources of published FAQs and flag outdated ones
+startStaleCheckJob();
+
+// Runs queued background jobs, including those left over from before a restart
+startJobWorker();
+
 app.listen(PORT, () => {
   console.log(`✅ Server running on port ${PORT}`);
   // console.log(`📍 Health Check: http://localhost:${PORT}/api/health`);
@@ -0,0 +1,137 @@
+const {
+  createBatch,
+  listBatches,
+  getBatch,
+  retryFailedRows,
+  cancelBatch,
+} = require("../services/bulkGenerationService");
+const { formatJob } = require("../services/jobQueueService");
+const { isCodedError } = require("../utils/errors");
+
+// Coded errors carry their status; invalid rows are listed in `rows`
+const sendCodedError = (res, error) =>
+  res.status(error.status).json({
+    error: error.message,
+    code: error.code,
+    ...(error.rows ? { rows: error.rows } : {}),
+  });
+
+// Pasted URLs in `urls` (text or an array), or a CSV uploaded as `file`
+const createBulkController = async (req, res) => {
+  try {
+    const { urls, count, templateId, force, variants } = req.body || {};
+    const text = req.file
+      ? req.file.buffer.toString("utf8")
+      : Array.isArray(urls)
+        ? urls.join("\n")
+        : urls;
+
+    if (!text || !String(text).trim()) {
+      return res
+        .status(400)
+        .json({ error: "Paste a list of URLs or upload a CSV file" });
+    }
+
+    const { batch, rows, skipped } = await createBatch(String(text), {
+      source: req.file ? "csv" : "list",
+      fileName: req.file ? req.file.originalname : null,
+      defaults: {
+        count,
+        templateId,
+        force: force === true || force === "true",
+        variants,
+      },
+    });
+
+    res.status(202).json({
+      message: `Queued FAQ generation for ${rows.length} URLs`,
+      batch: {
+        id: batch._id,
+        source: batch.source,
+        fileName: batch.fileName,
+        rowCount: batch.rowCount,
+        createdAt: batch.createdAt,
+      },
+      rows: rows.map(formatJob),
+      skipped,
+    });
+  } catch (error) {
+    if (isCodedError(error)) return sendCodedError(res, error);
+    res.status(500).json({ error: error.message });
+  }
+};
+
+const listBulkController = async (req, res) => {
+  try {
+    const batches = await listBatches();
+    res.status(200).json({ count: batches.length, batches });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+const getBulkController = async (req, res) => {
+  try {
+    const result = await getBatch(req.params.id);
+    if (!result) {
+      return res.status(404).json({ error: "Bulk batch not found" });
+    }
+
+    res.status(200).json({
+      batch: result.batch,
+      rows: result.rows.map(formatJob),
+    });
+  } catch (error) {
+    if (error.name === "CastError") {
+      return res.status(400).json({ error: "Invalid batch ID" });
+    }
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// Requeues failed and cancelled rows only; rows that saved FAQs are not generated again
+const retryBulkController = async (req, res) => {
+  try {
+    const requeued = await retryFailedRows(req.params.id);
+    if (requeued === null) {
+      return res.status(404).json({ error: "Bulk batch not found" });
+    }
+    if (requeued === 0) {
+      return res.status(409).json({ error: "No failed rows to retry" });
+    }
+
+    res.status(200).json({ message: `Retrying ${requeued} rows`, requeued });
+  } catch (error) {
+    if (error.name === "CastError") {
+      return res.status(400).json({ error: "Invalid batch ID" });
+    }
+    res.status(500).json({ error: error.message });
+  }
+};
+
+const cancelBulkController = async (req, res) => {
+  try {
+    const cancelled = await cancelBatch(req.params.id);
+    if (cancelled === null) {
+      return res.status(404).json({ error: "Bulk batch not found" });
+    }
+    if (cancelled === 0) {
+      return res.status(409).json({ error: "No queued or running rows to cancel" });
+    }
+
+    res.status(200).json({ message: `Cancelled ${cancelled} rows`, cancelled });
+  } catch (error) {
+    if (error.name === "CastError") {
+      return res.status(400).json({ error: "Invalid batch ID" });
+    }
+    res.status(500).json({ error: error.message });
+  }
+};
+
+module.exports = {
+  createBulkController,
+  listBulkController,
+  getBulkController,
+  retryBulkController,
+  cancelBulkController,
+};
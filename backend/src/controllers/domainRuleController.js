@@ -0,0 +1,145 @@
+const DomainRule = require("../models/DomainRule");
+const {
+  normalizeDomain,
+  findInvalidSelector,
+  clearRuleCache,
+} = require("../services/domainRuleService");
+
+// Accepts an array or a comma/newline separated string of CSS selectors
+const parseSelectors = (value) => {
+  const list = Array.isArray(value) ? value : String(value || "").split(/[\n,]/);
+  return list.map((selector) => String(selector).trim()).filter(Boolean);
+};
+
+// Validates the selector fields present in the body; returns an error message or null
+const applySelectors = (rule, body) => {
+  for (const field of ["includeSelectors", "excludeSelectors"]) {
+    if (body[field] === undefined) continue;
+
+    const selectors = parseSelectors(body[field]);
+    const invalid = findInvalidSelector(selectors);
+    if (invalid) {
+      return `Invalid CSS selector in ${field}: "${invalid}"`;
+    }
+    rule[field] = selectors;
+  }
+  return null;
+};
+
+const listDomainRulesController = async (req, res) => {
+  try {
+    const rules = await DomainRule.find().sort({ domain: 1 });
+
+    res.status(200).json({
+      count: rules.length,
+      rules,
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+const createDomainRuleController = async (req, res) => {
+  try {
+    const domain = normalizeDomain(req.body.domain);
+
+    if (!domain) {
+      return res.status(400).json({ error: "Domain is required" });
+    }
+
+    if (await DomainRule.exists({ domain })) {
+      return res
+        .status(409)
+        .json({ error: `A rule for ${domain} already exists` });
+    }
+
+    const rule = new DomainRule({ domain, notes: req.body.notes });
+    const selectorError = applySelectors(rule, req.body);
+    if (selectorError) {
+      return res.status(400).json({ error: selectorError });
+    }
+
+    await rule.save();
+    clearRuleCache();
+
+    res.status(201).json({
+      message: "Domain rule created successfully",
+      rule,
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+const updateDomainRuleController = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const rule = await DomainRule.findById(id);
+    if (!rule) {
+      return res.status(404).json({ error: "Domain rule not found" });
+    }
+
+    if (req.body.domain !== undefined) {
+      const domain = normalizeDomain(req.body.domain);
+      if (!domain) {
+        return res.status(400).json({ error: "Domain cannot be empty" });
+      }
+      rule.domain = domain;
+    }
+    if (req.body.notes !== undefined) rule.notes = req.body.notes;
+
+    const selectorError = applySelectors(rule, req.body);
+    if (selectorError) {
+      return res.status(400).json({ error: selectorError });
+    }
+
+    rule.updatedAt = new Date();
+    await rule.save();
+    clearRuleCache();
+
+    res.status(200).json({
+      message: "Domain rule updated successfully",
+      rule,
+    });
+  } catch (error) {
+    if (error.name === "CastError") {
+      return res.status(400).json({ error: "Invalid domain rule ID" });
+    }
+    if (error.code === 11000) {
+      return res
+        .status(409)
+        .json({ error: "A rule for this domain already exists" });
+    }
+    res.status(500).json({ error: error.message });
+  }
+};
+
+const deleteDomainRuleController = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const rule = await DomainRule.findByIdAndDelete(id);
+    if (!rule) {
+      return res.status(404).json({ error: "Domain rule not found" });
+    }
+    clearRuleCache();
+
+    res.status(200).json({
+      message: "Domain rule deleted successfully",
+      rule,
+    });
+  } catch (error) {
+    if (error.name === "CastError") {
+      return res.status(400).json({ error: "Invalid domain rule ID" });
+    }
+    res.status(500).json({ error: error.message });
+  }
+};
+
+module.exports = {
+  listDomainRulesController,
+  createDomainRuleController,
+  updateDomainRuleController,
+  deleteDomainRuleController,
+};
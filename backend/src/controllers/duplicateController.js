@@ -0,0 +1,91 @@
+const mongoose = require("mongoose");
+const FAQ = require("../models/FAQ");
+const {
+  duplicateClusters,
+  mergeDuplicates,
+} = require("../services/duplicateService");
+const { normalizeDomain } = require("../services/domainRuleService");
+const { isCodedError } = require("../utils/errors");
+const { DUPLICATES } = require("../utils/constants");
+
+// Clusters of similar FAQs: ?sourceUrl= or ?domain= narrows the scope, ?threshold=0-1
+// overrides DUPLICATE_SIMILARITY_THRESHOLD and ?limit= sets how many newest FAQs are compared
+const duplicatesReportController = async (req, res) => {
+  try {
+    const { sourceUrl, domain, threshold, limit } = req.query;
+
+    const options = {};
+    if (sourceUrl) options.sourceUrl = sourceUrl;
+    if (domain) options.domain = normalizeDomain(domain);
+    if (threshold !== undefined) {
+      const value = Number(threshold);
+      if (!Number.isFinite(value) || value <= 0 || value > 1) {
+        return res
+          .status(400)
+          .json({ error: "threshold must be a number between 0 and 1" });
+      }
+      options.threshold = value;
+    }
+    if (limit !== undefined) {
+      const value = Number(limit);
+      if (!Number.isInteger(value) || value < 2 || value > DUPLICATES.MAX_REPORT_FAQS) {
+        return res.status(400).json({
+          error: `limit must be a whole number from 2 to ${DUPLICATES.MAX_REPORT_FAQS}`,
+        });
+      }
+      options.limit = value;
+    }
+
+    const report = await duplicateClusters(options);
+
+    res.status(200).json({
+      count: report.clusters.length,
+      ...report,
+    });
+  } catch (error) {
+    if (isCodedError(error)) {
+      return res
+        .status(error.status)
+        .json({ error: error.message, code: error.code });
+    }
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// Keeps `keepId` and deletes the FAQs in `mergeIds`
+const mergeDuplicatesController = async (req, res) => {
+  try {
+    const { keepId, mergeIds } = req.body;
+
+    if (
+      !mongoose.isValidObjectId(keepId) ||
+      !Array.isArray(mergeIds) ||
+      mergeIds.length === 0 ||
+      !mergeIds.every((id) => mongoose.isValidObjectId(id))
+    ) {
+      return res.status(400).json({
+        error: "keepId and a non-empty mergeIds array of FAQ IDs are required",
+      });
+    }
+
+    const kept = await FAQ.findById(keepId);
+    if (!kept) {
+      return res.status(404).json({ error: "FAQ to keep not found" });
+    }
+
+    const deleted = await mergeDuplicates(keepId, mergeIds);
+
+    res.status(200).json({
+      message: `Merged ${deleted} duplicate FAQs into "${kept.question}"`,
+      deleted,
+      faq: kept,
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+module.exports = {
+  duplicatesReportController,
+  mergeDuplicatesController,
+};
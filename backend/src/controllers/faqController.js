@@ -1,48 +1,365 @@
-const { crawlWebsite } = require("../services/crawlerService");
-const { generateFaqs } = require("../services/openaiService");
-const CrawledPage = require("../models/CrawledPage");
+const {
+  crawlSite,
+  combinePages,
+  combineOutlines,
+  pageSpans,
+  hasEnoughContent,
+} = require("../services/crawlerService");
+const {
+  snapshotPage,
+  recordSnapshot,
+  getLatestSnapshot,
+} = require("../services/snapshotService");
+const {
+  extractDocumentText,
+  saveDocument,
+} = require("../services/documentService");
+const {
+  generateFaqsCached,
+} = require("../services/generationCacheService");
+const {
+  refineFaq,
+  generateVariants,
+} = require("../services/faqGenerationService");
+const { groundAnswer } = require("../services/groundingService");
+const {
+  checkDuplicates,
+  refreshEmbedding,
+} = require("../services/duplicateService");
+const { resolveTemplate } = require("../services/promptTemplateService");
+const { searchFaqs } = require("../services/faqSearchService");
+const { enqueueJob, formatJob } = require("../services/jobQueueService");
+const {
+  categoriesFor,
+  normalizeCategory,
+  normalizeTags,
+} = require("../services/taxonomyService");
+const {
+  LINT_RULES,
+  scoreFaq,
+  rescoreAllFaqs,
+} = require("../services/qualityService");
+const { runStaleCheckNow } = require("../jobs/staleCheckJob");
+const { isSiteFaq } = require("../services/staleCheckService");
 const FAQ = require("../models/FAQ");
+const CrawledPage = require("../models/CrawledPage");
+const SourceDocument = require("../models/SourceDocument");
+const PromptTemplate = require("../models/PromptTemplate");
+const { createError, isCodedError } = require("../utils/errors");
+const { openEventStream } = require("../utils/sse");
+const { ERROR_CODES, QUALITY, VARIANTS } = require("../utils/constants");
+const {
+  normalizeQuestion,
+  distinctPhrasings,
+} = require("../utils/questionMatch");
+
+// Stores each crawled page as a snapshot, creating a new version only for changed content
+const recordSnapshots = async (pages) => {
+  const crawledPages = [];
+
+  for (const page of pages) {
+    const { page: crawledPage } = await recordSnapshot(page);
+    crawledPages.push(crawledPage);
+  }
+
+  return crawledPages;
+};
+
+// Questions the source already answers: Q&A markup on its pages plus FAQs imported from it
+const findExistingQuestions = async (sourceUrl, crawledPages) => {
+  const imported = await FAQ.find({ sourceUrl, origin: "imported" }).select(
+    "question"
+  );
+
+  return [
+    ...crawledPages.flatMap((crawledPage) =>
+      (crawledPage.structuredFaqs || []).map((faq) => faq.question)
+    ),
+    ...imported.map((faq) => faq.question),
+  ];
+};
+
+const NOT_ENOUGH_CONTENT =
+  "Website does not contain enough readable content to generate FAQs";
+
+// Stops a generation whose client went away before more work (or a save) happens
+const throwIfCancelled = (signal) => {
+  if (signal && signal.aborted) {
+    throw createError(
+      "FAQ generation was cancelled",
+      ERROR_CODES.GENERATION_CANCELLED,
+      499
+    );
+  }
+};
+
+// Fields of a generate-faqs request body the page and site helpers use
+const pickGenerationOptions = (body) => ({
+  url: body.url,
+  count: body.count,
+  force: body.force,
+  maxDepth: body.maxDepth,
+  maxPages: body.maxPages,
+  provider: body.provider,
+  model: body.model,
+  variants: body.variants,
+});
+
+const formatTemplate = (template) =>
+  template ? { id: template._id, name: template.name } : null;
+
+const formatCrawledPage = (crawledPage) => ({
+  id: crawledPage._id,
+  url: crawledPage.url,
+  version: crawledPage.version,
+  textLength: crawledPage.cleanedText.length,
+  createdAt: crawledPage.createdAt,
+});
+
+// Citations of a single-page generation point into that snapshot's cleanedText
+const citeSnapshot = (citations, crawledPage) =>
+  citations.map((citation) => ({
+    ...citation,
+    url: crawledPage.url,
+    crawledPage: crawledPage._id,
+  }));
+
+// Site mode cites the combined text; map each passage back to the page it came from
+const citeSnapshots = (citations, spans, crawledPages) =>
+  citations.flatMap((citation) => {
+    const index = spans.findIndex(
+      (span) => citation.start >= span.start && citation.start < span.end
+    );
+    if (index === -1) return [];
+
+    const span = spans[index];
+    const end = Math.min(citation.end, span.end);
+    return [
+      {
+        start: citation.start - span.start,
+        end: end - span.start,
+        text: citation.text.slice(0, end - citation.start),
+        url: span.url,
+        crawledPage: crawledPages[index]._id,
+      },
+    ];
+  });
+
+const citationFields = ({ start, end, text, url, crawledPage }) => ({
+  start,
+  end,
+  text,
+  url,
+  crawledPage,
+});
+
+// Grounds a site FAQ in the joined text of the pages it cites, as at generation. A page
+// no passage matches keeps its old citations, so the stale check still covers it.
+const regroundSiteFaq = async (faq) => {
+  const pageIds = [
+    ...new Set(
+      faq.citations
+        .filter((citation) => citation.crawledPage)
+        .map((citation) => String(citation.crawledPage))
+    ),
+  ];
+  const found = await CrawledPage.find({ _id: { $in: pageIds } });
+  const crawledPages = pageIds
+    .map((id) => found.find((page) => String(page._id) === id))
+    .filter(Boolean);
+  if (crawledPages.length === 0) return;
+
+  const spans = [];
+  let offset = 0;
+  crawledPages.forEach((page) => {
+    spans.push({
+      url: page.url,
+      start: offset,
+      end: offset + page.cleanedText.length,
+    });
+    offset += page.cleanedText.length + 2;
+  });
+
+  const grounding = groundAnswer(
+    faq.answer,
+    crawledPages.map((page) => page.cleanedText).join("\n\n")
+  );
+  const cited = citeSnapshots(grounding.citations, spans, crawledPages);
+  const citedPages = new Set(cited.map((citation) => String(citation.crawledPage)));
+  faq.citations = [
+    ...cited,
+    ...faq.citations
+      .filter(
+        (citation) =>
+          citation.crawledPage && !citedPages.has(String(citation.crawledPage))
+      )
+      .map(citationFields),
+  ];
+  faq.supportScore = grounding.supportScore;
+  faq.unsupported = !grounding.supported;
+};
+
+// Re-checks an edited answer against its source text: its page snapshot, its uploaded
+// document or, for site FAQs, the pages it cites
+const regroundFaq = async (faq) => {
+  if (faq.crawledPage) {
+    const crawledPage = await CrawledPage.findById(faq.crawledPage);
+    if (!crawledPage) return;
+
+    const grounding = groundAnswer(faq.answer, crawledPage.cleanedText);
+    faq.citations = citeSnapshot(grounding.citations, crawledPage);
+    faq.supportScore = grounding.supportScore;
+    faq.unsupported = !grounding.supported;
+  } else if (faq.sourceDocument) {
+    const document = await SourceDocument.findById(faq.sourceDocument);
+    if (!document) return;
+
+    const grounding = groundAnswer(faq.answer, document.cleanedText);
+    faq.citations = grounding.citations;
+    faq.supportScore = grounding.supportScore;
+    faq.unsupported = !grounding.supported;
+  } else if (isSiteFaq(faq)) {
+    await regroundSiteFaq(faq);
+  }
+};
+
+// Makes the reviewed version of one cited page the baseline of a site FAQ
+const rebaseSiteCitations = async (faq, pageId) => {
+  const crawledPage = await CrawledPage.findById(pageId);
+  if (!crawledPage) return;
+
+  faq.citations = faq.citations.map((citation) =>
+    citation.url === crawledPage.url
+      ? { ...citationFields(citation), crawledPage: crawledPage._id }
+      : citationFields(citation)
+  );
+  await regroundSiteFaq(faq);
+};
+
+// Text an FAQ was generated from: its page snapshot (for site FAQs, the page of its first
+// citation) or its uploaded document. Returns { text, headings, crawledPage } or null.
+const loadFaqSource = async (faq) => {
+  const pageId = faq.crawledPage || faq.citations?.[0]?.crawledPage;
+  if (pageId) {
+    const crawledPage = await CrawledPage.findById(pageId);
+    return crawledPage
+      ? { text: crawledPage.cleanedText, headings: crawledPage.outline, crawledPage }
+      : null;
+  }
+  if (faq.sourceDocument) {
+    const document = await SourceDocument.findById(faq.sourceDocument);
+    return document
+      ? { text: document.cleanedText, headings: document.outline, crawledPage: null }
+      : null;
+  }
+  return null;
+};
+
+const MAX_INSTRUCTIONS_LENGTH = 1000;
+
+// Distinct phrasings of `question`, capped at VARIANTS.MAX; null when there are some but
+// fewer than VARIANTS.MIN
+const normalizeVariants = (variants, question) => {
+  const distinct = distinctPhrasings(variants, question).slice(0, VARIANTS.MAX);
+  return distinct.length === 0 || distinct.length >= VARIANTS.MIN
+    ? distinct
+    : null;
+};
+
+// Saves new FAQs of one source after flagging (or leaving out) near-duplicates of the
+// FAQs already stored for it or its domain, and scores each with the quality lint.
+// Categories outside the source's taxonomy and variant lists that are too short are
+// dropped. Returns { savedFaqs, duplicates }.
+const insertFaqs = async (faqs, sourceUrl, options) => {
+  const categories = await categoriesFor(sourceUrl);
+  const checked = await checkDuplicates(faqs, sourceUrl, options);
+  const savedFaqs = await FAQ.insertMany(
+    checked.faqs.map((faq) => ({
+      ...faq,
+      category: normalizeCategory(faq.category, categories),
+      tags: normalizeTags(faq.tags),
+      variants: normalizeVariants(faq.variants, faq.question) || [],
+      quality: scoreFaq(faq),
+    }))
+  );
+  return { savedFaqs, duplicates: checked.duplicates };
+};
 
 // Crawl website
 const crawlWebsiteController = async (req, res) => {
   try {
-    const { url } = req.body;
+    const { url, mode, maxDepth, maxPages, force } = req.body;
 
     if (!url) {
       return res.status(400).json({ error: "URL is required" });
     }
 
-    const structuredContent = await crawlWebsite(url);
+    if (mode === "site") {
+      const site = await crawlSite(url, {
+        maxDepth,
+        maxPages,
+        loadSnapshot: force ? null : getLatestSnapshot,
+      });
+      const pages = site.pages.filter(hasEnoughContent);
 
-    if (
-      !structuredContent.rawText ||
-      !structuredContent.cleanedText ||
-      structuredContent.rawText.trim().length < 50 ||
-      structuredContent.cleanedText.trim().length < 50
-    ) {
+      if (pages.length === 0) {
+        return res.status(400).json({
+          error: "Website does not contain enough readable content to crawl",
+        });
+      }
+
+      const crawledPages = await recordSnapshots(pages);
+
+      return res.status(200).json({
+        message: `Website crawled successfully (${crawledPages.length} pages)`,
+        data: {
+          seedUrl: site.seedUrl,
+          pages: pages.map((page) => ({
+            url: page.url,
+            title: page.title,
+            textLength: page.cleanedText.length,
+            structuredFaqs: page.structuredFaqs.length,
+          })),
+          errors: site.errors,
+          metadata: site.metadata,
+        },
+        crawledPages: crawledPages.map(formatCrawledPage),
+      });
+    }
+
+    const {
+      content,
+      page: crawledPage,
+      changed,
+      notModified,
+    } = await snapshotPage(url, { force });
+
+    if (!crawledPage) {
       return res.status(400).json({
         error: "Website does not contain enough readable content to crawl",
       });
     }
 
-    const crawledPage = new CrawledPage({
-      url: structuredContent.url,
-      rawText: structuredContent.rawText,
-      cleanedText: structuredContent.cleanedText,
-    });
-    await crawledPage.save();
+    let message = "Website crawled successfully";
+    if (notModified) {
+      message = "Website not modified since the last crawl";
+    } else if (!changed) {
+      message = "Website crawled successfully (content unchanged)";
+    }
 
     res.status(200).json({
-      message: "Website crawled successfully",
-      data: structuredContent,
-      crawledPage: {
-        id: crawledPage._id,
-        url: crawledPage.url,
-        textLength: crawledPage.cleanedText.length,
-        createdAt: crawledPage.createdAt,
-      },
+      message,
+      data: content,
+      changed,
+      notModified,
+      crawledPage: formatCrawledPage(crawledPage),
     });
   } catch (error) {
+    if (isCodedError(error)) {
+      return res
+        .status(error.status)
+        .json({ error: error.message, code: error.code });
+    }
     if (
       error.message.includes("HTTP") ||
       error.message.includes("Network") ||
@@ -56,21 +373,45 @@ const crawlWebsiteController = async (req, res) => {
 
 const generateFaqsController = async (req, res) => {
   try {
-    const { text, count } = req.body;
+    const {
+      text,
+      count,
+      provider,
+      model,
+      templateId,
+      sourceUrl,
+      force,
+      variants,
+    } = req.body;
 
     if (!text) {
       return res.status(400).json({ error: "Text is required" });
     }
 
-    const faqs = await generateFaqs(text, count);
+    const template = await resolveTemplate(templateId);
+    const { faqs, cache, rejected } = await generateFaqsCached(text, count, {
+      sourceUrl,
+      provider,
+      model,
+      variants,
+      style: template,
+      force,
+    });
 
     res.status(200).json({
       message: "FAQs generated successfully",
+      template: formatTemplate(template),
+      cache,
+      rejected,
       count: faqs.length,
       faqs,
     });
   } catch (error) {
-
+    if (isCodedError(error)) {
+      return res
+        .status(error.status)
+        .json({ error: error.message, code: error.code });
+    }
     if (error.message.includes("Rate limit")) {
       return res.status(429).json({ error: error.message });
     }
@@ -78,65 +419,429 @@ const generateFaqsController = async (req, res) => {
   }
 };
 
+// Crawls one page, generates FAQs from it and saves them as drafts. Returns null when
+// the page has too little text. `onProgress` also receives { type: "crawled" } events.
+const generatePageFaqs = async (options) => {
+  const {
+    url,
+    count,
+    force,
+    provider,
+    model,
+    variants,
+    template,
+    signal,
+    onProgress,
+  } = options;
+
+  const { page: crawledPage, changed } = await snapshotPage(url, { force });
+  if (!crawledPage) return null;
+
+  if (onProgress) {
+    onProgress({
+      type: "crawled",
+      crawledPage: { ...formatCrawledPage(crawledPage), changed },
+    });
+  }
+  throwIfCancelled(signal);
+
+  const existingQuestions = await findExistingQuestions(crawledPage.url, [
+    crawledPage,
+  ]);
+
+  const { faqs, cache, rejected } = await generateFaqsCached(
+    crawledPage.cleanedText,
+    count,
+    {
+      sourceUrl: crawledPage.url,
+      existingQuestions,
+      headings: crawledPage.outline,
+      provider,
+      model,
+      variants,
+      style: template,
+      force,
+      signal,
+      onProgress,
+    }
+  );
+  throwIfCancelled(signal);
+
+  const { savedFaqs, duplicates } = await insertFaqs(
+    faqs.map((faq) => ({
+      question: faq.question,
+      answer: faq.answer,
+      section: faq.section,
+      category: faq.category,
+      tags: faq.tags,
+      variants: faq.variants,
+      citations: citeSnapshot(faq.citations, crawledPage),
+      supportScore: faq.supportScore,
+      unsupported: faq.unsupported,
+      promptTemplate: template ? template._id : null,
+      sourceUrl: crawledPage.url,
+      crawledPage: crawledPage._id,
+      status: "draft",
+    })),
+    crawledPage.url
+  );
+
+  return { crawledPage, changed, savedFaqs, duplicates, cache, rejected };
+};
+
+// Site mode of generatePageFaqs: crawl many pages, generate across all of them. Returns
+// null when no page has enough text.
+const generateSiteFaqs = async (options) => {
+  const {
+    url,
+    count,
+    force,
+    maxDepth,
+    maxPages,
+    provider,
+    model,
+    variants,
+    template,
+    signal,
+    onProgress,
+  } = options;
+
+  const site = await crawlSite(url, {
+    maxDepth,
+    maxPages,
+    loadSnapshot: force ? null : getLatestSnapshot,
+  });
+  const pages = site.pages.filter(hasEnoughContent);
+  if (pages.length === 0) return null;
+
+  const crawledPages = await recordSnapshots(pages);
+
+  if (onProgress) {
+    onProgress({
+      type: "crawled",
+      crawledPages: crawledPages.map(formatCrawledPage),
+      crawlErrors: site.errors,
+    });
+  }
+  throwIfCancelled(signal);
+
+  const existingQuestions = await findExistingQuestions(
+    site.seedUrl,
+    crawledPages
+  );
+
+  const { faqs, cache, rejected } = await generateFaqsCached(
+    combinePages(pages),
+    count,
+    {
+      sourceUrl: site.seedUrl,
+      existingQuestions,
+      headings: combineOutlines(pages),
+      provider,
+      model,
+      variants,
+      style: template,
+      force,
+      signal,
+      onProgress,
+    }
+  );
+  throwIfCancelled(signal);
+
+  const spans = pageSpans(pages);
+  const { savedFaqs, duplicates } = await insertFaqs(
+    faqs.map((faq) => ({
+      question: faq.question,
+      answer: faq.answer,
+      section: faq.section,
+      category: faq.category,
+      tags: faq.tags,
+      variants: faq.variants,
+      citations: citeSnapshots(faq.citations, spans, crawledPages),
+      supportScore: faq.supportScore,
+      unsupported: faq.unsupported,
+      promptTemplate: template ? template._id : null,
+      sourceUrl: site.seedUrl,
+      status: "draft",
+    })),
+    site.seedUrl
+  );
+
+  return { site, pages, crawledPages, savedFaqs, duplicates, cache, rejected };
+};
+
+// Job handler for generate-faqs requests queued with `async: true` (see jobs/jobWorker).
+// Runs like generateFaqsFromContentController and returns its response, with the ids of
+// the saved FAQs instead of the FAQs themselves.
+const runGenerationJob = async (params, { signal, onProgress }) => {
+  const template = await resolveTemplate(params.templateId);
+  const options = {
+    ...pickGenerationOptions(params),
+    template,
+    signal,
+    onProgress,
+  };
+  const site = params.mode === "site";
+  const result = site
+    ? await generateSiteFaqs(options)
+    : await generatePageFaqs(options);
+
+  if (!result) {
+    throw createError(NOT_ENOUGH_CONTENT, ERROR_CODES.NOT_ENOUGH_CONTENT, 400);
+  }
+
+  return {
+    message: site
+      ? `FAQs generated and saved successfully from ${result.pages.length} pages`
+      : "FAQs generated and saved successfully",
+    template: formatTemplate(template),
+    cache: result.cache,
+    rejected: result.rejected,
+    ...(site
+      ? {
+          crawledPages: result.crawledPages.map(formatCrawledPage),
+          crawlErrors: result.site.errors,
+        }
+      : {
+          crawledPage: {
+            ...formatCrawledPage(result.crawledPage),
+            changed: result.changed,
+          },
+        }),
+    faqs: {
+      count: result.savedFaqs.length,
+      ids: result.savedFaqs.map((faq) => faq._id),
+      duplicates: result.duplicates,
+    },
+  };
+};
+
 const generateFaqsFromContentController = async (req, res) => {
   try {
-    const { url, count } = req.body;
+    const { url, mode, templateId } = req.body;
 
     if (!url) {
       return res.status(400).json({ error: "URL is required" });
     }
 
-    const structuredContent = await crawlWebsite(url);
+    // Resolved before crawling so an unknown template fails fast
+    const template = await resolveTemplate(templateId);
+
+    // Queued: answered at once, the job worker crawls and generates (poll GET /jobs/:id)
+    if (req.body.async === true || req.body.async === "true") {
+      const job = await enqueueJob("generate-faqs", {
+        ...pickGenerationOptions(req.body),
+        mode: mode === "site" ? "site" : "page",
+        templateId: template ? template._id : null,
+      });
+      return res.status(202).json({
+        message: "FAQ generation queued",
+        job: formatJob(job),
+      });
+    }
+
+    if (mode === "site") {
+      const result = await generateSiteFaqs({
+        ...pickGenerationOptions(req.body),
+        template,
+      });
+      if (!result) {
+        return res.status(400).json({ error: NOT_ENOUGH_CONTENT });
+      }
 
+      return res.status(201).json({
+        message: `FAQs generated and saved successfully from ${result.pages.length} pages`,
+        template: formatTemplate(template),
+        cache: result.cache,
+        rejected: result.rejected,
+        crawledPages: result.crawledPages.map(formatCrawledPage),
+        crawlErrors: result.site.errors,
+        faqs: {
+          count: result.savedFaqs.length,
+          items: result.savedFaqs,
+          duplicates: result.duplicates,
+        },
+      });
+    }
+
+    const result = await generatePageFaqs({
+      ...pickGenerationOptions(req.body),
+      template,
+    });
+    if (!result) {
+      return res.status(400).json({ error: NOT_ENOUGH_CONTENT });
+    }
+
+    res.status(201).json({
+      message: "FAQs generated and saved successfully",
+      template: formatTemplate(template),
+      cache: result.cache,
+      rejected: result.rejected,
+      crawledPage: {
+        ...formatCrawledPage(result.crawledPage),
+        changed: result.changed,
+      },
+      faqs: {
+        count: result.savedFaqs.length,
+        items: result.savedFaqs,
+        duplicates: result.duplicates,
+      },
+    });
+  } catch (error) {
+    if (isCodedError(error)) {
+      return res
+        .status(error.status)
+        .json({ error: error.message, code: error.code });
+    }
+    if (error.message.includes("Rate limit")) {
+      return res.status(429).json({ error: error.message });
+    }
     if (
-      !structuredContent.rawText ||
-      !structuredContent.cleanedText ||
-      structuredContent.rawText.trim().length < 50 ||
-      structuredContent.cleanedText.trim().length < 50
+      error.message.includes("HTTP") ||
+      error.message.includes("Network") ||
+      error.message.includes("DNS")
     ) {
-      return res.status(400).json({
-        error:
-          "Website does not contain enough readable content to generate FAQs",
-      });
+      return res.status(400).json({ error: error.message });
     }
+    res.status(500).json({ error: error.message });
+  }
+};
 
-    let crawledPage = await CrawledPage.findOne({ url: structuredContent.url });
+// Streaming variant of generateFaqsFromContentController. Progress is pushed as
+// Server-Sent Events: crawl-started, crawl-finished, generating, faq (one per parsed
+// candidate), saved, done, or error. Closing the connection cancels generation.
+const generateFaqsStreamController = async (req, res) => {
+  const { url, mode, templateId } = req.body;
+
+  if (!url) {
+    return res.status(400).json({ error: "URL is required" });
+  }
+
+  const controller = new AbortController();
+  const stream = openEventStream(res, () => controller.abort());
+
+  const onProgress = (event) => {
+    const { type, ...data } = event;
+    stream.send(type === "crawled" ? "crawl-finished" : type, data);
+  };
+
+  try {
+    const template = await resolveTemplate(templateId);
+    const site = mode === "site";
+
+    stream.send("crawl-started", {
+      url,
+      mode: site ? "site" : "page",
+      template: formatTemplate(template),
+    });
+
+    const options = {
+      ...pickGenerationOptions(req.body),
+      template,
+      signal: controller.signal,
+      onProgress,
+    };
+    const result = site
+      ? await generateSiteFaqs(options)
+      : await generatePageFaqs(options);
+
+    if (!result) {
+      stream.send("error", { error: NOT_ENOUGH_CONTENT });
+      return;
+    }
+
+    stream.send("saved", {
+      count: result.savedFaqs.length,
+      items: result.savedFaqs,
+      duplicates: result.duplicates,
+      cache: result.cache,
+      rejected: result.rejected,
+    });
+    stream.send("done", {
+      message: site
+        ? `FAQs generated and saved successfully from ${result.pages.length} pages`
+        : "FAQs generated and saved successfully",
+    });
+  } catch (error) {
+    if (!controller.signal.aborted) {
+      stream.send(
+        "error",
+        isCodedError(error)
+          ? { error: error.message, code: error.code }
+          : { error: error.message }
+      );
+    }
+  } finally {
+    stream.end();
+  }
+};
+
+// Save the Q&A pairs a page already publishes as FAQs tagged "imported"
+const importFaqsController = async (req, res) => {
+  try {
+    const { url, status = "draft" } = req.body;
+
+    if (!url) {
+      return res.status(400).json({ error: "URL is required" });
+    }
+
+    if (status !== "draft" && status !== "published") {
+      return res
+        .status(400)
+        .json({ error: 'Status must be either "draft" or "published"' });
+    }
+
+    // Always fetch the full page: a 304 would leave nothing to parse
+    const { page: crawledPage } = await snapshotPage(url, { force: true });
 
     if (!crawledPage) {
-      crawledPage = new CrawledPage({
-        url: structuredContent.url,
-        rawText: structuredContent.rawText,
-        cleanedText: structuredContent.cleanedText,
+      return res.status(400).json({
+        error: "Website does not contain enough readable content to import FAQs",
       });
-      await crawledPage.save();
     }
 
-    const faqs = await generateFaqs(structuredContent.cleanedText, count);
+    const found = crawledPage.structuredFaqs || [];
+    const existing = new Set(
+      (await FAQ.find({ sourceUrl: crawledPage.url }).select("question")).map(
+        (faq) => normalizeQuestion(faq.question)
+      )
+    );
+    const newFaqs = found.filter(
+      (faq) => !existing.has(normalizeQuestion(faq.question))
+    );
 
-    const savedFaqs = await FAQ.insertMany(
-      faqs.map((faq) => ({
+    // The site's own Q&A is never left out, only flagged
+    const { savedFaqs } = await insertFaqs(
+      newFaqs.map((faq) => ({
         question: faq.question,
         answer: faq.answer,
-        sourceUrl: structuredContent.url,
-        status: "draft",
-      }))
+        sourceUrl: crawledPage.url,
+        crawledPage: crawledPage._id,
+        origin: "imported",
+        status,
+      })),
+      crawledPage.url,
+      { action: "flag" }
     );
 
     res.status(201).json({
-      message: "FAQs generated and saved successfully",
-      crawledPage: {
-        id: crawledPage._id,
-        url: crawledPage.url,
-        textLength: crawledPage.cleanedText.length,
-      },
+      message:
+        found.length === 0
+          ? "No existing FAQs found on this page"
+          : `Imported ${savedFaqs.length} existing FAQs`,
+      found: found.length,
+      skipped: found.length - savedFaqs.length,
+      crawledPage: formatCrawledPage(crawledPage),
       faqs: {
         count: savedFaqs.length,
         items: savedFaqs,
       },
     });
   } catch (error) {
-    if (error.message.includes("Rate limit")) {
-      return res.status(429).json({ error: error.message });
+    if (isCodedError(error)) {
+      return res
+        .status(error.status)
+        .json({ error: error.message, code: error.code });
     }
     if (
       error.message.includes("HTTP") ||
@@ -149,6 +854,95 @@ const generateFaqsFromContentController = async (req, res) => {
   }
 };
 
+// Generate FAQs from an uploaded PDF, DOCX, Markdown, HTML or text file
+const generateFaqsFromFileController = async (req, res) => {
+  try {
+    const { count, provider, model, templateId, force, variants } = req.body;
+
+    if (!req.file) {
+      return res
+        .status(400)
+        .json({ error: 'A file is required (multipart field "file")' });
+    }
+
+    const template = await resolveTemplate(templateId);
+    const extracted = await extractDocumentText(req.file);
+
+    if (!hasEnoughContent(extracted)) {
+      return res.status(400).json({
+        error: "Document does not contain enough readable text to generate FAQs",
+      });
+    }
+
+    const document = await saveDocument(req.file, extracted);
+
+    const { faqs, cache, rejected } = await generateFaqsCached(
+      document.cleanedText,
+      count,
+      {
+        sourceUrl: document.fileName,
+        headings: document.outline,
+        provider,
+        model,
+        variants,
+        style: template,
+        // Multipart fields arrive as strings
+        force: force === true || force === "true",
+      }
+    );
+
+    const { savedFaqs, duplicates } = await insertFaqs(
+      faqs.map((faq) => ({
+        question: faq.question,
+        answer: faq.answer,
+        section: faq.section,
+        category: faq.category,
+        tags: faq.tags,
+        variants: faq.variants,
+        citations: faq.citations,
+        supportScore: faq.supportScore,
+        unsupported: faq.unsupported,
+        promptTemplate: template ? template._id : null,
+        sourceUrl: document.fileName,
+        sourceType: "document",
+        sourceDocument: document._id,
+        status: "draft",
+      })),
+      document.fileName
+    );
+
+    res.status(201).json({
+      message: "FAQs generated and saved successfully",
+      template: formatTemplate(template),
+      cache,
+      rejected,
+      document: {
+        id: document._id,
+        fileName: document.fileName,
+        format: document.format,
+        title: document.title,
+        textLength: document.cleanedText.length,
+        createdAt: document.createdAt,
+      },
+      faqs: {
+        count: savedFaqs.length,
+        items: savedFaqs,
+        duplicates,
+      },
+    });
+  } catch (error) {
+    if (isCodedError(error)) {
+      return res
+        .status(error.status)
+        .json({ error: error.message, code: error.code });
+    }
+    if (error.message.includes("Rate limit")) {
+      return res.status(429).json({ error: error.message });
+    }
+    res.status(500).json({ error: error.message });
+  }
+};
+
 const saveFaqsController = async (req, res) => {
   try {
     const { faqs, sourceUrl } = req.body;
@@ -169,18 +963,30 @@ const saveFaqsController = async (req, res) => {
       }
     }
 
-    const savedFaqs = await FAQ.insertMany(
+    const { savedFaqs, duplicates } = await insertFaqs(
       faqs.map((faq) => ({
         question: faq.question,
         answer: faq.answer,
+        section: faq.section || null,
+        category: faq.category,
+        tags: faq.tags,
+        variants: faq.variants,
+        citations: Array.isArray(faq.citations) ? faq.citations : [],
+        supportScore:
+          typeof faq.supportScore === "number" ? faq.supportScore : null,
+        unsupported: faq.unsupported === true,
         sourceUrl: sourceUrl,
         status: faq.status || "draft",
-      }))
+        // FAQs sent in ready-made count as written by hand
+        origin: "manual",
+      })),
+      sourceUrl
     );
 
     res.status(201).json({
       message: "FAQs saved successfully",
       count: savedFaqs.length,
+      duplicates,
       faqs: savedFaqs,
     });
   } catch (error) {
@@ -191,12 +997,47 @@ const saveFaqsController = async (req, res) => {
 
 const listFaqsController = async (req, res) => {
   try {
-    const { status } = req.query;
+    const {
+      status,
+      stale,
+      unsupported,
+      duplicates,
+      quality,
+      lint,
+      category,
+      tag,
+    } = req.query;
 
     const query = {};
     if (status && (status === "draft" || status === "published")) {
       query.status = status;
     }
+    if (stale === "true" || stale === "false") {
+      query.needsReview = stale === "true";
+    }
+    if (unsupported === "true" || unsupported === "false") {
+      query.unsupported = unsupported === "true";
+    }
+    if (duplicates === "true" || duplicates === "false") {
+      query.duplicateOf = duplicates === "true" ? { $ne: null } : null;
+    }
+    if (quality === "low") {
+      query["quality.score"] = { $lt: QUALITY.LOW_SCORE };
+    }
+    if (lint) {
+      if (!LINT_RULES.includes(lint)) {
+        return res
+          .status(400)
+          .json({ error: `lint must be one of: ${LINT_RULES.join(", ")}` });
+      }
+      query["quality.warnings.rule"] = lint;
+    }
+    if (category) {
+      query.category = category === "none" ? null : category;
+    }
+    if (tag) {
+      query.tags = String(tag).trim().toLowerCase();
+    }
 
     const faqs = await FAQ.find(query).sort({ createdAt: -1 });
 
@@ -212,24 +1053,86 @@ const listFaqsController = async (req, res) => {
 const updateFAQController = async (req, res) => {
   try {
     const { id } = req.params;
-    const { question, answer, sourceUrl, status } = req.body;
+    const {
+      question,
+      answer,
+      sourceUrl,
+      status,
+      needsReview,
+      category,
+      tags,
+      variants,
+    } = req.body;
+
+    // Every field is checked before regrounding or embedding calls the model
+    const blank = (value) =>
+      value !== undefined && (typeof value !== "string" || !value.trim());
+    if (blank(question) || blank(answer)) {
+      return res
+        .status(400)
+        .json({ error: "Question and answer must not be empty" });
+    }
+    if (status !== undefined && status !== "draft" && status !== "published") {
+      return res
+        .status(400)
+        .json({ error: 'Status must be either "draft" or "published"' });
+    }
 
     const faq = await FAQ.findById(id);
     if (!faq) {
       return res.status(404).json({ error: "FAQ not found" });
     }
 
+    const answerChanged = answer !== undefined && answer !== faq.answer;
+    const questionChanged = question !== undefined && question !== faq.question;
+    let baselineMoved = false;
+
     if (question !== undefined) faq.question = question;
     if (answer !== undefined) faq.answer = answer;
     if (sourceUrl !== undefined) faq.sourceUrl = sourceUrl;
-    if (status !== undefined) {
-      if (status !== "draft" && status !== "published") {
-        return res
-          .status(400)
-          .json({ error: 'Status must be either "draft" or "published"' });
+    if (category !== undefined) {
+      const categories = await categoriesFor(faq.sourceUrl);
+      const name = normalizeCategory(category, categories);
+      if (category && !name) {
+        return res.status(400).json({
+          error: `Category must be one of: ${categories
+            .map((entry) => entry.name)
+            .join(", ")}`,
+        });
       }
-      faq.status = status;
+      faq.category = name;
     }
+    if (tags !== undefined) faq.tags = normalizeTags(tags);
+    if (variants !== undefined) {
+      const phrasings = normalizeVariants(variants, faq.question);
+      if (!phrasings) {
+        return res.status(400).json({
+          error: `Store ${VARIANTS.MIN} to ${VARIANTS.MAX} distinct variants, or none`,
+        });
+      }
+      faq.variants = phrasings;
+    }
+    if (needsReview === false && faq.needsReview) {
+      // Reviewed against the changed page: that version becomes the new baseline
+      if (faq.staleInfo?.latestPage && isSiteFaq(faq)) {
+        await rebaseSiteCitations(faq, faq.staleInfo.latestPage);
+      } else if (faq.staleInfo?.latestPage) {
+        faq.crawledPage = faq.staleInfo.latestPage;
+        baselineMoved = true;
+      }
+      faq.needsReview = false;
+      faq.staleInfo = undefined;
+    }
+    if (answerChanged || baselineMoved) {
+      await regroundFaq(faq);
+    }
+    if (questionChanged) {
+      await refreshEmbedding(faq);
+    }
+    if (questionChanged || answerChanged) {
+      faq.quality = scoreFaq(faq);
+    }
+    if (status !== undefined) faq.status = status;
 
     await faq.save();
 
@@ -245,6 +1148,74 @@ const updateFAQController = async (req, res) => {
   }
 };
 
+// Asks the model for a rewrite of one FAQ from its source text; the proposal is returned
+// for review and only saved through PUT /faqs/:id
+const regenerateFaqController = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { instructions = "", provider, model } = req.body || {};
+
+    if (
+      typeof instructions !== "string" ||
+      instructions.length > MAX_INSTRUCTIONS_LENGTH
+    ) {
+      return res.status(400).json({
+        error: `Instructions must be text of at most ${MAX_INSTRUCTIONS_LENGTH} characters`,
+      });
+    }
+
+    const faq = await FAQ.findById(id);
+    if (!faq) {
+      return res.status(404).json({ error: "FAQ not found" });
+    }
+
+    const source = await loadFaqSource(faq);
+    if (!source) {
+      return res.status(422).json({
+        error: "The source text of this FAQ is not stored, so it cannot be rewritten",
+      });
+    }
+
+    const template = faq.promptTemplate
+      ? await PromptTemplate.findById(faq.promptTemplate).lean()
+      : null;
+
+    const proposal = await refineFaq(faq, source.text, {
+      instructions,
+      headings: source.headings,
+      provider,
+      model,
+      style: template,
+      sourceUrl: faq.sourceUrl,
+    });
+
+    res.status(200).json({
+      message: "Rewrite proposed. Review it and save it to apply.",
+      faq: {
+        id: faq._id,
+        question: faq.question,
+        answer: faq.answer,
+      },
+      proposal: {
+        ...proposal,
+        citations: source.crawledPage
+          ? citeSnapshot(proposal.citations, source.crawledPage)
+          : proposal.citations,
+      },
+    });
+  } catch (error) {
+    if (isCodedError(error)) {
+      return res
+        .status(error.status)
+        .json({ error: error.message, code: error.code });
+    }
+    if (error.name === "CastError") {
+      return res.status(400).json({ error: "Invalid FAQ ID" });
+    }
+    res.status(500).json({ error: error.message });
+  }
+};
+
 const publishFAQController = async (req, res) => {
   try {
     const { id } = req.params;
@@ -271,24 +1242,141 @@ const publishFAQController = async (req, res) => {
   }
 };
 
+const staleCheckController = async (req, res) => {
+  try {
+    const summary = await runStaleCheckNow();
+
+    if (!summary) {
+      return res
+        .status(409)
+        .json({ error: "A stale check is already running. Please try again later." });
+    }
+
+    res.status(200).json({
+      message: `Stale check complete: ${summary.flaggedFaqs} FAQs need review`,
+      ...summary,
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// Generates alternate phrasings of an FAQ's question and stores them, replacing any
+// it had; editors can adjust them through PUT /faqs/:id
+const generateVariantsController = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { count, provider, model } = req.body || {};
+
+    const faq = await FAQ.findById(id);
+    if (!faq) {
+      return res.status(404).json({ error: "FAQ not found" });
+    }
+
+    const template = faq.promptTemplate
+      ? await PromptTemplate.findById(faq.promptTemplate).lean()
+      : null;
+
+    faq.variants = await generateVariants(faq, {
+      count,
+      provider,
+      model,
+      style: template,
+      sourceUrl: faq.sourceUrl,
+    });
+    await faq.save();
+
+    res.status(200).json({
+      message: `Generated ${faq.variants.length} variants`,
+      faq,
+    });
+  } catch (error) {
+    if (isCodedError(error)) {
+      return res
+        .status(error.status)
+        .json({ error: error.message, code: error.code });
+    }
+    if (error.name === "CastError") {
+      return res.status(400).json({ error: "Invalid FAQ ID" });
+    }
+    if (error.message.includes("Rate limit")) {
+      return res.status(429).json({ error: error.message });
+    }
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// Search over questions, variants and answers for site search and chatbots:
+// ?q=&status=published|draft|all&sourceUrl=&category=&limit=
+const searchFaqsController = async (req, res) => {
+  try {
+    const { q, status = "published", sourceUrl, category, limit } = req.query;
+
+    if (!q || !String(q).trim()) {
+      return res.status(400).json({ error: "q is required" });
+    }
+    if (!["published", "draft", "all"].includes(status)) {
+      return res
+        .status(400)
+        .json({ error: 'status must be "published", "draft" or "all"' });
+    }
+
+    const results = await searchFaqs(String(q).trim(), {
+      status,
+      sourceUrl,
+      category,
+      limit: Number(limit) || undefined,
+    });
+
+    res.status(200).json({
+      query: String(q).trim(),
+      count: results.length,
+      results,
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// Re-scores every FAQ with the current lint settings, e.g. after QUALITY_BANNED_TERMS changed
+const qualityCheckController = async (req, res) => {
+  try {
+    const summary = await rescoreAllFaqs();
+
+    res.status(200).json({
+      message: `Quality check complete: ${summary.lowQualityFaqs} of ${summary.checkedFaqs} FAQs score below ${QUALITY.LOW_SCORE}`,
+      ...summary,
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
 const exportFaqsController = async (req, res) => {
   try {
-    const { format } = req.query;
+    const { format, category } = req.query;
+
+    const query = { status: "published" };
+    if (category) {
+      query.category = category === "none" ? null : category;
+    }
 
-    const faqs = await FAQ.find({ status: "published" })
+    const faqs = await FAQ.find(query)
       .sort({ createdAt: -1 })
-      .select("question answer sourceUrl createdAt -_id");
+      .select("question answer category tags variants sourceUrl createdAt -_id");
 
     if (format === "csv") {
 
-      const csvHeader = "Question,Answer,Source URL,Created At\n";
+      const csvHeader = "Question,Answer,Category,Tags,Source URL,Created At\n";
       const csvRows = faqs
         .map((faq) => {
           const question = `"${faq.question.replace(/"/g, '""')}"`;
           const answer = `"${faq.answer.replace(/"/g, '""')}"`;
+          const faqCategory = `"${(faq.category || "").replace(/"/g, '""')}"`;
+          const tags = `"${faq.tags.join(", ").replace(/"/g, '""')}"`;
           const sourceUrl = `"${faq.sourceUrl}"`;
           const createdAt = new Date(faq.createdAt).toISOString();
-          return `${question},${answer},${sourceUrl},${createdAt}`;
+          return `${question},${answer},${faqCategory},${tags},${sourceUrl},${createdAt}`;
         })
         .join("\n");
 
@@ -305,6 +1393,9 @@ const exportFaqsController = async (req, res) => {
         faqs: faqs.map((faq) => ({
           question: faq.question,
           answer: faq.answer,
+          category: faq.category,
+          tags: faq.tags,
+          variants: faq.variants,
           sourceUrl: faq.sourceUrl,
           createdAt: faq.createdAt,
         })),
@@ -319,9 +1410,18 @@ module.exports = {
   crawlWebsiteController,
   generateFaqsController,
   generateFaqsFromContentController,
+  generateFaqsStreamController,
   saveFaqsController,
   listFaqsController,
   updateFAQController,
+  regenerateFaqController,
+  generateVariantsController,
+  searchFaqsController,
   publishFAQController,
   exportFaqsController,
+  staleCheckController,
+  qualityCheckController,
+  importFaqsController,
+  generateFaqsFromFileController,
+  runGenerationJob,
 };
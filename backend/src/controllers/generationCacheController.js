@@ -0,0 +1,60 @@
+const {
+  listCacheEntries,
+  purgeCache,
+} = require("../services/generationCacheService");
+
+// The ways a source may have been stored: as given, with https:// added, and with or
+// without a trailing slash
+const sourceVariants = (sourceUrl) => {
+  const value = String(sourceUrl).trim();
+  const variants = new Set([value]);
+
+  if (/^[\w-]+(\.[\w-]+)+([/?#]|$)/.test(value)) variants.add(`https://${value}`);
+  [...variants].forEach((variant) => {
+    variants.add(variant.endsWith("/") ? variant.slice(0, -1) : `${variant}/`);
+  });
+
+  return [...variants];
+};
+
+const listCacheController = async (req, res) => {
+  try {
+    const entries = await listCacheEntries();
+
+    res.status(200).json({
+      count: entries.length,
+      entries,
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// DELETE /generation-cache?sourceUrl=... purges one source; ?all=true purges everything
+const purgeCacheController = async (req, res) => {
+  try {
+    const { sourceUrl, all } = req.query;
+
+    if (!sourceUrl && all !== "true") {
+      return res
+        .status(400)
+        .json({ error: "sourceUrl is required (or all=true to purge everything)" });
+    }
+
+    const deleted = await purgeCache(sourceUrl ? sourceVariants(sourceUrl) : []);
+
+    res.status(200).json({
+      message: sourceUrl
+        ? `Purged ${deleted} cached generations for ${sourceUrl}`
+        : `Purged ${deleted} cached generations`,
+      deleted,
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+module.exports = {
+  listCacheController,
+  purgeCacheController,
+};
@@ -0,0 +1,84 @@
+const Job = require("../models/Job");
+const { cancelJob, formatJob } = require("../services/jobQueueService");
+const { JOBS } = require("../utils/constants");
+
+const STATUSES = ["queued", "running", "succeeded", "failed", "cancelled"];
+
+// Newest first: ?status=queued|running|succeeded|failed|cancelled, ?type=, ?limit=
+const listJobsController = async (req, res) => {
+  try {
+    const { status, type, limit } = req.query;
+
+    if (status && !STATUSES.includes(status)) {
+      return res
+        .status(400)
+        .json({ error: `status must be one of: ${STATUSES.join(", ")}` });
+    }
+
+    const filter = {};
+    if (status) filter.status = status;
+    if (type) filter.type = type;
+
+    const jobs = await Job.find(filter)
+      .sort({ createdAt: -1 })
+      .limit(
+        Math.min(Math.max(Number(limit) || JOBS.LIST_LIMIT, 1), JOBS.MAX_LIST_LIMIT)
+      )
+      .lean();
+
+    res.status(200).json({
+      count: jobs.length,
+      jobs: jobs.map(formatJob),
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+const getJobController = async (req, res) => {
+  try {
+    const job = await Job.findById(req.params.id).lean();
+    if (!job) {
+      return res.status(404).json({ error: "Job not found" });
+    }
+
+    res.status(200).json({ job: formatJob(job) });
+  } catch (error) {
+    if (error.name === "CastError") {
+      return res.status(400).json({ error: "Invalid job ID" });
+    }
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// Queued jobs are cancelled at once; running ones stop at their next cancellation check
+const cancelJobController = async (req, res) => {
+  try {
+    const job = await cancelJob(req.params.id);
+    if (!job) {
+      return res.status(404).json({ error: "Job not found" });
+    }
+    if (!job.cancelRequested) {
+      return res
+        .status(409)
+        .json({ error: `Job already ${job.status}`, job: formatJob(job) });
+    }
+
+    res.status(200).json({
+      message:
+        job.status === "cancelled" ? "Job cancelled" : "Cancellation requested",
+      job: formatJob(job),
+    });
+  } catch (error) {
+    if (error.name === "CastError") {
+      return res.status(400).json({ error: "Invalid job ID" });
+    }
+    res.status(500).json({ error: error.message });
+  }
+};
+
+module.exports = {
+  listJobsController,
+  getJobController,
+  cancelJobController,
+};
@@ -0,0 +1,99 @@
+const CrawledPage = require("../models/CrawledPage");
+const { normalizeUrl } = require("../services/crawlerService");
+const { listVersions } = require("../services/snapshotService");
+const { diffText } = require("../utils/textDiff");
+
+const formatVersion = (page) => ({
+  id: page._id,
+  version: page.version,
+  contentHash: page.contentHash,
+  createdAt: page.createdAt,
+});
+
+// List every stored version of a URL, newest first
+const listPageVersionsController = async (req, res) => {
+  try {
+    const { url } = req.query;
+
+    if (!url) {
+      return res.status(400).json({ error: "URL is required" });
+    }
+
+    const versions = await listVersions(normalizeUrl(url));
+
+    if (versions.length === 0) {
+      return res.status(404).json({ error: "No crawled versions found for this URL" });
+    }
+
+    res.status(200).json({
+      url: versions[0].url,
+      count: versions.length,
+      versions: versions.map((version) => ({
+        id: version._id,
+        version: version.version,
+        contentHash: version.contentHash,
+        etag: version.etag,
+        lastModified: version.lastModified,
+        textLength: version.textLength,
+        createdAt: version.createdAt,
+        lastCheckedAt: version.lastCheckedAt,
+      })),
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// Diff two versions of a URL; defaults to the latest version against the one before it
+const diffPageVersionsController = async (req, res) => {
+  try {
+    const { url, from, to } = req.query;
+
+    if (!url) {
+      return res.status(400).json({ error: "URL is required" });
+    }
+
+    const validUrl = normalizeUrl(url);
+
+    const toPage = to
+      ? await CrawledPage.findOne({ url: validUrl, version: Number(to) })
+      : await CrawledPage.findOne({ url: validUrl }).sort({ version: -1, createdAt: -1 });
+
+    if (!toPage) {
+      return res.status(404).json({ error: `Version ${to || "latest"} not found for this URL` });
+    }
+
+    const fromPage = from
+      ? await CrawledPage.findOne({ url: validUrl, version: Number(from) })
+      : await CrawledPage.findOne({ url: validUrl, version: { $lt: toPage.version } }).sort({ version: -1 });
+
+    if (!fromPage) {
+      return res.status(404).json({
+        error: from
+          ? `Version ${from} not found for this URL`
+          : "No earlier version to compare against",
+      });
+    }
+
+    const { changes, stats } = diffText(fromPage.cleanedText, toPage.cleanedText);
+
+    res.status(200).json({
+      url: validUrl,
+      from: formatVersion(fromPage),
+      to: formatVersion(toPage),
+      changed: fromPage.contentHash !== toPage.contentHash,
+      stats,
+      changes,
+    });
+  } catch (error) {
+    if (error.name === "CastError") {
+      return res.status(400).json({ error: "Version must be a number" });
+    }
+    res.status(500).json({ error: error.message });
+  }
+};
+
+module.exports = {
+  listPageVersionsController,
+  diffPageVersionsController,
+};
@@ -0,0 +1,158 @@
+const PromptTemplate = require("../models/PromptTemplate");
+const {
+  ANSWER_LENGTHS,
+  READING_LEVELS,
+  DEFAULT_STYLE,
+  findTemplateError,
+} = require("../services/promptTemplateService");
+
+const TEMPLATE_FIELDS = [
+  "name",
+  "description",
+  "tone",
+  "audience",
+  "answerLength",
+  "readingLevel",
+  "language",
+  "instructions",
+];
+
+// Copies the template fields present in the body; returns an error message or null
+const applyFields = (template, body) => {
+  const error = findTemplateError(body);
+  if (error) return error;
+
+  TEMPLATE_FIELDS.forEach((field) => {
+    if (body[field] !== undefined) template[field] = body[field];
+  });
+  if (body.isDefault !== undefined) template.isDefault = Boolean(body.isDefault);
+
+  if (!template.name || !String(template.name).trim()) {
+    return "Name is required";
+  }
+  return null;
+};
+
+// Only one template can be the default
+const clearOtherDefaults = async (template) => {
+  if (template.isDefault) {
+    await PromptTemplate.updateMany(
+      { _id: { $ne: template._id }, isDefault: true },
+      { isDefault: false, updatedAt: new Date() }
+    );
+  }
+};
+
+const listPromptTemplatesController = async (req, res) => {
+  try {
+    const templates = await PromptTemplate.find().sort({ name: 1 });
+
+    res.status(200).json({
+      count: templates.length,
+      templates,
+      options: {
+        answerLengths: Object.keys(ANSWER_LENGTHS),
+        readingLevels: Object.keys(READING_LEVELS),
+        defaults: DEFAULT_STYLE,
+      },
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+const createPromptTemplateController = async (req, res) => {
+  try {
+    const template = new PromptTemplate();
+    const fieldError = applyFields(template, req.body);
+    if (fieldError) {
+      return res.status(400).json({ error: fieldError });
+    }
+
+    if (await PromptTemplate.exists({ name: template.name })) {
+      return res
+        .status(409)
+        .json({ error: `A template named "${template.name}" already exists` });
+    }
+
+    await template.save();
+    await clearOtherDefaults(template);
+
+    res.status(201).json({
+      message: "Prompt template created successfully",
+      template,
+    });
+  } catch (error) {
+    if (error.name === "ValidationError") {
+      return res.status(400).json({ error: error.message });
+    }
+    res.status(500).json({ error: error.message });
+  }
+};
+
+const updatePromptTemplateController = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const template = await PromptTemplate.findById(id);
+    if (!template) {
+      return res.status(404).json({ error: "Prompt template not found" });
+    }
+
+    const fieldError = applyFields(template, req.body);
+    if (fieldError) {
+      return res.status(400).json({ error: fieldError });
+    }
+
+    template.updatedAt = new Date();
+    await template.save();
+    await clearOtherDefaults(template);
+
+    res.status(200).json({
+      message: "Prompt template updated successfully",
+      template,
+    });
+  } catch (error) {
+    if (error.name === "CastError") {
+      return res.status(400).json({ error: "Invalid prompt template ID" });
+    }
+    if (error.name === "ValidationError") {
+      return res.status(400).json({ error: error.message });
+    }
+    if (error.code === 11000) {
+      return res
+        .status(409)
+        .json({ error: "A template with this name already exists" });
+    }
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// FAQs generated with a deleted template keep its id in `promptTemplate`
+const deletePromptTemplateController = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const template = await PromptTemplate.findByIdAndDelete(id);
+    if (!template) {
+      return res.status(404).json({ error: "Prompt template not found" });
+    }
+
+    res.status(200).json({
+      message: "Prompt template deleted successfully",
+      template,
+    });
+  } catch (error) {
+    if (error.name === "CastError") {
+      return res.status(400).json({ error: "Invalid prompt template ID" });
+    }
+    res.status(500).json({ error: error.message });
+  }
+};
+
+module.exports = {
+  listPromptTemplatesController,
+  createPromptTemplateController,
+  updatePromptTemplateController,
+  deletePromptTemplateController,
+};
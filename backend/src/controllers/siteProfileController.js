@@ -0,0 +1,159 @@
+const SiteProfile = require("../models/SiteProfile");
+const { normalizeDomain } = require("../services/domainRuleService");
+const {
+  mergeCredentials,
+  setCredentials,
+  readCredentials,
+  clearProfileCache,
+} = require("../services/siteProfileService");
+const { isCodedError } = require("../utils/errors");
+
+// Stored secrets are never returned: responses only list which credential types a profile has
+const listSiteProfilesController = async (req, res) => {
+  try {
+    const profiles = await SiteProfile.find().sort({ domain: 1 });
+
+    res.status(200).json({
+      count: profiles.length,
+      profiles,
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+const createSiteProfileController = async (req, res) => {
+  try {
+    const domain = normalizeDomain(req.body.domain);
+
+    if (!domain) {
+      return res.status(400).json({ error: "Domain is required" });
+    }
+
+    if (await SiteProfile.exists({ domain })) {
+      return res
+        .status(409)
+        .json({ error: `A site profile for ${domain} already exists` });
+    }
+
+    const { credentials, error } = mergeCredentials({}, req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    if (Object.keys(credentials).length === 0) {
+      return res.status(400).json({
+        error:
+          "Provide at least one of cookies, basicAuth, bearerToken or headers",
+      });
+    }
+
+    const profile = new SiteProfile({ domain, notes: req.body.notes });
+    setCredentials(profile, credentials);
+
+    await profile.save();
+    clearProfileCache();
+
+    res.status(201).json({
+      message: "Site profile created successfully",
+      profile,
+    });
+  } catch (error) {
+    if (isCodedError(error)) {
+      return res
+        .status(error.status)
+        .json({ error: error.message, code: error.code });
+    }
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// Credential fields left out of the body are kept; null or "" removes them
+const updateSiteProfileController = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const profile = await SiteProfile.findById(id).select(
+      "+encryptedCredentials"
+    );
+    if (!profile) {
+      return res.status(404).json({ error: "Site profile not found" });
+    }
+
+    if (req.body.domain !== undefined) {
+      const domain = normalizeDomain(req.body.domain);
+      if (!domain) {
+        return res.status(400).json({ error: "Domain cannot be empty" });
+      }
+      profile.domain = domain;
+    }
+    if (req.body.notes !== undefined) profile.notes = req.body.notes;
+
+    const { credentials, error } = mergeCredentials(
+      readCredentials(profile),
+      req.body
+    );
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    if (Object.keys(credentials).length === 0) {
+      return res.status(400).json({
+        error:
+          "A site profile needs at least one credential; delete the profile instead",
+      });
+    }
+    setCredentials(profile, credentials);
+
+    profile.updatedAt = new Date();
+    await profile.save();
+    clearProfileCache();
+
+    res.status(200).json({
+      message: "Site profile updated successfully",
+      profile,
+    });
+  } catch (error) {
+    if (isCodedError(error)) {
+      return res
+        .status(error.status)
+        .json({ error: error.message, code: error.code });
+    }
+    if (error.name === "CastError") {
+      return res.status(400).json({ error: "Invalid site profile ID" });
+    }
+    if (error.code === 11000) {
+      return res
+        .status(409)
+        .json({ error: "A site profile for this domain already exists" });
+    }
+    res.status(500).json({ error: error.message });
+  }
+};
+
+const deleteSiteProfileController = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const profile = await SiteProfile.findByIdAndDelete(id);
+    if (!profile) {
+      return res.status(404).json({ error: "Site profile not found" });
+    }
+    clearProfileCache();
+
+    res.status(200).json({
+      message: "Site profile deleted successfully",
+      profile,
+    });
+  } catch (error) {
+    if (error.name === "CastError") {
+      return res.status(400).json({ error: "Invalid site profile ID" });
+    }
+    res.status(500).json({ error: error.message });
+  }
+};
+
+module.exports = {
+  listSiteProfilesController,
+  createSiteProfileController,
+  updateSiteProfileController,
+  deleteSiteProfileController,
+};
@@ -0,0 +1,124 @@
+const Taxonomy = require("../models/Taxonomy");
+const { DEFAULT_PROJECT } = require("../services/taxonomyService");
+const { normalizeDomain } = require("../services/domainRuleService");
+const { TAXONOMY } = require("../utils/constants");
+
+// "default" or a domain; returns null for anything else
+const parseProject = (value) => {
+  const project = String(value || "").trim().toLowerCase();
+  if (project === DEFAULT_PROJECT) return project;
+  return normalizeDomain(project) || null;
+};
+
+// Accepts names or { name, description } objects; returns { categories } or { error }
+const parseCategories = (value) => {
+  if (!Array.isArray(value) || value.length === 0) {
+    return { error: "categories must be a non-empty array" };
+  }
+  if (value.length > TAXONOMY.MAX_CATEGORIES) {
+    return {
+      error: `A taxonomy can have at most ${TAXONOMY.MAX_CATEGORIES} categories`,
+    };
+  }
+
+  const categories = [];
+  for (const entry of value) {
+    const name = String(
+      (typeof entry === "string" ? entry : entry?.name) || ""
+    ).trim();
+    const description = String(
+      (typeof entry === "string" ? "" : entry?.description) || ""
+    ).trim();
+
+    if (!name || name.length > TAXONOMY.MAX_CATEGORY_LENGTH) {
+      return {
+        error: `Category names must be 1-${TAXONOMY.MAX_CATEGORY_LENGTH} characters`,
+      };
+    }
+    if (
+      categories.some(
+        (category) => category.name.toLowerCase() === name.toLowerCase()
+      )
+    ) {
+      return { error: `Category "${name}" is listed twice` };
+    }
+    categories.push({ name, description });
+  }
+
+  return { categories };
+};
+
+// Saved taxonomies plus the categories used where none applies
+const listTaxonomiesController = async (req, res) => {
+  try {
+    const taxonomies = await Taxonomy.find().sort({ project: 1 }).lean();
+    const saved = taxonomies.find(
+      (taxonomy) => taxonomy.project === DEFAULT_PROJECT
+    );
+
+    res.status(200).json({
+      count: taxonomies.length,
+      defaultCategories: saved ? saved.categories : TAXONOMY.DEFAULT_CATEGORIES,
+      taxonomies,
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// Creates or replaces the taxonomy of "default" or a domain. FAQs keep their category
+// until it is edited, even when it is no longer listed.
+const setTaxonomyController = async (req, res) => {
+  try {
+    const project = parseProject(req.params.project);
+    if (!project) {
+      return res
+        .status(400)
+        .json({ error: 'Project must be "default" or a domain' });
+    }
+
+    const { categories, error } = parseCategories(req.body.categories);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const taxonomy = await Taxonomy.findOneAndUpdate(
+      { project },
+      { categories, updatedAt: new Date() },
+      { upsert: true, returnDocument: "after", lean: true }
+    );
+
+    res.status(200).json({
+      message: "Taxonomy saved successfully",
+      taxonomy,
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+const deleteTaxonomyController = async (req, res) => {
+  try {
+    const project = parseProject(req.params.project);
+
+    const taxonomy = project
+      ? await Taxonomy.findOneAndDelete({ project })
+      : null;
+    if (!taxonomy) {
+      return res.status(404).json({ error: "Taxonomy not found" });
+    }
+
+    res.status(200).json({
+      message: "Taxonomy deleted successfully",
+      taxonomy,
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+module.exports = {
+  listTaxonomiesController,
+  setTaxonomyController,
+  deleteTaxonomyController,
+};
@@ -0,0 +1,138 @@
+const UsageBudget = require("../models/UsageBudget");
+const {
+  GLOBAL_SCOPE,
+  GROUP_KEYS,
+  budgetStatus,
+  usageReport,
+} = require("../services/usageService");
+const { normalizeDomain } = require("../services/domainRuleService");
+
+const DEFAULT_REPORT_DAYS = 30;
+
+// "global" or a domain; returns null for anything else
+const parseScope = (value) => {
+  const scope = String(value || "").trim().toLowerCase();
+  if (scope === GLOBAL_SCOPE) return scope;
+  return normalizeDomain(scope) || null;
+};
+
+// A non-negative number, null to remove the limit, or undefined when invalid
+const parseLimit = (value) => {
+  if (value === null || value === "") return null;
+  const limit = Number(value);
+  return Number.isFinite(limit) && limit >= 0 ? limit : undefined;
+};
+
+// Usage report: ?groupBy=day|source|model and either ?days=30 or ?from=&to= (ISO dates)
+const usageReportController = async (req, res) => {
+  try {
+    const { groupBy = "day", days, from, to } = req.query;
+
+    if (!GROUP_KEYS[groupBy]) {
+      return res.status(400).json({
+        error: `groupBy must be one of: ${Object.keys(GROUP_KEYS).join(", ")}`,
+      });
+    }
+
+    const end = to ? new Date(to) : new Date();
+    const start = from
+      ? new Date(from)
+      : new Date(
+          end.getTime() -
+            (Number(days) || DEFAULT_REPORT_DAYS) * 24 * 60 * 60 * 1000
+        );
+
+    if (Number.isNaN(start.getTime()) || Number.isNaN(end.getTime())) {
+      return res.status(400).json({ error: "from and to must be valid dates" });
+    }
+
+    const report = await usageReport({ groupBy, from: start, to: end });
+
+    res.status(200).json(report);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+const listBudgetsController = async (req, res) => {
+  try {
+    const budgets = await UsageBudget.find().sort({ scope: 1 }).lean();
+
+    res.status(200).json({
+      count: budgets.length,
+      budgets: await Promise.all(budgets.map(budgetStatus)),
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// Creates or replaces the budget for "global" or a domain
+const setBudgetController = async (req, res) => {
+  try {
+    const scope = parseScope(req.params.scope);
+    if (!scope) {
+      return res
+        .status(400)
+        .json({ error: 'Scope must be "global" or a domain' });
+    }
+
+    const monthlyTokenLimit = parseLimit(req.body.monthlyTokenLimit ?? null);
+    const monthlyCostLimit = parseLimit(req.body.monthlyCostLimit ?? null);
+    if (monthlyTokenLimit === undefined || monthlyCostLimit === undefined) {
+      return res.status(400).json({
+        error: "Limits must be non-negative numbers, or null for no limit",
+      });
+    }
+    if (monthlyTokenLimit === null && monthlyCostLimit === null) {
+      return res.status(400).json({
+        error:
+          "Set monthlyTokenLimit or monthlyCostLimit; delete the budget to remove both",
+      });
+    }
+
+    const budget = await UsageBudget.findOneAndUpdate(
+      { scope },
+      {
+        monthlyTokenLimit,
+        monthlyCostLimit,
+        updatedAt: new Date(),
+      },
+      { upsert: true, returnDocument: "after", lean: true }
+    );
+
+    res.status(200).json({
+      message: "Budget saved successfully",
+      budget: await budgetStatus(budget),
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+const deleteBudgetController = async (req, res) => {
+  try {
+    const scope = parseScope(req.params.scope);
+
+    const budget = scope
+      ? await UsageBudget.findOneAndDelete({ scope })
+      : null;
+    if (!budget) {
+      return res.status(404).json({ error: "Budget not found" });
+    }
+
+    res.status(200).json({
+      message: "Budget deleted successfully",
+      budget,
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+module.exports = {
+  usageReportController,
+  listBudgetsController,
+  setBudgetController,
+  deleteBudgetController,
+};
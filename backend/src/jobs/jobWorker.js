@@ -0,0 +1,56 @@
+const {
+  isConnected,
+  claimNextJob,
+  recoverStaleJobs,
+  runJob,
+  activeJobCount
+} = require('../services/jobQueueService');
+const { runGenerationJob } = require('../controllers/faqController');
+const { JOB_TYPE: BULK_JOB_TYPE } = require('../services/bulkGenerationService');
+const { JOBS } = require('../utils/constants');
+
+// Job types and the handlers that run them; see jobQueueService.runJob
+const HANDLERS = {
+  'generate-faqs': runGenerationJob,
+  // One row of a bulk generation batch
+  [BULK_JOB_TYPE]: runGenerationJob
+};
+
+let polling = false;
+
+// Starts queued jobs until JOB_CONCURRENCY are running on this server
+const pollJobs = async () => {
+  if (polling || !isConnected()) {
+    return;
+  }
+
+  polling = true;
+  try {
+    const recovered = await recoverStaleJobs();
+    if (recovered > 0) {
+      console.log(`Requeued ${recovered} jobs left running by a stopped server`);
+    }
+
+    while (activeJobCount() < JOBS.CONCURRENCY) {
+      const job = await claimNextJob(Object.keys(HANDLERS));
+      if (!job) break;
+
+      runJob(job, HANDLERS[job.type])
+        .catch((error) => console.error(`Job ${job._id} could not be updated:`, error.message))
+        .finally(pollJobs);
+    }
+  } catch (error) {
+    console.error('Job worker poll failed:', error.message);
+  } finally {
+    polling = false;
+  }
+};
+
+// Checks the queue every few seconds; jobs queued before a restart are picked up again
+const startJobWorker = () => {
+  const timer = setInterval(pollJobs, JOBS.POLL_INTERVAL_MS);
+  timer.unref();
+  return timer;
+};
+
+module.exports = { startJobWorker, pollJobs };
@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+const { runStaleCheck } = require('../services/staleCheckService');
+const { STALE_CHECK } = require('../utils/constants');
+
+let running = false;
+
+// Runs one stale check; resolves to null when the previous run is still going
+const runStaleCheckNow = async () => {
+  if (running) {
+    return null;
+  }
+
+  running = true;
+  try {
+    return await runStaleCheck();
+  } finally {
+    running = false;
+  }
+};
+
+const runScheduled = async () => {
+  try {
+    const summary = await runStaleCheckNow();
+    if (!summary) {
+      console.warn('Stale FAQ check skipped: previous run still in progress');
+      return;
+    }
+    console.log(`Stale FAQ check: ${summary.checkedUrls} URLs checked, ${summary.flaggedFaqs} FAQs flagged for review`);
+  } catch (error) {
+    console.error('Stale FAQ check failed:', error.message);
+  }
+};
+
+// Runs a first check once MongoDB is connected, then every STALE_CHECK_INTERVAL_HOURS; 0 disables it
+const startStaleCheckJob = () => {
+  if (!STALE_CHECK.INTERVAL_HOURS || STALE_CHECK.INTERVAL_HOURS <= 0) {
+    return null;
+  }
+
+  if (mongoose.connection.readyState === 1) {
+    runScheduled();
+  } else {
+    mongoose.connection.once('connected', runScheduled);
+  }
+
+  const timer = setInterval(runScheduled, STALE_CHECK.INTERVAL_HOURS * 60 * 60 * 1000);
+  timer.unref();
+  return timer;
+};
+
+module.exports = { startStaleCheckJob, runStaleCheckNow };
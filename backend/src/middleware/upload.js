@@ -0,0 +1,29 @@
+const multer = require('multer');
+const { UPLOAD } = require('../utils/constants');
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: UPLOAD.MAX_FILE_SIZE,
+    files: 1
+  }
+});
+
+// Accepts a single multipart file in the "file" field and answers multer errors as JSON
+const uploadDocument = (req, res, next) => {
+  upload.single('file')(req, res, (error) => {
+    if (!error) {
+      return next();
+    }
+
+    if (error.code === 'LIMIT_FILE_SIZE') {
+      return res.status(413).json({
+        error: `File is too large. Maximum size is ${UPLOAD.MAX_FILE_SIZE / (1024 * 1024)} MB`
+      });
+    }
+
+    res.status(400).json({ error: `Upload failed: ${error.message}` });
+  });
+};
+
+module.exports = { uploadDocument };
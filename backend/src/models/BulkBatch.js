@@ -0,0 +1,37 @@
+const mongoose = require('mongoose');
+
+// A bulk generation request; each of its URLs runs as a Job whose `batch` points here
+const bulkBatchSchema = new mongoose.Schema({
+  // "list" for pasted URLs, "csv" for an uploaded file
+  source: {
+    type: String,
+    enum: ['list', 'csv'],
+    default: 'list'
+  },
+  fileName: {
+    type: String,
+    default: null
+  },
+  // Settings for rows that do not set their own: count, templateId, force and variants
+  defaults: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  rowCount: {
+    type: Number,
+    default: 0
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+    index: true
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: false
+});
+
+module.exports = mongoose.model('BulkBatch', bulkBatchSchema);
@@ -1,3 +1,6 @@
+
+
+
 const mongoose = require('mongoose');
 
 const crawledPageSchema = new mongoose.Schema({
@@ -7,6 +10,23 @@ const crawledPageSchema = new mongoose.Schema({
     trim: true,
     index: true
   },
+  version: {
+    type: Number,
+    default: 1,
+    min: 1
+  },
+  contentHash: {
+    type: String,
+    index: true
+  },
+  etag: {
+    type: String,
+    default: null
+  },
+  lastModified: {
+    type: String,
+    default: null
+  },
   rawText: {
     type: String,
     required: true
@@ -15,6 +35,32 @@ const crawledPageSchema = new mongoose.Schema({
     type: String,
     required: true
   },
+  title: {
+    type: String,
+    default: null
+  },
+  // Links on the page, so a site crawl answered with 304 can still follow them; missing
+  // on snapshots saved before they were stored
+  links: {
+    type: [String],
+    default: undefined
+  },
+  // Heading texts in document order
+  outline: {
+    type: [String],
+    default: []
+  },
+  // Q&A pairs the page already publishes (FAQPage markup, accordions, ...)
+  structuredFaqs: [{
+    _id: false,
+    question: String,
+    answer: String,
+    source: String
+  }],
+  lastCheckedAt: {
+    type: Date,
+    default: Date.now
+  },
   createdAt: {
     type: Date,
     default: Date.now,
@@ -25,5 +71,10 @@ const crawledPageSchema = new mongoose.Schema({
 });
 
 crawledPageSchema.index({ url: 1, createdAt: -1 });
+// One snapshot per version of a URL; records saved before versioning have no version field
+crawledPageSchema.index(
+  { url: 1, version: 1 },
+  { unique: true, partialFilterExpression: { version: { $exists: true } } }
+);
 
 module.exports = mongoose.model('CrawledPage', crawledPageSchema);
@@ -0,0 +1,37 @@
+const mongoose = require('mongoose');
+
+const domainRuleSchema = new mongoose.Schema({
+  // Host without "www.", e.g. "docs.example.com"; also applies to its subdomains
+  domain: {
+    type: String,
+    required: true,
+    trim: true,
+    lowercase: true,
+    unique: true
+  },
+  includeSelectors: {
+    type: [String],
+    default: []
+  },
+  excludeSelectors: {
+    type: [String],
+    default: []
+  },
+  notes: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: false
+});
+
+module.exports = mongoose.model('DomainRule', domainRuleSchema);
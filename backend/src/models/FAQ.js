@@ -17,22 +17,175 @@ const faqSchema = new mongoose.Schema({
     trim: true,
     index: true
   },
+  // Domain of sourceUrl (null for documents); FAQs of one domain form a project
+  domain: {
+    type: String,
+    default: null,
+    index: true
+  },
   status: {
     type: String,
     enum: ['draft', 'published'],
     default: 'draft',
     index: true
   },
+  // Heading of the source section the FAQ was generated from
+  section: {
+    type: String,
+    default: null
+  },
+  // Passages of the source text backing the answer; offsets index into the cleanedText
+  // of `crawledPage` (or of the uploaded document)
+  citations: [{
+    _id: false,
+    start: Number,
+    end: Number,
+    text: String,
+    url: String,
+    crawledPage: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'CrawledPage'
+    }
+  }],
+  // Share of the answer's key terms found in its citations (0-1); null when never checked
+  supportScore: {
+    type: Number,
+    default: null
+  },
+  unsupported: {
+    type: Boolean,
+    default: false,
+    index: true
+  },
+  // Prompt template the FAQ was generated with; null for the built-in prompt
+  promptTemplate: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PromptTemplate',
+    default: null
+  },
+  // "document" FAQs come from an uploaded file; sourceUrl then holds its file name
+  sourceType: {
+    type: String,
+    enum: ['url', 'document'],
+    default: 'url'
+  },
+  sourceDocument: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'SourceDocument',
+    default: null
+  },
+  // "imported" FAQs were taken from Q&A the source page already publishes; "manual" ones
+  // were sent in ready-made through POST /faqs/save
+  origin: {
+    type: String,
+    enum: ['generated', 'imported', 'manual'],
+    default: 'generated',
+    index: true
+  },
+  // Snapshot of the source page the FAQ was generated from (or last reviewed against)
+  crawledPage: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CrawledPage',
+    default: null
+  },
+  // Question embedding used to find near-duplicates; vectors from different models are
+  // not comparable, so `embeddingModel` records which one produced it
+  embedding: {
+    type: [Number],
+    default: undefined,
+    select: false
+  },
+  embeddingModel: {
+    type: String,
+    default: null
+  },
+  // Earlier FAQ of the same source or domain this one nearly repeats
+  duplicateOf: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'FAQ',
+    default: null,
+    index: true
+  },
+  duplicateScore: {
+    type: Number,
+    default: null
+  },
+  // Name of a category in the project's taxonomy (see taxonomyService); null until assigned
+  category: {
+    type: String,
+    default: null,
+    index: true
+  },
+  tags: {
+    type: [String],
+    default: [],
+    index: true
+  },
+  // Other ways users phrase the question (VARIANTS.MIN-MAX of them, or none), for search
+  variants: {
+    type: [String],
+    default: []
+  },
+  // Lint result from qualityService, refreshed whenever the question or answer changes
+  quality: {
+    score: {
+      type: Number,
+      index: true
+    },
+    readingGrade: Number,
+    answerWords: Number,
+    warnings: [{
+      _id: false,
+      rule: String,
+      message: String
+    }],
+    checkedAt: Date
+  },
+  needsReview: {
+    type: Boolean,
+    default: false,
+    index: true
+  },
+  staleInfo: {
+    reason: String,
+    // Page that changed; for site FAQs one of the cited pages
+    url: String,
+    answerSupported: Boolean,
+    supportScore: Number,
+    missingTerms: [String],
+    sourceVersion: Number,
+    latestVersion: Number,
+    latestPage: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'CrawledPage'
+    },
+    flaggedAt: Date
+  },
   createdAt: {
     type: Date,
     default: Date.now,
     index: true
   }
 }, {
-  timestamps: false 
+  timestamps: false,
+  // Embeddings are internal and large; keep them out of API responses
+  toJSON: {
+    transform: (doc, ret) => {
+      delete ret.embedding;
+      return ret;
+    }
+  }
 });
 
 faqSchema.index({ status: 1, createdAt: -1 });
 faqSchema.index({ sourceUrl: 1, status: 1 });
+// Candidates for the duplicate check of new FAQs
+faqSchema.index({ domain: 1, embeddingModel: 1, createdAt: -1 });
+faqSchema.index({ 'quality.warnings.rule': 1 });
+// Backs GET /faqs/search; phrasings weigh more than answer text
+faqSchema.index(
+  { question: 'text', variants: 'text', answer: 'text' },
+  { weights: { question: 10, variants: 8, answer: 2 }, name: 'faq_search' }
+);
 
 module.exports = mongoose.model('FAQ', faqSchema);
@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+
+// Generated FAQs for one combination of text, count, provider, model and prompt style;
+// see generationCacheService for how the key is built
+const generationCacheSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  sourceUrl: {
+    type: String,
+    default: null,
+    index: true
+  },
+  textHash: {
+    type: String,
+    required: true
+  },
+  count: Number,
+  provider: String,
+  model: String,
+  promptTemplate: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PromptTemplate',
+    default: null
+  },
+  // generateFaqs() results as returned, citations included
+  faqs: {
+    type: [mongoose.Schema.Types.Mixed],
+    default: []
+  },
+  hits: {
+    type: Number,
+    default: 0
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  // MongoDB removes the entry once this passes
+  expiresAt: {
+    type: Date,
+    required: true,
+    index: { expires: 0 }
+  }
+}, {
+  timestamps: false
+});
+
+module.exports = mongoose.model('GenerationCache', generationCacheSchema);
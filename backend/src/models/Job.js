@@ -0,0 +1,89 @@
+const mongoose = require('mongoose');
+
+// A background task run by the job worker (see jobQueueService); `params` is the request
+// that created it and `result` what its handler returned
+const jobSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    required: true,
+    index: true
+  },
+  status: {
+    type: String,
+    enum: ['queued', 'running', 'succeeded', 'failed', 'cancelled'],
+    default: 'queued'
+  },
+  params: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  // Bulk generation batch the job is a row of, and that row's line in the input
+  batch: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'BulkBatch',
+    default: null,
+    index: true
+  },
+  row: {
+    type: Number,
+    default: null
+  },
+  result: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  error: {
+    message: String,
+    code: String
+  },
+  // Last progress step reported by the handler, e.g. "crawled" or "generating"
+  stage: {
+    type: String,
+    default: null
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  maxAttempts: {
+    type: Number,
+    default: 1
+  },
+  // Queued jobs are not picked up before this, which spaces out retries
+  runAfter: {
+    type: Date,
+    default: Date.now
+  },
+  cancelRequested: {
+    type: Boolean,
+    default: false
+  },
+  // Refreshed while a worker runs the job; a stale one means its server stopped
+  heartbeatAt: {
+    type: Date,
+    default: null
+  },
+  startedAt: {
+    type: Date,
+    default: null
+  },
+  finishedAt: {
+    type: Date,
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+    index: true
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: false
+});
+
+jobSchema.index({ status: 1, runAfter: 1 });
+
+module.exports = mongoose.model('Job', jobSchema);
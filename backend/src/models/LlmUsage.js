@@ -0,0 +1,68 @@
+const mongoose = require('mongoose');
+
+// One record per LLM request (each retry counts), written by usageService
+const llmUsageSchema = new mongoose.Schema({
+  provider: {
+    type: String,
+    required: true
+  },
+  model: {
+    type: String,
+    required: true,
+    index: true
+  },
+  // What the call was for, e.g. "faqs"
+  task: {
+    type: String,
+    default: null
+  },
+  promptTokens: {
+    type: Number,
+    default: 0
+  },
+  completionTokens: {
+    type: Number,
+    default: 0
+  },
+  totalTokens: {
+    type: Number,
+    default: 0
+  },
+  // Estimated USD; null when the model has no known price
+  cost: {
+    type: Number,
+    default: null
+  },
+  latencyMs: {
+    type: Number,
+    default: 0
+  },
+  sourceUrl: {
+    type: String,
+    default: null
+  },
+  // Host of sourceUrl without "www.", used for per-domain budgets
+  domain: {
+    type: String,
+    default: null,
+    index: true
+  },
+  status: {
+    type: String,
+    enum: ['success', 'error'],
+    default: 'success'
+  },
+  error: {
+    type: String,
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+    index: true
+  }
+}, {
+  timestamps: false
+});
+
+module.exports = mongoose.model('LlmUsage', llmUsageSchema);
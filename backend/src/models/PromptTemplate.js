@@ -0,0 +1,66 @@
+const mongoose = require('mongoose');
+
+// Named style settings for generation prompts; see promptTemplateService for how each
+// field is phrased in the prompt
+const promptTemplateSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    unique: true
+  },
+  description: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  tone: {
+    type: String,
+    trim: true,
+    default: 'professional'
+  },
+  audience: {
+    type: String,
+    trim: true,
+    default: 'general website visitors'
+  },
+  answerLength: {
+    type: String,
+    enum: ['short', 'medium', 'long'],
+    default: 'medium'
+  },
+  readingLevel: {
+    type: String,
+    enum: ['simple', 'general', 'technical'],
+    default: 'general'
+  },
+  language: {
+    type: String,
+    trim: true,
+    default: 'English'
+  },
+  // Free-form guidance appended to the prompt
+  instructions: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  // Used when a generation request names no template; at most one template is the default
+  isDefault: {
+    type: Boolean,
+    default: false,
+    index: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: false
+});
+
+module.exports = mongoose.model('PromptTemplate', promptTemplateSchema);
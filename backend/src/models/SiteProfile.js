@@ -0,0 +1,52 @@
+const mongoose = require('mongoose');
+
+const siteProfileSchema = new mongoose.Schema({
+  // Host without "www.", e.g. "help.example.com"; also applies to its subdomains
+  domain: {
+    type: String,
+    required: true,
+    trim: true,
+    lowercase: true,
+    unique: true
+  },
+  notes: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  // Which kinds of credentials are stored, so the dashboard can describe a profile
+  // without decrypting it
+  credentialTypes: {
+    type: [String],
+    enum: ['cookies', 'basicAuth', 'bearerToken', 'headers'],
+    default: []
+  },
+  headerNames: {
+    type: [String],
+    default: []
+  },
+  // AES-256-GCM encrypted JSON of { cookies, basicAuth, bearerToken, headers }
+  encryptedCredentials: {
+    type: String,
+    required: true,
+    select: false
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: false,
+  toJSON: {
+    transform: (doc, ret) => {
+      delete ret.encryptedCredentials;
+      return ret;
+    }
+  }
+});
+
+module.exports = mongoose.model('SiteProfile', siteProfileSchema);
@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+
+// Uploaded file used as an FAQ source, the document counterpart of CrawledPage
+const sourceDocumentSchema = new mongoose.Schema({
+  fileName: {
+    type: String,
+    required: true,
+    trim: true,
+    index: true
+  },
+  format: {
+    type: String,
+    enum: ['pdf', 'docx', 'markdown', 'html', 'text'],
+    required: true
+  },
+  mimeType: {
+    type: String,
+    default: null
+  },
+  size: {
+    type: Number,
+    default: 0
+  },
+  contentHash: {
+    type: String,
+    index: true
+  },
+  title: {
+    type: String,
+    default: null
+  },
+  // Heading texts in document order
+  outline: {
+    type: [String],
+    default: []
+  },
+  rawText: {
+    type: String,
+    required: true
+  },
+  cleanedText: {
+    type: String,
+    required: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+    index: true
+  }
+}, {
+  timestamps: false
+});
+
+module.exports = mongoose.model('SourceDocument', sourceDocumentSchema);
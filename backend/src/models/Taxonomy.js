@@ -0,0 +1,39 @@
+const mongoose = require('mongoose');
+
+// Categories FAQs of one project are sorted into. A project is a source domain (also
+// covering its subdomains), or "default" for domains without their own and documents.
+const taxonomySchema = new mongoose.Schema({
+  project: {
+    type: String,
+    required: true,
+    trim: true,
+    lowercase: true,
+    unique: true
+  },
+  categories: [{
+    _id: false,
+    name: {
+      type: String,
+      required: true,
+      trim: true
+    },
+    // Tells the model what belongs in the category
+    description: {
+      type: String,
+      trim: true,
+      default: ''
+    }
+  }],
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: false
+});
+
+module.exports = mongoose.model('Taxonomy', taxonomySchema);
@@ -0,0 +1,36 @@
+const mongoose = require('mongoose');
+
+// Monthly LLM budget, either for all usage ("global") or for one source domain and its
+// subdomains. A null limit is not enforced.
+const usageBudgetSchema = new mongoose.Schema({
+  scope: {
+    type: String,
+    required: true,
+    trim: true,
+    lowercase: true,
+    unique: true
+  },
+  monthlyTokenLimit: {
+    type: Number,
+    min: 0,
+    default: null
+  },
+  // USD
+  monthlyCostLimit: {
+    type: Number,
+    min: 0,
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: false
+});
+
+module.exports = mongoose.model('UsageBudget', usageBudgetSchema);
@@ -0,0 +1,22 @@
+const express = require('express');
+const router = express.Router();
+const {
+  createBulkController,
+  listBulkController,
+  getBulkController,
+  retryBulkController,
+  cancelBulkController
+} = require('../controllers/bulkController');
+const { uploadDocument } = require('../middleware/upload');
+
+router.post('/', uploadDocument, createBulkController);
+
+router.get('/', listBulkController);
+
+router.get('/:id', getBulkController);
+
+router.post('/:id/retry', retryBulkController);
+
+router.post('/:id/cancel', cancelBulkController);
+
+module.exports = router;
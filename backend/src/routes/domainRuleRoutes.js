@@ -0,0 +1,18 @@
+const express = require('express');
+const router = express.Router();
+const {
+  listDomainRulesController,
+  createDomainRuleController,
+  updateDomainRuleController,
+  deleteDomainRuleController
+} = require('../controllers/domainRuleController');
+
+router.get('/', listDomainRulesController);
+
+router.post('/', createDomainRuleController);
+
+router.put('/:id', updateDomainRuleController);
+
+router.delete('/:id', deleteDomainRuleController);
+
+module.exports = router;
@@ -3,27 +3,60 @@ const router = express.Router();
 const {
   generateFaqsController,
   generateFaqsFromContentController,
+  generateFaqsStreamController,
   saveFaqsController,
   listFaqsController,
   updateFAQController,
+  regenerateFaqController,
+  generateVariantsController,
+  searchFaqsController,
   publishFAQController,
-  exportFaqsController
+  exportFaqsController,
+  staleCheckController,
+  qualityCheckController,
+  importFaqsController,
+  generateFaqsFromFileController
 } = require('../controllers/faqController');
+const {
+  duplicatesReportController,
+  mergeDuplicatesController
+} = require('../controllers/duplicateController');
+const { uploadDocument } = require('../middleware/upload');
 
 router.post('/generate', generateFaqsController);
 
 router.post('/generate-faqs', generateFaqsFromContentController);
 
+router.post('/generate-faqs/stream', generateFaqsStreamController);
+
+router.post('/generate-from-file', uploadDocument, generateFaqsFromFileController);
+
 router.post('/save', saveFaqsController);
 
+router.post('/import', importFaqsController);
+
 
 router.get('/', listFaqsController);
 
 router.get('/export', exportFaqsController);
 
+router.get('/search', searchFaqsController);
+
+router.post('/stale-check', staleCheckController);
+
+router.post('/quality-check', qualityCheckController);
+
+router.get('/duplicates', duplicatesReportController);
+
+router.post('/duplicates/merge', mergeDuplicatesController);
+
 
 router.put('/:id', updateFAQController);
 
+router.post('/:id/regenerate', regenerateFaqController);
+
+router.post('/:id/variants', generateVariantsController);
+
 router.post('/:id/publish', publishFAQController);
 
 module.exports = router;
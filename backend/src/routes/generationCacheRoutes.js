@@ -0,0 +1,12 @@
+const express = require('express');
+const router = express.Router();
+const {
+  listCacheController,
+  purgeCacheController
+} = require('../controllers/generationCacheController');
+
+router.get('/', listCacheController);
+
+router.delete('/', purgeCacheController);
+
+module.exports = router;
@@ -1,7 +1,17 @@
 const express = require('express');
 const router = express.Router();
 const faqRoutes = require('./faqRoutes');
+const pageRoutes = require('./pageRoutes');
+const domainRuleRoutes = require('./domainRuleRoutes');
+const siteProfileRoutes = require('./siteProfileRoutes');
+const promptTemplateRoutes = require('./promptTemplateRoutes');
+const usageRoutes = require('./usageRoutes');
+const generationCacheRoutes = require('./generationCacheRoutes');
+const taxonomyRoutes = require('./taxonomyRoutes');
+const jobRoutes = require('./jobRoutes');
+const bulkRoutes = require('./bulkRoutes');
 const { crawlWebsiteController } = require('../controllers/faqController');
+const { listProviders } = require('../services/llm');
 
 
 router.get('/health', (req, res) => {
@@ -14,7 +24,29 @@ router.get('/health', (req, res) => {
 
 router.post('/crawl', crawlWebsiteController);
 
+router.get('/llm/providers', (req, res) => {
+  res.status(200).json({ providers: listProviders() });
+});
+
 router.use('/faqs', faqRoutes);
 
+router.use('/pages', pageRoutes);
+
+router.use('/domain-rules', domainRuleRoutes);
+
+router.use('/site-profiles', siteProfileRoutes);
+
+router.use('/prompt-templates', promptTemplateRoutes);
+
+router.use('/usage', usageRoutes);
+
+router.use('/generation-cache', generationCacheRoutes);
+
+router.use('/taxonomies', taxonomyRoutes);
+
+router.use('/jobs', jobRoutes);
+
+router.use('/bulk', bulkRoutes);
+
 module.exports = router;
 
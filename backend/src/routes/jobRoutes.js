@@ -0,0 +1,15 @@
+const express = require('express');
+const router = express.Router();
+const {
+  listJobsController,
+  getJobController,
+  cancelJobController
+} = require('../controllers/jobController');
+
+router.get('/', listJobsController);
+
+router.get('/:id', getJobController);
+
+router.post('/:id/cancel', cancelJobController);
+
+module.exports = router;
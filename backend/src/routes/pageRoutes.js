@@ -0,0 +1,12 @@
+const express = require('express');
+const router = express.Router();
+const {
+  listPageVersionsController,
+  diffPageVersionsController
+} = require('../controllers/pageController');
+
+router.get('/versions', listPageVersionsController);
+
+router.get('/diff', diffPageVersionsController);
+
+module.exports = router;
@@ -0,0 +1,18 @@
+const express = require('express');
+const router = express.Router();
+const {
+  listPromptTemplatesController,
+  createPromptTemplateController,
+  updatePromptTemplateController,
+  deletePromptTemplateController
+} = require('../controllers/promptTemplateController');
+
+router.get('/', listPromptTemplatesController);
+
+router.post('/', createPromptTemplateController);
+
+router.put('/:id', updatePromptTemplateController);
+
+router.delete('/:id', deletePromptTemplateController);
+
+module.exports = router;
@@ -0,0 +1,18 @@
+const express = require('express');
+const router = express.Router();
+const {
+  listSiteProfilesController,
+  createSiteProfileController,
+  updateSiteProfileController,
+  deleteSiteProfileController
+} = require('../controllers/siteProfileController');
+
+router.get('/', listSiteProfilesController);
+
+router.post('/', createSiteProfileController);
+
+router.put('/:id', updateSiteProfileController);
+
+router.delete('/:id', deleteSiteProfileController);
+
+module.exports = router;
@@ -0,0 +1,15 @@
+const express = require('express');
+const router = express.Router();
+const {
+  listTaxonomiesController,
+  setTaxonomyController,
+  deleteTaxonomyController
+} = require('../controllers/taxonomyController');
+
+router.get('/', listTaxonomiesController);
+
+router.put('/:project', setTaxonomyController);
+
+router.delete('/:project', deleteTaxonomyController);
+
+module.exports = router;
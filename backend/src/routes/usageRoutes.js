@@ -0,0 +1,18 @@
+const express = require('express');
+const router = express.Router();
+const {
+  usageReportController,
+  listBudgetsController,
+  setBudgetController,
+  deleteBudgetController
+} = require('../controllers/usageController');
+
+router.get('/', usageReportController);
+
+router.get('/budgets', listBudgetsController);
+
+router.put('/budgets/:scope', setBudgetController);
+
+router.delete('/budgets/:scope', deleteBudgetController);
+
+module.exports = router;
@@ -0,0 +1,282 @@
+const mongoose = require('mongoose');
+const BulkBatch = require('../models/BulkBatch');
+const Job = require('../models/Job');
+const PromptTemplate = require('../models/PromptTemplate');
+const { parseCsv } = require('../utils/csv');
+const { assertAllowedUrl } = require('../utils/networkGuard');
+const { createError } = require('../utils/errors');
+const { normalizeUrl } = require('./crawlerService');
+const { resolveTemplate } = require('./promptTemplateService');
+const { enqueueJobs, cancelJobs, requeueJobs, isConnected } = require('./jobQueueService');
+const { BULK, ERROR_CODES } = require('../utils/constants');
+
+const JOB_TYPE = 'bulk-generate-faqs';
+
+// Header names accepted for each CSV column; without a header row the order is url, count, template
+const COLUMNS = {
+  url: ['url', 'link', 'page'],
+  count: ['count', 'faqs', 'faq count'],
+  template: ['template', 'templateid', 'template id', 'template_id', 'prompt template']
+};
+
+const STATUSES = ['queued', 'running', 'succeeded', 'failed', 'cancelled'];
+
+const emptyCounts = () => Object.fromEntries(STATUSES.map((status) => [status, 0]));
+
+const columnIndexes = (header) => {
+  const names = header.map((cell) => cell.toLowerCase());
+  const indexes = Object.fromEntries(
+    Object.entries(COLUMNS).map(([column, aliases]) => [column, names.findIndex((name) => aliases.includes(name))])
+  );
+  return indexes.url === -1 ? null : indexes;
+};
+
+/**
+ * Splits pasted URLs or CSV text into rows of { line, url, count, template }. A first
+ * line naming a "url" column is a header, which may also name "count" and "template"
+ * columns in any order; otherwise the columns are url, count, template. Lines starting
+ * with # are comments.
+ */
+const parseBulkInput = (text) => {
+  const records = parseCsv(text).filter(({ cells }) => !cells[0].startsWith('#'));
+  const header = records.length > 0 ? columnIndexes(records[0].cells) : null;
+  const indexes = header || { url: 0, count: 1, template: 2 };
+  const cell = (cells, column) => (indexes[column] >= 0 ? cells[indexes[column]] || '' : '');
+
+  return records.slice(header ? 1 : 0).map(({ line, cells }) => ({
+    line,
+    url: cell(cells, 'url'),
+    count: cell(cells, 'count'),
+    template: cell(cells, 'template')
+  }));
+};
+
+const checkCount = (count) => {
+  if (!count || count.toLowerCase() === 'auto') return null;
+  return /^\d+$/.test(count) && Number(count) >= 1 ? null : 'count must be a whole number or "auto"';
+};
+
+// Templates are named by id or by name
+const findTemplate = async (value) => {
+  if (mongoose.isValidObjectId(value)) {
+    const template = await PromptTemplate.findById(value).lean();
+    if (template) return template;
+  }
+  return PromptTemplate.findOne({ name: value }).lean();
+};
+
+/**
+ * Validates parsed rows and turns them into job params. Rows without a count or template
+ * use the batch's; a row repeating an earlier URL is skipped. Invalid rows fail the whole
+ * request with INVALID_BULK_INPUT, listing every problem in the error's `rows`.
+ */
+const buildRowParams = async (rows, defaults) => {
+  const templates = new Map();
+  const seen = new Set();
+  const accepted = [];
+  const skipped = [];
+  const errors = [];
+
+  for (const row of rows) {
+    const problems = [];
+    let url = null;
+
+    try {
+      url = normalizeUrl(row.url);
+      assertAllowedUrl(url);
+    } catch (error) {
+      problems.push(row.url ? error.message : 'URL is missing');
+    }
+
+    const countProblem = checkCount(row.count);
+    if (countProblem) problems.push(countProblem);
+
+    let template = null;
+    if (row.template) {
+      if (!templates.has(row.template)) {
+        templates.set(row.template, await findTemplate(row.template));
+      }
+      template = templates.get(row.template);
+      if (!template) problems.push(`Prompt template "${row.template}" not found`);
+    }
+
+    if (problems.length > 0) {
+      errors.push({ line: row.line, url: row.url, error: problems.join('; ') });
+      continue;
+    }
+
+    if (seen.has(url)) {
+      skipped.push({ line: row.line, url });
+      continue;
+    }
+    seen.add(url);
+
+    accepted.push({
+      row: row.line,
+      params: {
+        url,
+        count: row.count || defaults.count,
+        mode: 'page',
+        templateId: template ? template._id : defaults.templateId,
+        force: defaults.force,
+        variants: defaults.variants
+      }
+    });
+  }
+
+  if (errors.length > 0) {
+    const listed = errors
+      .slice(0, BULK.MAX_REPORTED_ERRORS)
+      .map(({ line, error }) => `line ${line}: ${error}`)
+      .join(' | ');
+    const more = errors.length > BULK.MAX_REPORTED_ERRORS ? ` (and ${errors.length - BULK.MAX_REPORTED_ERRORS} more)` : '';
+    const error = createError(
+      `${errors.length} of ${rows.length} rows are invalid, nothing was queued: ${listed}${more}`,
+      ERROR_CODES.INVALID_BULK_INPUT,
+      400
+    );
+    error.rows = errors;
+    throw error;
+  }
+
+  return { accepted, skipped };
+};
+
+/**
+ * Queues FAQ generation for every URL of pasted text or an uploaded CSV (see
+ * parseBulkInput). `defaults` holds the count, templateId, force and variants for rows
+ * that do not set their own. Each URL runs as its own job, so the job worker's
+ * JOB_CONCURRENCY bounds how many are crawled at once. Resolves to { batch, rows, skipped }.
+ */
+const createBatch = async (text, { source = 'list', fileName = null, defaults = {} } = {}) => {
+  if (!isConnected()) {
+    throw createError('Bulk generation needs a MongoDB connection', ERROR_CODES.QUEUE_UNAVAILABLE, 503);
+  }
+
+  const rows = parseBulkInput(text);
+  if (rows.length === 0) {
+    throw createError('No URLs found; paste one URL per line or upload a CSV with a url column', ERROR_CODES.INVALID_BULK_INPUT, 400);
+  }
+  if (rows.length > BULK.MAX_ROWS) {
+    throw createError(`Too many rows: ${rows.length} (at most ${BULK.MAX_ROWS} per request)`, ERROR_CODES.INVALID_BULK_INPUT, 400);
+  }
+
+  // Resolved up front so an unknown batch template fails before anything is queued
+  const template = await resolveTemplate(defaults.templateId);
+  const batchDefaults = {
+    count: defaults.count,
+    templateId: template ? template._id : null,
+    force: defaults.force,
+    variants: defaults.variants
+  };
+
+  const { accepted, skipped } = await buildRowParams(rows, batchDefaults);
+
+  const batch = await BulkBatch.create({
+    source,
+    fileName,
+    defaults: batchDefaults,
+    rowCount: accepted.length
+  });
+  let jobs;
+  try {
+    jobs = await enqueueJobs(JOB_TYPE, accepted.map((row) => ({ ...row, batch: batch._id })));
+  } catch (error) {
+    // Drop the batch and any rows inserted before the failure rather than leave it half queued
+    await Job.deleteMany({ batch: batch._id }).catch(() => {});
+    await BulkBatch.deleteOne({ _id: batch._id }).catch(() => {});
+    throw error;
+  }
+
+  return { batch, rows: jobs, skipped };
+};
+
+// Row counts per status and FAQs saved so far, by batch id
+const summarizeBatches = async (batchIds) => {
+  const groups = await Job.aggregate([
+    { $match: { batch: { $in: batchIds } } },
+    {
+      $group: {
+        _id: { batch: '$batch', status: '$status' },
+        rows: { $sum: 1 },
+        faqs: { $sum: { $ifNull: ['$result.faqs.count', 0] } }
+      }
+    }
+  ]);
+
+  const summaries = new Map();
+  groups.forEach(({ _id, rows, faqs }) => {
+    const key = String(_id.batch);
+    if (!summaries.has(key)) {
+      summaries.set(key, { counts: emptyCounts(), faqs: 0 });
+    }
+    const summary = summaries.get(key);
+    summary.counts[_id.status] = rows;
+    summary.faqs += faqs;
+  });
+  return summaries;
+};
+
+const formatBatch = (batch, summary) => {
+  const counts = summary?.counts || emptyCounts();
+  return {
+    id: batch._id,
+    source: batch.source,
+    fileName: batch.fileName,
+    defaults: batch.defaults,
+    rowCount: batch.rowCount,
+    counts,
+    faqs: summary?.faqs || 0,
+    status: counts.queued + counts.running > 0 ? 'running' : 'finished',
+    createdAt: batch.createdAt,
+    updatedAt: batch.updatedAt
+  };
+};
+
+// Newest batches with their row counts
+const listBatches = async (limit = BULK.LIST_LIMIT) => {
+  const batches = await BulkBatch.find().sort({ createdAt: -1 }).limit(limit).lean();
+  const summaries = await summarizeBatches(batches.map((batch) => batch._id));
+  return batches.map((batch) => formatBatch(batch, summaries.get(String(batch._id))));
+};
+
+// A batch and its rows in input order, or null
+const getBatch = async (id) => {
+  const batch = await BulkBatch.findById(id).lean();
+  if (!batch) return null;
+
+  const [summaries, rows] = await Promise.all([
+    summarizeBatches([batch._id]),
+    Job.find({ batch: batch._id }).sort({ row: 1 }).lean()
+  ]);
+  return { batch: formatBatch(batch, summaries.get(String(batch._id))), rows };
+};
+
+// Runs `update(filter)` on the rows of a batch; resolves to the number of rows it changed,
+// or null when there is no such batch
+const updateRows = async (id, update) => {
+  const batch = await BulkBatch.findById(id).lean();
+  if (!batch) return null;
+
+  const changed = await update({ batch: batch._id });
+  if (changed > 0) {
+    await BulkBatch.updateOne({ _id: batch._id }, { $set: { updatedAt: new Date() } });
+  }
+  return changed;
+};
+
+// Queues the failed and cancelled rows of a batch again; succeeded rows are left alone
+const retryFailedRows = (id) => updateRows(id, requeueJobs);
+
+// Cancels the rows of a batch that have not finished
+const cancelBatch = (id) => updateRows(id, cancelJobs);
+
+module.exports = {
+  JOB_TYPE,
+  parseBulkInput,
+  createBatch,
+  listBatches,
+  getBatch,
+  retryFailedRows,
+  cancelBatch
+};
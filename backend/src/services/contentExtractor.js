@@ -0,0 +1,170 @@
+// Readability-style main content detection: blocks are scored on text density and
+// punctuation, scores bubble up to their containers, and link-heavy or boilerplate
+// containers (cookie banners, menus, share widgets) are penalised.
+
+const ALWAYS_REMOVED = 'script, style, noscript, iframe, svg, template, select, input, textarea';
+
+const STRUCTURAL_BOILERPLATE = 'nav, footer, aside, [role="navigation"], [role="banner"], [role="contentinfo"], [role="dialog"], [role="alertdialog"]';
+
+// Never main content, whatever else the class says ("cookie-content" is still a cookie banner)
+const STRONG_NEGATIVE_PATTERN = /cookie|consent|gdpr|newsletter|subscribe|signup|popup|modal|overlay|share|social|promo|sponsor|advert|\bads?\b|skip-link/i;
+
+const NEGATIVE_PATTERN = /banner|comment|related|breadcrumb|sidebar|widget|footer|masthead|\bnav|menu|pagination|toolbar|\btags?\b/i;
+
+const POSITIVE_PATTERN = /article|content|main|post|entry|body|text|story|blog|docs?|faq|answer/i;
+
+const BLOCK_TAGS = new Set([
+  'address', 'article', 'aside', 'blockquote', 'dd', 'details', 'div', 'dl', 'dt',
+  'fieldset', 'figcaption', 'figure', 'footer', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6',
+  'header', 'hr', 'li', 'main', 'nav', 'ol', 'p', 'pre', 'section', 'summary',
+  'table', 'tbody', 'td', 'th', 'thead', 'tr', 'ul', 'br'
+]);
+
+const SCORED_TAGS = 'p, pre, td, blockquote, li, dd, h2, h3, h4';
+
+const MIN_BLOCK_LENGTH = 25;
+
+// Text of an element with line breaks between block-level children, so words from
+// adjacent blocks never run together
+const blockText = ($, element) => {
+  const parts = [];
+
+  const walk = (node) => {
+    if (node.type === 'text') {
+      parts.push(node.data);
+      return;
+    }
+    if (node.type !== 'tag') return;
+
+    const isBlock = BLOCK_TAGS.has(node.name);
+    if (isBlock) parts.push('\n');
+    (node.children || []).forEach(walk);
+    if (isBlock) parts.push('\n');
+  };
+
+  $(element).each((_, node) => walk(node));
+
+  return parts.join('').replace(/[ \t]+/g, ' ').replace(/\s*\n\s*/g, '\n').trim();
+};
+
+const signatureOf = ($, element) => `${$(element).attr('class') || ''} ${$(element).attr('id') || ''}`;
+
+const classWeight = ($, element) => {
+  const signature = signatureOf($, element);
+  let weight = 0;
+  if (STRONG_NEGATIVE_PATTERN.test(signature) || NEGATIVE_PATTERN.test(signature)) weight -= 25;
+  if (POSITIVE_PATTERN.test(signature)) weight += 25;
+  return weight;
+};
+
+const linkDensity = ($, element) => {
+  const textLength = $(element).text().length;
+  if (textLength === 0) return 1;
+
+  const linkLength = $(element).find('a').text().length;
+  return linkLength / textLength;
+};
+
+// Removes containers whose class or id marks them as boilerplate
+const removeBoilerplate = ($) => {
+  $('body').find('[class], [id]').each((_, element) => {
+    if (element.name === 'main' || element.name === 'article') return;
+
+    const signature = signatureOf($, element);
+    const strong = STRONG_NEGATIVE_PATTERN.test(signature);
+    const weak = NEGATIVE_PATTERN.test(signature) && !POSITIVE_PATTERN.test(signature);
+    if (!strong && !weak) return;
+
+    // A long, text-dense block is content no matter what it is called
+    if ($(element).text().length > 1000 && linkDensity($, element) < 0.2) return;
+
+    $(element).remove();
+  });
+};
+
+const scoreCandidates = ($, root) => {
+  const scores = new Map();
+
+  const addScore = (element, score) => {
+    if (!element || element.type !== 'tag') return;
+    if (!scores.has(element)) {
+      scores.set(element, classWeight($, element) + (['article', 'main'].includes(element.name) ? 10 : 0));
+    }
+    scores.set(element, scores.get(element) + score);
+  };
+
+  $(root).find(SCORED_TAGS).each((_, element) => {
+    const text = $(element).text().trim();
+    if (text.length < MIN_BLOCK_LENGTH) return;
+
+    // One point per block, one per comma, up to three for length
+    const score = 1 + (text.match(/,/g) || []).length + Math.min(Math.floor(text.length / 100), 3);
+
+    const parent = element.parent;
+    addScore(parent, score);
+    addScore(parent && parent.parent, score / 2);
+  });
+
+  let best = null;
+  let bestScore = 0;
+  for (const [element, score] of scores) {
+    const adjusted = score * (1 - linkDensity($, element));
+    scores.set(element, adjusted);
+    if (adjusted > bestScore) {
+      best = element;
+      bestScore = adjusted;
+    }
+  }
+
+  return { best, bestScore, scores };
+};
+
+// The top candidate plus siblings that scored nearly as well (multi-column or split articles)
+const collectWithSiblings = ($, best, bestScore, scores) => {
+  if (!best.parent) return [best];
+
+  const threshold = Math.max(10, bestScore * 0.2);
+  return $(best.parent).children().toArray().filter((sibling) => {
+    if (sibling === best) return true;
+    return (scores.get(sibling) || 0) >= threshold;
+  });
+};
+
+/**
+ * Picks the main content of a loaded page.
+ * `rule` may carry per-domain `includeSelectors` (used verbatim as the content when
+ * they match) and `excludeSelectors` (always removed first).
+ * Returns { elements, text, method } where method is 'rule', 'scored' or 'fallback'.
+ */
+const extractMainContent = ($, rule = null) => {
+  $(ALWAYS_REMOVED).remove();
+  // Accordions put questions in buttons and keep collapsed answers hidden, so buttons
+  // are unwrapped and hidden elements kept
+  $('button').each((_, button) => {
+    $(button).replaceWith($(button).contents());
+  });
+
+  (rule?.excludeSelectors || []).forEach((selector) => $(selector).remove());
+
+  const included = (rule?.includeSelectors || []).flatMap((selector) => $(selector).toArray());
+  if (included.length > 0) {
+    return { elements: included, text: included.map((element) => blockText($, element)).join('\n'), method: 'rule' };
+  }
+
+  $(STRUCTURAL_BOILERPLATE).remove();
+  removeBoilerplate($);
+
+  const root = $('body').length > 0 ? $('body') : $.root();
+  const { best, bestScore, scores } = scoreCandidates($, root);
+
+  if (best && bestScore >= 5) {
+    const elements = collectWithSiblings($, best, bestScore, scores);
+    return { elements, text: elements.map((element) => blockText($, element)).join('\n'), method: 'scored' };
+  }
+
+  const fallback = ['article', 'main', 'body'].map((selector) => $(selector)).find((element) => element.length > 0);
+  const elements = fallback ? fallback.toArray() : [];
+  return { elements, text: elements.length > 0 ? blockText($, elements) : '', method: 'fallback' };
+};
+
+module.exports = { extractMainContent };
@@ -1,189 +1,540 @@
 const axios = require('axios');
 const cheerio = require('cheerio');
+const { checkRobots } = require('./robotsService');
+const { extractMainContent } = require('./contentExtractor');
+const { extractStructuredFaqs } = require('./structuredFaqExtractor');
+const { findRuleForUrl } = require('./domainRuleService');
+const { findProfileForUrl, getAuthHeaders } = require('./siteProfileService');
+const { schedule } = require('../utils/hostLimiter');
+const { createError, isCodedError, withUpstreamStatus } = require('../utils/errors');
+const {
+  assertAllowedUrl,
+  guardedRequestOptions,
+  isTooLargeError,
+  tooLargeError
+} = require('../utils/networkGuard');
+const { SITE_CRAWL, CRAWLER, ERROR_CODES } = require('../utils/constants');
 
-const crawlWebsite = async (url) => {
-  try {
-    
-    if (!url || typeof url !== 'string') {
-      throw new Error('Valid URL is required');
-    }
+// File extensions that never contain crawlable HTML
+const SKIPPED_EXTENSIONS = /\.(pdf|jpe?g|png|gif|svg|webp|ico|css|js|json|xml|zip|gz|tar|rar|mp3|mp4|avi|mov|woff2?|ttf|eot|docx?|xlsx?|pptx?)$/i;
 
-   
-    let validUrl = url.trim();
-    if (!validUrl.startsWith('http://') && !validUrl.startsWith('https://')) {
-      validUrl = `https://${validUrl}`;
-    }
+const normalizeUrl = (url) => {
+  if (!url || typeof url !== 'string') {
+    throw new Error('Valid URL is required');
+  }
+
+  let validUrl = url.trim();
+  if (/^[a-z][a-z0-9+.-]*:\/\//i.test(validUrl) && !/^https?:\/\//i.test(validUrl)) {
+    throw createError(`Unsupported URL scheme in ${validUrl}: only http and https are allowed`, ERROR_CODES.INVALID_URL, 400);
+  }
+  if (!/^https?:\/\//i.test(validUrl)) {
+    validUrl = `https://${validUrl}`;
+  }
+
+  return validUrl;
+};
+
+const cleanText = (text) => {
+  return text
+    .replace(/\s+/g, ' ')
+    .replace(/\n\s*\n/g, '\n')
+    .replace(/[\r\t]/g, ' ')
+    .replace(/[^\S\n]+/g, ' ')
+    .trim();
+};
+
+const REDIRECT_STATUSES = [301, 302, 303, 307, 308];
+
+// Checks the destination and robots.txt and waits for the host's turn before issuing a
+// single request (no redirects). Credentials from the host's site profile are added here,
+// per hop, so a redirect never carries them to another domain.
+const politeGet = async (url, headers = {}) => {
+  assertAllowedUrl(url);
+
+  const robots = await checkRobots(url);
+  if (!robots.allowed) {
+    throw createError(
+      `Blocked by robots.txt: ${url} is disallowed for ${CRAWLER.USER_AGENT}`,
+      ERROR_CODES.ROBOTS_DISALLOWED,
+      403
+    );
+  }
+
+  const intervalMs = Math.max(CRAWLER.MIN_REQUEST_INTERVAL_MS, (robots.crawlDelay || 0) * 1000);
+  const authHeaders = await getAuthHeaders(url);
 
-    const response = await axios.get(validUrl, {
+  return schedule(
+    new URL(url).host,
+    { concurrency: CRAWLER.HOST_CONCURRENCY, intervalMs },
+    () => axios.get(url, {
       headers: {
-        'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
-        'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/avif,image/webp,image/apng,*/*;q=0.8,application/signed-exchange;v=b3;q=0.7',
+        'User-Agent': CRAWLER.USER_AGENT,
+        'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8',
         'Accept-Language': 'en-US,en;q=0.9',
-        'Accept-Encoding': 'gzip, deflate, br',
-        'Connection': 'keep-alive',
-        'Upgrade-Insecure-Requests': '1',
-        'Sec-Fetch-Dest': 'document',
-        'Sec-Fetch-Mode': 'navigate',
-        'Sec-Fetch-Site': 'none',
-        'Sec-Fetch-User': '?1',
-        'Cache-Control': 'max-age=0',
-        'DNT': '1',
-        'Referer': 'https://www.google.com/'
+        ...authHeaders,
+        ...headers
       },
-      timeout: 30000,
-      maxRedirects: 10,
+      timeout: CRAWLER.REQUEST_TIMEOUT_MS,
+      maxRedirects: 0,
       validateStatus: (status) => status >= 200 && status < 400,
-     
+      ...guardedRequestOptions(),
       decompress: true
-    });
+    }).catch((error) => {
+      throw isTooLargeError(error) ? tooLargeError(url) : error;
+    })
+  );
+};
+
+const assertAllowedContentType = (response, url) => {
+  const contentType = String(response.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+  if (contentType && !CRAWLER.ALLOWED_CONTENT_TYPES.includes(contentType)) {
+    throw createError(
+      `Unsupported content type: ${url} returned ${contentType}`,
+      ERROR_CODES.UNSUPPORTED_CONTENT_TYPE,
+      415
+    );
+  }
+};
+
+// Follows redirects manually so the destination check, robots.txt and rate limits apply to every hop
+const fetchUrl = async (url, headers = {}) => {
+  let currentUrl = url;
+
+  for (let hop = 0; hop <= CRAWLER.MAX_REDIRECTS; hop++) {
+    const response = await politeGet(currentUrl, headers);
+
+    if (!REDIRECT_STATUSES.includes(response.status) || !response.headers.location) {
+      if (response.status !== 304) assertAllowedContentType(response, currentUrl);
+      return response;
+    }
+
+    currentUrl = new URL(response.headers.location, currentUrl).toString();
+  }
+
+  throw new Error(`Too many redirects (more than ${CRAWLER.MAX_REDIRECTS})`);
+};
+
+// Collects every http(s) link on the page, resolved against the page URL and without fragments
+const extractLinks = ($, baseUrl) => {
+  const links = new Set();
+
+  $('a[href]').each((_, element) => {
+    const href = $(element).attr('href');
+    if (!href || href.startsWith('mailto:') || href.startsWith('tel:') || href.startsWith('javascript:')) {
+      return;
+    }
 
-   
-    const $ = cheerio.load(response.data);
-
-    $('script').remove();
-    $('style').remove();
-    $('nav').remove();
-    $('footer').remove();
-    $('header').remove();
-    $('aside').remove();
-    $('.nav').remove();
-    $('.navbar').remove();
-    $('.footer').remove();
-    $('.header').remove();
-    $('.sidebar').remove();
-    $('.menu').remove();
-    $('[role="navigation"]').remove();
-    $('[role="banner"]').remove();
-    $('[role="contentinfo"]').remove();
-    $('noscript').remove();
-    $('iframe').remove();
-    $('svg').remove();
-
-    const title = $('title').text().trim() || 
-                  $('h1').first().text().trim() || 
-                  $('meta[property="og:title"]').attr('content') || 
-                  'Untitled';
-
-    const headings = {
-      h1: [],
-      h2: [],
-      h3: [],
-      h4: [],
-      h5: [],
-      h6: []
-    };
-
-    for (let i = 1; i <= 6; i++) {
-      $(`h${i}`).each((_, element) => {
-        const text = $(element).text().trim();
-        if (text) {
-          headings[`h${i}`].push(text);
-        }
-      });
+    try {
+      const resolved = new URL(href, baseUrl);
+      if (resolved.protocol !== 'http:' && resolved.protocol !== 'https:') {
+        return;
+      }
+      resolved.hash = '';
+      links.add(resolved.toString());
+    } catch (e) {
+      // Ignore malformed hrefs
     }
+  });
+
+  return [...links];
+};
+
+const extractContent = ($, url, rule = null) => {
+  const title = $('title').text().trim() ||
+                $('h1').first().text().trim() ||
+                $('meta[property="og:title"]').attr('content') ||
+                'Untitled';
 
-    const paragraphs = [];
-    $('p').each((_, element) => {
+  // Read before extraction strips the JSON-LD scripts
+  const structuredFaqs = extractStructuredFaqs($);
+
+  const { elements, text: mainContent, method } = extractMainContent($, rule);
+  const $main = $(elements);
+
+  const headings = {
+    h1: [],
+    h2: [],
+    h3: [],
+    h4: [],
+    h5: [],
+    h6: []
+  };
+
+  for (let i = 1; i <= 6; i++) {
+    $main.find(`h${i}`).addBack(`h${i}`).each((_, element) => {
       const text = $(element).text().trim();
-      if (text && text.length > 20) { 
-        paragraphs.push(text);
+      if (text) {
+        headings[`h${i}`].push(text);
       }
     });
+  }
 
+  // All headings in document order, used to split the text into sections
+  const outline = $main
+    .find('h1, h2, h3, h4, h5, h6')
+    .addBack('h1, h2, h3, h4, h5, h6')
+    .toArray()
+    .map((element) => cleanText($(element).text()))
+    .filter(Boolean);
 
-    let mainContent = '';
-    if ($('article').length > 0) {
-      mainContent = $('article').text();
-    } else if ($('main').length > 0) {
-      mainContent = $('main').text();
-    } else {
-      mainContent = $('body').text();
+  const paragraphs = [];
+  $main.find('p').addBack('p').each((_, element) => {
+    const text = $(element).text().trim();
+    if (text && text.length > 20) {
+      paragraphs.push(text);
     }
+  });
 
-    const rawText = mainContent;
-
-    const cleanText = (text) => {
-      return text
-        .replace(/\s+/g, ' ')           
-        .replace(/\n\s*\n/g, '\n')       
-        .replace(/[\r\t]/g, ' ')          
-        .replace(/[^\S\n]+/g, ' ')       
-        .trim();
-    };
-
-    const cleanedText = cleanText(mainContent);
-
- 
-    const description = $('meta[name="description"]').attr('content') || 
-                       $('meta[property="og:description"]').attr('content') || 
-                       null;
-
-    const structuredContent = {
-      url: validUrl,
-      title: cleanText(title),
-      description: description ? cleanText(description) : null,
-      headings: {
-        h1: headings.h1.map(h => cleanText(h)),
-        h2: headings.h2.map(h => cleanText(h)),
-        h3: headings.h3.map(h => cleanText(h)),
-        h4: headings.h4.map(h => cleanText(h)),
-        h5: headings.h5.map(h => cleanText(h)),
-        h6: headings.h6.map(h => cleanText(h))
-      },
-      paragraphs: paragraphs.map(p => cleanText(p)),
-      rawText: rawText,
-      cleanedText: cleanedText,
-      metadata: {
-        totalHeadings: Object.values(headings).flat().length,
-        totalParagraphs: paragraphs.length,
-        textLength: cleanedText.length,
-        rawTextLength: rawText.length,
-        crawledAt: new Date().toISOString()
-      }
-    };
+  const rawText = mainContent;
 
-    return structuredContent;
-  } catch (error) {
-    
-    if (error.response) {
-      const status = error.response.status;
-      const statusText = error.response.statusText;
-      
-      if (status === 403) {
-        throw new Error(`HTTP 403: Access Forbidden - The website is blocking automated requests. This could be due to:
+  const cleanedText = cleanText(mainContent);
+
+
+  const description = $('meta[name="description"]').attr('content') ||
+                     $('meta[property="og:description"]').attr('content') ||
+                     null;
+
+  return {
+    url,
+    title: cleanText(title),
+    description: description ? cleanText(description) : null,
+    headings: {
+      h1: headings.h1.map(h => cleanText(h)),
+      h2: headings.h2.map(h => cleanText(h)),
+      h3: headings.h3.map(h => cleanText(h)),
+      h4: headings.h4.map(h => cleanText(h)),
+      h5: headings.h5.map(h => cleanText(h)),
+      h6: headings.h6.map(h => cleanText(h))
+    },
+    outline,
+    paragraphs: paragraphs.map(p => cleanText(p)),
+    rawText: rawText,
+    cleanedText: cleanedText,
+    structuredFaqs,
+    metadata: {
+      totalHeadings: Object.values(headings).flat().length,
+      totalParagraphs: paragraphs.length,
+      totalStructuredFaqs: structuredFaqs.length,
+      textLength: cleanedText.length,
+      rawTextLength: rawText.length,
+      extraction: method,
+      domainRule: rule ? rule.domain : null,
+      crawledAt: new Date().toISOString()
+    }
+  };
+};
+
+// Message for a website answering with an HTTP error status
+const httpErrorMessage = (status, statusText) => {
+  if (status === 401) {
+    return `HTTP 401: Authentication required - The page needs credentials. Add a site profile with cookies, basic auth, a bearer token or headers for this domain.`;
+  } else if (status === 403) {
+    return `HTTP 403: Access Forbidden - The website is blocking automated requests. This could be due to:
 - Cloudflare or bot protection
 - Rate limiting
 - IP blocking
 - Required authentication
-Try using a different website or contact the website owner.`);
-      } else if (status === 404) {
-        throw new Error(`HTTP 404: Page not found - The URL does not exist or has been removed.`);
-      } else if (status === 429) {
-        throw new Error(`HTTP 429: Too many requests - The website is rate limiting requests. Please try again later.`);
-      } else if (status >= 500) {
-        throw new Error(`HTTP ${status}: Server error - The website server is experiencing issues. Please try again later.`);
-      } else {
-        throw new Error(`HTTP ${status}: Failed to fetch website - ${statusText}`);
+Try using a different website or contact the website owner.`;
+  } else if (status === 404) {
+    return `HTTP 404: Page not found - The URL does not exist or has been removed.`;
+  } else if (status === 429) {
+    return `HTTP 429: Too many requests - The website is rate limiting requests. Please try again later.`;
+  } else if (status >= 500) {
+    return `HTTP ${status}: Server error - The website server is experiencing issues. Please try again later.`;
+  }
+  return `HTTP ${status}: Failed to fetch website - ${statusText}`;
+};
+
+// Maps axios/network failures to the user-facing messages the controllers classify on
+const toCrawlError = (error) => {
+  if (isCodedError(error)) {
+    return error;
+  }
+
+  if (error.response) {
+    const { status, statusText } = error.response;
+    return withUpstreamStatus(new Error(httpErrorMessage(status, statusText)), status);
+  } else if (error.request) {
+    return new Error('Network error: No response from server. Please check the URL and your internet connection.');
+  } else if (error.code === 'ENOTFOUND') {
+
+    return new Error(`DNS error: Could not resolve hostname "${error.hostname}". Please check the URL is correct.`);
+  } else if (error.code === 'ECONNREFUSED') {
+
+    return new Error('Connection refused: The server is not responding or the port is blocked.');
+  } else if (error.code === 'ETIMEDOUT' || error.code === 'ECONNABORTED') {
+
+    return new Error('Request timeout: The server took too long to respond. The website may be slow or unavailable.');
+  } else if (error.code === 'CERT_HAS_EXPIRED' || error.code === 'UNABLE_TO_VERIFY_LEAF_SIGNATURE') {
+
+    return new Error('SSL certificate error: The website has an invalid or expired SSL certificate.');
+  } else {
+
+    return new Error(`Failed to crawl website: ${error.message}`);
+  }
+};
+
+// Turns stored ETag / Last-Modified values into conditional request headers
+const conditionalHeaders = ({ etag, lastModified } = {}) => {
+  const headers = {};
+  if (etag) headers['If-None-Match'] = etag;
+  if (lastModified) headers['If-Modified-Since'] = lastModified;
+  return headers;
+};
+
+/**
+ * Fetches and parses a single page, returning its structured content and outgoing links.
+ * When the server answers 304 to a conditional request, content is { url, notModified: true }.
+ */
+const crawlPage = async (url, validators = {}) => {
+  const response = await fetchUrl(url, conditionalHeaders(validators));
+
+  if (response.status === 304) {
+    return { content: { url, notModified: true }, links: [], contentType: '' };
+  }
+
+  const rule = await findRuleForUrl(url);
+  const profile = await findProfileForUrl(url);
+  const $ = cheerio.load(response.data);
+  const links = extractLinks($, url);
+  const content = extractContent($, url, rule);
+  content.metadata.siteProfile = profile ? profile.domain : null;
+  content.metadata.etag = response.headers.etag || null;
+  content.metadata.lastModified = response.headers['last-modified'] || null;
+  content.links = links;
+
+  return { content, links, contentType: response.headers['content-type'] || '' };
+};
+
+/**
+ * Crawls a single page. Pass the `etag` / `lastModified` of a previous crawl to
+ * make a conditional request; an unchanged page resolves to { url, notModified: true }.
+ */
+const crawlWebsite = async (url, validators = {}) => {
+  try {
+    const validUrl = normalizeUrl(url);
+    const { content } = await crawlPage(validUrl, validators);
+    return content;
+  } catch (error) {
+    throw toCrawlError(error);
+  }
+};
+
+const hasEnoughContent = (content) =>
+  Boolean(
+    content.rawText &&
+      content.cleanedText &&
+      content.rawText.trim().length >= 50 &&
+      content.cleanedText.trim().length >= 50
+  );
+
+const stripWww = (host) => host.toLowerCase().replace(/^www\./, '');
+
+const isSameSite = (url, seedUrl) => {
+  try {
+    return stripWww(new URL(url).host) === stripWww(new URL(seedUrl).host);
+  } catch (e) {
+    return false;
+  }
+};
+
+// Key used to avoid visiting the same page twice (ignores fragments and trailing slashes)
+const pageKey = (url) => {
+  const parsed = new URL(url);
+  parsed.hash = '';
+  return `${stripWww(parsed.host)}${parsed.pathname.replace(/\/+$/, '') || '/'}${parsed.search}`;
+};
+
+const clamp = (value, fallback, max) => {
+  const number = Math.floor(Number(value));
+  if (!Number.isFinite(number) || number < 0) {
+    return fallback;
+  }
+  return Math.min(number, max);
+};
+
+// Reads the robots.txt sitemaps and /sitemap.xml (following sitemap indexes) and returns the page URLs it lists
+const discoverSitemapUrls = async (seedUrl) => {
+  const robots = await checkRobots(seedUrl);
+  const pending = [
+    ...robots.sitemaps.filter((sitemapUrl) => isSameSite(sitemapUrl, seedUrl)),
+    new URL('/sitemap.xml', seedUrl).toString()
+  ];
+  const visited = new Set();
+  const urls = [];
+
+  while (pending.length > 0 && visited.size < SITE_CRAWL.MAX_SITEMAP_FILES) {
+    const sitemapUrl = pending.shift();
+    if (visited.has(sitemapUrl)) continue;
+    visited.add(sitemapUrl);
+
+    let response;
+    try {
+      response = await fetchUrl(sitemapUrl);
+    } catch (error) {
+      // A missing or broken sitemap just means we rely on link following
+      continue;
+    }
+
+    const $ = cheerio.load(response.data, { xmlMode: true });
+
+    $('sitemap > loc').each((_, element) => {
+      pending.push($(element).text().trim());
+    });
+
+    $('url > loc').each((_, element) => {
+      urls.push($(element).text().trim());
+    });
+  }
+
+  return urls.filter(Boolean);
+};
+
+// Page content rebuilt from a stored snapshot, for pages the server reports unchanged
+const fromSnapshot = (url, snapshot) => ({
+  url,
+  title: snapshot.title || url,
+  description: null,
+  headings: {},
+  outline: snapshot.outline || [],
+  paragraphs: [],
+  rawText: snapshot.rawText,
+  cleanedText: snapshot.cleanedText,
+  structuredFaqs: snapshot.structuredFaqs || [],
+  links: snapshot.links || [],
+  metadata: {
+    notModified: true,
+    etag: snapshot.etag,
+    lastModified: snapshot.lastModified,
+    textLength: snapshot.cleanedText.length,
+    crawledAt: new Date().toISOString()
+  }
+});
+
+/**
+ * Crawls a whole site starting from a seed URL.
+ * Pages listed in sitemap.xml and same-site links are visited breadth-first
+ * until maxDepth or maxPages is reached. Failures on pages other than the
+ * seed are collected in `errors` instead of aborting the crawl.
+ * `options.loadSnapshot(url)` may resolve to the page's latest stored snapshot; its ETag /
+ * Last-Modified are then sent, and a 304 answer reuses the snapshot's text and links.
+ */
+const crawlSite = async (seedUrl, options = {}) => {
+  let startUrl;
+  try {
+    startUrl = normalizeUrl(seedUrl);
+  } catch (error) {
+    throw toCrawlError(error);
+  }
+
+  const maxDepth = clamp(options.maxDepth, SITE_CRAWL.DEFAULT_MAX_DEPTH, SITE_CRAWL.MAX_DEPTH);
+  const maxPages = Math.max(clamp(options.maxPages, SITE_CRAWL.DEFAULT_MAX_PAGES, SITE_CRAWL.MAX_PAGES), 1);
+
+  const seen = new Set([pageKey(startUrl)]);
+  const queue = [{ url: startUrl, depth: 0 }];
+  const pages = [];
+  const errors = [];
+
+  const enqueue = (url, depth) => {
+    if (!isSameSite(url, startUrl)) return;
+    if (SKIPPED_EXTENSIONS.test(new URL(url).pathname)) return;
+
+    const key = pageKey(url);
+    if (seen.has(key)) return;
+
+    seen.add(key);
+    queue.push({ url, depth });
+  };
+
+  let sitemapUrls = [];
+  if (maxDepth > 0) {
+    sitemapUrls = await discoverSitemapUrls(startUrl);
+    sitemapUrls.forEach((url) => enqueue(url, 1));
+  }
+
+  while (queue.length > 0 && pages.length < maxPages) {
+    const { url, depth } = queue.shift();
+
+    try {
+      const snapshot = options.loadSnapshot ? await options.loadSnapshot(url) : null;
+      // Without stored links a 304 would end the crawl here, unless no links are followed anyway
+      const validators = snapshot && (snapshot.links || depth >= maxDepth)
+        ? { etag: snapshot.etag, lastModified: snapshot.lastModified }
+        : {};
+      const crawled = await crawlPage(url, validators);
+      const { content, links, contentType } = crawled.content.notModified
+        ? { content: fromSnapshot(url, snapshot), links: snapshot.links || [], contentType: '' }
+        : crawled;
+
+      if (contentType && !contentType.includes('html')) {
+        errors.push({ url, error: `Skipped non-HTML content (${contentType})` });
+        continue;
+      }
+
+      pages.push(content);
+
+      if (depth < maxDepth) {
+        links.forEach((link) => enqueue(link, depth + 1));
       }
-    } else if (error.request) {
-      throw new Error('Network error: No response from server. Please check the URL and your internet connection.');
-    } else if (error.code === 'ENOTFOUND') {
-     
-      throw new Error(`DNS error: Could not resolve hostname "${error.hostname}". Please check the URL is correct.`);
-    } else if (error.code === 'ECONNREFUSED') {
-      
-      throw new Error('Connection refused: The server is not responding or the port is blocked.');
-    } else if (error.code === 'ETIMEDOUT' || error.code === 'ECONNABORTED') {
-     
-      throw new Error('Request timeout: The server took too long to respond. The website may be slow or unavailable.');
-    } else if (error.code === 'CERT_HAS_EXPIRED' || error.code === 'UNABLE_TO_VERIFY_LEAF_SIGNATURE') {
-      
-      throw new Error('SSL certificate error: The website has an invalid or expired SSL certificate.');
-    } else {
-    
-      throw new Error(`Failed to crawl website: ${error.message}`);
+    } catch (error) {
+      if (depth === 0) {
+        throw toCrawlError(error);
+      }
+      const crawlError = toCrawlError(error);
+      errors.push({ url, error: crawlError.message, code: crawlError.code });
     }
   }
+
+  return {
+    seedUrl: startUrl,
+    pages,
+    errors,
+    metadata: {
+      maxDepth,
+      maxPages,
+      sitemapUrls: sitemapUrls.length,
+      totalPages: pages.length,
+      failedPages: errors.length,
+      crawledAt: new Date().toISOString()
+    }
+  };
 };
 
-module.exports = { crawlWebsite };
+const pageLabel = (page) => `${page.title} (${page.url})`;
+
+// Joins the cleaned text of several pages into one document, labelling each page
+const combinePages = (pages) => {
+  return pages
+    .map((page) => `## ${pageLabel(page)}\n${page.cleanedText}`)
+    .join('\n\n');
+};
+
+// Where each page's cleanedText sits inside combinePages() output: [{ url, start, end }]
+const pageSpans = (pages) => {
+  const spans = [];
+  let offset = 0;
+  pages.forEach((page, index) => {
+    if (index > 0) offset += 2;
+    const start = offset + `## ${pageLabel(page)}\n`.length;
+    spans.push({ url: page.url, start, end: start + page.cleanedText.length });
+    offset = start + page.cleanedText.length;
+  });
+  return spans;
+};
+
+// Heading outline of combinePages() output: each page label followed by the page's own headings
+const combineOutlines = (pages) => {
+  return pages.flatMap((page) => [pageLabel(page), ...(page.outline || [])]);
+};
+
+module.exports = {
+  crawlWebsite,
+  extractContent,
+  cleanText,
+  crawlSite,
+  combinePages,
+  combineOutlines,
+  pageSpans,
+  normalizeUrl,
+  hasEnoughContent
+};
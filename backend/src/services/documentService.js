@@ -0,0 +1,161 @@
+const path = require('path');
+const cheerio = require('cheerio');
+const mammoth = require('mammoth');
+const pdfParse = require('pdf-parse/lib/pdf-parse.js');
+const SourceDocument = require('../models/SourceDocument');
+const { extractContent, cleanText } = require('./crawlerService');
+const { hashContent } = require('./snapshotService');
+const { createError } = require('../utils/errors');
+const { UPLOAD, ERROR_CODES } = require('../utils/constants');
+
+const FORMATS_BY_EXTENSION = {
+  pdf: 'pdf',
+  docx: 'docx',
+  md: 'markdown',
+  markdown: 'markdown',
+  html: 'html',
+  htm: 'html',
+  txt: 'text'
+};
+
+const FORMATS_BY_MIME_TYPE = {
+  'application/pdf': 'pdf',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document': 'docx',
+  'text/markdown': 'markdown',
+  'text/x-markdown': 'markdown',
+  'text/html': 'html',
+  'text/plain': 'text'
+};
+
+// The file extension wins because browsers often send generic MIME types for .md files
+const detectFormat = (fileName, mimeType) => {
+  const extension = path.extname(fileName || '').slice(1).toLowerCase();
+  return FORMATS_BY_EXTENSION[extension] || FORMATS_BY_MIME_TYPE[mimeType] || null;
+};
+
+const fromHtml = (html, fileName) => {
+  const $ = cheerio.load(html);
+  const content = extractContent($, fileName);
+
+  return {
+    title: content.title !== 'Untitled' ? content.title : null,
+    outline: content.outline,
+    rawText: content.rawText
+  };
+};
+
+const fromMarkdown = (markdown) => {
+  const lines = markdown.replace(/\r\n/g, '\n').split('\n');
+  const outline = [];
+  let inCodeFence = false;
+
+  const text = lines
+    .map((line) => {
+      if (/^\s*(```|~~~)/.test(line)) {
+        inCodeFence = !inCodeFence;
+        return '';
+      }
+      if (inCodeFence) return line;
+
+      const heading = line.match(/^\s{0,3}#{1,6}\s+(.*?)\s*#*\s*$/);
+      if (heading) {
+        outline.push(heading[1]);
+        return heading[1];
+      }
+
+      return line
+        .replace(/!\[([^\]]*)\]\([^)]*\)/g, '$1')
+        .replace(/\[([^\]]+)\]\([^)]*\)/g, '$1')
+        .replace(/^\s{0,3}>\s?/, '')
+        .replace(/^\s*([-*+]|\d+\.)\s+/, '')
+        .replace(/(\*\*|__|\*|_|`)/g, '');
+    })
+    .join('\n');
+
+  return { title: outline[0] || null, outline, rawText: text };
+};
+
+const fromPdf = async (buffer) => {
+  const data = await pdfParse(buffer);
+  return { title: data.info?.Title || null, outline: [], rawText: data.text || '' };
+};
+
+const fromDocx = async (buffer, fileName) => {
+  const { value: html } = await mammoth.convertToHtml({ buffer });
+  return fromHtml(`<html><body><main>${html}</main></body></html>`, fileName);
+};
+
+/**
+ * Extracts the text of an uploaded file (PDF, DOCX, Markdown, HTML or plain text).
+ * Resolves to { format, title, outline, rawText, cleanedText }.
+ */
+const extractDocumentText = async ({ buffer, originalname, mimetype }) => {
+  const format = detectFormat(originalname, mimetype);
+
+  if (!format) {
+    throw createError(
+      `Unsupported file type. Upload one of: ${UPLOAD.EXTENSIONS.map((extension) => `.${extension}`).join(', ')}`,
+      ERROR_CODES.UNSUPPORTED_FILE_TYPE,
+      415
+    );
+  }
+
+  let extracted;
+  try {
+    if (format === 'pdf') {
+      extracted = await fromPdf(buffer);
+    } else if (format === 'docx') {
+      extracted = await fromDocx(buffer, originalname);
+    } else if (format === 'html') {
+      extracted = fromHtml(buffer.toString('utf8'), originalname);
+    } else if (format === 'markdown') {
+      extracted = fromMarkdown(buffer.toString('utf8'));
+    } else {
+      extracted = { title: null, outline: [], rawText: buffer.toString('utf8') };
+    }
+  } catch (error) {
+    throw createError(
+      `Could not read ${originalname}: ${error.message}`,
+      ERROR_CODES.UNREADABLE_DOCUMENT,
+      422
+    );
+  }
+
+  return {
+    format,
+    title: extracted.title,
+    outline: extracted.outline,
+    rawText: extracted.rawText,
+    cleanedText: cleanText(extracted.rawText)
+  };
+};
+
+/**
+ * Stores an uploaded file as a SourceDocument. Uploading identical text under the
+ * same file name again reuses the existing record.
+ */
+const saveDocument = async (file, extracted) => {
+  const contentHash = hashContent(extracted.cleanedText);
+
+  const existing = await SourceDocument.findOne({ fileName: file.originalname, contentHash });
+  if (existing) {
+    return existing;
+  }
+
+  const document = new SourceDocument({
+    fileName: file.originalname,
+    format: extracted.format,
+    mimeType: file.mimetype || null,
+    size: file.size,
+    contentHash,
+    title: extracted.title,
+    outline: extracted.outline,
+    rawText: extracted.rawText,
+    cleanedText: extracted.cleanedText
+  });
+  await document.save();
+
+  return document;
+};
+
+module.exports = { extractDocumentText, saveDocument };
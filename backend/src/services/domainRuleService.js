@@ -0,0 +1,83 @@
+const mongoose = require('mongoose');
+const cheerio = require('cheerio');
+const DomainRule = require('../models/DomainRule');
+
+const CACHE_TTL_MS = 60 * 1000;
+
+// host -> { expiresAt, rule }
+const cache = new Map();
+
+const normalizeDomain = (value) =>
+  String(value || '')
+    .trim()
+    .toLowerCase()
+    .replace(/^https?:\/\//, '')
+    .replace(/[/?#].*$/, '')
+    .replace(/^www\./, '');
+
+// Domain of a source URL; uploaded documents (file names) and raw text have none
+const domainOf = (sourceUrl) => {
+  try {
+    return normalizeDomain(new URL(sourceUrl).hostname) || null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// "a.b.example.com" -> ["a.b.example.com", "b.example.com", "example.com"]
+const candidateDomains = (host) => {
+  const labels = normalizeDomain(host).split('.');
+  const domains = [];
+  for (let i = 0; i < labels.length - 1; i++) {
+    domains.push(labels.slice(i).join('.'));
+  }
+  return domains;
+};
+
+// Returns the first selector cheerio cannot parse, or null when all are valid
+const findInvalidSelector = (selectors) => {
+  const $ = cheerio.load('');
+  for (const selector of selectors) {
+    try {
+      $(selector);
+    } catch (error) {
+      return selector;
+    }
+  }
+  return null;
+};
+
+/**
+ * Finds the most specific rule for a URL's host (exact host before parent domains).
+ * Returns null without touching the database when it is not connected, so the
+ * crawler keeps working standalone.
+ */
+const findRuleForUrl = async (url) => {
+  if (mongoose.connection.readyState !== 1) {
+    return null;
+  }
+
+  const host = new URL(url).hostname;
+  const cached = cache.get(host);
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.rule;
+  }
+
+  const domains = candidateDomains(host);
+  const rules = await DomainRule.find({ domain: { $in: domains } }).lean();
+  const rule = rules.sort((a, b) => b.domain.length - a.domain.length)[0] || null;
+
+  cache.set(host, { expiresAt: Date.now() + CACHE_TTL_MS, rule });
+  return rule;
+};
+
+const clearRuleCache = () => cache.clear();
+
+module.exports = {
+  normalizeDomain,
+  domainOf,
+  candidateDomains,
+  findInvalidSelector,
+  findRuleForUrl,
+  clearRuleCache
+};
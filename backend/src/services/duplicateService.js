@@ -0,0 +1,296 @@
+const mongoose = require('mongoose');
+const FAQ = require('../models/FAQ');
+const { resolveEmbedder } = require('./llm');
+const { recordLlmCall } = require('./usageService');
+const { domainOf } = require('./domainRuleService');
+const { EMBEDDINGS, DUPLICATES } = require('../utils/constants');
+
+const isConnected = () => mongoose.connection.readyState === 1;
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// FAQs of a domain; FAQs saved before `domain` was stored are matched by their URL
+const domainFilter = (domain) => ({
+  $or: [
+    { domain },
+    { sourceUrl: new RegExp(`^https?://(www\\.)?${escapeRegExp(domain)}([:/?#]|$)`, 'i') }
+  ]
+});
+
+const cosineSimilarity = (a, b) => {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+};
+
+const roundScore = (score) => Math.round(score * 1000) / 1000;
+
+// Rows of pairwise comparisons between yields to the event loop
+const ROWS_PER_YIELD = 25;
+const yieldToEventLoop = () => new Promise((resolve) => setImmediate(resolve));
+
+/**
+ * Embeds texts with the configured embedding provider in batches of
+ * EMBEDDINGS.BATCH_SIZE, logging every call for usage accounting.
+ * Returns { vectors, model }; `model` is the configured name, used to tell which stored
+ * embeddings are comparable.
+ */
+const embedTexts = async (texts, { sourceUrl = null } = {}) => {
+  const { provider, model } = resolveEmbedder();
+  const vectors = [];
+
+  for (let i = 0; i < texts.length; i += EMBEDDINGS.BATCH_SIZE) {
+    const startedAt = Date.now();
+    const call = { provider: provider.name, model, task: 'embed', sourceUrl };
+
+    try {
+      const response = await provider.embed({ texts: texts.slice(i, i + EMBEDDINGS.BATCH_SIZE), model });
+      recordLlmCall({
+        ...call,
+        model: response.model || model,
+        usage: response.usage,
+        latencyMs: Date.now() - startedAt
+      });
+      vectors.push(...response.vectors);
+    } catch (error) {
+      recordLlmCall({ ...call, latencyMs: Date.now() - startedAt, error });
+      throw error;
+    }
+  }
+
+  return { vectors, model };
+};
+
+/**
+ * Prepares FAQs about to be saved for `sourceUrl`: sets `domain`, embeds the questions
+ * and compares them with the newest DUPLICATES.MAX_CANDIDATES FAQs already stored for
+ * that source or its domain. New FAQs at least DUPLICATES.SIMILARITY_THRESHOLD similar
+ * to a stored one get `duplicateOf` and `duplicateScore`. With `action` "skip" (DUPLICATES.ACTION by default) they are left out
+ * instead, as are FAQs repeating an earlier one of the same batch. When embedding fails
+ * the FAQs are returned unchecked.
+ * Returns { faqs, duplicates: { flagged, skipped } }.
+ */
+const checkDuplicates = async (faqs, sourceUrl, { action = DUPLICATES.ACTION } = {}) => {
+  const domain = domainOf(sourceUrl);
+  const unchecked = {
+    faqs: faqs.map((faq) => ({ ...faq, domain })),
+    duplicates: { flagged: 0, skipped: 0 }
+  };
+  if (faqs.length === 0) return unchecked;
+
+  let embedded;
+  try {
+    embedded = await embedTexts(faqs.map((faq) => faq.question), { sourceUrl });
+  } catch (error) {
+    console.warn(`Saving FAQs without a duplicate check: ${error.message}`);
+    return unchecked;
+  }
+
+  const { vectors, model } = embedded;
+  const existing = isConnected()
+    ? await FAQ.find({
+      embeddingModel: model,
+      ...(domain ? { $or: [{ sourceUrl }, ...domainFilter(domain).$or] } : { sourceUrl })
+    })
+      .select({ _id: 1, embedding: 1 })
+      .sort({ createdAt: -1 })
+      .limit(DUPLICATES.MAX_CANDIDATES)
+      .lean()
+    : [];
+
+  const kept = [];
+  let flagged = 0;
+  let skipped = 0;
+
+  faqs.forEach((faq, index) => {
+    const embedding = vectors[index];
+    const repeatsBatch = kept.some((other) =>
+      cosineSimilarity(other.embedding, embedding) >= DUPLICATES.SIMILARITY_THRESHOLD
+    );
+    if (repeatsBatch && action === 'skip') {
+      skipped++;
+      return;
+    }
+
+    const closest = existing.reduce((best, stored) => {
+      const score = cosineSimilarity(stored.embedding || [], embedding);
+      return !best || score > best.score ? { faq: stored, score } : best;
+    }, null);
+    const isDuplicate = closest && closest.score >= DUPLICATES.SIMILARITY_THRESHOLD;
+
+    if (isDuplicate && action === 'skip') {
+      skipped++;
+      return;
+    }
+    if (isDuplicate) flagged++;
+
+    kept.push({
+      ...faq,
+      domain,
+      embedding,
+      embeddingModel: model,
+      duplicateOf: isDuplicate ? closest.faq._id : null,
+      duplicateScore: isDuplicate ? roundScore(closest.score) : null
+    });
+  });
+
+  if (skipped > 0) {
+    console.warn(`Left out ${skipped} FAQs that repeat existing questions`);
+  }
+
+  return { faqs: kept, duplicates: { flagged, skipped } };
+};
+
+// Re-embeds one FAQ after its question changed; a failure leaves it without an embedding
+const refreshEmbedding = async (faq) => {
+  try {
+    const { vectors, model } = await embedTexts([faq.question], { sourceUrl: faq.sourceUrl });
+    faq.embedding = vectors[0];
+    faq.embeddingModel = model;
+  } catch (error) {
+    console.warn(`Could not embed the edited question: ${error.message}`);
+    faq.embedding = undefined;
+    faq.embeddingModel = null;
+  }
+};
+
+// Embeds and stores the question embeddings `faqs` lack; resolves to false when embedding fails
+const backfillEmbeddings = async (faqs, model) => {
+  let vectors;
+  try {
+    ({ vectors } = await embedTexts(faqs.map((faq) => faq.question)));
+  } catch (error) {
+    console.warn(`Duplicates report without ${faqs.length} unembedded FAQs: ${error.message}`);
+    return false;
+  }
+
+  faqs.forEach((faq, index) => {
+    faq.embedding = vectors[index];
+  });
+  await FAQ.bulkWrite(faqs.map((faq) => ({
+    updateOne: {
+      filter: { _id: faq._id },
+      update: {
+        $set: {
+          embedding: faq.embedding,
+          embeddingModel: model,
+          domain: faq.domain || domainOf(faq.sourceUrl)
+        }
+      }
+    }
+  })));
+  return true;
+};
+
+/**
+ * Groups similar FAQs so editors can merge them. Looks at the newest `limit` FAQs (at
+ * most DUPLICATES.MAX_REPORT_FAQS) of one source, one domain or all sources, embedding
+ * any saved without an embedding from the current model first. When that embedding
+ * fails, those FAQs are left out and counted in `unembedded`. FAQs are clustered when
+ * linked by a chain of pairs at least `threshold` similar.
+ * Returns { threshold, model, scanned, unembedded, clusters: [{ size, score, faqs }] },
+ * largest first; `score` is the lowest similarity of a linking pair.
+ */
+const duplicateClusters = async ({
+  sourceUrl,
+  domain,
+  threshold = DUPLICATES.SIMILARITY_THRESHOLD,
+  limit = DUPLICATES.REPORT_LIMIT
+} = {}) => {
+  const query = sourceUrl ? { sourceUrl } : domain ? domainFilter(domain) : {};
+  const loaded = await FAQ.find(query)
+    .select('+embedding')
+    .sort({ createdAt: -1 })
+    .limit(Math.min(limit, DUPLICATES.MAX_REPORT_FAQS))
+    .lean();
+
+  const { model } = resolveEmbedder();
+  const missing = loaded.filter((faq) => faq.embeddingModel !== model || !faq.embedding?.length);
+  const embedded = missing.length === 0 || await backfillEmbeddings(missing, model);
+  const faqs = embedded ? loaded : loaded.filter((faq) => !missing.includes(faq));
+
+  // Union-find over every pair above the threshold
+  const parent = faqs.map((faq, index) => index);
+  const find = (index) => (parent[index] === index ? index : (parent[index] = find(parent[index])));
+  const linkScores = new Map();
+
+  for (let i = 0; i < faqs.length; i++) {
+    // The comparison is quadratic; let other requests through while it runs
+    if (i > 0 && i % ROWS_PER_YIELD === 0) await yieldToEventLoop();
+
+    for (let j = i + 1; j < faqs.length; j++) {
+      const score = cosineSimilarity(faqs[i].embedding, faqs[j].embedding);
+      if (score < threshold) continue;
+
+      const a = find(i);
+      const b = find(j);
+      const lowest = Math.min(score, linkScores.get(a) ?? 1, linkScores.get(b) ?? 1);
+      parent[b] = a;
+      linkScores.set(a, lowest);
+    }
+  }
+
+  const groups = new Map();
+  faqs.forEach((faq, index) => {
+    const root = find(index);
+    if (!groups.has(root)) groups.set(root, []);
+    groups.get(root).push(faq);
+  });
+
+  const clusters = [...groups.entries()]
+    .filter(([, members]) => members.length > 1)
+    .map(([root, members]) => ({
+      size: members.length,
+      score: roundScore(linkScores.get(root)),
+      faqs: members
+        .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt))
+        .map(({ _id, question, answer, sourceUrl: url, status, createdAt }) => ({
+          id: _id,
+          question,
+          answer,
+          sourceUrl: url,
+          status,
+          createdAt
+        }))
+    }))
+    .sort((a, b) => b.size - a.size || b.score - a.score);
+
+  return {
+    threshold,
+    model,
+    scanned: faqs.length,
+    unembedded: embedded ? 0 : missing.length,
+    clusters
+  };
+};
+
+/**
+ * Merges duplicates into the FAQ that is kept: the others are deleted, and the duplicate
+ * flags of the kept FAQ and of FAQs pointing at a deleted one are cleared.
+ * Returns the number deleted.
+ */
+const mergeDuplicates = async (keepId, mergeIds) => {
+  const ids = mergeIds.filter((id) => String(id) !== String(keepId));
+
+  const { deletedCount } = await FAQ.deleteMany({ _id: { $in: ids } });
+  await FAQ.updateMany(
+    { $or: [{ _id: keepId }, { duplicateOf: { $in: ids } }] },
+    { $set: { duplicateOf: null, duplicateScore: null } }
+  );
+
+  return deletedCount;
+};
+
+module.exports = {
+  cosineSimilarity,
+  checkDuplicates,
+  refreshEmbedding,
+  duplicateClusters,
+  mergeDuplicates
+};
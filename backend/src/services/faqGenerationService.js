@@ -0,0 +1,724 @@
+const { resolveLlm } = require('./llm');
+const { createError, isCodedError, withUpstreamStatus } = require('../utils/errors');
+const { DEFAULT_FAQ_COUNT, FAQ_COUNT, MAX_TEXT_LENGTH, CHUNKING, LLM, TAXONOMY, VARIANTS, ERROR_CODES } = require('../utils/constants');
+const { isSimilarQuestion, distinctPhrasings } = require('../utils/questionMatch');
+const { chunkText } = require('../utils/textChunker');
+const { createArrayItemParser } = require('../utils/jsonStream');
+const { splitSentences } = require('../utils/textDiff');
+const { groundFaqs } = require('./groundingService');
+const { ANSWER_LENGTHS, READING_LEVELS, templateStyle } = require('./promptTemplateService');
+const { assertWithinBudget, recordLlmCall } = require('./usageService');
+const { assignCategory, normalizeTags } = require('./taxonomyService');
+const { faqsOutput, variantsOutput, parseStructured, buildRepairPrompt, describeRejections } = require('./structuredOutput');
+
+
+/**
+ * Generates FAQs from text.
+ * `count` is 1 to FAQ_MAX_COUNT, or "auto" to scale with the distinct content of the text
+ * (see resolveFaqCount). When fewer usable FAQs than requested come back, follow-up
+ * calls ask only for the missing ones; if those fall short too, fewer are returned.
+ * Long text is split into chunks at heading boundaries (`options.headings`, in document
+ * order); candidates are generated per chunk, then merged, deduplicated and ranked down
+ * to `count`. Each FAQ carries the `section` heading it was based on.
+ * Answers are verified against the text: each FAQ gets `citations` (offsets into `text`),
+ * a `supportScore` and an `unsupported` flag, and unsupported answers may be dropped
+ * (see groundingService).
+ * `options.existingQuestions` lists questions the source already answers; the model is
+ * told to skip them and any close paraphrases that slip through are dropped.
+ * `options.provider` / `options.model` pick the LLM (see services/llm).
+ * `options.style` sets tone, audience, answer length, reading level, language and extra
+ * instructions (see promptTemplateService); missing fields keep the built-in style.
+ * `options.categories` ([{ name, description }], TAXONOMY.DEFAULT_CATEGORIES by default)
+ * is the taxonomy each FAQ gets a `category` from, along with free-form `tags`.
+ * `options.variants` asks for alternate phrasings of each question (see
+ * resolveVariantCount); FAQs get a `variants` array, empty when none or too few came back.
+ * Responses are validated against a JSON schema (see structuredOutput); rejected items
+ * are sent back for repair and `options.onRejected(rejections)` hears about every
+ * rejection as { chunk, attempt, index, question, reasons }.
+ * `options.signal` (AbortSignal) cancels the model calls. `options.onProgress(event)`
+ * streams the responses and reports { type: 'generating', chunks } once, then
+ * { type: 'faq', faq, chunk } for every candidate as it is parsed; candidates may still
+ * be dropped when merging and ranking.
+ * Every model call is logged against `options.sourceUrl` (see usageService), and
+ * generation is refused with BUDGET_EXCEEDED once a monthly budget is used up.
+ */
+const generateFaqs = async (text, count = DEFAULT_FAQ_COUNT, options = {}) => {
+  let providerLabel = 'LLM';
+  try {
+    const llm = resolveLlm(options);
+    providerLabel = llm.provider.label;
+
+    if (!text || typeof text !== 'string' || text.trim().length === 0) {
+      throw new Error('Text content is required and cannot be empty');
+    }
+
+    await assertWithinBudget(options.sourceUrl);
+
+    const faqCount = resolveFaqCount(count, text);
+    const existingQuestions = (options.existingQuestions || []).filter(Boolean);
+    const chunks = splitIntoChunks(text, options.headings || []);
+    const style = templateStyle(options.style);
+    const rejected = [];
+    const context = {
+      existingQuestions,
+      totalChunks: chunks.length,
+      style,
+      categories: options.categories || TAXONOMY.DEFAULT_CATEGORIES,
+      variantCount: resolveVariantCount(options.variants),
+      signal: options.signal,
+      onProgress: options.onProgress,
+      onRejected: (rejections) => {
+        rejected.push(...rejections);
+        if (options.onRejected) options.onRejected(rejections);
+      },
+      sourceUrl: options.sourceUrl
+    };
+
+    if (context.onProgress) {
+      context.onProgress({ type: 'generating', chunks: chunks.length });
+    }
+
+    // Map: ask each chunk for a share of the FAQs proportional to its length, with some
+    // headroom so duplicates and unsupported answers can be dropped when merging
+    const totalLength = chunks.reduce((sum, chunk) => sum + chunk.text.length, 0);
+    const candidatesPerChunk = await Promise.all(chunks.map((chunk) => {
+      const chunkCount = chunks.length === 1
+        ? faqCount + 2
+        : Math.max(2, Math.ceil((faqCount * chunk.text.length) / totalLength) + 1);
+      return generateChunkFaqs(llm, chunk, chunkCount, context);
+    }));
+
+    // Reduce: merge, deduplicate, verify and rank down to the requested count
+    let candidates = dropAnswered(groundFaqs(mergeCandidates(candidatesPerChunk), text), existingQuestions);
+
+    for (let round = 0; round < FAQ_COUNT.TOP_UP_ROUNDS && candidates.length < faqCount; round++) {
+      const added = await topUpFaqs(llm, chunks, candidates, faqCount - candidates.length, context);
+      if (added.length === 0) break;
+
+      // mergeCandidates keeps the earlier FAQ of a duplicate, so only new questions follow
+      const merged = mergeCandidates([candidates, added]);
+      candidates = candidates.concat(
+        dropAnswered(groundFaqs(merged.slice(candidates.length), text), existingQuestions)
+      );
+    }
+
+    if (candidates.length === 0) {
+      if (rejected.length > 0) {
+        throw createError(
+          `The model returned no valid FAQs: ${describeRejections(rejected)}`,
+          ERROR_CODES.INVALID_MODEL_OUTPUT,
+          502
+        );
+      }
+      throw new Error('No usable FAQs could be generated from this content. Please try again.');
+    }
+    if (candidates.length < faqCount) {
+      console.warn(`Requested ${faqCount} FAQs but only ${candidates.length} could be generated`);
+    }
+
+    return rankFaqs(candidates, chunks, faqCount).map(({ question, answer, section, category, tags, variants, citations, supportScore, unsupported }) => ({
+      question,
+      answer,
+      section,
+      category,
+      tags,
+      variants,
+      citations,
+      supportScore,
+      unsupported
+    }));
+  } catch (error) {
+    throw toGenerationError(error, providerLabel, options.signal);
+  }
+};
+
+/**
+ * Rewrites one FAQ against its source text, following optional `options.instructions`
+ * (e.g. "shorter", "mention pricing tiers", "friendlier tone"). Only the chunk of `text`
+ * the FAQ came from is sent. The rewrite is grounded like generated FAQs; nothing is
+ * saved. Takes the provider, model, style, signal and sourceUrl options of generateFaqs().
+ * Returns { question, answer, citations, supportScore, unsupported }.
+ */
+const refineFaq = async (faq, text, options = {}) => {
+  let providerLabel = 'LLM';
+  try {
+    const llm = resolveLlm(options);
+    providerLabel = llm.provider.label;
+
+    if (!text || typeof text !== 'string' || text.trim().length === 0) {
+      throw new Error('The FAQ has no source text to rewrite it from');
+    }
+
+    await assertWithinBudget(options.sourceUrl);
+
+    const chunk = sourceChunkFor(faq, splitIntoChunks(text, options.headings || []));
+    const instructions = String(options.instructions || '').trim();
+    const prompt = buildRefinePrompt(faq, chunk, instructions, templateStyle(options.style));
+
+    const { items, rejected } = await requestStructured(llm, {
+      prompt,
+      signal: options.signal,
+      task: 'refine',
+      input: { question: faq.question, answer: faq.answer, text: chunk.text, instructions }
+    }, faqsOutput(), options.sourceUrl);
+
+    if (items.length === 0) {
+      throw createError(
+        `The model returned no valid rewrite: ${describeRejections(rejected)}`,
+        ERROR_CODES.INVALID_MODEL_OUTPUT,
+        502
+      );
+    }
+
+    const [rewrite] = groundFaqs([{ ...items[0], quotes: items[0].quotes || [] }], text);
+    if (!rewrite) {
+      throw new Error('The rewritten answer is not supported by the source text. Please try other instructions.');
+    }
+
+    return {
+      question: rewrite.question,
+      answer: rewrite.answer,
+      citations: rewrite.citations,
+      supportScore: rewrite.supportScore,
+      unsupported: rewrite.unsupported
+    };
+  } catch (error) {
+    throw toGenerationError(error, providerLabel, options.signal);
+  }
+};
+
+/**
+ * Asks for `options.count` (VARIANTS.DEFAULT_COUNT by default) other ways users might
+ * phrase an FAQ's question, for search and chatbot matching. Takes the provider, model,
+ * style, signal and sourceUrl options of generateFaqs(); nothing is saved.
+ * Returns the distinct phrasings, at most `count`; fails when fewer than VARIANTS.MIN
+ * come back.
+ */
+const generateVariants = async (faq, options = {}) => {
+  let providerLabel = 'LLM';
+  try {
+    const llm = resolveLlm(options);
+    providerLabel = llm.provider.label;
+
+    await assertWithinBudget(options.sourceUrl);
+
+    const count = resolveVariantCount(options.count ?? true);
+    const prompt = buildVariantsPrompt(faq, count, templateStyle(options.style));
+
+    const { items, rejected } = await requestStructured(llm, {
+      prompt,
+      signal: options.signal,
+      task: 'variants',
+      input: { question: faq.question, answer: faq.answer, count }
+    }, variantsOutput({ minItems: VARIANTS.MIN, count }), options.sourceUrl);
+
+    const variants = keepVariants(items, faq.question, count);
+    if (variants.length === 0) {
+      const reasons = rejected.length > 0 ? ` Rejected: ${describeRejections(rejected)}` : '';
+      throw createError(
+        `Fewer than ${VARIANTS.MIN} distinct phrasings came back. Please try again.${reasons}`,
+        ERROR_CODES.INVALID_MODEL_OUTPUT,
+        502
+      );
+    }
+    return variants;
+  } catch (error) {
+    throw toGenerationError(error, providerLabel, options.signal);
+  }
+};
+
+// Maps provider, parsing and cancellation failures to the errors callers report
+const toGenerationError = (error, providerLabel, signal) => {
+  if (isCodedError(error)) {
+    return error;
+  }
+
+  if (signal?.aborted) {
+    return createError('FAQ generation was cancelled', ERROR_CODES.GENERATION_CANCELLED, 499);
+  }
+
+  // Provider SDKs report HTTP failures with a numeric `status`
+  if (error.status) {
+    const status = error.status;
+
+    if (status === 429) {
+      const retryAfter = error.headers?.get?.('retry-after') || 60;
+      return withUpstreamStatus(new Error(`Rate limit exceeded. Please try again after ${retryAfter} seconds.`), status);
+    }
+    // Client errors
+    if (status >= 400 && status < 500) {
+      return withUpstreamStatus(new Error(`${providerLabel} API error (${status}): ${error.message || 'Invalid request'}`), status);
+    }
+
+    // Server errors
+    if (status >= 500) {
+      return withUpstreamStatus(new Error(`${providerLabel} API server error (${status}): Please try again later.`), status);
+    }
+
+    return new Error(`${providerLabel} API error: ${error.message}`);
+  } else if (error.message) {
+    return new Error(`${providerLabel} API error: ${error.message}`);
+  }
+  return error;
+};
+
+
+// Shorter "sentences" are mostly labels and navigation, not content
+const MIN_SENTENCE_LENGTH = 30;
+
+// Number of FAQs a request gets: 1 to FAQ_COUNT.MAX, DEFAULT_FAQ_COUNT when missing or
+// invalid, or for "auto" one per few distinct sentences of `text`
+const resolveFaqCount = (count, text = '') => {
+  if (String(count).trim().toLowerCase() === 'auto') {
+    return autoFaqCount(text);
+  }
+  return Math.min(Math.max(Math.floor(count) || DEFAULT_FAQ_COUNT, 1), FAQ_COUNT.MAX);
+};
+
+// Repeated sentences (navigation, footers, boilerplate across site pages) count once
+const autoFaqCount = (text) => {
+  const distinct = new Set(
+    splitSentences(String(text || ''))
+      .map((sentence) => sentence.trim().toLowerCase().replace(/\s+/g, ' '))
+      .filter((sentence) => sentence.length >= MIN_SENTENCE_LENGTH)
+  );
+  const count = Math.round(distinct.size / FAQ_COUNT.AUTO_SENTENCES_PER_FAQ);
+  return Math.min(Math.max(count, Math.min(FAQ_COUNT.AUTO_MIN, distinct.size), 1), FAQ_COUNT.MAX);
+};
+
+// Phrasings to ask for per FAQ: 0 for none (false, 0 or missing while
+// FAQ_VARIANTS_ON_GENERATE is off), VARIANTS.DEFAULT_COUNT for true, else a number
+// clamped to VARIANTS.MIN-MAX. Strings from multipart forms are accepted.
+const resolveVariantCount = (value) => {
+  if (value === undefined || value === null || value === '') {
+    return VARIANTS.ON_GENERATE ? VARIANTS.DEFAULT_COUNT : 0;
+  }
+  if (value === true || value === 'true') return VARIANTS.DEFAULT_COUNT;
+
+  const count = Math.floor(Number(value));
+  if (!count || count < 0) return 0;
+  return Math.min(Math.max(count, VARIANTS.MIN), VARIANTS.MAX);
+};
+
+// Distinct phrasings up to `count`, or none when fewer than VARIANTS.MIN remain
+const keepVariants = (variants, question, count) => {
+  const distinct = distinctPhrasings(variants, question).slice(0, count);
+  return distinct.length >= VARIANTS.MIN ? distinct : [];
+};
+
+// Drops FAQs whose question the source already answers
+const dropAnswered = (faqs, existingQuestions) => {
+  const fresh = faqs.filter((faq) =>
+    !existingQuestions.some((question) => isSimilarQuestion(faq.question, question))
+  );
+  if (fresh.length < faqs.length) {
+    console.warn(`Dropped ${faqs.length - fresh.length} FAQs that duplicate questions the site already answers`);
+  }
+  return fresh;
+};
+
+// Asks for `missing` more FAQs from the chunk with the fewest FAQs for its length, telling
+// the model which questions are already written. A failed top-up keeps what was
+// generated instead of failing the whole request.
+const topUpFaqs = async (llm, chunks, candidates, missing, context) => {
+  const chunk = chunks
+    .map((entry) => ({
+      entry,
+      density: candidates.filter((faq) => faq.chunk === entry.index).length / entry.text.length
+    }))
+    .sort((a, b) => a.density - b.density)[0].entry;
+
+  try {
+    return await generateChunkFaqs(llm, chunk, missing + 1, {
+      ...context,
+      generatedQuestions: candidates.map((faq) => faq.question)
+    });
+  } catch (error) {
+    if (isCodedError(error) || context.signal?.aborted) {
+      throw error;
+    }
+    console.warn(`Top-up request for ${missing} more FAQs failed:`, error.message);
+    return [];
+  }
+};
+
+// Chunks the text at heading boundaries, growing the chunk size for very long text so
+// the number of model calls stays bounded
+const splitIntoChunks = (text, headings) => {
+  let maxLength = Math.max(MAX_TEXT_LENGTH, Math.ceil(text.length / CHUNKING.MAX_CHUNKS));
+  let chunks = chunkText(text, headings, maxLength);
+
+  while (chunks.length > CHUNKING.MAX_CHUNKS) {
+    maxLength = Math.ceil(maxLength * 1.5);
+    chunks = chunkText(text, headings, maxLength);
+  }
+
+  return chunks;
+};
+
+const buildPrompt = (chunk, faqCount, existingQuestions, totalChunks, style, categories, variantCount, generatedQuestions = []) => {
+  const existingSection = existingQuestions.length > 0
+    ? `\nThe website already answers the following questions. Do NOT generate these questions or paraphrases of them; cover other aspects of the content instead:\n${existingQuestions.map((question) => `- ${question}`).join('\n')}\n`
+    : '';
+
+  const generatedSection = generatedQuestions.length > 0
+    ? `\nThese FAQs have already been written for this content. Do NOT repeat these questions or paraphrases of them; only write new ones:\n${generatedQuestions.map((question) => `- ${question}`).join('\n')}\n`
+    : '';
+
+  const partNote = totalChunks > 1
+    ? `\nThis is part ${chunk.index + 1} of ${totalChunks} of a longer document. Only use this part.\n`
+    : '';
+
+  const sectionNote = chunk.headings.length > 0
+    ? `- Each FAQ must include a "section" field set to the heading of the section the answer comes from, copied exactly from this list:\n${chunk.headings.map((heading) => `  - ${heading}`).join('\n')}\n`
+    : '';
+
+  const instructionsSection = style.instructions
+    ? `\nAdditional instructions:\n${style.instructions}\n`
+    : '';
+
+  const variantsNote = variantCount > 0
+    ? `- Each FAQ must include a "variants" array with ${variantCount} other ways a user might ask the same question: different wording, casual phrasings and short search-style queries, in the same language as the question\n`
+    : '';
+
+  const categoryList = categories
+    .map(({ name, description }) => `  - ${name}${description ? `: ${description}` : ''}`)
+    .join('\n');
+
+  return `You are an expert content analyst. Analyze the following website content and generate up to ${faqCount} high-quality, relevant frequently asked questions (FAQs) with clear, concise answers.
+
+Aim for ${faqCount} FAQs. If the content cannot support that many distinct, well-grounded questions, return fewer rather than padding with vague or repeated ones.
+
+Content Analysis Guidelines:
+1. Identify the main topics and key information in the content
+2. Focus on questions that users would genuinely ask about this content
+3. Ensure questions are specific, clear, and directly related to the content
+4. Provide concise, accurate answers based solely on the provided content
+5. Avoid generic or vague questions
+6. Make sure each FAQ pair is unique and valuable
+${partNote}
+Content:
+${chunk.text}
+${existingSection}${generatedSection}
+Requirements:
+- Generate up to ${faqCount} FAQs, each answerable from the content
+- Each FAQ must have a clear, specific question
+- Each answer must be ${ANSWER_LENGTHS[style.answerLength] || ANSWER_LENGTHS.medium} long and directly address the question
+- Answers must be based only on the provided content
+- Each FAQ must include a "quotes" array with 1-3 passages copied word for word from the content that support the answer
+- Questions should cover different aspects of the content
+- Write for ${style.audience} in a ${style.tone} tone, using ${READING_LEVELS[style.readingLevel] || READING_LEVELS.general}
+- Write the questions and answers in ${style.language}, with proper grammar; copy "quotes" and "section" exactly as they appear in the content
+- The "faqs" array must contain at most ${faqCount} items
+- Each FAQ must include a "category" field set to the best fitting category name, copied exactly from this list:
+${categoryList}
+- Each FAQ must include a "tags" array with 1-${TAXONOMY.MAX_TAGS} short lowercase keywords naming the specific topics it covers
+${variantsNote}${sectionNote}${instructionsSection}
+Return ONLY a valid JSON object in this exact format (no markdown, no code blocks, no explanations):
+{
+  "faqs": [
+    {
+      "question": "What is the main purpose of this service?",
+      "answer": "The main purpose is to provide users with...",
+      "section": "Overview",
+      "category": "General",
+      "tags": ["purpose", "overview"],
+      "quotes": ["Exact sentence from the content that states the purpose."]
+    },
+    {
+      "question": "How does this feature work?",
+      "answer": "This feature works by...",
+      "section": "Features",
+      "category": "Technical",
+      "tags": ["features"],
+      "quotes": ["Exact sentence from the content describing the feature."]
+    }
+  ]
+}
+
+Remember: The "faqs" array must contain at most ${faqCount} items.`;
+};
+
+// The chunk an existing FAQ was generated from: the one holding its first citation, else
+// the one with its section heading, else the first
+const sourceChunkFor = (faq, chunks) => {
+  const cited = faq.citations?.[0]?.text;
+  return (cited && chunks.find((chunk) => chunk.text.includes(cited)))
+    || (faq.section && chunks.find((chunk) => chunk.headings.includes(faq.section)))
+    || chunks[0];
+};
+
+const buildRefinePrompt = (faq, chunk, instructions, style) => {
+  const instructionsSection = instructions
+    ? `\nThe editor asked for these changes:\n${instructions}\n`
+    : '\nThe editor asked for a clearer, more accurate version.\n';
+
+  const styleSection = style.instructions
+    ? `\nAdditional instructions:\n${style.instructions}\n`
+    : '';
+
+  return `You are an expert content editor. Rewrite the following FAQ so it better serves readers, using only the website content below.
+
+Current FAQ:
+Question: ${faq.question}
+Answer: ${faq.answer}
+${instructionsSection}
+Content:
+${chunk.text}
+
+Requirements:
+- Apply the requested changes; keep everything else that is correct
+- Keep the question about the same topic; only reword it if that makes it clearer or the changes require it
+- The answer must be ${ANSWER_LENGTHS[style.answerLength] || ANSWER_LENGTHS.medium} long unless the requested changes say otherwise
+- The answer must be based only on the provided content; never add facts the content does not state
+- Include a "quotes" array with 1-3 passages copied word for word from the content that support the answer
+- Write for ${style.audience} in a ${style.tone} tone, using ${READING_LEVELS[style.readingLevel] || READING_LEVELS.general}
+- Write the question and answer in ${style.language}, with proper grammar; copy "quotes" exactly as they appear in the content
+${styleSection}
+Return ONLY a valid JSON object in this exact format (no markdown, no code blocks, no explanations):
+{
+  "faqs": [
+    {
+      "question": "The rewritten question?",
+      "answer": "The rewritten answer.",
+      "quotes": ["Exact sentence from the content that supports the answer."]
+    }
+  ]
+}`;
+};
+
+const buildVariantsPrompt = (faq, count, style) => `You help a site search and a chatbot match user queries to FAQs. Write ${count} other ways a user might ask the following question.
+
+Question: ${faq.question}
+Answer (for context only): ${faq.answer}
+
+Requirements:
+- Every phrasing must ask for the same information the answer gives; do not broaden or narrow the question
+- Vary the wording: synonyms, casual phrasings, and short search-style queries such as "refund policy"
+- Do not repeat the original question or another phrasing
+- Write them in ${style.language}
+
+Return ONLY a valid JSON object in this exact format (no markdown, no code blocks, no explanations):
+{
+  "variants": ["First phrasing?", "Second phrasing?", "short query"]
+}`;
+
+// The model's section when it names one of the chunk's headings, else the chunk's own
+const sectionFor = (chunk, faq) => {
+  const section = typeof faq.section === 'string' ? faq.section.trim() : '';
+  return chunk.headings.includes(section) ? section : chunk.heading;
+};
+
+// Generates up to `faqCount` candidate FAQs from one chunk, tagged with their section
+const generateChunkFaqs = async (llm, chunk, faqCount, context) => {
+  const { existingQuestions, totalChunks, style, categories, variantCount, signal, onProgress, onRejected, sourceUrl } = context;
+  const generatedQuestions = context.generatedQuestions || [];
+  const prompt = buildPrompt(chunk, faqCount, existingQuestions, totalChunks, style, categories, variantCount, generatedQuestions);
+
+  const reportFaq = (faq) => {
+    if (faq && typeof faq.question === 'string' && typeof faq.answer === 'string') {
+      onProgress({
+        type: 'faq',
+        faq: {
+          question: faq.question.trim(),
+          answer: faq.answer.trim(),
+          section: sectionFor(chunk, faq),
+          category: assignCategory(faq.category, categories)
+        },
+        chunk: chunk.index
+      });
+    }
+  };
+
+  // Report each FAQ as soon as its object is complete in the streamed response
+  const onText = onProgress ? createArrayItemParser(reportFaq) : undefined;
+
+  const { items, repaired, rejected } = await requestStructured(llm, {
+    prompt,
+    signal,
+    onText,
+    task: 'faqs',
+    input: {
+      text: chunk.text,
+      count: faqCount,
+      headings: chunk.headings,
+      categories,
+      variants: variantCount,
+      avoid: [...existingQuestions, ...generatedQuestions]
+    }
+  }, faqsOutput({ variants: variantCount > 0 }), sourceUrl);
+
+  // Repaired FAQs were not streamed
+  if (onProgress && repaired > 0) {
+    items.slice(-repaired).forEach(reportFaq);
+  }
+
+  if (rejected.length > 0) {
+    console.warn(`Rejected ${rejected.length} FAQs for chunk ${chunk.index + 1}: ${describeRejections(rejected)}`);
+    if (onRejected) onRejected(rejected.map((rejection) => ({ chunk: chunk.index, ...rejection })));
+  }
+
+  let faqs = items;
+
+  if (faqs.length > faqCount) {
+    console.warn(`Received ${faqs.length} FAQs for chunk ${chunk.index + 1}, trimmed to ${faqCount}`);
+    faqs = faqs.slice(0, faqCount);
+  }
+
+  return faqs.map((faq) => ({
+    question: faq.question,
+    answer: faq.answer,
+    section: sectionFor(chunk, faq),
+    category: assignCategory(faq.category, categories),
+    tags: normalizeTags(faq.tags),
+    variants: variantCount > 0 ? keepVariants(faq.variants, faq.question, variantCount) : [],
+    quotes: faq.quotes || [],
+    chunk: chunk.index
+  }));
+};
+
+// Flattens per-chunk candidates, keeping the first of any near-duplicate questions
+const mergeCandidates = (candidatesPerChunk) => {
+  const merged = [];
+
+  candidatesPerChunk.flat().forEach((faq) => {
+    if (!merged.some((kept) => isSimilarQuestion(kept.question, faq.question))) {
+      merged.push(faq);
+    }
+  });
+
+  return merged;
+};
+
+// Picks `faqCount` FAQs so every chunk is represented in proportion to its length; the
+// model's own order ranks candidates within a chunk
+const rankFaqs = (candidates, chunks, faqCount) => {
+  if (chunks.length === 1) {
+    return [...candidates].sort((a, b) => Number(a.unsupported) - Number(b.unsupported)).slice(0, faqCount);
+  }
+
+  const totalLength = chunks.reduce((sum, chunk) => sum + chunk.text.length, 0);
+  const pools = chunks.map((chunk) => ({
+    share: (faqCount * chunk.text.length) / totalLength,
+    faqs: candidates.filter((faq) => faq.chunk === chunk.index),
+    taken: 0
+  }));
+
+  // Within a chunk, supported answers come before flagged ones
+  pools.forEach((pool) => pool.faqs.sort((a, b) => Number(a.unsupported) - Number(b.unsupported)));
+
+  const selected = [];
+  while (selected.length < faqCount) {
+    // Next pick goes to the chunk furthest below its share that still has candidates
+    const pool = pools
+      .filter((entry) => entry.taken < entry.faqs.length)
+      .sort((a, b) => (a.taken - a.share) - (b.taken - b.share))[0];
+    if (!pool) break;
+
+    selected.push(pool.faqs[pool.taken]);
+    pool.taken++;
+  }
+
+  // Keep document order
+  return selected.sort((a, b) => a.chunk - b.chunk);
+};
+
+// Sends one completion request to the resolved provider, retrying server and network
+// failures. A response that already streamed text is not retried, as its listener would
+// hear the output twice. Every attempt is logged for usage accounting.
+const makeLlmRequest = async ({ provider, model }, request, retries = 2, sourceUrl = null) => {
+  let lastError;
+  let streamed = false;
+  const onText = request.onText && ((text) => {
+    streamed = true;
+    request.onText(text);
+  });
+
+  for (let attempt = 0; attempt <= retries; attempt++) {
+    const startedAt = Date.now();
+    const call = { provider: provider.name, model, task: request.task, sourceUrl };
+
+    try {
+      const response = await provider.complete({
+        model,
+        maxTokens: LLM.MAX_TOKENS,
+        temperature: LLM.TEMPERATURE,
+        ...request,
+        onText
+      });
+      recordLlmCall({
+        ...call,
+        model: response.model || model,
+        usage: response.usage,
+        latencyMs: Date.now() - startedAt
+      });
+      return response;
+    } catch (error) {
+      lastError = error;
+      recordLlmCall({ ...call, latencyMs: Date.now() - startedAt, error });
+
+      
+      if ((error.status >= 400 && error.status < 500) || request.signal?.aborted || streamed) {
+        throw error;
+      }
+
+      
+      if (attempt < retries) {
+        const delay = Math.pow(2, attempt) * 1000; 
+        await new Promise(resolve => setTimeout(resolve, delay));
+        continue;
+      }
+    }
+  }
+
+  throw lastError;
+};
+
+// Sends a request whose response must match `output` (see structuredOutput), passing its
+// schema to providers that can enforce one. Rejected or missing items go back to the model
+// in a targeted repair prompt, up to LLM.REPAIR_ROUNDS times. Returns { items, repaired,
+// rejected }: `repaired` counts the items at the end of `items` that came from repairs, and
+// every rejection is { attempt, index, question, reasons }, where attempt 1 is the first
+// response and index is null when a whole response was unusable.
+const requestStructured = async (llm, request, output, sourceUrl) => {
+  const schema = { name: output.name, schema: output.schema };
+  const rejected = [];
+  const record = (result, attempt) => {
+    if (result.error) {
+      rejected.push({ attempt, index: null, question: null, reasons: [result.error] });
+    }
+    result.rejected.forEach(({ index, item, reasons }) => {
+      rejected.push({ attempt, index, question: typeof item?.question === 'string' ? item.question : null, reasons });
+    });
+  };
+
+  const response = await makeLlmRequest(llm, { ...request, schema }, 2, sourceUrl);
+  let result = parseStructured(response.content, output);
+  let items = result.items;
+  const firstCount = items.length;
+  record(result, 1);
+
+  for (let round = 1; round <= LLM.REPAIR_ROUNDS; round++) {
+    const missing = items.length < output.minItems
+      ? Math.max((output.targetItems || output.minItems) - items.length - result.rejected.length, 0)
+      : 0;
+    if (!result.error && result.rejected.length === 0 && missing === 0) break;
+
+    const repairResponse = await makeLlmRequest(llm, {
+      prompt: buildRepairPrompt(request.prompt, output, { ...result, missing }),
+      signal: request.signal,
+      task: request.task,
+      input: { ...request.input, repair: true },
+      schema
+    }, 2, sourceUrl);
+
+    result = parseStructured(repairResponse.content, output);
+    items = items.concat(result.items);
+    record(result, round + 1);
+  }
+
+  return { items, repaired: items.length - firstCount, rejected };
+};
+
+module.exports = { generateFaqs, refineFaq, generateVariants, resolveFaqCount, resolveVariantCount };
+
@@ -0,0 +1,44 @@
+const FAQ = require('../models/FAQ');
+const { questionSimilarity } = require('../utils/questionMatch');
+
+const MAX_RESULTS = 50;
+
+// The question or variant closest to the query, for showing why an FAQ matched
+const closestPhrasing = (query, faq) =>
+  [faq.question, ...(faq.variants || [])]
+    .map((phrasing) => ({ phrasing, score: questionSimilarity(query, phrasing) }))
+    .sort((a, b) => b.score - a.score)[0].phrasing;
+
+/**
+ * Full-text search over questions, their variants and answers (see the faq_search index
+ * on the FAQ model), best match first. `status` is "published" (default), "draft" or
+ * "all"; `sourceUrl` and `category` narrow the search.
+ * Returns [{ id, question, answer, variants, category, tags, sourceUrl, score,
+ * matchedPhrasing }].
+ */
+const searchFaqs = async (query, { status = 'published', sourceUrl, category, limit = 10 } = {}) => {
+  const filter = { $text: { $search: query } };
+  if (status !== 'all') filter.status = status;
+  if (sourceUrl) filter.sourceUrl = sourceUrl;
+  if (category) filter.category = category;
+
+  const faqs = await FAQ.find(filter)
+    .select({ score: { $meta: 'textScore' } })
+    .sort({ score: { $meta: 'textScore' } })
+    .limit(Math.min(Math.max(Math.floor(limit) || 10, 1), MAX_RESULTS))
+    .lean();
+
+  return faqs.map((faq) => ({
+    id: faq._id,
+    question: faq.question,
+    answer: faq.answer,
+    variants: faq.variants || [],
+    category: faq.category || null,
+    tags: faq.tags || [],
+    sourceUrl: faq.sourceUrl,
+    score: Math.round(faq.score * 100) / 100,
+    matchedPhrasing: closestPhrasing(query, faq)
+  }));
+};
+
+module.exports = { searchFaqs };
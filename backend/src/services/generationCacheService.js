@@ -0,0 +1,139 @@
+const mongoose = require('mongoose');
+const GenerationCache = require('../models/GenerationCache');
+const { generateFaqs, resolveFaqCount, resolveVariantCount } = require('./faqGenerationService');
+const { resolveLlm } = require('./llm');
+const { templateStyle } = require('./promptTemplateService');
+const { hashContent } = require('./snapshotService');
+const { categoriesFor } = require('./taxonomyService');
+const { GENERATION_CACHE } = require('../utils/constants');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const isEnabled = () =>
+  GENERATION_CACHE.TTL_HOURS > 0 && mongoose.connection.readyState === 1;
+
+// Everything that changes the generated FAQs: the text, the resolved count, provider and
+// model, the template's style settings (so editing a template misses the cache), the
+// taxonomy, the number of variants and the questions the source already answers
+const cacheKey = ({ textHash, count, provider, model, style, categories, variants, existingQuestions }) =>
+  hashContent(JSON.stringify({
+    textHash,
+    count,
+    provider,
+    model,
+    style,
+    categories,
+    variants,
+    existingQuestions: [...existingQuestions].sort()
+  }));
+
+/**
+ * generateFaqs() with a cache in front: unchanged text generated with the same settings
+ * within GENERATION_CACHE_TTL_HOURS returns the stored FAQs without calling the model.
+ * Unless `options.categories` is given, FAQs are categorized with the taxonomy of
+ * `options.sourceUrl` (see taxonomyService).
+ * `options.force` skips the lookup and replaces the entry. Cached FAQs are replayed to
+ * `options.onProgress` as "faq" events.
+ * Returns { faqs, cache: { hit, createdAt, expiresAt }, rejected }; `cache.hit` is false
+ * and the dates null when caching is off or unavailable. `rejected` lists the model output
+ * items that failed validation (see generateFaqs), none on a cache hit.
+ */
+const generateFaqsCached = async (text, count, generationOptions = {}) => {
+  const rejected = [];
+  const options = {
+    ...generationOptions,
+    categories: generationOptions.categories || await categoriesFor(generationOptions.sourceUrl),
+    onRejected: (rejections) => {
+      rejected.push(...rejections);
+      if (generationOptions.onRejected) generationOptions.onRejected(rejections);
+    }
+  };
+
+  if (!isEnabled() || !text || typeof text !== 'string') {
+    const faqs = await generateFaqs(text, count, options);
+    return { faqs, cache: { hit: false, createdAt: null, expiresAt: null }, rejected };
+  }
+
+  const llm = resolveLlm(options);
+  const textHash = hashContent(text);
+  const entry = {
+    textHash,
+    count: resolveFaqCount(count, text),
+    provider: llm.provider.name,
+    model: llm.model
+  };
+  const key = cacheKey({
+    ...entry,
+    style: templateStyle(options.style),
+    categories: options.categories,
+    variants: resolveVariantCount(options.variants),
+    existingQuestions: (options.existingQuestions || []).filter(Boolean)
+  });
+
+  if (!options.force) {
+    const cached = await GenerationCache.findOneAndUpdate(
+      { key, expiresAt: { $gt: new Date() } },
+      { $inc: { hits: 1 } },
+      { returnDocument: 'after', lean: true }
+    );
+
+    if (cached) {
+      if (options.onProgress) {
+        cached.faqs.forEach(({ question, answer, section, category }) =>
+          options.onProgress({ type: 'faq', faq: { question, answer, section, category }, chunk: null })
+        );
+      }
+      return {
+        faqs: cached.faqs,
+        cache: { hit: true, createdAt: cached.createdAt, expiresAt: cached.expiresAt },
+        rejected
+      };
+    }
+  }
+
+  const faqs = await generateFaqs(text, count, options);
+
+  const createdAt = new Date();
+  const expiresAt = new Date(createdAt.getTime() + GENERATION_CACHE.TTL_HOURS * HOUR_MS);
+  try {
+    await GenerationCache.findOneAndUpdate(
+      { key },
+      {
+        ...entry,
+        key,
+        sourceUrl: options.sourceUrl || null,
+        promptTemplate: options.style?._id || null,
+        faqs,
+        hits: 0,
+        createdAt,
+        expiresAt
+      },
+      { upsert: true }
+    );
+  } catch (error) {
+    // A failed cache write must not lose the FAQs the model already produced
+    console.error('Failed to cache generated FAQs:', error.message);
+    return { faqs, cache: { hit: false, createdAt: null, expiresAt: null }, rejected };
+  }
+
+  return { faqs, cache: { hit: false, createdAt, expiresAt }, rejected };
+};
+
+// Cache entries without their FAQs, newest first
+const listCacheEntries = (limit = 100) =>
+  GenerationCache.find()
+    .select('-faqs')
+    .sort({ createdAt: -1 })
+    .limit(limit)
+    .lean();
+
+// Removes the entries of one source (any of `sourceUrls`: page URL, site seed URL or
+// document file name), or all entries when none are given. Returns the number removed.
+const purgeCache = async (sourceUrls = []) => {
+  const result = await GenerationCache.deleteMany(
+    sourceUrls.length > 0 ? { sourceUrl: { $in: sourceUrls } } : {}
+  );
+  return result.deletedCount;
+};
+
+module.exports = { generateFaqsCached, listCacheEntries, purgeCache };
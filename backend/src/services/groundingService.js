@@ -0,0 +1,83 @@
+const { normalizeWithMap, locateQuote, findSimilarPassages } = require('../utils/citations');
+const { scoreAnswerSupport } = require('../utils/answerSupport');
+const { GROUNDING } = require('../utils/constants');
+
+// Merges overlapping spans and keeps them in text order
+const mergeSpans = (spans) =>
+  [...spans]
+    .sort((a, b) => a.start - b.start)
+    .reduce((merged, span) => {
+      const last = merged[merged.length - 1];
+      if (last && span.start <= last.end) {
+        last.end = Math.max(last.end, span.end);
+      } else {
+        merged.push({ ...span });
+      }
+      return merged;
+    }, []);
+
+// Turns located spans into citations and scores the answer against them
+const scoreSpans = (answer, text, spans) => {
+  const citations = mergeSpans(spans)
+    .slice(0, GROUNDING.MAX_CITATIONS)
+    .map(({ start, end }) => ({ start, end, text: text.slice(start, end) }));
+
+  if (citations.length === 0) {
+    return { citations, supportScore: 0, supported: false, missingTerms: [] };
+  }
+
+  const support = scoreAnswerSupport(answer, citations.map((citation) => citation.text).join(' '));
+
+  return {
+    citations,
+    supportScore: support.score,
+    // A number the sources never mention is the typical hallucination
+    supported: support.score >= GROUNDING.MIN_SUPPORT_SCORE && support.missingNumbers.length === 0,
+    missingTerms: support.missingTerms
+  };
+};
+
+/**
+ * Finds the passages of `text` that back up an answer and scores how well they do.
+ * `quotes` are the passages the model says it used; when they cannot be found or do not
+ * cover the answer, the sentences sharing the most key terms with it are added.
+ * Pass a prebuilt `searchIndex` (normalizeWithMap(text)) when grounding many answers.
+ * Returns { citations: [{ start, end, text }], supportScore, supported, missingTerms }
+ * with offsets into `text`.
+ */
+const groundAnswer = (answer, text, quotes = [], searchIndex = normalizeWithMap(text)) => {
+  const quoted = quotes.map((quote) => locateQuote(text, quote, searchIndex)).filter(Boolean);
+
+  if (quoted.length > 0) {
+    const result = scoreSpans(answer, text, quoted);
+    if (result.supported) return result;
+  }
+
+  return scoreSpans(answer, text, [...quoted, ...findSimilarPassages(text, answer)]);
+};
+
+/**
+ * Verifies generated FAQs against their source text. Unsupported answers are dropped
+ * or kept with `unsupported: true`, depending on GROUNDING.UNSUPPORTED_ACTION.
+ * Returns the FAQs with { citations, supportScore, unsupported } added.
+ */
+const groundFaqs = (faqs, text) => {
+  const searchIndex = normalizeWithMap(text);
+
+  const grounded = faqs.map((faq) => {
+    const { citations, supportScore, supported } = groundAnswer(faq.answer, text, faq.quotes || [], searchIndex);
+    return { ...faq, citations, supportScore, unsupported: !supported };
+  });
+
+  if (GROUNDING.UNSUPPORTED_ACTION !== 'drop') {
+    return grounded;
+  }
+
+  const kept = grounded.filter((faq) => !faq.unsupported);
+  if (kept.length < grounded.length) {
+    console.warn(`Dropped ${grounded.length - kept.length} FAQs whose answers the source text does not support`);
+  }
+  return kept;
+};
+
+module.exports = { groundAnswer, groundFaqs };
@@ -0,0 +1,264 @@
+const mongoose = require('mongoose');
+const Job = require('../models/Job');
+const { createError, isCodedError } = require('../utils/errors');
+const { JOBS, ERROR_CODES } = require('../utils/constants');
+
+const isConnected = () => mongoose.connection.readyState === 1;
+
+// Jobs this server is running, by id, with the AbortController that cancels them
+const activeJobs = new Map();
+
+/**
+ * Queues a job for the worker (see jobs/jobWorker), which runs the handler registered
+ * for `type` with `params`. Failed runs are retried up to `maxAttempts` times in total.
+ * Jobs live in MongoDB, so they survive restarts; without a connection this fails with
+ * QUEUE_UNAVAILABLE.
+ */
+const enqueueJob = async (type, params = {}, { maxAttempts = JOBS.MAX_ATTEMPTS } = {}) => {
+  const [job] = await enqueueJobs(type, [{ params }], { maxAttempts });
+  return job;
+};
+
+// Queues several jobs of one type at once; `jobs` are { params, batch, row }
+const enqueueJobs = async (type, jobs, { maxAttempts = JOBS.MAX_ATTEMPTS } = {}) => {
+  if (!isConnected()) {
+    throw createError('Background jobs need a MongoDB connection', ERROR_CODES.QUEUE_UNAVAILABLE, 503);
+  }
+
+  const now = new Date();
+  return Job.insertMany(jobs.map(({ params = {}, batch = null, row = null }) => ({
+    type,
+    params,
+    batch,
+    row,
+    maxAttempts,
+    runAfter: now,
+    createdAt: now,
+    updatedAt: now
+  })));
+};
+
+// Moves the oldest due queued job of one of `types` to running, or resolves to null
+const claimNextJob = (types) => {
+  const now = new Date();
+  return Job.findOneAndUpdate(
+    { status: 'queued', type: { $in: types }, runAfter: { $lte: now } },
+    {
+      $set: { status: 'running', startedAt: now, heartbeatAt: now, stage: null, updatedAt: now },
+      $inc: { attempts: 1 }
+    },
+    { sort: { runAfter: 1, createdAt: 1, row: 1 }, returnDocument: 'after' }
+  );
+};
+
+// Running jobs whose server stopped: queued again while they have attempts left, else failed
+const recoverStaleJobs = async () => {
+  const now = new Date();
+  const stale = { status: 'running', heartbeatAt: { $lt: new Date(now.getTime() - JOBS.STALE_AFTER_MS) } };
+
+  const requeued = await Job.updateMany(
+    { ...stale, cancelRequested: false, $expr: { $lt: ['$attempts', '$maxAttempts'] } },
+    { $set: { status: 'queued', runAfter: now, heartbeatAt: null, updatedAt: now } }
+  );
+  await Job.updateMany(
+    { ...stale, cancelRequested: true },
+    { $set: { status: 'cancelled', finishedAt: now, updatedAt: now } }
+  );
+  await Job.updateMany(
+    stale,
+    {
+      $set: {
+        status: 'failed',
+        error: { message: 'The server stopped while the job was running', code: null },
+        finishedAt: now,
+        updatedAt: now
+      }
+    }
+  );
+
+  return requeued.modifiedCount;
+};
+
+// Client errors (bad input, robots.txt, budgets, HTTP 4xx from a website or provider)
+// fail the same way on every attempt; network errors, 5xx and 429 may pass on retry
+const isRetryable = (error) => {
+  if (isCodedError(error)) return error.status >= 500;
+  if (error.upstreamStatus) return error.upstreamStatus === 429 || error.upstreamStatus >= 500;
+  return true;
+};
+
+const toJobError = (error) => ({ message: error.message, code: isCodedError(error) ? error.code : null });
+
+/**
+ * Runs a claimed job with `handler(params, { signal, onProgress })` and records the
+ * outcome: its return value as `result`, a retry with backoff for retryable failures that
+ * have attempts left, or failed/cancelled. `onProgress(event)` stores `event.type` as the
+ * job's stage. A heartbeat marks the job as alive and picks up cancellations made
+ * through other servers.
+ */
+const runJob = async (job, handler) => {
+  const controller = new AbortController();
+  activeJobs.set(String(job._id), controller);
+  let stage = null;
+
+  const heartbeat = setInterval(async () => {
+    try {
+      const current = await Job.findOneAndUpdate(
+        { _id: job._id, status: 'running' },
+        { $set: { heartbeatAt: new Date() } },
+        { returnDocument: 'after', projection: { cancelRequested: 1 } }
+      );
+      if (current?.cancelRequested) controller.abort();
+    } catch (error) {
+      console.error(`Job ${job._id} heartbeat failed:`, error.message);
+    }
+  }, JOBS.HEARTBEAT_INTERVAL_MS);
+  heartbeat.unref();
+
+  const onProgress = (event) => {
+    if (!event?.type || event.type === stage) return;
+    stage = event.type;
+    Job.updateOne({ _id: job._id, status: 'running' }, { $set: { stage, updatedAt: new Date() } })
+      .catch((error) => console.error(`Job ${job._id} progress update failed:`, error.message));
+  };
+
+  let update;
+  try {
+    const result = await handler(job.params || {}, { signal: controller.signal, onProgress });
+    update = { status: 'succeeded', result: result ?? null, error: null };
+  } catch (error) {
+    if (controller.signal.aborted || error.code === ERROR_CODES.GENERATION_CANCELLED) {
+      update = { status: 'cancelled', error: null };
+    } else if (isRetryable(error) && job.attempts < job.maxAttempts) {
+      const delay = JOBS.RETRY_DELAY_MS * Math.pow(2, job.attempts - 1);
+      update = { status: 'queued', error: toJobError(error), runAfter: new Date(Date.now() + delay), heartbeatAt: null };
+      console.warn(`Job ${job._id} failed (attempt ${job.attempts} of ${job.maxAttempts}), retrying:`, error.message);
+    } else {
+      update = { status: 'failed', error: toJobError(error) };
+      console.error(`Job ${job._id} failed:`, error.message);
+    }
+  } finally {
+    clearInterval(heartbeat);
+    activeJobs.delete(String(job._id));
+  }
+
+  const now = new Date();
+  return Job.findOneAndUpdate(
+    { _id: job._id, status: 'running' },
+    { $set: { ...update, ...(update.status === 'queued' ? {} : { finishedAt: now }), updatedAt: now } },
+    { returnDocument: 'after' }
+  );
+};
+
+/**
+ * Cancels a job: queued jobs at once, running ones by aborting their handler (here, or
+ * on the server running it at its next heartbeat). Resolves to the job, or null when
+ * there is none; finished jobs are returned unchanged.
+ */
+const cancelJob = async (id) => {
+  const now = new Date();
+  const queued = await Job.findOneAndUpdate(
+    { _id: id, status: 'queued' },
+    { $set: { status: 'cancelled', cancelRequested: true, finishedAt: now, updatedAt: now } },
+    { returnDocument: 'after' }
+  );
+  if (queued) return queued;
+
+  const running = await Job.findOneAndUpdate(
+    { _id: id, status: 'running' },
+    { $set: { cancelRequested: true, updatedAt: now } },
+    { returnDocument: 'after' }
+  );
+  if (running) {
+    const controller = activeJobs.get(String(running._id));
+    if (controller) controller.abort();
+    return running;
+  }
+
+  return Job.findById(id);
+};
+
+// Cancels every queued or running job matching `filter`; resolves to the number affected
+const cancelJobs = async (filter) => {
+  const now = new Date();
+  const queued = await Job.updateMany(
+    { ...filter, status: 'queued' },
+    { $set: { status: 'cancelled', cancelRequested: true, finishedAt: now, updatedAt: now } }
+  );
+
+  const running = await Job.find({ ...filter, status: 'running', cancelRequested: false }, { _id: 1 }).lean();
+  if (running.length > 0) {
+    await Job.updateMany(
+      { _id: { $in: running.map((job) => job._id) }, status: 'running' },
+      { $set: { cancelRequested: true, updatedAt: now } }
+    );
+    running.forEach((job) => {
+      const controller = activeJobs.get(String(job._id));
+      if (controller) controller.abort();
+    });
+  }
+
+  return queued.modifiedCount + running.length;
+};
+
+/**
+ * Queues failed and cancelled jobs matching `filter` again as if they were new: attempts,
+ * result and error are reset. Resolves to the number of jobs requeued.
+ */
+const requeueJobs = async (filter) => {
+  const now = new Date();
+  const { modifiedCount } = await Job.updateMany(
+    { ...filter, status: { $in: ['failed', 'cancelled'] } },
+    {
+      $set: {
+        status: 'queued',
+        attempts: 0,
+        result: null,
+        error: null,
+        stage: null,
+        cancelRequested: false,
+        runAfter: now,
+        heartbeatAt: null,
+        startedAt: null,
+        finishedAt: null,
+        updatedAt: now
+      }
+    }
+  );
+  return modifiedCount;
+};
+
+const activeJobCount = () => activeJobs.size;
+
+const formatJob = (job) => ({
+  id: job._id,
+  type: job.type,
+  status: job.status,
+  stage: job.stage,
+  params: job.params,
+  batch: job.batch || null,
+  row: job.row ?? null,
+  result: job.result,
+  error: job.error?.message ? { message: job.error.message, code: job.error.code || null } : null,
+  attempts: job.attempts,
+  maxAttempts: job.maxAttempts,
+  runAfter: job.runAfter,
+  cancelRequested: job.cancelRequested,
+  createdAt: job.createdAt,
+  startedAt: job.startedAt,
+  finishedAt: job.finishedAt
+});
+
+module.exports = {
+  isConnected,
+  enqueueJob,
+  enqueueJobs,
+  claimNextJob,
+  recoverStaleJobs,
+  runJob,
+  cancelJob,
+  cancelJobs,
+  requeueJobs,
+  activeJobCount,
+  formatJob
+};
@@ -0,0 +1,84 @@
+const { GoogleGenerativeAI } = require('@google/generative-ai');
+
+const getApiKey = () => process.env.GEMINI_API_KEY || process.env.GOOGLE_API_KEY;
+
+// Gemini takes an OpenAPI-style schema: nullable instead of "null" in the type list, and
+// no additionalProperties or string length limits (those are checked locally)
+const geminiSchema = (schema) => {
+  const { type, additionalProperties, minLength, maxLength, properties, items, ...rest } = schema;
+  const types = [].concat(type || []);
+  return {
+    ...rest,
+    ...(types.length > 0 ? { type: types.find((entry) => entry !== 'null') } : {}),
+    ...(types.includes('null') ? { nullable: true } : {}),
+    ...(properties ? {
+      properties: Object.fromEntries(Object.entries(properties).map(([key, property]) => [key, geminiSchema(property)]))
+    } : {}),
+    ...(items ? { items: geminiSchema(items) } : {})
+  };
+};
+
+const complete = async ({ prompt, model, maxTokens, temperature, signal, onText, schema }) => {
+  const client = new GoogleGenerativeAI(getApiKey());
+  const generativeModel = client.getGenerativeModel({
+    model,
+    generationConfig: {
+      maxOutputTokens: maxTokens,
+      temperature,
+      responseMimeType: 'application/json',
+      ...(schema ? { responseSchema: geminiSchema(schema.schema) } : {})
+    }
+  });
+
+  let response;
+  if (onText) {
+    const result = await generativeModel.generateContentStream(prompt, { signal });
+    for await (const chunk of result.stream) {
+      const delta = chunk.text();
+      if (delta) onText(delta);
+    }
+    response = await result.response;
+  } else {
+    response = (await generativeModel.generateContent(prompt, { signal })).response;
+  }
+  const usage = response.usageMetadata || {};
+
+  return {
+    content: response.text(),
+    model,
+    usage: {
+      promptTokens: usage.promptTokenCount || 0,
+      completionTokens: usage.candidatesTokenCount || 0
+    }
+  };
+};
+
+const embed = async ({ texts, model, signal }) => {
+  const client = new GoogleGenerativeAI(getApiKey());
+  const response = await client.getGenerativeModel({ model }).batchEmbedContents({
+    requests: texts.map((text) => ({ content: { role: 'user', parts: [{ text }] } }))
+  }, { signal });
+
+  // The embedding API does not report token counts
+  return {
+    vectors: response.embeddings.map((embedding) => embedding.values),
+    model,
+    usage: { promptTokens: 0, completionTokens: 0 }
+  };
+};
+
+const geminiProvider = {
+  name: 'gemini',
+  label: 'Gemini',
+  get defaultModel() {
+    return process.env.GEMINI_MODEL || 'gemini-2.0-flash';
+  },
+  get defaultEmbeddingModel() {
+    return process.env.GEMINI_EMBEDDING_MODEL || 'text-embedding-004';
+  },
+  isConfigured: () => Boolean(getApiKey()),
+  complete,
+  embed
+};
+
+module.exports = { geminiProvider };
@@ -0,0 +1,110 @@
+const { openaiProvider } = require('./openaiProvider');
+const { geminiProvider } = require('./geminiProvider');
+const { openaiCompatibleProvider } = require('./openaiCompatibleProvider');
+const { mockProvider } = require('./mockProvider');
+const { localEmbeddingProvider } = require('./localEmbeddings');
+const { createError } = require('../../utils/errors');
+const { LLM, EMBEDDINGS, ERROR_CODES } = require('../../utils/constants');
+
+// Environment variable each provider needs before it can be used
+const REQUIRED_ENV = {
+  openai: 'OPENAI_API_KEY',
+  gemini: 'GEMINI_API_KEY',
+  'openai-compatible': 'OPENAI_COMPATIBLE_BASE_URL',
+  mock: null,
+  local: null
+};
+
+const PROVIDERS = {
+  openai: openaiProvider,
+  gemini: geminiProvider,
+  'openai-compatible': openaiCompatibleProvider,
+  mock: mockProvider
+};
+
+/**
+ * Picks the provider and model for a request: explicit `provider` / `model` first,
+ * then LLM_PROVIDER / LLM_MODEL, then the provider's own default model.
+ * Returns { provider, model } where provider implements
+ * complete({ prompt, model, maxTokens, temperature, signal, onText, task, input, schema })
+ *   -> { content, model, usage: { promptTokens, completionTokens } }.
+ * With `onText`, the response is streamed and each text delta is passed to it as it arrives.
+ * `schema` ({ name, schema }, a JSON Schema) asks providers with a structured output mode
+ * to enforce it; the response is validated either way (see structuredOutput).
+ */
+const resolveLlm = ({ provider, model } = {}) => {
+  const name = String(provider || LLM.PROVIDER).trim().toLowerCase();
+  const selected = PROVIDERS[name];
+
+  if (!selected) {
+    throw createError(
+      `Unknown LLM provider "${name}". Use one of: ${Object.keys(PROVIDERS).join(', ')}`,
+      ERROR_CODES.UNKNOWN_PROVIDER,
+      400
+    );
+  }
+
+  if (!selected.isConfigured()) {
+    throw createError(
+      `${REQUIRED_ENV[name]} is not defined in environment variables (needed for the ${selected.label} provider)`,
+      ERROR_CODES.PROVIDER_NOT_CONFIGURED,
+      500
+    );
+  }
+
+  // LLM_MODEL names a model of the default provider, so it only applies to that one
+  const envModel = name === LLM.PROVIDER ? LLM.MODEL : null;
+
+  return {
+    provider: selected,
+    model: String(model || envModel || selected.defaultModel).trim()
+  };
+};
+
+const EMBEDDING_PROVIDERS = {
+  ...PROVIDERS,
+  local: localEmbeddingProvider
+};
+
+/**
+ * Picks the provider and model for embeddings: explicit `provider` / `model`, then
+ * EMBEDDING_PROVIDER / EMBEDDING_MODEL, then the provider's default embedding model.
+ * Returns { provider, model } where provider implements
+ * embed({ texts, model, signal }) -> { vectors, model, usage: { promptTokens, completionTokens } }.
+ */
+const resolveEmbedder = ({ provider, model } = {}) => {
+  const name = String(provider || EMBEDDINGS.PROVIDER).trim().toLowerCase();
+  const selected = EMBEDDING_PROVIDERS[name];
+
+  if (!selected) {
+    throw createError(
+      `Unknown embedding provider "${name}". Use one of: ${Object.keys(EMBEDDING_PROVIDERS).join(', ')}`,
+      ERROR_CODES.UNKNOWN_PROVIDER,
+      400
+    );
+  }
+
+  if (!selected.isConfigured()) {
+    throw createError(
+      `${REQUIRED_ENV[name]} is not defined in environment variables (needed for ${selected.label} embeddings)`,
+      ERROR_CODES.PROVIDER_NOT_CONFIGURED,
+      500
+    );
+  }
+
+  return {
+    provider: selected,
+    model: String(model || EMBEDDINGS.MODEL || selected.defaultEmbeddingModel).trim()
+  };
+};
+
+const listProviders = () =>
+  Object.values(PROVIDERS).map((provider) => ({
+    name: provider.name,
+    label: provider.label,
+    defaultModel: provider.defaultModel,
+    configured: provider.isConfigured(),
+    default: provider.name === LLM.PROVIDER
+  }));
+
+module.exports = { resolveLlm, resolveEmbedder, listProviders };
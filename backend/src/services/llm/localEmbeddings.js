@@ -0,0 +1,59 @@
+const { tokenize } = require('../../utils/answerSupport');
+
+const DIMENSIONS = 256;
+
+// Question words carry no topic; dropping them lets "How do I..." match "Can I..."
+const IGNORED = new Set([
+  'a', 'an', 'the', 'is', 'are', 'do', 'does', 'can', 'i', 'you', 'we', 'my', 'your',
+  'to', 'of', 'in', 'on', 'for', 'and', 'or', 'what', 'how', 'when', 'where', 'why',
+  'which', 'who', 'there', 'it', 'be', 'with', 'at', 'by', 'any', 'this', 'that'
+]);
+
+// Crude plural and tense folding so "returns", "returned" and "shipping" land on
+// "return" and "ship"
+const stem = (word) => word.replace(/(ing|ed|es|s)$/, '').replace(/([^aeiou])\1$/, '$1') || word;
+
+// 32-bit FNV-1a
+const hash = (text) => {
+  let value = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    value ^= text.charCodeAt(i);
+    value = Math.imul(value, 0x01000193);
+  }
+  return value >>> 0;
+};
+
+/**
+ * Offline embedding: words and word pairs hashed into a fixed-size, L2-normalized
+ * vector. Only lexical overlap is captured, so paraphrases with different wording score
+ * lower than with a real embedding model, but it is deterministic and needs no network.
+ */
+const embedText = (text) => {
+  const words = tokenize(text).filter((word) => !IGNORED.has(word)).map(stem);
+  const features = [...words, ...words.slice(1).map((word, i) => `${words[i]} ${word}`)];
+  const vector = new Array(DIMENSIONS).fill(0);
+
+  features.forEach((feature) => {
+    const value = hash(feature);
+    // The top bit picks the sign so unrelated collisions tend to cancel out
+    vector[value % DIMENSIONS] += value & 0x80000000 ? -1 : 1;
+  });
+
+  const norm = Math.sqrt(vector.reduce((sum, x) => sum + x * x, 0)) || 1;
+  return vector.map((x) => x / norm);
+};
+
+// Embedding-only provider selected with EMBEDDING_PROVIDER=local
+const localEmbeddingProvider = {
+  name: 'local',
+  label: 'Local (offline)',
+  defaultEmbeddingModel: `hashed-${DIMENSIONS}`,
+  isConfigured: () => true,
+  embed: async ({ texts, model }) => ({
+    vectors: texts.map(embedText),
+    model,
+    usage: { promptTokens: 0, completionTokens: 0 }
+  })
+};
+
+module.exports = { localEmbeddingProvider, embedText };
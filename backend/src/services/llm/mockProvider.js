@@ -0,0 +1,173 @@
+const { splitSentences } = require('../../utils/textDiff');
+const { keyTerms } = require('../../utils/answerSupport');
+const { isSimilarQuestion } = require('../../utils/questionMatch');
+const { findSimilarPassages } = require('../../utils/citations');
+const { localEmbeddingProvider } = require('./localEmbeddings');
+
+// Rough token estimate so usage numbers look plausible offline
+const estimateTokens = (text) => Math.ceil(String(text || '').length / 4);
+
+const MIN_SENTENCE_LENGTH = 30;
+
+// Heading of the last section starting before `position` in `text`
+const sectionAt = (text, headings, position) => {
+  let section = null;
+  let cursor = 0;
+  for (const heading of headings) {
+    const index = text.indexOf(heading, cursor);
+    if (index === -1) continue;
+    if (index > position) break;
+    section = heading;
+    cursor = index + heading.length;
+  }
+  return section;
+};
+
+// Category whose name and description share the most word stems with `terms`
+const categoryFor = (terms, categories) => {
+  const stem = (word) => word.slice(0, 5);
+  const stems = new Set(terms.map(stem));
+  const best = categories
+    .map(({ name, description = '' }) => ({
+      name,
+      overlap: keyTerms(`${name} ${description}`).filter((word) => stems.has(stem(word))).length
+    }))
+    .sort((a, b) => b.overlap - a.overlap)[0];
+  return best && best.overlap > 0 ? best.name : null;
+};
+
+// Template phrasings around a question's key terms
+const PHRASINGS = [
+  (terms) => `Can you tell me about ${terms}?`,
+  (terms) => `How does ${terms} work?`,
+  (terms) => `Where can I find information on ${terms}?`,
+  (terms) => `I have a question about ${terms}`,
+  (terms) => `Explain ${terms}`,
+  (terms) => `What should I know about ${terms}?`,
+  (terms) => `Help with ${terms}`,
+  (terms) => `Details on ${terms}?`,
+  (terms) => `Info about ${terms}`,
+  (terms) => terms
+];
+
+const phrasingsOf = (question, count) => {
+  const terms = keyTerms(question).filter((term) => !['content', 'say'].includes(term)).slice(0, 3).join(' ');
+  return terms ? PHRASINGS.slice(0, count).map((phrasing) => phrasing(terms)) : [];
+};
+
+/**
+ * Deterministic FAQs built from the text itself: evenly spaced sentences become the
+ * answers and their key terms the questions, so the same input always yields the same
+ * output and every answer is grounded in the source. Questions similar to `avoid` are
+ * skipped, like a real model told not to repeat them. Categories come from word overlap
+ * with the taxonomy, tags are the question's terms and variants fill templates with them.
+ */
+const mockFaqs = ({ text = '', count = 5, headings = [], categories = [], variants = 0, avoid = [] }) => {
+  const sentences = splitSentences(text)
+    .map((sentence) => sentence.trim())
+    .filter((sentence) => sentence.length >= MIN_SENTENCE_LENGTH);
+
+  // Evenly spaced sentences first, then the ones in between
+  const step = Math.max(Math.floor(sentences.length / count), 1);
+  const order = [];
+  for (let offset = 0; offset < step; offset++) {
+    for (let i = offset; i < sentences.length; i += step) order.push(sentences[i]);
+  }
+
+  const faqs = [];
+  const usedTerms = new Set();
+
+  for (const sentence of order) {
+    if (faqs.length >= count) break;
+
+    // Terms no earlier question used keep the questions distinct
+    const terms = keyTerms(sentence).filter((term) => !usedTerms.has(term)).slice(0, 3);
+    if (terms.length === 0) continue;
+    terms.forEach((term) => usedTerms.add(term));
+
+    const question = `What does the content say about ${terms.join(' ')}?`;
+    if (avoid.some((avoided) => isSimilarQuestion(question, avoided))) continue;
+
+    faqs.push({
+      question,
+      answer: sentence,
+      quotes: [sentence],
+      section: sectionAt(text, headings, text.indexOf(sentence)),
+      category: categoryFor(keyTerms(sentence), categories),
+      tags: terms,
+      ...(variants > 0 ? { variants: phrasingsOf(question, variants) } : {})
+    });
+  }
+
+  return { faqs };
+};
+
+// Rewrites an FAQ by answering with the source sentences closest to it; asking for a
+// shorter answer keeps only the best one
+const mockRefine = ({ question = '', answer = '', text = '', instructions = '' }) => {
+  const limit = /short|brief|concise/i.test(instructions) ? 1 : 2;
+  const passages = findSimilarPassages(text, `${question} ${answer}`, { limit, minOverlap: 0.1 })
+    .map(({ start, end }) => text.slice(start, end));
+  const rewritten = passages.length > 0 ? passages.join(' ') : answer;
+
+  return { faqs: [{ question, answer: rewritten, quotes: passages }] };
+};
+
+const mockVariants = ({ question = '', count = 5 }) => ({ variants: phrasingsOf(question, count) });
+
+const TASKS = {
+  faqs: mockFaqs,
+  refine: mockRefine,
+  variants: mockVariants
+};
+
+const STREAM_PIECE_LENGTH = 40;
+
+const abortError = () => {
+  const error = new Error('Request was aborted.');
+  error.name = 'AbortError';
+  return error;
+};
+
+// Offline provider for tests and demos; callers pass the structured `task` and `input`
+// behind the prompt, which real providers ignore. Its output always matches the schema,
+// so repair requests (`input.repair`) get the same answer as the first request.
+const complete = async ({ prompt, model, signal, onText, task, input = {} }) => {
+  const handler = TASKS[task];
+  if (!handler) {
+    throw new Error(`Mock provider does not support task "${task}"`);
+  }
+
+  const content = JSON.stringify(handler(input));
+
+  // Stream in small pieces, yielding between them so aborts can land mid-response
+  if (onText) {
+    for (let i = 0; i < content.length; i += STREAM_PIECE_LENGTH) {
+      await new Promise((resolve) => setImmediate(resolve));
+      if (signal?.aborted) throw abortError();
+      onText(content.slice(i, i + STREAM_PIECE_LENGTH));
+    }
+  }
+  if (signal?.aborted) throw abortError();
+
+  return {
+    content,
+    model,
+    usage: {
+      promptTokens: estimateTokens(prompt),
+      completionTokens: estimateTokens(content)
+    }
+  };
+};
+
+const mockProvider = {
+  name: 'mock',
+  label: 'Mock',
+  defaultModel: 'mock-1',
+  defaultEmbeddingModel: localEmbeddingProvider.defaultEmbeddingModel,
+  isConfigured: () => true,
+  complete,
+  embed: localEmbeddingProvider.embed
+};
+
+module.exports = { mockProvider };
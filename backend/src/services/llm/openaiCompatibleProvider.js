@@ -0,0 +1,21 @@
+const { createChatCompletionsProvider } = require('./openaiProvider');
+
+// Self-hosted servers with an OpenAI-style API, e.g. Ollama (http://localhost:11434/v1),
+// llama.cpp's llama-server or vLLM
+const openaiCompatibleProvider = createChatCompletionsProvider({
+  name: 'openai-compatible',
+  label: 'OpenAI-compatible endpoint',
+  requiresApiKey: false,
+  getConfig: () => ({
+    apiKey: process.env.OPENAI_COMPATIBLE_API_KEY,
+    baseURL: process.env.OPENAI_COMPATIBLE_BASE_URL,
+    defaultModel: process.env.OPENAI_COMPATIBLE_MODEL || 'llama3.1',
+    embeddingModel: process.env.OPENAI_COMPATIBLE_EMBEDDING_MODEL || 'nomic-embed-text',
+    // Some servers reject response_format; the prompt still asks for JSON
+    jsonMode: process.env.OPENAI_COMPATIBLE_JSON_MODE !== 'false',
+    // JSON schema mode is opt-in: Ollama, vLLM and llama-server support it, older servers do not
+    schemaMode: process.env.OPENAI_COMPATIBLE_JSON_SCHEMA === 'true'
+  })
+});
+
+module.exports = { openaiCompatibleProvider };
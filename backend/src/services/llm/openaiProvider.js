@@ -0,0 +1,155 @@
+const OpenAI = require('openai');
+
+// Streams a completion, passing each text delta to `onText`; usage arrives in the last chunk
+const streamCompletion = async (client, body, { signal, onText }) => {
+  const stream = await client.chat.completions.create({
+    ...body,
+    stream: true,
+    stream_options: { include_usage: true }
+  }, { signal });
+
+  let content = '';
+  let model = body.model;
+  let usage = null;
+
+  for await (const chunk of stream) {
+    const delta = chunk.choices[0]?.delta?.content;
+    if (delta) {
+      content += delta;
+      onText(delta);
+    }
+    if (chunk.model) model = chunk.model;
+    if (chunk.usage) usage = chunk.usage;
+  }
+
+  return {
+    content,
+    model,
+    usage: {
+      promptTokens: usage?.prompt_tokens || 0,
+      completionTokens: usage?.completion_tokens || 0
+    }
+  };
+};
+
+// Strict structured outputs need every property listed as required (optional ones are
+// nullable in our schemas) and reject string length limits, which are checked locally
+const strictSchema = (schema) => {
+  const { minLength, maxLength, ...rest } = schema;
+  if (rest.properties) {
+    rest.properties = Object.fromEntries(
+      Object.entries(rest.properties).map(([key, property]) => [key, strictSchema(property)])
+    );
+    rest.required = Object.keys(rest.properties);
+    rest.additionalProperties = false;
+  }
+  if (rest.items) rest.items = strictSchema(rest.items);
+  return rest;
+};
+
+// JSON schema mode when the endpoint supports it and the request has a schema, else
+// JSON mode, else nothing (the prompt still asks for JSON)
+const responseFormat = (config, schema) => {
+  if (config.jsonMode === false) return {};
+  if (schema && config.schemaMode !== false) {
+    return {
+      response_format: {
+        type: 'json_schema',
+        json_schema: { name: schema.name, schema: strictSchema(schema.schema), strict: true }
+      }
+    };
+  }
+  return { response_format: { type: 'json_object' } };
+};
+
+/**
+ * Builds a provider for any endpoint that speaks the OpenAI chat completions API.
+ * `getConfig()` is read on every call so environment changes apply without a restart
+ * and returns { apiKey, baseURL, defaultModel, embeddingModel, jsonMode, schemaMode }.
+ */
+const createChatCompletionsProvider = ({ name, label, getConfig, requiresApiKey = true }) => {
+  const isConfigured = () => {
+    const config = getConfig();
+    return requiresApiKey ? Boolean(config.apiKey) : Boolean(config.baseURL);
+  };
+
+  const createClient = (config) => new OpenAI({
+    apiKey: config.apiKey || 'not-needed',
+    ...(config.baseURL ? { baseURL: config.baseURL } : {})
+  });
+
+  const complete = async ({ prompt, model, maxTokens, temperature, signal, onText, schema }) => {
+    const config = getConfig();
+    const client = createClient(config);
+
+    const body = {
+      model,
+      messages: [
+        {
+          role: 'user',
+          content: prompt
+        }
+      ],
+      max_tokens: maxTokens,
+      temperature,
+      ...responseFormat(config, schema)
+    };
+
+    if (onText) {
+      return streamCompletion(client, body, { signal, onText });
+    }
+
+    const completion = await client.chat.completions.create(body, { signal });
+
+    return {
+      content: completion.choices[0]?.message?.content || '',
+      model: completion.model || model,
+      usage: {
+        promptTokens: completion.usage?.prompt_tokens || 0,
+        completionTokens: completion.usage?.completion_tokens || 0
+      }
+    };
+  };
+
+  const embed = async ({ texts, model, signal }) => {
+    const client = createClient(getConfig());
+    const response = await client.embeddings.create({ model, input: texts }, { signal });
+
+    return {
+      vectors: [...response.data]
+        .sort((a, b) => a.index - b.index)
+        .map((item) => item.embedding),
+      model: response.model || model,
+      usage: {
+        promptTokens: response.usage?.prompt_tokens || 0,
+        completionTokens: 0
+      }
+    };
+  };
+
+  return {
+    name,
+    label,
+    get defaultModel() {
+      return getConfig().defaultModel;
+    },
+    get defaultEmbeddingModel() {
+      return getConfig().embeddingModel;
+    },
+    isConfigured,
+    complete,
+    embed
+  };
+};
+
+const openaiProvider = createChatCompletionsProvider({
+  name: 'openai',
+  label: 'OpenAI',
+  getConfig: () => ({
+    apiKey: process.env.OPENAI_API_KEY,
+    defaultModel: process.env.OPENAI_MODEL || 'gpt-4o-mini',
+    embeddingModel: process.env.OPENAI_EMBEDDING_MODEL || 'text-embedding-3-small'
+  })
+});
+
+module.exports = { openaiProvider, createChatCompletionsProvider };
@@ -0,0 +1,55 @@
+// USD per million tokens. Dated model names (e.g. "gpt-4o-mini-2024-07-18") match their
+// longest listed prefix. Add or override entries with LLM_PRICING, e.g.
+// LLM_PRICING={"llama3.1":{"input":0,"output":0}}
+const MODEL_PRICES = {
+  'gpt-4o-mini': { input: 0.15, output: 0.6 },
+  'gpt-4o': { input: 2.5, output: 10 },
+  'gpt-4.1-nano': { input: 0.1, output: 0.4 },
+  'gpt-4.1-mini': { input: 0.4, output: 1.6 },
+  'gpt-4.1': { input: 2, output: 8 },
+  'gpt-3.5-turbo': { input: 0.5, output: 1.5 },
+  'text-embedding-3-small': { input: 0.02, output: 0 },
+  'text-embedding-3-large': { input: 0.13, output: 0 },
+  'gemini-2.0-flash-lite': { input: 0.075, output: 0.3 },
+  'gemini-2.0-flash': { input: 0.1, output: 0.4 },
+  'gemini-1.5-flash': { input: 0.075, output: 0.3 },
+  'gemini-1.5-pro': { input: 1.25, output: 5 },
+  'text-embedding-004': { input: 0, output: 0 },
+  'mock-1': { input: 0, output: 0 },
+  'hashed-256': { input: 0, output: 0 }
+};
+
+const readOverrides = () => {
+  if (!process.env.LLM_PRICING) return {};
+  try {
+    return JSON.parse(process.env.LLM_PRICING);
+  } catch (error) {
+    console.warn(`Ignoring LLM_PRICING: ${error.message}`);
+    return {};
+  }
+};
+
+const findPrice = (model) => {
+  const prices = { ...MODEL_PRICES, ...readOverrides() };
+  const name = String(model || '').toLowerCase();
+
+  if (prices[name]) return prices[name];
+
+  const prefix = Object.keys(prices)
+    .filter((key) => name.startsWith(key))
+    .sort((a, b) => b.length - a.length)[0];
+  return prefix ? prices[prefix] : null;
+};
+
+/**
+ * Estimated cost in USD of one call, or null when the model has no known price
+ * (e.g. a self-hosted model without an LLM_PRICING entry).
+ */
+const estimateCost = (model, { promptTokens = 0, completionTokens = 0 } = {}) => {
+  const price = findPrice(model);
+  if (!price) return null;
+
+  return (promptTokens * (price.input || 0) + completionTokens * (price.output || 0)) / 1e6;
+};
+
+module.exports = { estimateCost };
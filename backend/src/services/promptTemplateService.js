@@ -0,0 +1,94 @@
+const mongoose = require('mongoose');
+const PromptTemplate = require('../models/PromptTemplate');
+const { createError } = require('../utils/errors');
+const { ERROR_CODES } = require('../utils/constants');
+
+const ANSWER_LENGTHS = {
+  short: '1-2 sentences',
+  medium: '2-4 sentences',
+  long: '4-6 sentences'
+};
+
+const READING_LEVELS = {
+  simple: 'plain, everyday words and short sentences that a 12-year-old could follow',
+  general: 'clear language for a general adult reader, explaining any jargon',
+  technical: 'precise technical terminology for readers who already know the field'
+};
+
+// What the prompt used before templates existed
+const DEFAULT_STYLE = {
+  tone: 'professional',
+  audience: 'general website visitors',
+  answerLength: 'medium',
+  readingLevel: 'general',
+  language: 'English',
+  instructions: ''
+};
+
+const STYLE_FIELDS = Object.keys(DEFAULT_STYLE);
+
+const MAX_FIELD_LENGTH = 200;
+const MAX_INSTRUCTIONS_LENGTH = 2000;
+
+// Style settings of a template (or of the default prompt when there is none)
+const templateStyle = (template) => {
+  const style = { ...DEFAULT_STYLE };
+  if (template) {
+    STYLE_FIELDS.forEach((field) => {
+      if (template[field]) style[field] = template[field];
+    });
+  }
+  return style;
+};
+
+// Checks the template fields present in a request body; returns an error message or null
+const findTemplateError = (body) => {
+  if (body.answerLength !== undefined && !ANSWER_LENGTHS[body.answerLength]) {
+    return `answerLength must be one of: ${Object.keys(ANSWER_LENGTHS).join(', ')}`;
+  }
+  if (body.readingLevel !== undefined && !READING_LEVELS[body.readingLevel]) {
+    return `readingLevel must be one of: ${Object.keys(READING_LEVELS).join(', ')}`;
+  }
+
+  for (const field of ['name', 'description', 'tone', 'audience', 'language']) {
+    if (body[field] !== undefined && String(body[field]).length > MAX_FIELD_LENGTH) {
+      return `${field} must be at most ${MAX_FIELD_LENGTH} characters`;
+    }
+  }
+  if (body.instructions !== undefined && String(body.instructions).length > MAX_INSTRUCTIONS_LENGTH) {
+    return `instructions must be at most ${MAX_INSTRUCTIONS_LENGTH} characters`;
+  }
+
+  return null;
+};
+
+/**
+ * Loads the template a generation request asked for, or the default template when it
+ * named none. Returns null when there is no default or no database connection (the
+ * built-in style applies); an unknown id is a 404.
+ */
+const resolveTemplate = async (templateId) => {
+  const connected = mongoose.connection.readyState === 1;
+
+  if (!templateId) {
+    return connected ? PromptTemplate.findOne({ isDefault: true }).lean() : null;
+  }
+
+  const template = connected && mongoose.isValidObjectId(templateId)
+    ? await PromptTemplate.findById(templateId).lean()
+    : null;
+
+  if (!template) {
+    throw createError(`Prompt template "${templateId}" not found`, ERROR_CODES.TEMPLATE_NOT_FOUND, 404);
+  }
+  return template;
+};
+
+module.exports = {
+  ANSWER_LENGTHS,
+  READING_LEVELS,
+  DEFAULT_STYLE,
+  templateStyle,
+  findTemplateError,
+  resolveTemplate
+};
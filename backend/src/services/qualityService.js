@@ -0,0 +1,146 @@
+const FAQ = require('../models/FAQ');
+const { splitSentences } = require('../utils/textDiff');
+const { normalizeQuestion } = require('../utils/questionMatch');
+const { QUALITY } = require('../utils/constants');
+
+// Phrases that pad an answer without saying anything
+const FILLER_PHRASES = [
+  'it is important to note',
+  'it should be noted',
+  'it is worth noting',
+  'needless to say',
+  'at the end of the day',
+  'in today\'s world',
+  'as mentioned above',
+  'as previously mentioned',
+  'basically',
+  'essentially',
+  'simply put',
+  'feel free to',
+  'and so on',
+  'and much more',
+  'etc',
+  'various things',
+  'a variety of things',
+  'and other stuff',
+  'some things'
+];
+
+// Points each warning costs, out of 100
+const PENALTIES = {
+  answer_too_short: 25,
+  answer_too_long: 15,
+  hard_to_read: 15,
+  missing_question_mark: 10,
+  repeats_question: 15,
+  filler_phrasing: 10,
+  banned_term: 25
+};
+
+const LINT_RULES = Object.keys(PENALTIES);
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const words = (text) => String(text || '').match(/[A-Za-z0-9'’-]+/g) || [];
+
+// Vowel groups, minus a silent final "e"; good enough for a grade estimate
+const countSyllables = (word) => {
+  const cleaned = word.toLowerCase().replace(/[^a-z]/g, '');
+  if (cleaned.length <= 3) return 1;
+  const groups = cleaned.replace(/(?:[^laeiouy]es|ed|[^laeiouy]e)$/, '').match(/[aeiouy]{1,2}/g);
+  return Math.max(groups ? groups.length : 1, 1);
+};
+
+// Flesch-Kincaid grade level; English-centric, so other languages score roughly
+const readingGrade = (text) => {
+  const wordList = words(text);
+  if (wordList.length === 0) return 0;
+  const sentences = Math.max(splitSentences(String(text)).filter((sentence) => sentence.trim()).length, 1);
+  const syllables = wordList.reduce((sum, word) => sum + countSyllables(word), 0);
+  const grade = 0.39 * (wordList.length / sentences) + 11.8 * (syllables / wordList.length) - 15.59;
+  return Math.round(Math.max(grade, 0) * 10) / 10;
+};
+
+const containsPhrase = (text, phrase) =>
+  new RegExp(`(^|[^a-z0-9])${escapeRegExp(phrase)}([^a-z0-9]|$)`, 'i').test(text);
+
+// The answer restates the question: it contains the question, or its opening sentence
+// is mostly the question's words
+const repeatsQuestion = (question, answer) => {
+  const normalizedQuestion = normalizeQuestion(question);
+  if (normalizedQuestion.split(' ').length < 3) return false;
+  if (normalizeQuestion(answer).includes(normalizedQuestion)) return true;
+
+  const questionWords = new Set(normalizedQuestion.split(' '));
+  const opening = normalizeQuestion(splitSentences(answer)[0] || '').split(' ').filter(Boolean);
+  const shared = opening.filter((word) => questionWords.has(word)).length;
+  return opening.length > 0 && shared / opening.length >= 0.8 && shared / questionWords.size >= 0.8;
+};
+
+/**
+ * Lints one FAQ: answer length, reading grade, a trailing "?", the answer restating the
+ * question, filler phrasing and QUALITY.BANNED_TERMS. Each warning costs its penalty
+ * from a score of 100.
+ * Returns { score, readingGrade, answerWords, warnings: [{ rule, message }], checkedAt }.
+ */
+const scoreFaq = ({ question, answer }) => {
+  const warnings = [];
+  const warn = (rule, message) => warnings.push({ rule, message });
+  const answerWords = words(answer).length;
+  const grade = readingGrade(answer);
+  const text = `${question} ${answer}`;
+
+  if (answerWords < QUALITY.MIN_ANSWER_WORDS) {
+    warn('answer_too_short', `The answer has ${answerWords} words; aim for at least ${QUALITY.MIN_ANSWER_WORDS}`);
+  } else if (answerWords > QUALITY.MAX_ANSWER_WORDS) {
+    warn('answer_too_long', `The answer has ${answerWords} words; aim for at most ${QUALITY.MAX_ANSWER_WORDS}`);
+  }
+  if (grade > QUALITY.MAX_READING_GRADE) {
+    warn('hard_to_read', `The answer reads at grade ${grade}; aim for ${QUALITY.MAX_READING_GRADE} or lower`);
+  }
+  if (!String(question || '').trim().endsWith('?')) {
+    warn('missing_question_mark', 'The question does not end with "?"');
+  }
+  if (repeatsQuestion(question, answer)) {
+    warn('repeats_question', 'The answer repeats the question instead of answering it');
+  }
+
+  const fillers = FILLER_PHRASES.filter((phrase) => containsPhrase(answer, phrase));
+  if (fillers.length > 0) {
+    warn('filler_phrasing', `Vague or filler phrasing: ${fillers.map((phrase) => `"${phrase}"`).join(', ')}`);
+  }
+
+  const banned = QUALITY.BANNED_TERMS.filter((term) => containsPhrase(text, term));
+  if (banned.length > 0) {
+    warn('banned_term', `Uses banned terms: ${banned.map((term) => `"${term}"`).join(', ')}`);
+  }
+
+  const penalty = warnings.reduce((sum, warning) => sum + PENALTIES[warning.rule], 0);
+
+  return {
+    score: Math.max(100 - penalty, 0),
+    readingGrade: grade,
+    answerWords,
+    warnings,
+    checkedAt: new Date()
+  };
+};
+
+// Re-scores every FAQ, e.g. after the banned terms changed. Returns counts.
+const rescoreAllFaqs = async () => {
+  const faqs = await FAQ.find().select('question answer').lean();
+  const scored = faqs.map((faq) => ({ _id: faq._id, quality: scoreFaq(faq) }));
+
+  if (scored.length > 0) {
+    await FAQ.bulkWrite(scored.map(({ _id, quality }) => ({
+      updateOne: { filter: { _id }, update: { $set: { quality } } }
+    })));
+  }
+
+  return {
+    checkedFaqs: scored.length,
+    lowQualityFaqs: scored.filter(({ quality }) => quality.score < QUALITY.LOW_SCORE).length
+  };
+};
+
+module.exports = { LINT_RULES, scoreFaq, readingGrade, rescoreAllFaqs };
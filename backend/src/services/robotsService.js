@@ -0,0 +1,182 @@
+const axios = require('axios');
+const { CRAWLER } = require('../utils/constants');
+const { guardedRequestOptions } = require('../utils/networkGuard');
+
+// Product token of a user agent string, e.g. "faqgeneratorbot" for "FAQGeneratorBot/1.0 (...)"
+const productToken = (agent) => agent.split(/[\/\s]/)[0].toLowerCase();
+
+// Matched against robots.txt User-agent lines
+const BOT_TOKEN = productToken(CRAWLER.USER_AGENT);
+
+const ALLOW_ALL = { groups: [], sitemaps: [] };
+const DISALLOW_ALL = {
+  groups: [{ agents: ['*'], rules: [{ allow: false, path: '/' }], crawlDelay: null }],
+  sitemaps: []
+};
+
+// origin -> { expiresAt, robots: Promise }
+const cache = new Map();
+
+const parseRobotsTxt = (text) => {
+  const groups = [];
+  const sitemaps = [];
+  let current = null;
+  let lastWasAgent = false;
+
+  for (const rawLine of String(text).split(/\r?\n/)) {
+    const line = rawLine.replace(/#.*$/, '').trim();
+    const separator = line.indexOf(':');
+    if (!line || separator === -1) continue;
+
+    const field = line.slice(0, separator).trim().toLowerCase();
+    const value = line.slice(separator + 1).trim();
+
+    if (field === 'user-agent') {
+      // Consecutive User-agent lines share one group
+      if (!current || !lastWasAgent) {
+        current = { agents: [], rules: [], crawlDelay: null };
+        groups.push(current);
+      }
+      current.agents.push(value.toLowerCase());
+      lastWasAgent = true;
+      continue;
+    }
+
+    if (field === 'sitemap') {
+      if (value) sitemaps.push(value);
+      continue;
+    }
+
+    lastWasAgent = false;
+    if (!current) continue;
+
+    if (field === 'allow' || field === 'disallow') {
+      // An empty Disallow means "allow everything" and adds no rule
+      if (value) {
+        current.rules.push({ allow: field === 'allow', path: value });
+      }
+    } else if (field === 'crawl-delay') {
+      const delay = parseFloat(value);
+      if (Number.isFinite(delay) && delay >= 0) {
+        current.crawlDelay = delay;
+      }
+    }
+  }
+
+  return { groups, sitemaps };
+};
+
+// Picks the groups addressed to this bot, falling back to the "*" groups. As RFC 9309
+// asks, a User-agent line matches when its product token equals ours, ignoring case
+const selectGroups = (groups) => {
+  const specific = groups.filter((group) =>
+    group.agents.some((agent) => agent !== '*' && productToken(agent) === BOT_TOKEN)
+  );
+  if (specific.length > 0) return specific;
+
+  return groups.filter((group) => group.agents.includes('*'));
+};
+
+const ruleToRegExp = (path) => {
+  const anchored = path.endsWith('$');
+  const pattern = (anchored ? path.slice(0, -1) : path)
+    .split('*')
+    .map((part) => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*');
+  return new RegExp(`^${pattern}${anchored ? '$' : ''}`);
+};
+
+// Longest matching rule wins; on a tie Allow beats Disallow
+const isPathAllowed = (rules, path) => {
+  let match = null;
+
+  for (const rule of rules) {
+    if (!ruleToRegExp(rule.path).test(path)) continue;
+
+    if (
+      !match ||
+      rule.path.length > match.path.length ||
+      (rule.path.length === match.path.length && rule.allow)
+    ) {
+      match = rule;
+    }
+  }
+
+  return match ? match.allow : true;
+};
+
+// A Crawl-delay above CRAWLER.MAX_CRAWL_DELAY_SECONDS would stall a crawl for minutes or
+// hours inside a request or job, so it is lowered to that maximum
+const capCrawlDelays = (robots, origin) => {
+  robots.groups.forEach((group) => {
+    if (group.crawlDelay !== null && group.crawlDelay > CRAWLER.MAX_CRAWL_DELAY_SECONDS) {
+      console.warn(`${origin}/robots.txt asks for a ${group.crawlDelay}s Crawl-delay; using ${CRAWLER.MAX_CRAWL_DELAY_SECONDS}s`);
+      group.crawlDelay = CRAWLER.MAX_CRAWL_DELAY_SECONDS;
+    }
+  });
+  return robots;
+};
+
+const fetchRobots = async (origin) => {
+  try {
+    const response = await axios.get(`${origin}/robots.txt`, {
+      headers: { 'User-Agent': CRAWLER.USER_AGENT },
+      timeout: 10000,
+      maxRedirects: 5,
+      responseType: 'text',
+      validateStatus: () => true,
+      ...guardedRequestOptions()
+    });
+
+    if (response.status >= 200 && response.status < 300) {
+      return capCrawlDelays(parseRobotsTxt(response.data), origin);
+    }
+
+    // No robots.txt (4xx) means no restrictions; a failing server (5xx) means stay out for now
+    return response.status >= 500 ? DISALLOW_ALL : ALLOW_ALL;
+  } catch (error) {
+    // Unreachable host: let the page request itself surface the network error
+    return null;
+  }
+};
+
+const getRobots = async (origin) => {
+  let cached = cache.get(origin);
+  if (!cached || cached.expiresAt <= Date.now()) {
+    cached = { expiresAt: Date.now() + CRAWLER.ROBOTS_CACHE_TTL_MS, robots: fetchRobots(origin) };
+    cache.set(origin, cached);
+  }
+
+  const robots = await cached.robots;
+  if (robots === null) {
+    // Don't remember an unreachable host; try again on the next request
+    if (cache.get(origin) === cached) cache.delete(origin);
+    return ALLOW_ALL;
+  }
+  return robots;
+};
+
+/**
+ * Checks a URL against its host's robots.txt.
+ * Resolves to { allowed, crawlDelay (seconds or null), sitemaps }.
+ */
+const checkRobots = async (url) => {
+  const parsed = new URL(url);
+
+  if (parsed.pathname === '/robots.txt') {
+    return { allowed: true, crawlDelay: null, sitemaps: [] };
+  }
+
+  const robots = await getRobots(parsed.origin);
+  const groups = selectGroups(robots.groups);
+  const rules = groups.flatMap((group) => group.rules);
+  const delays = groups.map((group) => group.crawlDelay).filter((delay) => delay !== null);
+
+  return {
+    allowed: isPathAllowed(rules, `${parsed.pathname}${parsed.search}`),
+    crawlDelay: delays.length > 0 ? Math.max(...delays) : null,
+    sitemaps: robots.sitemaps
+  };
+};
+
+module.exports = { checkRobots };
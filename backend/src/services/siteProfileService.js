@@ -0,0 +1,165 @@
+const mongoose = require('mongoose');
+const SiteProfile = require('../models/SiteProfile');
+const { candidateDomains } = require('./domainRuleService');
+const { encryptJson, decryptJson } = require('../utils/secretBox');
+
+const CACHE_TTL_MS = 60 * 1000;
+
+const CREDENTIAL_FIELDS = ['cookies', 'basicAuth', 'bearerToken', 'headers'];
+
+// Headers the HTTP client manages itself
+const RESERVED_HEADERS = ['host', 'content-length', 'transfer-encoding', 'connection'];
+
+const HEADER_NAME = /^[!#$%&'*+.^_`|~0-9A-Za-z-]+$/;
+
+// host -> { expiresAt, profile }
+const cache = new Map();
+
+const hasLineBreak = (value) => /[\r\n]/.test(value);
+
+// Accepts "a=1; b=2", an array of "name=value" strings or an object of name -> value
+const parseCookies = (value) => {
+  if (Array.isArray(value)) return value.map((cookie) => String(cookie).trim()).filter(Boolean).join('; ');
+  if (value && typeof value === 'object') {
+    return Object.entries(value).map(([name, cookie]) => `${name}=${cookie}`).join('; ');
+  }
+  return String(value).trim();
+};
+
+// Validates one credential field from a request body; returns [value, error]
+const parseField = (field, value) => {
+  if (field === 'cookies') {
+    const cookies = parseCookies(value);
+    if (!cookies) return [null, 'cookies cannot be empty'];
+    if (hasLineBreak(cookies)) return [null, 'cookies cannot contain line breaks'];
+    return [cookies, null];
+  }
+
+  if (field === 'basicAuth') {
+    const username = typeof value?.username === 'string' ? value.username : '';
+    const password = typeof value?.password === 'string' ? value.password : '';
+    if (!username) return [null, 'basicAuth.username is required'];
+    if (username.includes(':')) return [null, 'basicAuth.username cannot contain ":"'];
+    if (hasLineBreak(username) || hasLineBreak(password)) return [null, 'basicAuth cannot contain line breaks'];
+    return [{ username, password }, null];
+  }
+
+  if (field === 'bearerToken') {
+    const token = String(value).trim().replace(/^Bearer\s+/i, '');
+    if (!token) return [null, 'bearerToken cannot be empty'];
+    if (hasLineBreak(token)) return [null, 'bearerToken cannot contain line breaks'];
+    return [token, null];
+  }
+
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    return [null, 'headers must be an object of header name to value'];
+  }
+  const headers = {};
+  for (const [name, headerValue] of Object.entries(value)) {
+    if (!HEADER_NAME.test(name)) return [null, `Invalid header name "${name}"`];
+    if (RESERVED_HEADERS.includes(name.toLowerCase())) return [null, `The ${name} header cannot be overridden`];
+    if (hasLineBreak(String(headerValue))) return [null, `Header ${name} cannot contain line breaks`];
+    headers[name] = String(headerValue);
+  }
+  if (Object.keys(headers).length === 0) return [null, 'headers cannot be empty'];
+  return [headers, null];
+};
+
+/**
+ * Applies the credential fields present in a request body to `current` (decrypted
+ * credentials). A field set to null or "" removes it; an absent field is kept.
+ * Returns { credentials, error }.
+ */
+const mergeCredentials = (current, body) => {
+  const credentials = { ...current };
+
+  for (const field of CREDENTIAL_FIELDS) {
+    if (body[field] === undefined) continue;
+
+    if (body[field] === null || body[field] === '') {
+      delete credentials[field];
+      continue;
+    }
+
+    const [value, error] = parseField(field, body[field]);
+    if (error) return { credentials: null, error };
+    credentials[field] = value;
+  }
+
+  if (credentials.basicAuth && credentials.bearerToken) {
+    return { credentials: null, error: 'Use either basicAuth or bearerToken, not both' };
+  }
+
+  return { credentials, error: null };
+};
+
+// Encrypts credentials onto a profile document along with their non-secret summary
+const setCredentials = (profile, credentials) => {
+  profile.credentialTypes = CREDENTIAL_FIELDS.filter((field) => credentials[field]);
+  profile.headerNames = Object.keys(credentials.headers || {});
+  profile.encryptedCredentials = encryptJson(credentials);
+};
+
+const readCredentials = (profile) =>
+  profile.encryptedCredentials ? decryptJson(profile.encryptedCredentials) : {};
+
+// Request headers carrying a profile's credentials
+const buildAuthHeaders = (credentials) => {
+  const headers = { ...(credentials.headers || {}) };
+
+  if (credentials.cookies) {
+    headers.Cookie = credentials.cookies;
+  }
+  if (credentials.basicAuth) {
+    const { username, password } = credentials.basicAuth;
+    headers.Authorization = `Basic ${Buffer.from(`${username}:${password}`).toString('base64')}`;
+  }
+  if (credentials.bearerToken) {
+    headers.Authorization = `Bearer ${credentials.bearerToken}`;
+  }
+
+  return headers;
+};
+
+/**
+ * Finds the most specific profile for a URL's host (exact host before parent domains).
+ * Returns null without touching the database when it is not connected, so the
+ * crawler keeps working standalone.
+ */
+const findProfileForUrl = async (url) => {
+  if (mongoose.connection.readyState !== 1) {
+    return null;
+  }
+
+  const host = new URL(url).hostname;
+  const cached = cache.get(host);
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.profile;
+  }
+
+  const profiles = await SiteProfile.find({ domain: { $in: candidateDomains(host) } })
+    .select('+encryptedCredentials')
+    .lean();
+  const profile = profiles.sort((a, b) => b.domain.length - a.domain.length)[0] || null;
+
+  cache.set(host, { expiresAt: Date.now() + CACHE_TTL_MS, profile });
+  return profile;
+};
+
+// Headers to authenticate a crawler request to `url`, or {} when no profile matches
+const getAuthHeaders = async (url) => {
+  const profile = await findProfileForUrl(url);
+  return profile ? buildAuthHeaders(readCredentials(profile)) : {};
+};
+
+const clearProfileCache = () => cache.clear();
+
+module.exports = {
+  mergeCredentials,
+  setCredentials,
+  readCredentials,
+  buildAuthHeaders,
+  findProfileForUrl,
+  getAuthHeaders,
+  clearProfileCache
+};
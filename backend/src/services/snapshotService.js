@@ -0,0 +1,122 @@
+const crypto = require('crypto');
+const CrawledPage = require('../models/CrawledPage');
+const { crawlWebsite, normalizeUrl, hasEnoughContent } = require('./crawlerService');
+
+const hashContent = (text) =>
+  crypto.createHash('sha256').update(String(text || '')).digest('hex');
+
+const getLatestSnapshot = (url) =>
+  CrawledPage.findOne({ url }).sort({ version: -1, createdAt: -1 });
+
+// Marks the latest snapshot as checked, refreshing its cache validators when the server sent new ones
+const touchSnapshot = async (page, { etag, lastModified } = {}) => {
+  page.lastCheckedAt = new Date();
+  if (etag) page.etag = etag;
+  if (lastModified) page.lastModified = lastModified;
+  await page.save();
+  return page;
+};
+
+// Tries to save a new version when a concurrent crawl took the version number first
+const MAX_VERSION_ATTEMPTS = 3;
+
+/**
+ * Stores crawled content as a new CrawledPage version unless its cleaned text
+ * hashes the same as the latest version, in which case that version is reused.
+ * Resolves to { page, changed }.
+ */
+const recordSnapshot = async (content) => {
+  const contentHash = hashContent(content.cleanedText);
+  const etag = content.metadata?.etag || null;
+  const lastModified = content.metadata?.lastModified || null;
+
+  for (let attempt = 1; ; attempt++) {
+    const latest = await getLatestSnapshot(content.url);
+
+    // Records saved before versioning have no hash yet
+    if (latest && (latest.contentHash || hashContent(latest.cleanedText)) === contentHash) {
+      if (!latest.contentHash) latest.contentHash = contentHash;
+      if (content.structuredFaqs) latest.structuredFaqs = content.structuredFaqs;
+      if (content.outline) latest.outline = content.outline;
+      if (content.title) latest.title = content.title;
+      if (content.links) latest.links = content.links;
+      return { page: await touchSnapshot(latest, { etag, lastModified }), changed: false };
+    }
+
+    const page = new CrawledPage({
+      url: content.url,
+      version: latest ? (latest.version || 1) + 1 : 1,
+      contentHash,
+      etag,
+      lastModified,
+      title: content.title || null,
+      links: content.links,
+      rawText: content.rawText,
+      cleanedText: content.cleanedText,
+      outline: content.outline || [],
+      structuredFaqs: content.structuredFaqs || []
+    });
+
+    try {
+      await page.save();
+      return { page, changed: true };
+    } catch (error) {
+      // Duplicate url + version: re-read the latest version and try again
+      if (error.code !== 11000 || attempt >= MAX_VERSION_ATTEMPTS) throw error;
+    }
+  }
+};
+
+/**
+ * Re-crawls a page using the latest snapshot's ETag / Last-Modified and records
+ * a new version only if the content changed. `force` skips the conditional headers.
+ * Resolves to { content, page, changed, notModified }; `content` is null when the
+ * server answered 304 and `page` is null when the page has too little text to keep.
+ */
+const snapshotPage = async (url, { force = false } = {}) => {
+  const validUrl = normalizeUrl(url);
+  const latest = await getLatestSnapshot(validUrl);
+
+  const content = await crawlWebsite(
+    validUrl,
+    latest && !force ? { etag: latest.etag, lastModified: latest.lastModified } : {}
+  );
+
+  if (content.notModified) {
+    return { content: null, page: await touchSnapshot(latest), changed: false, notModified: true };
+  }
+
+  if (!hasEnoughContent(content)) {
+    return { content, page: null, changed: false, notModified: false };
+  }
+
+  const { page, changed } = await recordSnapshot(content);
+  return { content, page, changed, notModified: false };
+};
+
+// Version metadata for a URL, newest first, without the (large) page text
+const listVersions = (url) =>
+  CrawledPage.aggregate([
+    { $match: { url } },
+    { $sort: { version: -1, createdAt: -1 } },
+    {
+      $project: {
+        url: 1,
+        version: 1,
+        contentHash: 1,
+        etag: 1,
+        lastModified: 1,
+        createdAt: 1,
+        lastCheckedAt: 1,
+        textLength: { $strLenCP: '$cleanedText' }
+      }
+    }
+  ]);
+
+module.exports = {
+  hashContent,
+  getLatestSnapshot,
+  recordSnapshot,
+  snapshotPage,
+  listVersions
+};
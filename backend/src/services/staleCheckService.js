@@ -0,0 +1,107 @@
+const FAQ = require('../models/FAQ');
+const CrawledPage = require('../models/CrawledPage');
+const { snapshotPage } = require('./snapshotService');
+const { scoreAnswerSupport } = require('../utils/answerSupport');
+const { STALE_CHECK } = require('../utils/constants');
+
+// Site FAQs keep the seed URL as sourceUrl and cite snapshots of the pages they came from
+const SITE_FAQ = { crawledPage: null, 'citations.crawledPage': { $ne: null } };
+
+const isSiteFaq = (faq) => !faq.crawledPage && faq.citations.some((citation) => citation.crawledPage);
+
+// Snapshot of `url` an FAQ was generated from; older FAQs fall back to the version current when they were created
+const findBaselineSnapshot = async (faq, url) => {
+  const cited = faq.crawledPage ? null : faq.citations.find((citation) => citation.url === url && citation.crawledPage);
+  const pageId = faq.crawledPage || cited?.crawledPage;
+  if (pageId) {
+    const page = await CrawledPage.findById(pageId);
+    if (page) return page;
+  }
+
+  return (
+    (await CrawledPage.findOne({ url, createdAt: { $lte: faq.createdAt } })
+      .sort({ version: -1, createdAt: -1 })) ||
+    CrawledPage.findOne({ url }).sort({ version: 1, createdAt: 1 })
+  );
+};
+
+// Flags the FAQs generated from one page whose baseline snapshot differs from the freshly crawled one
+const checkUrl = async (url) => {
+  const { page: latest } = await snapshotPage(url);
+
+  if (!latest) {
+    return { url, changed: true, flagged: 0, error: 'Page no longer has enough readable content' };
+  }
+
+  const faqs = await FAQ.find({
+    needsReview: false,
+    sourceType: { $ne: 'document' },
+    $or: [{ sourceUrl: url, $nor: [SITE_FAQ] }, { ...SITE_FAQ, 'citations.url': url }]
+  });
+  let flagged = 0;
+
+  for (const faq of faqs) {
+    const baseline = await findBaselineSnapshot(faq, url);
+    if (!baseline || baseline.contentHash === latest.contentHash || baseline._id.equals(latest._id)) {
+      continue;
+    }
+
+    const before = scoreAnswerSupport(faq.answer, baseline.cleanedText);
+    const after = scoreAnswerSupport(faq.answer, latest.cleanedText);
+    const answerSupported =
+      after.score >= Math.min(STALE_CHECK.SUPPORT_THRESHOLD, before.score) &&
+      after.missingNumbers.length <= before.missingNumbers.length;
+
+    faq.needsReview = true;
+    faq.staleInfo = {
+      reason: answerSupported
+        ? 'Source page changed since this FAQ was generated'
+        : 'Source page changed and no longer supports this answer',
+      url,
+      answerSupported,
+      supportScore: after.score,
+      // Only report terms that disappeared with the change
+      missingTerms: after.missingTerms.filter((term) => !before.missingTerms.includes(term)),
+      sourceVersion: baseline.version,
+      latestVersion: latest.version,
+      latestPage: latest._id,
+      flaggedAt: new Date()
+    };
+    await faq.save();
+    flagged++;
+  }
+
+  return { url, changed: flagged > 0, flagged };
+};
+
+/**
+ * Re-crawls every page that published FAQs were generated from (for site FAQs, each
+ * page they cite) and marks FAQs generated from an older version of a page as needing review.
+ */
+const runStaleCheck = async () => {
+  const published = { status: 'published', sourceType: { $ne: 'document' } };
+  const [pageUrls, citedUrls] = await Promise.all([
+    FAQ.distinct('sourceUrl', { ...published, $nor: [SITE_FAQ] }),
+    FAQ.distinct('citations.url', { ...published, ...SITE_FAQ })
+  ]);
+  const urls = [...new Set([...pageUrls, ...citedUrls.filter(Boolean)])];
+  const results = [];
+
+  for (const url of urls) {
+    try {
+      results.push(await checkUrl(url));
+    } catch (error) {
+      results.push({ url, changed: false, flagged: 0, error: error.message });
+    }
+  }
+
+  return {
+    checkedUrls: urls.length,
+    changedUrls: results.filter((result) => result.changed).length,
+    flaggedFaqs: results.reduce((total, result) => total + result.flagged, 0),
+    results,
+    checkedAt: new Date().toISOString()
+  };
+};
+
+module.exports = { runStaleCheck, isSiteFaq };
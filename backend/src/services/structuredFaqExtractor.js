@@ -0,0 +1,168 @@
+const cheerio = require('cheerio');
+const { normalizeQuestion } = require('../utils/questionMatch');
+
+const QUESTION_START = /^(what|how|why|when|where|who|whom|whose|which|can|could|do|does|did|is|are|was|were|will|would|should|shall|may|might|have|has|am|if)\b/i;
+
+const MAX_ANSWER_LENGTH = 5000;
+
+const squash = (text) => String(text || '').replace(/\s+/g, ' ').trim();
+
+// JSON-LD answers may contain HTML markup
+const htmlToText = (value) => squash(cheerio.load(`<div>${value || ''}</div>`)('div').text());
+
+const looksLikeQuestion = (text) => text.endsWith('?') || QUESTION_START.test(text);
+
+const asArray = (value) => (Array.isArray(value) ? value : value ? [value] : []);
+
+const hasType = (node, type) => asArray(node && node['@type']).some((t) => String(t).endsWith(type));
+
+const fromJsonLd = ($) => {
+  const faqs = [];
+
+  const visit = (node) => {
+    if (!node || typeof node !== 'object') return;
+    if (Array.isArray(node)) {
+      node.forEach(visit);
+      return;
+    }
+
+    if (hasType(node, 'FAQPage')) {
+      asArray(node.mainEntity).forEach((entity) => {
+        if (!hasType(entity, 'Question')) return;
+        const answer = asArray(entity.acceptedAnswer)[0] || asArray(entity.suggestedAnswer)[0];
+        faqs.push({
+          question: htmlToText(entity.name || entity.text),
+          answer: htmlToText(answer && (answer.text || answer.name)),
+          source: 'json-ld'
+        });
+      });
+    }
+
+    Object.values(node).forEach((value) => {
+      if (value && typeof value === 'object') visit(value);
+    });
+  };
+
+  $('script[type="application/ld+json"]').each((_, element) => {
+    try {
+      visit(JSON.parse($(element).contents().text()));
+    } catch (error) {
+      // Ignore malformed JSON-LD blocks
+    }
+  });
+
+  return faqs;
+};
+
+const fromMicrodata = ($) => {
+  const faqs = [];
+
+  $('[itemtype*="schema.org/Question"]').each((_, element) => {
+    const $question = $(element);
+    const name = $question.find('[itemprop="name"]').first();
+    const answer = $question.find('[itemprop="acceptedAnswer"] [itemprop="text"], [itemprop="acceptedAnswer"][itemprop="text"]').first();
+
+    faqs.push({
+      question: squash(name.attr('content') || name.text()),
+      answer: squash(answer.attr('content') || answer.text()),
+      source: 'microdata'
+    });
+  });
+
+  return faqs;
+};
+
+const fromDetails = ($) => {
+  const faqs = [];
+
+  $('details').each((_, element) => {
+    const summary = $(element).children('summary').first();
+    const question = squash(summary.text());
+    if (!question || !looksLikeQuestion(question)) return;
+
+    const answer = $(element).clone();
+    answer.children('summary').remove();
+
+    faqs.push({ question, answer: squash(answer.text()), source: 'details' });
+  });
+
+  return faqs;
+};
+
+const fromDefinitionLists = ($) => {
+  const faqs = [];
+
+  $('dl').each((_, list) => {
+    $(list).children('dt').each((_, term) => {
+      const question = squash($(term).text());
+      if (!question || !looksLikeQuestion(question)) return;
+
+      const answers = [];
+      let next = $(term).next();
+      while (next.length > 0 && next.is('dd')) {
+        answers.push(squash(next.text()));
+        next = next.next();
+      }
+
+      faqs.push({ question, answer: answers.join(' '), source: 'definition-list' });
+    });
+  });
+
+  return faqs;
+};
+
+// Accordion widgets in FAQ sections: a question heading or toggle followed by its answer panel
+const fromAccordions = ($) => {
+  const faqs = [];
+
+  $('[class*="faq" i], [id*="faq" i], [class*="accordion" i]').find('h2, h3, h4, h5, h6, button, [role="button"]').each((_, element) => {
+    const question = squash($(element).text());
+    if (!question || !looksLikeQuestion(question)) return;
+
+    const answers = [];
+    let next = $(element).next();
+    while (next.length > 0 && !next.is('h2, h3, h4, h5, h6, button, [role="button"]')) {
+      answers.push(squash(next.text()));
+      next = next.next();
+    }
+
+    // Toggle buttons usually sit in a header element whose sibling is the panel
+    if (answers.length === 0) {
+      const panel = $(element).parent().next();
+      if (panel.length > 0) answers.push(squash(panel.text()));
+    }
+
+    faqs.push({ question, answer: answers.join(' '), source: 'accordion' });
+  });
+
+  return faqs;
+};
+
+/**
+ * Finds Q&A pairs the page already publishes, in order of reliability:
+ * JSON-LD FAQPage, microdata, <details>/<summary>, <dl> and FAQ accordions.
+ * Must run before scripts are stripped from the document.
+ * Returns [{ question, answer, source }] without duplicate questions.
+ */
+const extractStructuredFaqs = ($) => {
+  const seen = new Set();
+
+  return [
+    ...fromJsonLd($),
+    ...fromMicrodata($),
+    ...fromDetails($),
+    ...fromDefinitionLists($),
+    ...fromAccordions($)
+  ].filter((faq) => {
+    if (!faq.question || !faq.answer) return false;
+
+    const key = normalizeQuestion(faq.question);
+    if (seen.has(key)) return false;
+    seen.add(key);
+
+    faq.answer = faq.answer.slice(0, MAX_ANSWER_LENGTH);
+    return true;
+  });
+};
+
+module.exports = { extractStructuredFaqs };
@@ -0,0 +1,150 @@
+const { validateSchema } = require('../utils/jsonSchema');
+
+const nonEmptyString = { type: 'string', minLength: 1 };
+const optionalString = { type: ['string', 'null'] };
+const optionalStringList = { type: ['array', 'null'], items: { type: 'string' } };
+
+// Longest excerpt of a rejected item quoted back to the model in a repair prompt
+const MAX_ITEM_PREVIEW = 500;
+
+/**
+ * Expected output of the faqs and refine tasks: { "faqs": [...] }. Only question and
+ * answer are required; the other fields allow null so strict schema modes, which make
+ * every property required, can leave them empty. `variants` adds the variants array.
+ * Outputs are { name, itemsKey, minItems, schema }: the response is an object whose
+ * `itemsKey` array holds the items, and fewer than `minItems` valid ones get repaired.
+ */
+const faqsOutput = ({ variants = false } = {}) => ({
+  name: 'faqs',
+  itemsKey: 'faqs',
+  minItems: 1,
+  schema: {
+    type: 'object',
+    properties: {
+      faqs: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            question: nonEmptyString,
+            answer: nonEmptyString,
+            section: optionalString,
+            category: optionalString,
+            tags: optionalStringList,
+            quotes: optionalStringList,
+            ...(variants ? { variants: optionalStringList } : {})
+          },
+          required: ['question', 'answer'],
+          additionalProperties: false
+        }
+      }
+    },
+    required: ['faqs'],
+    additionalProperties: false
+  }
+});
+
+// Expected output of the variants task: { "variants": [...] } with `minItems` phrasings,
+// `count` of them when the first response falls short
+const variantsOutput = ({ minItems, count }) => ({
+  name: 'variants',
+  itemsKey: 'variants',
+  minItems,
+  targetItems: count,
+  schema: {
+    type: 'object',
+    properties: {
+      variants: { type: 'array', items: nonEmptyString }
+    },
+    required: ['variants'],
+    additionalProperties: false
+  }
+});
+
+const trimStrings = (value) => {
+  if (typeof value === 'string') return value.trim();
+  if (Array.isArray(value)) return value.map(trimStrings);
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, entry]) => [key, trimStrings(entry)]));
+  }
+  return value;
+};
+
+/**
+ * Parses a model response against an output and splits its items into valid and rejected
+ * ones. Markdown fences around the JSON are tolerated and strings are trimmed before
+ * validation. Returns { items, rejected: [{ index, item, reasons }], error }, where
+ * `error` says why the response as a whole is unusable (there are no items then).
+ */
+const parseStructured = (content, { itemsKey, schema }) => {
+  if (!content || !content.trim()) {
+    return { items: [], rejected: [], error: 'The response was empty' };
+  }
+
+  let parsed;
+  try {
+    parsed = JSON.parse(content.replace(/```(?:json)?/g, '').trim());
+  } catch (error) {
+    return { items: [], rejected: [], error: `The response is not valid JSON (${error.message})` };
+  }
+
+  if (!parsed || typeof parsed !== 'object' || !Array.isArray(parsed[itemsKey])) {
+    return { items: [], rejected: [], error: `The response must be a JSON object with a "${itemsKey}" array` };
+  }
+
+  const itemSchema = schema.properties[itemsKey].items;
+  const items = [];
+  const rejected = [];
+
+  parsed[itemsKey].map(trimStrings).forEach((item, index) => {
+    const reasons = validateSchema(item, itemSchema);
+    if (reasons.length === 0) {
+      items.push(item);
+    } else {
+      rejected.push({ index, item, reasons });
+    }
+  });
+
+  return { items, rejected, error: null };
+};
+
+/**
+ * Follow-up to `prompt` asking the model to fix its previous response: all of it when it
+ * was unusable (`error`), else only corrected versions of the `rejected` items plus
+ * `missing` new ones.
+ */
+const buildRepairPrompt = (prompt, { itemsKey }, { error, rejected = [], missing = 0 }) => {
+  if (error) {
+    return `${prompt}
+
+Your previous response was rejected: ${error}.
+Return the complete response again as a single JSON object in the format above.`;
+  }
+
+  const requested = [
+    rejected.length > 0 ? `corrected versions of the ${rejected.length} rejected items below` : null,
+    missing > 0 ? `${missing} new items` : null
+  ].filter(Boolean).join(' and ');
+
+  const rejectedSection = rejected.length > 0
+    ? `\nRejected items:\n${rejected.map(({ item, reasons }, i) =>
+      `${i + 1}. ${JSON.stringify(item).slice(0, MAX_ITEM_PREVIEW)}\n   Problems: ${reasons.join('; ')}`
+    ).join('\n')}\n`
+    : '';
+
+  return `${prompt}
+
+Your previous response ${rejected.length > 0 ? 'had items that do not match the required format' : 'had too few usable items'}.
+Return a JSON object whose "${itemsKey}" array holds only ${requested}, in the format above. This replaces the number of items asked for above; do not repeat the items that were accepted.
+${rejectedSection}`;
+};
+
+// Short account of rejections for error messages, e.g. "item 2: answer is required"
+const describeRejections = (rejected, limit = 3) =>
+  [...new Set(rejected.map(({ index, reasons }) =>
+    (index === null ? reasons.join('; ') : `item ${index + 1}: ${reasons.join('; ')}`)
+  ))]
+    .slice(0, limit)
+    .join(' | ');
+
+module.exports = { faqsOutput, variantsOutput, parseStructured, buildRepairPrompt, describeRejections };
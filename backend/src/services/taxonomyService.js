@@ -0,0 +1,60 @@
+const mongoose = require('mongoose');
+const Taxonomy = require('../models/Taxonomy');
+const { domainOf, candidateDomains } = require('./domainRuleService');
+const { TAXONOMY } = require('../utils/constants');
+
+const DEFAULT_PROJECT = 'default';
+
+const plainCategories = (categories) =>
+  categories.map(({ name, description }) => ({ name, description: description || '' }));
+
+/**
+ * Categories for FAQs of a source: the taxonomy of its domain or the closest parent
+ * domain with one, else the "default" taxonomy, else TAXONOMY.DEFAULT_CATEGORIES.
+ * Returns the built-in list without touching the database when it is not connected.
+ */
+const categoriesFor = async (sourceUrl) => {
+  if (mongoose.connection.readyState !== 1) {
+    return TAXONOMY.DEFAULT_CATEGORIES;
+  }
+
+  const domain = domainOf(sourceUrl);
+  const projects = [...(domain ? candidateDomains(domain) : []), DEFAULT_PROJECT];
+  const taxonomies = await Taxonomy.find({ project: { $in: projects } }).lean();
+  const taxonomy = projects
+    .map((project) => taxonomies.find((entry) => entry.project === project))
+    .find((entry) => entry && entry.categories.length > 0);
+
+  return taxonomy ? plainCategories(taxonomy.categories) : TAXONOMY.DEFAULT_CATEGORIES;
+};
+
+// The taxonomy's spelling of `value` (matched case-insensitively), or null
+const normalizeCategory = (value, categories) => {
+  const wanted = typeof value === 'string' ? value.trim().toLowerCase() : '';
+  const match = wanted && categories.find(({ name }) => name.toLowerCase() === wanted);
+  return match ? match.name : null;
+};
+
+// Category for a generated FAQ: the model's pick when it is in the taxonomy, else the
+// fallback category when the taxonomy has one
+const assignCategory = (value, categories) =>
+  normalizeCategory(value, categories) || normalizeCategory(TAXONOMY.FALLBACK_CATEGORY, categories);
+
+// Accepts an array or a comma separated string; returns up to TAXONOMY.MAX_TAGS distinct
+// lowercase tags
+const normalizeTags = (value) => {
+  const list = Array.isArray(value) ? value : String(value || '').split(',');
+  const tags = list
+    .filter((tag) => typeof tag === 'string')
+    .map((tag) => tag.trim().replace(/^#/, '').replace(/\s+/g, ' ').toLowerCase())
+    .filter((tag) => tag && tag.length <= TAXONOMY.MAX_TAG_LENGTH);
+  return [...new Set(tags)].slice(0, TAXONOMY.MAX_TAGS);
+};
+
+module.exports = {
+  DEFAULT_PROJECT,
+  categoriesFor,
+  normalizeCategory,
+  assignCategory,
+  normalizeTags
+};
@@ -0,0 +1,163 @@
+const mongoose = require('mongoose');
+const LlmUsage = require('../models/LlmUsage');
+const UsageBudget = require('../models/UsageBudget');
+const { estimateCost } = require('./llm/pricing');
+const { domainOf, candidateDomains } = require('./domainRuleService');
+const { createError } = require('../utils/errors');
+const { ERROR_CODES } = require('../utils/constants');
+
+const GLOBAL_SCOPE = 'global';
+
+const GROUP_KEYS = {
+  day: { $dateToString: { format: '%Y-%m-%d', date: '$createdAt' } },
+  source: { $ifNull: ['$domain', { $ifNull: ['$sourceUrl', 'unknown'] }] },
+  model: { $concat: ['$provider', '/', '$model'] }
+};
+
+const isConnected = () => mongoose.connection.readyState === 1;
+
+const startOfMonth = (date = new Date()) =>
+  new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), 1));
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Usage documents a budget scope covers: everything, or a domain and its subdomains
+const scopeFilter = (scope) =>
+  scope === GLOBAL_SCOPE ? {} : { domain: new RegExp(`(^|\\.)${escapeRegExp(scope)}$`) };
+
+/**
+ * Stores one LLM call. Never throws: accounting must not break generation, and nothing
+ * is stored without a database connection.
+ */
+const recordLlmCall = async ({ provider, model, task, usage, latencyMs, sourceUrl, error }) => {
+  if (!isConnected()) return null;
+
+  const promptTokens = usage?.promptTokens || 0;
+  const completionTokens = usage?.completionTokens || 0;
+
+  try {
+    return await LlmUsage.create({
+      provider,
+      model,
+      task,
+      promptTokens,
+      completionTokens,
+      totalTokens: promptTokens + completionTokens,
+      cost: error ? 0 : estimateCost(model, { promptTokens, completionTokens }),
+      latencyMs,
+      sourceUrl: sourceUrl || null,
+      domain: sourceUrl ? domainOf(sourceUrl) : null,
+      status: error ? 'error' : 'success',
+      error: error ? String(error.message || error).slice(0, 500) : null
+    });
+  } catch (recordError) {
+    console.error('Failed to record LLM usage:', recordError.message);
+    return null;
+  }
+};
+
+// Tokens and cost used in the current calendar month (UTC) within a budget scope
+const monthlyUsage = async (scope) => {
+  const [totals] = await LlmUsage.aggregate([
+    { $match: { ...scopeFilter(scope), createdAt: { $gte: startOfMonth() } } },
+    { $group: { _id: null, tokens: { $sum: '$totalTokens' }, cost: { $sum: { $ifNull: ['$cost', 0] } } } }
+  ]);
+  return { tokens: totals?.tokens || 0, cost: totals?.cost || 0 };
+};
+
+const budgetStatus = async (budget) => ({
+  ...budget,
+  used: await monthlyUsage(budget.scope),
+  periodStart: startOfMonth()
+});
+
+/**
+ * Throws BUDGET_EXCEEDED (402) when the global budget or a budget for the source's domain
+ * (or a parent domain) is used up for this month. Checked before generation starts, so
+ * a single generation can overshoot a budget by its own usage.
+ */
+const assertWithinBudget = async (sourceUrl) => {
+  if (!isConnected()) return;
+
+  const domain = sourceUrl ? domainOf(sourceUrl) : null;
+  const scopes = [GLOBAL_SCOPE, ...(domain ? candidateDomains(domain) : [])];
+  const budgets = await UsageBudget.find({ scope: { $in: scopes } }).lean();
+
+  for (const budget of budgets) {
+    const { used, periodStart } = await budgetStatus(budget);
+    const label = budget.scope === GLOBAL_SCOPE ? 'The monthly' : `The monthly ${budget.scope}`;
+    const since = periodStart.toISOString().slice(0, 10);
+
+    if (budget.monthlyTokenLimit !== null && used.tokens >= budget.monthlyTokenLimit) {
+      throw createError(
+        `${label} token budget is used up (${used.tokens.toLocaleString('en-US')} of ${budget.monthlyTokenLimit.toLocaleString('en-US')} tokens since ${since}). Raise the budget or wait until next month.`,
+        ERROR_CODES.BUDGET_EXCEEDED,
+        402
+      );
+    }
+    if (budget.monthlyCostLimit !== null && used.cost >= budget.monthlyCostLimit) {
+      throw createError(
+        `${label} cost budget is used up ($${used.cost.toFixed(2)} of $${budget.monthlyCostLimit.toFixed(2)} since ${since}). Raise the budget or wait until next month.`,
+        ERROR_CODES.BUDGET_EXCEEDED,
+        402
+      );
+    }
+  }
+};
+
+/**
+ * Usage totals between `from` and `to` grouped by "day", "source" (domain, or file name
+ * for uploads) or "model", newest or largest first.
+ */
+const usageReport = async ({ groupBy = 'day', from, to }) => {
+  const match = { createdAt: { $gte: from, $lte: to } };
+
+  const groups = await LlmUsage.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: GROUP_KEYS[groupBy],
+        calls: { $sum: 1 },
+        errors: { $sum: { $cond: [{ $eq: ['$status', 'error'] }, 1, 0] } },
+        promptTokens: { $sum: '$promptTokens' },
+        completionTokens: { $sum: '$completionTokens' },
+        totalTokens: { $sum: '$totalTokens' },
+        cost: { $sum: { $ifNull: ['$cost', 0] } },
+        // Calls to models without a known price are left out of `cost`
+        unpricedCalls: { $sum: { $cond: [{ $eq: ['$cost', null] }, 1, 0] } },
+        avgLatencyMs: { $avg: '$latencyMs' }
+      }
+    },
+    { $sort: groupBy === 'day' ? { _id: -1 } : { totalTokens: -1 } }
+  ]);
+
+  const totals = groups.reduce(
+    (sum, group) => ({
+      calls: sum.calls + group.calls,
+      totalTokens: sum.totalTokens + group.totalTokens,
+      cost: sum.cost + group.cost
+    }),
+    { calls: 0, totalTokens: 0, cost: 0 }
+  );
+
+  return {
+    groupBy,
+    from,
+    to,
+    totals,
+    groups: groups.map(({ _id, avgLatencyMs, ...group }) => ({
+      key: _id,
+      ...group,
+      avgLatencyMs: Math.round(avgLatencyMs || 0)
+    }))
+  };
+};
+
+module.exports = {
+  GLOBAL_SCOPE,
+  GROUP_KEYS,
+  recordLlmCall,
+  assertWithinBudget,
+  budgetStatus,
+  usageReport
+};
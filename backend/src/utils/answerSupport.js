@@ -0,0 +1,44 @@
+const STOPWORDS = new Set([
+  'the', 'and', 'for', 'are', 'but', 'not', 'you', 'your', 'with', 'this', 'that',
+  'from', 'they', 'them', 'their', 'there', 'have', 'has', 'had', 'was', 'were',
+  'will', 'would', 'can', 'could', 'should', 'may', 'might', 'into', 'onto', 'than',
+  'then', 'also', 'its', 'our', 'any', 'all', 'some', 'such', 'which', 'what',
+  'when', 'where', 'who', 'how', 'why', 'been', 'being', 'does', 'did', 'about',
+  'more', 'most', 'other', 'each', 'only', 'over', 'very', 'just', 'these', 'those',
+  'provide', 'provides', 'allows', 'using', 'used', 'use', 'make', 'makes'
+]);
+
+const tokenize = (text) =>
+  String(text || '').toLowerCase().match(/[a-z0-9]+(?:[.,][0-9]+)*/g) || [];
+
+// Words that carry meaning in an answer: numbers and non-stopwords of 3+ letters
+const keyTerms = (text) => [
+  ...new Set(
+    tokenize(text).filter((token) =>
+      /\d/.test(token) || (token.length >= 3 && !STOPWORDS.has(token))
+    )
+  )
+];
+
+/**
+ * Lexical check of how well `text` still backs up an answer.
+ * Resolves to { score (0-1 share of key terms found), missingTerms, missingNumbers }.
+ * A missing number (price, limit, date) is a strong sign the answer went stale.
+ */
+const scoreAnswerSupport = (answer, text) => {
+  const terms = keyTerms(answer);
+  if (terms.length === 0) {
+    return { score: 1, missingTerms: [], missingNumbers: [] };
+  }
+
+  const available = new Set(tokenize(text));
+  const missingTerms = terms.filter((term) => !available.has(term));
+
+  return {
+    score: Number(((terms.length - missingTerms.length) / terms.length).toFixed(2)),
+    missingTerms,
+    missingNumbers: missingTerms.filter((term) => /\d/.test(term))
+  };
+};
+
+module.exports = { scoreAnswerSupport, keyTerms, tokenize };
@@ -0,0 +1,91 @@
+const { keyTerms, tokenize } = require('./answerSupport');
+
+const MIN_QUOTE_LENGTH = 12;
+
+// Lowercased text with whitespace runs collapsed, plus the original index of every
+// character so matches can be mapped back to offsets in the source
+const normalizeWithMap = (text) => {
+  let normalized = '';
+  const map = [];
+  let inSpace = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (/\s/.test(char)) {
+      if (inSpace || normalized.length === 0) continue;
+      inSpace = true;
+      normalized += ' ';
+    } else {
+      inSpace = false;
+      normalized += char.toLowerCase();
+    }
+    map.push(i);
+  }
+
+  return { normalized, map };
+};
+
+const squash = (text) => String(text || '').toLowerCase().replace(/\s+/g, ' ').trim();
+
+/**
+ * Finds a quoted passage in `text`, ignoring case and whitespace differences. Quotes the
+ * model shortened with "..." are matched on their longest fragment.
+ * Returns { start, end } character offsets into `text`, or null.
+ */
+const locateQuote = (text, quote, searchIndex = normalizeWithMap(text)) => {
+  const fragments = String(quote || '')
+    .replace(/^["'“”‘’\s]+|["'“”‘’\s]+$/g, '')
+    .split(/\s*(?:\.\.\.|…)\s*/)
+    .map(squash)
+    .filter((fragment) => fragment.length >= MIN_QUOTE_LENGTH)
+    .sort((a, b) => b.length - a.length);
+
+  for (const fragment of fragments) {
+    const index = searchIndex.normalized.indexOf(fragment);
+    if (index !== -1) {
+      const start = searchIndex.map[index];
+      const end = searchIndex.map[index + fragment.length - 1] + 1;
+      return { start, end };
+    }
+  }
+
+  return null;
+};
+
+// Sentences of `text` with their offsets
+const sentenceSpans = (text) => {
+  const spans = [];
+  const pattern = /[^.!?\n]+(?:[.!?]+|$)/gm;
+  let match;
+  while ((match = pattern.exec(text)) !== null) {
+    const raw = match[0];
+    const leading = raw.length - raw.trimStart().length;
+    const trimmed = raw.trim();
+    if (trimmed.length === 0) continue;
+    spans.push({ start: match.index + leading, end: match.index + leading + trimmed.length });
+  }
+  return spans;
+};
+
+/**
+ * Sentences of `text` that share the most key terms with `answer`, used when the model
+ * gave no locatable quote. Returns up to `limit` { start, end } spans in text order.
+ */
+const findSimilarPassages = (text, answer, { limit = 2, minOverlap = 0.3 } = {}) => {
+  const terms = keyTerms(answer);
+  if (terms.length === 0) return [];
+
+  return sentenceSpans(text)
+    .map((span) => {
+      const available = new Set(tokenize(text.slice(span.start, span.end)));
+      const shared = terms.filter((term) => available.has(term)).length;
+      return { ...span, overlap: shared / terms.length };
+    })
+    .filter((span) => span.overlap >= minOverlap)
+    .sort((a, b) => b.overlap - a.overlap || a.start - b.start)
+    .slice(0, limit)
+    .sort((a, b) => a.start - b.start)
+    .map(({ start, end }) => ({ start, end }));
+};
+
+module.exports = { normalizeWithMap, locateQuote, findSimilarPassages };
@@ -1,11 +1,177 @@
+
+
+
+// Reads a numeric environment variable, keeping 0 as a valid value
+const envNumber = (name, fallback) => {
+  const value = Number(process.env[name]);
+  return process.env[name] !== undefined && Number.isFinite(value) ? value : fallback;
+};
+
 module.exports = {
   STATUS: {
     DRAFT: 'draft',
     PUBLISHED: 'published'
   },
   DEFAULT_FAQ_COUNT: 5,
-  MAX_TEXT_LENGTH: 10000
+  FAQ_COUNT: {
+    MAX: Math.max(envNumber('FAQ_MAX_COUNT', 20), 1),
+    // "auto" asks for one FAQ per this many distinct sentences, at least AUTO_MIN
+    AUTO_SENTENCES_PER_FAQ: 4,
+    AUTO_MIN: 3,
+    // Follow-up calls asking only for the FAQs still missing
+    TOP_UP_ROUNDS: 2
+  },
+  // Characters per generation chunk; longer text is split at heading boundaries
+  MAX_TEXT_LENGTH: 10000,
+  CHUNKING: {
+    MAX_CHUNKS: 8
+  },
+  GROUNDING: {
+    // Share of an answer's key terms its cited passages must contain
+    MIN_SUPPORT_SCORE: 0.5,
+    MAX_CITATIONS: 3,
+    // "flag" (default) keeps unsupported answers marked as unsupported, "drop" removes them
+    UNSUPPORTED_ACTION: process.env.GROUNDING_UNSUPPORTED_ACTION === 'drop' ? 'drop' : 'flag'
+  },
+  LLM: {
+    // openai, gemini, openai-compatible or mock
+    PROVIDER: (process.env.LLM_PROVIDER || 'openai').trim().toLowerCase(),
+    MODEL: process.env.LLM_MODEL || null,
+    MAX_TOKENS: 4000,
+    TEMPERATURE: 0.7,
+    // Follow-up calls asking the model to fix output that does not match its JSON schema
+    REPAIR_ROUNDS: Math.max(envNumber('LLM_REPAIR_ROUNDS', 1), 0)
+  },
+  EMBEDDINGS: {
+    // An LLM provider name, or "local" for offline hashed vectors; defaults to LLM_PROVIDER
+    PROVIDER: (process.env.EMBEDDING_PROVIDER || process.env.LLM_PROVIDER || 'openai').trim().toLowerCase(),
+    MODEL: process.env.EMBEDDING_MODEL || null,
+    BATCH_SIZE: 100
+  },
+  DUPLICATES: {
+    // Cosine similarity of question embeddings above which FAQs count as duplicates
+    SIMILARITY_THRESHOLD: envNumber('DUPLICATE_SIMILARITY_THRESHOLD', 0.9),
+    // "flag" (default) saves new duplicates marked with duplicateOf, "skip" does not save them
+    ACTION: process.env.DUPLICATE_ACTION === 'skip' ? 'skip' : 'flag',
+    // Newest stored FAQs of the same source or domain each new batch is compared with
+    MAX_CANDIDATES: 500,
+    // The duplicates report compares every pair, so it looks at this many newest FAQs
+    REPORT_LIMIT: 300,
+    MAX_REPORT_FAQS: 500
+  },
+  // Alternate phrasings of a question, stored for search and chatbot matching
+  VARIANTS: {
+    MIN: 3,
+    MAX: 10,
+    DEFAULT_COUNT: envNumber('FAQ_VARIANT_COUNT', 5),
+    // Generate them with every FAQ unless a request says otherwise
+    ON_GENERATE: process.env.FAQ_VARIANTS_ON_GENERATE === 'true'
+  },
+  TAXONOMY: {
+    // Used for domains without a taxonomy of their own until a "default" one is saved
+    DEFAULT_CATEGORIES: [
+      { name: 'Pricing', description: 'Prices, plans, discounts and what is included' },
+      { name: 'Billing', description: 'Payments, invoices, refunds and subscriptions' },
+      { name: 'Account', description: 'Sign-up, login, profile and account settings' },
+      { name: 'Technical', description: 'Setup, integrations, APIs, compatibility and troubleshooting' },
+      { name: 'Shipping', description: 'Delivery, tracking and returns of physical goods' },
+      { name: 'Policies', description: 'Terms, privacy, security and compliance' },
+      { name: 'Support', description: 'Contacting the team, hours and service levels' },
+      { name: 'General', description: 'What the product or organization is and anything else' }
+    ],
+    // Category for answers the model could not place; used when the taxonomy has it
+    FALLBACK_CATEGORY: 'General',
+    MAX_CATEGORIES: 30,
+    MAX_CATEGORY_LENGTH: 50,
+    MAX_TAGS: 5,
+    MAX_TAG_LENGTH: 30
+  },
+  QUALITY: {
+    MIN_ANSWER_WORDS: envNumber('QUALITY_MIN_ANSWER_WORDS', 8),
+    MAX_ANSWER_WORDS: envNumber('QUALITY_MAX_ANSWER_WORDS', 120),
+    // Flesch-Kincaid grade level above which an answer is flagged as hard to read
+    MAX_READING_GRADE: envNumber('QUALITY_MAX_READING_GRADE', 12),
+    // Comma-separated words or phrases the style guide forbids, e.g. "cheap,guarantee"
+    BANNED_TERMS: (process.env.QUALITY_BANNED_TERMS || '')
+      .split(',')
+      .map((term) => term.trim().toLowerCase())
+      .filter(Boolean),
+    // Scores below this count as low quality in list filters
+    LOW_SCORE: 70
+  },
+  GENERATION_CACHE: {
+    // How long generated FAQs are reused for unchanged text; 0 disables the cache
+    TTL_HOURS: envNumber('GENERATION_CACHE_TTL_HOURS', 72)
+  },
+  SITE_CRAWL: {
+    DEFAULT_MAX_DEPTH: 2,
+    MAX_DEPTH: 5,
+    DEFAULT_MAX_PAGES: 20,
+    MAX_PAGES: 100,
+    MAX_SITEMAP_FILES: 5
+  },
+  CRAWLER: {
+    USER_AGENT: process.env.CRAWLER_USER_AGENT || 'FAQGeneratorBot/1.0 (+https://github.com/nishant620/Contextual-FAQ-Generator-)',
+    HOST_CONCURRENCY: Math.max(envNumber('CRAWLER_HOST_CONCURRENCY', 2), 1),
+    MIN_REQUEST_INTERVAL_MS: envNumber('CRAWLER_MIN_REQUEST_INTERVAL_MS', 1000),
+    // Longest robots.txt Crawl-delay honored; longer ones are lowered to this
+    MAX_CRAWL_DELAY_SECONDS: Math.max(envNumber('CRAWLER_MAX_CRAWL_DELAY_SECONDS', 30), 0),
+    REQUEST_TIMEOUT_MS: 30000,
+    MAX_REDIRECTS: 5,
+    MAX_RESPONSE_BYTES: envNumber('CRAWLER_MAX_RESPONSE_BYTES', 5 * 1024 * 1024),
+    // Responses with any other Content-Type are rejected; a missing header is treated as HTML
+    ALLOWED_CONTENT_TYPES: ['text/html', 'application/xhtml+xml', 'application/xml', 'text/xml', 'text/plain'],
+    // Lets the crawler reach localhost and private networks, for local development only
+    ALLOW_PRIVATE_NETWORKS: process.env.CRAWLER_ALLOW_PRIVATE_NETWORKS === 'true',
+    ROBOTS_CACHE_TTL_MS: 60 * 60 * 1000
+  },
+  STALE_CHECK: {
+    INTERVAL_HOURS: envNumber('STALE_CHECK_INTERVAL_HOURS', 24),
+    SUPPORT_THRESHOLD: 0.6
+  },
+  JOBS: {
+    // Jobs each server runs at the same time
+    CONCURRENCY: Math.max(envNumber('JOB_CONCURRENCY', 2), 1),
+    // Runs per job, the first included; only failures that may pass on retry are retried
+    MAX_ATTEMPTS: Math.max(envNumber('JOB_MAX_ATTEMPTS', 3), 1),
+    // Wait before the first retry, doubling with every further one
+    RETRY_DELAY_MS: Math.max(envNumber('JOB_RETRY_DELAY_SECONDS', 30), 0) * 1000,
+    POLL_INTERVAL_MS: 2000,
+    HEARTBEAT_INTERVAL_MS: 15000,
+    // Running jobs without a heartbeat for this long were left by a stopped server
+    STALE_AFTER_MS: 60000,
+    LIST_LIMIT: 50,
+    MAX_LIST_LIMIT: 200
+  },
+  BULK: {
+    // URLs one bulk request may queue
+    MAX_ROWS: Math.max(envNumber('BULK_MAX_ROWS', 500), 1),
+    LIST_LIMIT: 20,
+    // Invalid rows quoted in the error message of a rejected request
+    MAX_REPORTED_ERRORS: 5
+  },
+  UPLOAD: {
+    MAX_FILE_SIZE: 10 * 1024 * 1024,
+    EXTENSIONS: ['pdf', 'docx', 'md', 'markdown', 'html', 'htm', 'txt']
+  },
+  ERROR_CODES: {
+    ROBOTS_DISALLOWED: 'ROBOTS_DISALLOWED',
+    INVALID_URL: 'INVALID_URL',
+    BLOCKED_DESTINATION: 'BLOCKED_DESTINATION',
+    RESPONSE_TOO_LARGE: 'RESPONSE_TOO_LARGE',
+    UNSUPPORTED_CONTENT_TYPE: 'UNSUPPORTED_CONTENT_TYPE',
+    UNSUPPORTED_FILE_TYPE: 'UNSUPPORTED_FILE_TYPE',
+    UNREADABLE_DOCUMENT: 'UNREADABLE_DOCUMENT',
+    ENCRYPTION_KEY_MISSING: 'ENCRYPTION_KEY_MISSING',
+    CREDENTIALS_UNREADABLE: 'CREDENTIALS_UNREADABLE',
+    UNKNOWN_PROVIDER: 'UNKNOWN_PROVIDER',
+    PROVIDER_NOT_CONFIGURED: 'PROVIDER_NOT_CONFIGURED',
+    TEMPLATE_NOT_FOUND: 'TEMPLATE_NOT_FOUND',
+    GENERATION_CANCELLED: 'GENERATION_CANCELLED',
+    BUDGET_EXCEEDED: 'BUDGET_EXCEEDED',
+    INVALID_MODEL_OUTPUT: 'INVALID_MODEL_OUTPUT',
+    NOT_ENOUGH_CONTENT: 'NOT_ENOUGH_CONTENT',
+    QUEUE_UNAVAILABLE: 'QUEUE_UNAVAILABLE',
+    INVALID_BULK_INPUT: 'INVALID_BULK_INPUT'
+  }
 };
-
-
-
@@ -0,0 +1,61 @@
+/**
+ * Parses CSV text into records of trimmed cells. Handles quoted cells (with "" for a
+ * quote, and commas or line breaks inside), CRLF line endings and a UTF-8 BOM. Each
+ * record is { line, cells }, where `line` is the 1-based line it starts on; blank lines
+ * are skipped.
+ */
+const parseCsv = (text) => {
+  const input = String(text || '').replace(/^\uFEFF/, '');
+  const records = [];
+  let cells = [];
+  let cell = '';
+  let quoted = false;
+  let line = 1;
+  let recordLine = 1;
+
+  const endCell = () => {
+    cells.push(cell.trim());
+    cell = '';
+  };
+
+  const endRecord = () => {
+    endCell();
+    if (cells.some(Boolean)) {
+      records.push({ line: recordLine, cells });
+    }
+    cells = [];
+  };
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        if (char === '\n') line++;
+        cell += char;
+      }
+    } else if (char === '"' && !cell.trim()) {
+      cell = '';
+      quoted = true;
+    } else if (char === ',') {
+      endCell();
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      endRecord();
+      line++;
+      recordLine = line;
+    } else {
+      cell += char;
+    }
+  }
+  endRecord();
+
+  return records;
+};
+
+module.exports = { parseCsv };
@@ -0,0 +1,22 @@
+const { ERROR_CODES } = require('./constants');
+
+// Builds an Error carrying a machine-readable code and the HTTP status controllers should answer with
+const createError = (message, code, status = 500) => {
+  const error = new Error(message);
+  error.code = code;
+  error.status = status;
+  return error;
+};
+
+// True for errors raised through createError (as opposed to library errors that also set `code`)
+const isCodedError = (error) =>
+  Boolean(error && Object.values(ERROR_CODES).includes(error.code));
+
+// Marks an error with the HTTP status a website or provider answered with, so callers
+// such as the job queue can tell permanent failures (4xx) from transient ones
+const withUpstreamStatus = (error, status) => {
+  error.upstreamStatus = status;
+  return error;
+};
+
+module.exports = { createError, isCodedError, withUpstreamStatus };
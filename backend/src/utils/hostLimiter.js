@@ -0,0 +1,55 @@
+// Per-host request scheduler: caps concurrent requests to a host and spaces out request starts
+const hosts = new Map();
+
+const getState = (host) => {
+  if (!hosts.has(host)) {
+    hosts.set(host, { active: 0, queue: [], nextStart: 0, timer: null });
+  }
+  return hosts.get(host);
+};
+
+const drain = (host, concurrency) => {
+  const state = hosts.get(host);
+  if (!state || state.timer) return;
+
+  while (state.active < concurrency && state.queue.length > 0) {
+    const wait = state.nextStart - Date.now();
+    if (wait > 0) {
+      state.timer = setTimeout(() => {
+        state.timer = null;
+        drain(host, concurrency);
+      }, wait);
+      return;
+    }
+
+    const job = state.queue.shift();
+    state.active++;
+    state.nextStart = Date.now() + job.intervalMs;
+
+    Promise.resolve()
+      .then(job.task)
+      .then(job.resolve, job.reject)
+      .finally(() => {
+        state.active--;
+        if (state.active === 0 && state.queue.length === 0 && Date.now() >= state.nextStart) {
+          hosts.delete(host);
+          return;
+        }
+        drain(host, concurrency);
+      });
+  }
+};
+
+/**
+ * Runs `task` once the host has a free slot and at least `intervalMs` has passed
+ * since the previous request to that host started.
+ */
+const schedule = (host, { concurrency = 1, intervalMs = 0 } = {}, task) => {
+  return new Promise((resolve, reject) => {
+    const state = getState(host.toLowerCase());
+    state.queue.push({ task, resolve, reject, intervalMs });
+    drain(host.toLowerCase(), concurrency);
+  });
+};
+
+module.exports = { schedule };
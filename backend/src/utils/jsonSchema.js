@@ -0,0 +1,76 @@
+// Type name of a JSON value as JSON Schema spells it
+const typeOf = (value) => {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+};
+
+const matchesType = (value, type) =>
+  type === typeOf(value) || (type === 'number' && typeOf(value) === 'integer');
+
+const describeTypes = (types) =>
+  types.map((type) => (type === 'null' ? 'null' : `${/^[aeiou]/.test(type) ? 'an' : 'a'} ${type}`)).join(' or ');
+
+/**
+ * Checks `value` against a JSON Schema and returns the problems as readable strings,
+ * e.g. ["answer is required", "tags[1] must be a string"]; none means valid.
+ * Supports the subset the LLM output schemas use: type (one or a list, "null" included),
+ * properties, required, items, enum, minLength, maxLength, minItems and maxItems.
+ * Other keywords, such as additionalProperties, only shape what providers produce.
+ */
+const validateSchema = (value, schema, path = '') => {
+  const label = path || 'value';
+  const types = [].concat(schema.type || []);
+
+  if (types.length > 0 && !types.some((type) => matchesType(value, type))) {
+    return [value === undefined ? `${label} is required` : `${label} must be ${describeTypes(types)}`];
+  }
+  if (value === null) return [];
+
+  const problems = [];
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    problems.push(`${label} must be one of: ${schema.enum.join(', ')}`);
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength === 1 && value.length === 0) {
+      problems.push(`${label} must not be empty`);
+    } else if (schema.minLength !== undefined && value.length < schema.minLength) {
+      problems.push(`${label} must be at least ${schema.minLength} characters`);
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      problems.push(`${label} must be at most ${schema.maxLength} characters`);
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      problems.push(`${label} must have at least ${schema.minItems} items`);
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      problems.push(`${label} must have at most ${schema.maxItems} items`);
+    }
+    if (schema.items) {
+      value.forEach((item, index) => {
+        problems.push(...validateSchema(item, schema.items, `${path}[${index}]`));
+      });
+    }
+  }
+
+  if (typeOf(value) === 'object') {
+    (schema.required || []).forEach((key) => {
+      if (value[key] === undefined) problems.push(`${path ? `${path}.` : ''}${key} is required`);
+    });
+    Object.entries(schema.properties || {}).forEach(([key, propertySchema]) => {
+      if (value[key] !== undefined) {
+        problems.push(...validateSchema(value[key], propertySchema, path ? `${path}.${key}` : key));
+      }
+    });
+  }
+
+  return problems;
+};
+
+module.exports = { validateSchema };
@@ -0,0 +1,55 @@
+/**
+ * Incrementally parses streamed JSON text and calls `onItem` with every object of the
+ * first array it meets as soon as the object is complete, e.g. each FAQ of
+ * {"faqs": [{...}, {...}]} while the rest is still arriving. Text around the JSON
+ * (such as markdown fences) is ignored; objects that fail to parse are skipped.
+ * Returns push(text) to feed the next piece of the stream.
+ */
+const createArrayItemParser = (onItem) => {
+  let buffer = '';
+  let position = 0;
+  const stack = [];
+  let inString = false;
+  let escaped = false;
+  let itemStart = -1;
+  let itemDepth = -1;
+  let arrayDepth = -1;
+
+  return (text) => {
+    buffer += text;
+
+    for (; position < buffer.length; position++) {
+      const char = buffer[position];
+
+      if (inString) {
+        if (escaped) escaped = false;
+        else if (char === '\\') escaped = true;
+        else if (char === '"') inString = false;
+        continue;
+      }
+
+      if (char === '"') {
+        inString = true;
+      } else if (char === '[' || char === '{') {
+        if (char === '[' && arrayDepth === -1) arrayDepth = stack.length;
+        if (char === '{' && itemStart === -1 && arrayDepth !== -1 && stack.length === arrayDepth + 1) {
+          itemStart = position;
+          itemDepth = stack.length;
+        }
+        stack.push(char);
+      } else if (char === ']' || char === '}') {
+        stack.pop();
+        if (char === '}' && itemStart !== -1 && stack.length === itemDepth) {
+          try {
+            onItem(JSON.parse(buffer.slice(itemStart, position + 1)));
+          } catch (error) {
+            // Malformed item; the full response is validated once it is complete
+          }
+          itemStart = -1;
+        }
+      }
+    }
+  };
+};
+
+module.exports = { createArrayItemParser };
@@ -0,0 +1,117 @@
+const dns = require('dns');
+const net = require('net');
+const { createError } = require('./errors');
+const { CRAWLER, ERROR_CODES } = require('./constants');
+
+// Loopback, private, link-local (cloud metadata), carrier-grade NAT, multicast and reserved ranges
+const BLOCKED_RANGES = new net.BlockList();
+[
+  ['0.0.0.0', 8],
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10],
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16],
+  ['172.16.0.0', 12],
+  ['192.0.0.0', 24],
+  ['192.0.2.0', 24],
+  ['192.168.0.0', 16],
+  ['198.18.0.0', 15],
+  ['198.51.100.0', 24],
+  ['203.0.113.0', 24],
+  ['224.0.0.0', 4],
+  ['240.0.0.0', 4]
+].forEach(([address, prefix]) => BLOCKED_RANGES.addSubnet(address, prefix, 'ipv4'));
+// IPv4-mapped addresses (::ffff:a.b.c.d) are checked against the IPv4 ranges; a rule for
+// ::ffff:0:0/96 itself would match every IPv4 address
+[
+  ['::', 128],
+  ['::1', 128],
+  ['64:ff9b::', 96],
+  ['100::', 64],
+  ['2001:db8::', 32],
+  ['fc00::', 7],
+  ['fe80::', 10],
+  ['ff00::', 8]
+].forEach(([address, prefix]) => BLOCKED_RANGES.addSubnet(address, prefix, 'ipv6'));
+
+const isBlockedAddress = (address) => {
+  const family = net.isIP(address);
+  if (family === 0) return false;
+  return BLOCKED_RANGES.check(address, family === 6 ? 'ipv6' : 'ipv4');
+};
+
+const blockedError = (url, address) =>
+  createError(
+    `Blocked destination: ${url} resolves to ${address}, which is a private or reserved address`,
+    ERROR_CODES.BLOCKED_DESTINATION,
+    403
+  );
+
+/**
+ * Rejects URLs the crawler must never request: non-http(s) schemes and hosts given as
+ * private or reserved IP literals. Host names are checked when they resolve (guardedLookup).
+ */
+const assertAllowedUrl = (url) => {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    throw createError(`Invalid URL: ${url}`, ERROR_CODES.INVALID_URL, 400);
+  }
+
+  if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+    throw createError(`Unsupported URL scheme "${parsed.protocol}" in ${url}`, ERROR_CODES.INVALID_URL, 400);
+  }
+
+  if (CRAWLER.ALLOW_PRIVATE_NETWORKS) return;
+
+  const host = parsed.hostname.replace(/^\[|\]$/g, '');
+  if (isBlockedAddress(host)) {
+    throw blockedError(url, host);
+  }
+};
+
+/**
+ * dns.lookup replacement for HTTP requests: fails when any address the host resolves
+ * to is blocked. Checking at connect time covers every redirect hop and rules out
+ * DNS rebinding between a check and the actual request.
+ */
+const guardedLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+
+    if (!CRAWLER.ALLOW_PRIVATE_NETWORKS) {
+      const blocked = addresses.find((entry) => isBlockedAddress(entry.address));
+      if (blocked) return callback(blockedError(hostname, blocked.address));
+    }
+
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+};
+
+// axios options shared by every crawler request: guarded DNS and a response size cap
+const guardedRequestOptions = () => ({
+  lookup: guardedLookup,
+  maxContentLength: CRAWLER.MAX_RESPONSE_BYTES,
+  // Redirects followed by axios itself (robots.txt) get the same URL check
+  beforeRedirect: (options) => assertAllowedUrl(options.href)
+});
+
+const isTooLargeError = (error) => /maxContentLength size of \d+ exceeded/.test(error?.message || '');
+
+const tooLargeError = (url) =>
+  createError(
+    `Response too large: ${url} exceeds the ${Math.round(CRAWLER.MAX_RESPONSE_BYTES / 1024)} KB download limit`,
+    ERROR_CODES.RESPONSE_TOO_LARGE,
+    413
+  );
+
+module.exports = {
+  isBlockedAddress,
+  assertAllowedUrl,
+  guardedLookup,
+  guardedRequestOptions,
+  isTooLargeError,
+  tooLargeError
+};
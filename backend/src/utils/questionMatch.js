@@ -0,0 +1,48 @@
+const { keyTerms } = require('./answerSupport');
+
+// Lowercased question without punctuation, used as an exact-match key
+const normalizeQuestion = (question) =>
+  String(question || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9\s]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+
+// Jaccard overlap of the questions' key terms (0-1)
+const questionSimilarity = (a, b) => {
+  const termsA = new Set(keyTerms(a));
+  const termsB = new Set(keyTerms(b));
+  if (termsA.size === 0 || termsB.size === 0) {
+    return normalizeQuestion(a) === normalizeQuestion(b) ? 1 : 0;
+  }
+
+  let shared = 0;
+  termsA.forEach((term) => {
+    if (termsB.has(term)) shared++;
+  });
+
+  return shared / (termsA.size + termsB.size - shared);
+};
+
+const isSimilarQuestion = (a, b, threshold = 0.7) =>
+  normalizeQuestion(a) === normalizeQuestion(b) || questionSimilarity(a, b) >= threshold;
+
+// Trimmed phrasings without repeats (ignoring case and punctuation) or restatements of
+// `question` itself
+const distinctPhrasings = (phrasings, question = '') => {
+  const seen = new Set([normalizeQuestion(question)]);
+  const distinct = [];
+
+  (Array.isArray(phrasings) ? phrasings : []).forEach((phrasing) => {
+    if (typeof phrasing !== 'string') return;
+    const trimmed = phrasing.trim();
+    const key = normalizeQuestion(trimmed);
+    if (!key || seen.has(key)) return;
+    seen.add(key);
+    distinct.push(trimmed);
+  });
+
+  return distinct;
+};
+
+module.exports = { normalizeQuestion, questionSimilarity, isSimilarQuestion, distinctPhrasings };
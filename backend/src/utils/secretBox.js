@@ -0,0 +1,60 @@
+const crypto = require('crypto');
+const { createError } = require('./errors');
+const { ERROR_CODES } = require('./constants');
+
+const ALGORITHM = 'aes-256-gcm';
+const VERSION = 'v1';
+
+let cachedKey = null;
+
+// A 64-character hex value is used as the key itself; any other value is treated as a passphrase
+const getKey = () => {
+  const secret = process.env.CREDENTIALS_ENCRYPTION_KEY;
+  if (!secret) {
+    throw createError(
+      'CREDENTIALS_ENCRYPTION_KEY is not defined in environment variables',
+      ERROR_CODES.ENCRYPTION_KEY_MISSING,
+      500
+    );
+  }
+
+  if (!cachedKey || cachedKey.secret !== secret) {
+    const key = /^[0-9a-f]{64}$/i.test(secret)
+      ? Buffer.from(secret, 'hex')
+      : crypto.scryptSync(secret, 'faq-generator-site-profiles', 32);
+    cachedKey = { secret, key };
+  }
+  return cachedKey.key;
+};
+
+// Encrypts a JSON-serialisable value as "v1:<iv>:<auth tag>:<ciphertext>" (base64 parts)
+const encryptJson = (value) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(ALGORITHM, getKey(), iv);
+  const data = Buffer.concat([cipher.update(JSON.stringify(value), 'utf8'), cipher.final()]);
+
+  return [VERSION, iv, cipher.getAuthTag(), data].map((part) => (Buffer.isBuffer(part) ? part.toString('base64') : part)).join(':');
+};
+
+const decryptJson = (payload) => {
+  const key = getKey();
+
+  try {
+    const [version, iv, tag, data] = String(payload).split(':');
+    if (version !== VERSION) throw new Error(`unknown format ${version}`);
+
+    const decipher = crypto.createDecipheriv(ALGORITHM, key, Buffer.from(iv, 'base64'));
+    decipher.setAuthTag(Buffer.from(tag, 'base64'));
+    const text = Buffer.concat([decipher.update(Buffer.from(data, 'base64')), decipher.final()]).toString('utf8');
+
+    return JSON.parse(text);
+  } catch (error) {
+    throw createError(
+      'Stored credentials could not be decrypted. Was CREDENTIALS_ENCRYPTION_KEY changed?',
+      ERROR_CODES.CREDENTIALS_UNREADABLE,
+      500
+    );
+  }
+};
+
+module.exports = { encryptJson, decryptJson };
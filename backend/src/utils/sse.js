@@ -0,0 +1,41 @@
+const HEARTBEAT_INTERVAL_MS = 15000;
+
+/**
+ * Switches a response to Server-Sent Events. Returns { send(event, data), end() };
+ * `data` is sent as JSON. `onClose` runs when the client disconnects before end(),
+ * e.g. to abort the work the stream reports on.
+ */
+const openEventStream = (res, onClose) => {
+  res.status(200).set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    // Stops nginx and similar proxies from buffering the stream
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  let ended = false;
+  // Comment lines keep idle connections from being closed by proxies
+  const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), HEARTBEAT_INTERVAL_MS);
+
+  res.on('close', () => {
+    clearInterval(heartbeat);
+    if (!ended && onClose) onClose();
+  });
+
+  return {
+    send: (event, data) => {
+      if (!res.writableEnded) {
+        res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+      }
+    },
+    end: () => {
+      ended = true;
+      clearInterval(heartbeat);
+      if (!res.writableEnded) res.end();
+    }
+  };
+};
+
+module.exports = { openEventStream };
@@ -0,0 +1,97 @@
+const { splitSentences } = require('./textDiff');
+
+/**
+ * Splits text into sections at the positions of its headings.
+ * Headings are looked up in order, so repeated heading texts resolve to successive
+ * occurrences; headings that cannot be found in the text are skipped.
+ * Returns [{ heading, text }] where the text before the first heading has heading null.
+ */
+const splitSections = (text, headings = []) => {
+  const starts = [];
+  let cursor = 0;
+
+  for (const heading of headings) {
+    const label = String(heading || '').trim();
+    if (!label) continue;
+
+    const index = text.indexOf(label, cursor);
+    if (index === -1) continue;
+
+    starts.push({ heading: label, index });
+    cursor = index + label.length;
+  }
+
+  const sections = [];
+  if (starts.length === 0 || starts[0].index > 0) {
+    sections.push({ heading: null, text: text.slice(0, starts.length > 0 ? starts[0].index : text.length) });
+  }
+
+  starts.forEach((start, i) => {
+    const end = i + 1 < starts.length ? starts[i + 1].index : text.length;
+    sections.push({ heading: start.heading, text: text.slice(start.index, end) });
+  });
+
+  return sections
+    .map((section) => ({ ...section, text: section.text.trim() }))
+    .filter((section) => section.text.length > 0);
+};
+
+// Breaks one oversized section at sentence boundaries
+const splitLongSection = (section, maxLength) => {
+  const parts = [];
+  let current = '';
+
+  for (const sentence of splitSentences(section.text)) {
+    if (current && current.length + sentence.length + 1 > maxLength) {
+      parts.push(current);
+      current = '';
+    }
+    // A single sentence longer than the limit is hard-cut
+    for (let offset = 0; offset < sentence.length; offset += maxLength) {
+      const piece = sentence.slice(offset, offset + maxLength);
+      if (current && current.length + piece.length + 1 > maxLength) {
+        parts.push(current);
+        current = '';
+      }
+      current = current ? `${current} ${piece}` : piece;
+    }
+  }
+  if (current) parts.push(current);
+
+  return parts.map((text) => ({ heading: section.heading, text }));
+};
+
+/**
+ * Groups a text into chunks of at most `maxLength` characters, breaking at heading
+ * boundaries: consecutive sections are packed into one chunk while they fit.
+ * Returns [{ index, heading, headings, text }] where `heading` is the first section's
+ * heading and `headings` lists every section heading inside the chunk.
+ */
+const chunkText = (text, headings = [], maxLength = 10000) => {
+  const sections = splitSections(String(text || ''), headings)
+    .flatMap((section) => (section.text.length > maxLength ? splitLongSection(section, maxLength) : [section]));
+
+  const chunks = [];
+  let current = null;
+
+  for (const section of sections) {
+    if (current && current.text.length + section.text.length + 1 <= maxLength) {
+      current.text = `${current.text} ${section.text}`;
+      if (section.heading && !current.headings.includes(section.heading)) {
+        current.headings.push(section.heading);
+      }
+      continue;
+    }
+
+    current = {
+      heading: section.heading,
+      headings: section.heading ? [section.heading] : [],
+      text: section.text
+    };
+    chunks.push(current);
+  }
+
+  return chunks.map((chunk, index) => ({ index, ...chunk, heading: chunk.heading || chunk.headings[0] || null }));
+};
+
+module.exports = { chunkText, splitSections };
@@ -0,0 +1,87 @@
+// Above this many LCS cells the diff falls back to a cheaper set comparison
+const MAX_LCS_CELLS = 4000000;
+
+// Cleaned page text is a single line, so sentences are the unit of comparison
+const splitSentences = (text) =>
+  String(text || '')
+    .split(/(?<=[.!?])\s+/)
+    .map((sentence) => sentence.trim())
+    .filter(Boolean);
+
+const lcsDiff = (before, after) => {
+  const rows = before.length + 1;
+  const cols = after.length + 1;
+  const table = new Uint32Array(rows * cols);
+
+  for (let i = before.length - 1; i >= 0; i--) {
+    for (let j = after.length - 1; j >= 0; j--) {
+      table[i * cols + j] = before[i] === after[j]
+        ? table[(i + 1) * cols + j + 1] + 1
+        : Math.max(table[(i + 1) * cols + j], table[i * cols + j + 1]);
+    }
+  }
+
+  const parts = [];
+  let i = 0;
+  let j = 0;
+  while (i < before.length && j < after.length) {
+    if (before[i] === after[j]) {
+      parts.push({ type: 'equal', text: before[i] });
+      i++;
+      j++;
+    } else if (table[(i + 1) * cols + j] >= table[i * cols + j + 1]) {
+      parts.push({ type: 'removed', text: before[i++] });
+    } else {
+      parts.push({ type: 'added', text: after[j++] });
+    }
+  }
+  while (i < before.length) parts.push({ type: 'removed', text: before[i++] });
+  while (j < after.length) parts.push({ type: 'added', text: after[j++] });
+
+  return parts;
+};
+
+// Order-insensitive fallback for very long pages
+const setDiff = (before, after) => {
+  const beforeSet = new Set(before);
+  const afterSet = new Set(after);
+
+  return [
+    ...before.map((text) => ({ type: afterSet.has(text) ? 'equal' : 'removed', text })),
+    ...after.filter((text) => !beforeSet.has(text)).map((text) => ({ type: 'added', text }))
+  ];
+};
+
+/**
+ * Sentence-level diff between two texts.
+ * Returns { changes, stats } where consecutive sentences of the same type are
+ * merged into one change: { type: 'equal' | 'added' | 'removed', text }.
+ */
+const diffText = (beforeText, afterText) => {
+  const before = splitSentences(beforeText);
+  const after = splitSentences(afterText);
+
+  const parts = (before.length + 1) * (after.length + 1) > MAX_LCS_CELLS
+    ? setDiff(before, after)
+    : lcsDiff(before, after);
+
+  const stats = { added: 0, removed: 0, unchanged: 0 };
+  const changes = [];
+
+  for (const part of parts) {
+    if (part.type === 'added') stats.added++;
+    else if (part.type === 'removed') stats.removed++;
+    else stats.unchanged++;
+
+    const last = changes[changes.length - 1];
+    if (last && last.type === part.type) {
+      last.text = `${last.text} ${part.text}`;
+    } else {
+      changes.push({ ...part });
+    }
+  }
+
+  return { changes, stats };
+};
+
+module.exports = { diffText, splitSentences };
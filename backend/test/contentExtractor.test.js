@@ -0,0 +1,42 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const cheerio = require('cheerio');
+
+const { extractMainContent } = require('../src/services/contentExtractor');
+
+const ACCORDION = `<!DOCTYPE html>
+<html><body>
+  <nav><a href="/">Home</a> <a href="/help">Help</a></nav>
+  <main>
+    <h1>Shipping questions</h1>
+    <div class="accordion" id="faq">
+      <div class="accordion-item">
+        <h2 class="accordion-header">
+          <button class="accordion-button" type="button" aria-expanded="true">How long does shipping take?</button>
+        </h2>
+        <div class="accordion-collapse collapse show">
+          <div class="accordion-body">Standard orders arrive within three to five business days.</div>
+        </div>
+      </div>
+      <div class="accordion-item">
+        <h2 class="accordion-header">
+          <button class="accordion-button collapsed" type="button" aria-expanded="false">Do you ship abroad?</button>
+        </h2>
+        <div class="accordion-collapse collapse" hidden aria-hidden="true">
+          <div class="accordion-body">We ship to most countries in Europe and North America.</div>
+        </div>
+      </div>
+    </div>
+  </main>
+  <footer>Copyright 2024</footer>
+</body></html>`;
+
+test('extractMainContent keeps accordion questions and collapsed answers', () => {
+  const { text } = extractMainContent(cheerio.load(ACCORDION));
+
+  assert.match(text, /How long does shipping take\?/);
+  assert.match(text, /three to five business days/);
+  assert.match(text, /Do you ship abroad\?/);
+  assert.match(text, /most countries in Europe/);
+  assert.doesNotMatch(text, /Copyright/);
+});
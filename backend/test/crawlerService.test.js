@@ -0,0 +1,122 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('node:http');
+
+// The fixture site runs on localhost, which the crawler refuses by default
+process.env.CRAWLER_ALLOW_PRIVATE_NETWORKS = 'true';
+process.env.CRAWLER_MIN_REQUEST_INTERVAL_MS = '0';
+process.env.CRAWLER_MAX_RESPONSE_BYTES = '8192';
+
+const { crawlSite, crawlWebsite } = require('../src/services/crawlerService');
+const { ERROR_CODES } = require('../src/utils/constants');
+
+const page = (title, body) =>
+  `<!DOCTYPE html><html><head><title>${title}</title></head><body><main><h1>${title}</h1>${body}</main></body></html>`;
+
+const PAGES = {
+  '/': page('Home', '<p>Welcome to the fixture shop.</p><a href="/about">About</a> <a href="/private/notes">Notes</a> <a href="https://example.org/">Elsewhere</a>'),
+  '/about': page('About', '<p>We ship orders within two business days.</p><a href="/team">Team</a>'),
+  '/team': page('Team', '<p>Our support team answers within a day.</p>'),
+  '/pricing': page('Pricing', '<p>Plans start at 10 dollars a month.</p>'),
+  '/private/notes': page('Notes', '<p>Not for crawlers.</p>')
+};
+
+let server;
+let baseUrl;
+const requested = [];
+const notModified = [];
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    requested.push(req.url);
+    if (req.url === '/robots.txt') {
+      res.writeHead(200, { 'Content-Type': 'text/plain' });
+      res.end(`User-agent: *\nDisallow: /private\nSitemap: ${baseUrl}/sitemap.xml\n`);
+    } else if (req.url === '/sitemap.xml') {
+      res.writeHead(200, { 'Content-Type': 'application/xml' });
+      res.end(`<?xml version="1.0"?><urlset><url><loc>${baseUrl}/pricing</loc></url></urlset>`);
+    } else if (req.url === '/large') {
+      res.writeHead(200, { 'Content-Type': 'text/html' });
+      res.end(page('Large', `<p>${'Too much text. '.repeat(2000)}</p>`));
+    } else if (PAGES[req.url]) {
+      const etag = `"${req.url}"`;
+      if (req.headers['if-none-match'] === etag) {
+        notModified.push(req.url);
+        res.writeHead(304, { ETag: etag });
+        res.end();
+        return;
+      }
+      res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8', ETag: etag });
+      res.end(PAGES[req.url]);
+    } else {
+      res.writeHead(404, { 'Content-Type': 'text/html' });
+      res.end(page('Not found', '<p>Missing</p>'));
+    }
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+  server.close();
+});
+
+const crawledPaths = (result) => result.pages.map((content) => new URL(content.url).pathname).sort();
+
+test('crawlSite follows same-site links and sitemap pages and honors robots.txt', async () => {
+  const result = await crawlSite(baseUrl, { maxDepth: 2, maxPages: 10 });
+
+  assert.deepEqual(crawledPaths(result), ['/', '/about', '/pricing', '/team']);
+  assert.equal(result.metadata.sitemapUrls, 1);
+  assert.ok(!requested.includes('/private/notes'), 'disallowed page was fetched');
+  assert.ok(result.errors.some((error) => error.url.endsWith('/private/notes')));
+  assert.match(result.pages.find((content) => content.url.endsWith('/pricing')).cleanedText, /10 dollars a month/);
+});
+
+test('crawlSite stops at maxDepth and maxPages', async () => {
+  const shallow = await crawlSite(baseUrl, { maxDepth: 0 });
+  assert.deepEqual(crawledPaths(shallow), ['/']);
+
+  const limited = await crawlSite(baseUrl, { maxDepth: 2, maxPages: 2 });
+  assert.equal(limited.pages.length, 2);
+});
+
+test('crawlSite makes conditional requests and reuses snapshots of unchanged pages', async () => {
+  const first = await crawlSite(baseUrl, { maxDepth: 2, maxPages: 10 });
+  const snapshots = new Map(
+    first.pages.map((content) => [
+      content.url,
+      {
+        title: content.title,
+        links: content.links,
+        etag: content.metadata.etag,
+        lastModified: content.metadata.lastModified,
+        rawText: content.rawText,
+        cleanedText: content.cleanedText,
+        outline: content.outline,
+        structuredFaqs: content.structuredFaqs
+      }
+    ])
+  );
+  notModified.length = 0;
+
+  const second = await crawlSite(baseUrl, {
+    maxDepth: 2,
+    maxPages: 10,
+    loadSnapshot: async (url) => snapshots.get(url) || null
+  });
+
+  assert.deepEqual(notModified.sort(), ['/', '/about', '/pricing', '/team']);
+  assert.deepEqual(crawledPaths(second), crawledPaths(first));
+  second.pages.forEach((content) => {
+    assert.equal(content.metadata.notModified, true);
+    assert.equal(content.cleanedText, snapshots.get(content.url).cleanedText);
+  });
+});
+
+test('crawlWebsite refuses responses over the size limit', async () => {
+  await assert.rejects(
+    crawlWebsite(`${baseUrl}/large`),
+    (error) => error.code === ERROR_CODES.RESPONSE_TOO_LARGE && error.status === 413
+  );
+});
@@ -0,0 +1,101 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.LLM_PROVIDER = 'mock';
+process.env.EMBEDDING_PROVIDER = 'local';
+
+const { generateFaqs } = require('../src/services/faqGenerationService');
+const { mockProvider } = require('../src/services/llm/mockProvider');
+
+const TEXT = [
+  'Standard shipping takes three to five business days within the country.',
+  'Express delivery arrives the next day when ordered before noon.',
+  'Refunds are issued to the original payment method within ten days.',
+  'Customers can return unused items within thirty days of purchase.',
+  'Gift cards never expire and can be combined with discount codes.',
+  'Our support team answers emails within one business day.',
+  'Subscriptions renew monthly and can be cancelled from the account page.'
+].join(' ');
+
+// Replaces the mock's FAQ responses with `rewrite(faqs, input, call)`; every call is recorded
+const interceptFaqs = (t, rewrite) => {
+  const calls = [];
+  const complete = mockProvider.complete;
+  t.mock.method(mockProvider, 'complete', async (request) => {
+    calls.push(request);
+    const response = await complete(request);
+    if (request.task !== 'faqs') return response;
+
+    const { faqs } = JSON.parse(response.content);
+    return { ...response, content: JSON.stringify({ faqs: rewrite(faqs, request.input, calls.length) }) };
+  });
+  return calls;
+};
+
+beforeEach((t) => {
+  t.mock.method(console, 'warn', () => {});
+});
+
+test('generateFaqs returns grounded FAQs from the mock provider', async () => {
+  const faqs = await generateFaqs(TEXT, 3, { provider: 'mock' });
+
+  assert.equal(faqs.length, 3);
+  faqs.forEach((faq) => {
+    assert.ok(TEXT.includes(faq.answer), `answer not taken from the text: ${faq.answer}`);
+    assert.equal(faq.unsupported, false);
+    assert.ok(faq.citations.length > 0);
+  });
+  assert.equal(new Set(faqs.map((faq) => faq.question)).size, 3);
+});
+
+test('generateFaqs sends rejected items back for repair', async (t) => {
+  const calls = interceptFaqs(t, (faqs, input) =>
+    input.repair ? faqs : faqs.map((faq, index) => (index === 0 ? { ...faq, answer: '' } : faq))
+  );
+  const rejections = [];
+
+  const faqs = await generateFaqs(TEXT, 3, {
+    provider: 'mock',
+    onRejected: (rejected) => rejections.push(...rejected)
+  });
+
+  assert.equal(faqs.length, 3);
+  assert.equal(rejections.length, 1);
+  assert.equal(rejections[0].attempt, 1);
+  assert.ok(calls.some((call) => call.input.repair), 'no repair request was made');
+  assert.match(calls.find((call) => call.input.repair).prompt, /answer/);
+});
+
+test('generateFaqs tops up with new questions when too few FAQs come back', async (t) => {
+  let first;
+  const calls = interceptFaqs(t, (faqs, input, call) => {
+    if (call > 1) return faqs;
+    first = faqs[0];
+    return [first];
+  });
+
+  const faqs = await generateFaqs(TEXT, 3, { provider: 'mock' });
+
+  assert.equal(calls.length, 2);
+  assert.ok(!calls[1].input.repair);
+  assert.ok(calls[1].input.avoid.includes(first.question), 'top-up was not told the questions already written');
+  assert.equal(faqs.length, 3);
+  assert.equal(new Set(faqs.map((faq) => faq.question)).size, 3);
+});
+
+test('generateFaqs does not retry a response that failed after streaming text', async (t) => {
+  const complete = mockProvider.complete;
+  let calls = 0;
+  t.mock.method(mockProvider, 'complete', async (request) => {
+    calls++;
+    if (calls > 1) return complete(request);
+    request.onText('{"faqs": [{"question": "What does the content say about shipping?", "answer": "Standard');
+    throw new Error('socket hang up');
+  });
+  const events = [];
+
+  await assert.rejects(generateFaqs(TEXT, 3, { provider: 'mock', onProgress: (event) => events.push(event) }));
+
+  assert.equal(calls, 1);
+  assert.equal(events.filter((event) => event.type === 'faq').length, 0);
+});
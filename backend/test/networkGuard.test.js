@@ -0,0 +1,98 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const dns = require('node:dns');
+const http = require('node:http');
+const axios = require('axios');
+
+// These tests need the guard on, whatever the environment says
+delete process.env.CRAWLER_ALLOW_PRIVATE_NETWORKS;
+process.env.CRAWLER_MIN_REQUEST_INTERVAL_MS = '0';
+
+const { assertAllowedUrl, guardedLookup, guardedRequestOptions } = require('../src/utils/networkGuard');
+const { crawlWebsite } = require('../src/services/crawlerService');
+const { ERROR_CODES } = require('../src/utils/constants');
+
+const isBlocked = (error) => error.code === ERROR_CODES.BLOCKED_DESTINATION && error.status === 403;
+
+const lookup = (hostname, options = {}) =>
+  new Promise((resolve, reject) => {
+    guardedLookup(hostname, options, (error, address, family) => (error ? reject(error) : resolve({ address, family })));
+  });
+
+test('assertAllowedUrl blocks private, reserved and IPv4-mapped addresses', () => {
+  [
+    'http://127.0.0.1/',
+    'http://10.1.2.3/admin',
+    'http://172.16.0.1/',
+    'http://192.168.1.1/',
+    'http://169.254.169.254/latest/meta-data/',
+    'http://100.64.0.1/',
+    'http://0.0.0.0/',
+    'http://[::1]/',
+    'http://[::ffff:127.0.0.1]/',
+    'http://[::ffff:a9fe:a9fe]/',
+    'http://[fd00::1]/',
+    'http://[fe80::1]/'
+  ].forEach((url) => assert.throws(() => assertAllowedUrl(url), isBlocked, url));
+});
+
+test('assertAllowedUrl allows public addresses and leaves host names to the lookup', () => {
+  assert.doesNotThrow(() => assertAllowedUrl('https://93.184.216.34/'));
+  assert.doesNotThrow(() => assertAllowedUrl('http://[2606:4700::1111]/'));
+  assert.doesNotThrow(() => assertAllowedUrl('http://[::ffff:8.8.8.8]/'));
+  assert.doesNotThrow(() => assertAllowedUrl('https://example.com/page'));
+});
+
+test('assertAllowedUrl rejects other schemes and malformed URLs', () => {
+  const isInvalid = (error) => error.code === ERROR_CODES.INVALID_URL && error.status === 400;
+  assert.throws(() => assertAllowedUrl('ftp://example.com/file'), isInvalid);
+  assert.throws(() => assertAllowedUrl('file:///etc/passwd'), isInvalid);
+  assert.throws(() => assertAllowedUrl('not a url'), isInvalid);
+});
+
+test('guardedLookup fails when any resolved address is blocked', async (t) => {
+  const answers = {
+    'public.test': [{ address: '93.184.216.34', family: 4 }],
+    'mixed.test': [{ address: '93.184.216.34', family: 4 }, { address: '10.0.0.5', family: 4 }],
+    'mapped.test': [{ address: '::ffff:127.0.0.1', family: 6 }]
+  };
+  t.mock.method(dns, 'lookup', (hostname, options, callback) => callback(null, answers[hostname]));
+
+  assert.deepEqual(await lookup('public.test'), { address: '93.184.216.34', family: 4 });
+  await assert.rejects(lookup('mixed.test'), isBlocked);
+  await assert.rejects(lookup('mapped.test'), isBlocked);
+});
+
+test('guarded requests never connect to a host name that resolves to loopback', async (t) => {
+  let connections = 0;
+  const server = http.createServer((req, res) => res.end('secret'));
+  server.on('connection', () => connections++);
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => server.close());
+
+  t.mock.method(dns, 'lookup', (hostname, options, callback) => callback(null, [{ address: '127.0.0.1', family: 4 }]));
+
+  await assert.rejects(
+    axios.get(`http://internal.test:${server.address().port}/`, guardedRequestOptions()),
+    isBlocked
+  );
+  assert.equal(connections, 0);
+});
+
+test('the crawler refuses a redirect to 127.0.0.1', async (t) => {
+  const requested = [];
+  t.mock.method(axios, 'get', async (url) => {
+    requested.push(url);
+    if (url.endsWith('/robots.txt')) return { status: 404, headers: {}, data: '' };
+    return { status: 302, headers: { location: 'http://127.0.0.1:8080/admin' }, data: '' };
+  });
+
+  await assert.rejects(crawlWebsite('http://shop.test/'), isBlocked);
+  assert.deepEqual(requested, ['http://shop.test/robots.txt', 'http://shop.test/']);
+});
+
+test('redirects axios follows itself get the same destination check', () => {
+  const { beforeRedirect } = guardedRequestOptions();
+  assert.throws(() => beforeRedirect({ href: 'http://127.0.0.1/robots.txt' }), isBlocked);
+  assert.doesNotThrow(() => beforeRedirect({ href: 'https://example.com/robots.txt' }));
+});
@@ -0,0 +1,109 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const axios = require('axios');
+
+delete process.env.CRAWLER_USER_AGENT;
+process.env.CRAWLER_MAX_CRAWL_DELAY_SECONDS = '30';
+
+const { checkRobots } = require('../src/services/robotsService');
+
+// robots.txt of each test host; every test uses its own host as results are cached per origin
+const ROBOTS = {
+  'agents.test': `
+User-agent: bot
+Disallow: /generic
+
+User-agent: FAQGeneratorBot/2.0
+Disallow: /ours
+
+User-agent: *
+Disallow: /everyone
+`,
+  'prefix.test': `
+User-agent: FAQGenerator
+User-agent: faqgeneratorbotextra
+Disallow: /
+
+User-agent: *
+Disallow: /everyone
+`,
+  'case.test': `
+user-agent: faqgeneratorbot
+disallow: /Private
+`,
+  'precedence.test': `
+User-agent: *
+Allow: /
+Disallow: /shop
+Allow: /shop/help
+Allow: /page
+Disallow: /page
+`,
+  'patterns.test': `
+User-agent: *
+Disallow: /*.pdf$
+Disallow: /search*q=
+Disallow: /tmp$
+`,
+  'delay.test': `
+User-agent: *
+Crawl-delay: 86400
+Sitemap: https://delay.test/sitemap.xml
+`,
+  'short-delay.test': `
+User-agent: FAQGeneratorBot
+Crawl-delay: 2.5
+`
+};
+
+beforeEach((t) => {
+  t.mock.method(axios, 'get', async (url) => {
+    const { host, pathname } = new URL(url);
+    assert.equal(pathname, '/robots.txt');
+    return { status: 200, headers: {}, data: ROBOTS[host] };
+  });
+});
+
+const allowed = async (url) => (await checkRobots(url)).allowed;
+
+test('only groups whose product token equals the bot name apply', async () => {
+  assert.equal(await allowed('https://agents.test/generic'), true);
+  assert.equal(await allowed('https://agents.test/ours'), false);
+  assert.equal(await allowed('https://agents.test/everyone'), true);
+
+  // Neither a prefix nor a longer name of the token matches, so the "*" group applies
+  assert.equal(await allowed('https://prefix.test/page'), true);
+  assert.equal(await allowed('https://prefix.test/everyone'), false);
+
+  assert.equal(await allowed('https://case.test/Private/notes'), false);
+  assert.equal(await allowed('https://case.test/private/notes'), true);
+});
+
+test('the longest matching rule wins and Allow wins a tie', async () => {
+  assert.equal(await allowed('https://precedence.test/about'), true);
+  assert.equal(await allowed('https://precedence.test/shop/cart'), false);
+  assert.equal(await allowed('https://precedence.test/shop/help/returns'), true);
+  assert.equal(await allowed('https://precedence.test/page'), true);
+});
+
+test('* matches any characters and $ anchors the end of the path', async () => {
+  assert.equal(await allowed('https://patterns.test/docs/guide.pdf'), false);
+  assert.equal(await allowed('https://patterns.test/docs/guide.pdf?download=1'), true);
+  assert.equal(await allowed('https://patterns.test/docs/guide.pdfx'), true);
+  assert.equal(await allowed('https://patterns.test/search?q=refunds'), false);
+  assert.equal(await allowed('https://patterns.test/search'), true);
+  assert.equal(await allowed('https://patterns.test/tmp'), false);
+  assert.equal(await allowed('https://patterns.test/tmp/file'), true);
+});
+
+test('Crawl-delay is capped at CRAWLER_MAX_CRAWL_DELAY_SECONDS', async (t) => {
+  const warn = t.mock.method(console, 'warn', () => {});
+
+  const robots = await checkRobots('https://delay.test/');
+  assert.equal(robots.crawlDelay, 30);
+  assert.deepEqual(robots.sitemaps, ['https://delay.test/sitemap.xml']);
+  assert.equal(warn.mock.callCount(), 1);
+
+  assert.equal((await checkRobots('https://short-delay.test/')).crawlDelay, 2.5);
+  assert.equal(warn.mock.callCount(), 1);
+});
@@ -0,0 +1,278 @@
+import React, { useState, useEffect, useRef } from 'react';
+import {
+  Box,
+  Typography,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  Paper,
+  IconButton,
+  Button,
+  Chip,
+  CircularProgress,
+  Alert,
+  Tooltip,
+  LinearProgress,
+} from '@mui/material';
+import {
+  Refresh as RefreshIcon,
+  Replay as RetryIcon,
+  Cancel as CancelIcon,
+  ExpandMore,
+  ExpandLess,
+} from '@mui/icons-material';
+import { getBulkBatches, getBulkBatch, retryBulkBatch, cancelBulkBatch } from '../../services/api';
+
+const POLL_INTERVAL_MS = 5000;
+
+const STATUS_COLORS = {
+  queued: 'default',
+  running: 'info',
+  succeeded: 'success',
+  failed: 'error',
+  cancelled: 'warning',
+};
+
+const formatDate = (value) => (value ? new Date(value).toLocaleString() : '-');
+
+const describeBatch = (batch) => batch.fileName || `${batch.rowCount} pasted URLs`;
+
+const describeRow = (row) => {
+  if (row.status === 'succeeded' && row.result) {
+    const cacheNote = row.result.cache && row.result.cache.hit ? ' (from cache)' : '';
+    return `${row.result.faqs.count} FAQs saved${cacheNote}`;
+  }
+  if (row.status === 'running') return row.cancelRequested ? 'Cancelling...' : 'Generating...';
+  if (row.status === 'queued' && row.error) return `Retrying: ${row.error.message}`;
+  if (row.error) return row.error.message;
+  return '-';
+};
+
+const BulkBatchesPanel = ({ refreshKey, selectedId, onSelect, onRowsFinished }) => {
+  const [batches, setBatches] = useState([]);
+  const [rows, setRows] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [reloadKey, setReloadKey] = useState(0);
+  const succeededRef = useRef({});
+  const onRowsFinishedRef = useRef(onRowsFinished);
+  onRowsFinishedRef.current = onRowsFinished;
+
+  useEffect(() => {
+    let ignore = false;
+
+    const fetchBatches = async () => {
+      try {
+        setLoading(true);
+        const [list, detail] = await Promise.all([
+          getBulkBatches(),
+          selectedId ? getBulkBatch(selectedId) : null,
+        ]);
+        if (ignore) return;
+
+        // New FAQs were saved by a batch since the last load
+        const grew = list.batches.some(
+          (batch) => batch.id in succeededRef.current && batch.counts.succeeded > succeededRef.current[batch.id]
+        );
+        succeededRef.current = Object.fromEntries(list.batches.map((batch) => [batch.id, batch.counts.succeeded]));
+        setBatches(list.batches);
+        setRows(detail ? detail.rows : []);
+        if (grew && onRowsFinishedRef.current) onRowsFinishedRef.current();
+      } catch (err) {
+        if (!ignore) setError(err.message || 'Failed to load bulk batches');
+      } finally {
+        if (!ignore) setLoading(false);
+      }
+    };
+
+    fetchBatches();
+    return () => {
+      ignore = true;
+    };
+  }, [refreshKey, reloadKey, selectedId]);
+
+  // Keep polling while any batch still has rows to run
+  useEffect(() => {
+    if (!batches.some((batch) => batch.status === 'running')) return undefined;
+    const timer = setTimeout(() => setReloadKey((prev) => prev + 1), POLL_INTERVAL_MS);
+    return () => clearTimeout(timer);
+  }, [batches]);
+
+  const runAction = async (action, batch) => {
+    try {
+      setError(null);
+      await action(batch.id);
+      setReloadKey((prev) => prev + 1);
+    } catch (err) {
+      setError(err.message || 'Action failed');
+    }
+  };
+
+  return (
+    <Box>
+      <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 2 }}>
+        <Box>
+          <Typography variant="h6">Bulk Generation</Typography>
+          <Typography variant="body2" color="text.secondary">
+            Every URL runs as its own background job. Retrying a batch reruns only its failed or cancelled rows.
+          </Typography>
+        </Box>
+        <Tooltip title="Refresh">
+          <IconButton onClick={() => setReloadKey((prev) => prev + 1)} disabled={loading}>
+            <RefreshIcon />
+          </IconButton>
+        </Tooltip>
+      </Box>
+
+      {error && (
+        <Alert severity="error" sx={{ mb: 2 }} onClose={() => setError(null)}>
+          {error}
+        </Alert>
+      )}
+
+      {loading && batches.length === 0 ? (
+        <Box sx={{ display: 'flex', justifyContent: 'center', p: 3 }}>
+          <CircularProgress size={24} />
+        </Box>
+      ) : batches.length === 0 ? (
+        <Typography variant="body2" color="text.secondary">
+          No bulk batches yet. Use the Bulk tab above to queue a list of URLs or a CSV.
+        </Typography>
+      ) : (
+        <TableContainer component={Paper} variant="outlined">
+          <Table size="small">
+            <TableHead>
+              <TableRow>
+                <TableCell>Batch</TableCell>
+                <TableCell sx={{ minWidth: 200 }}>Progress</TableCell>
+                <TableCell>Rows</TableCell>
+                <TableCell align="right">FAQs</TableCell>
+                <TableCell>Queued</TableCell>
+                <TableCell align="right">Actions</TableCell>
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {batches.map((batch) => {
+                const { counts } = batch;
+                const done = counts.succeeded + counts.failed + counts.cancelled;
+                const selected = batch.id === selectedId;
+                return (
+                  <React.Fragment key={batch.id}>
+                    <TableRow hover selected={selected}>
+                      <TableCell>{describeBatch(batch)}</TableCell>
+                      <TableCell>
+                        <LinearProgress
+                          variant="determinate"
+                          value={batch.rowCount > 0 ? (done / batch.rowCount) * 100 : 100}
+                          color={counts.failed > 0 ? 'warning' : 'primary'}
+                        />
+                        <Typography variant="caption" color="text.secondary">
+                          {`${done} of ${batch.rowCount} done`}
+                        </Typography>
+                      </TableCell>
+                      <TableCell>
+                        {Object.entries(counts)
+                          .filter(([, value]) => value > 0)
+                          .map(([status, value]) => (
+                            <Chip
+                              key={status}
+                              label={`${value} ${status}`}
+                              size="small"
+                              color={STATUS_COLORS[status]}
+                              variant="outlined"
+                              sx={{ mr: 0.5, mb: 0.5 }}
+                            />
+                          ))}
+                      </TableCell>
+                      <TableCell align="right">{batch.faqs}</TableCell>
+                      <TableCell>{formatDate(batch.createdAt)}</TableCell>
+                      <TableCell align="right" sx={{ whiteSpace: 'nowrap' }}>
+                        {counts.failed + counts.cancelled > 0 && (
+                          <Tooltip title="Retry failed rows">
+                            <IconButton size="small" onClick={() => runAction(retryBulkBatch, batch)}>
+                              <RetryIcon />
+                            </IconButton>
+                          </Tooltip>
+                        )}
+                        {batch.status === 'running' && (
+                          <Tooltip title="Cancel remaining rows">
+                            <IconButton size="small" color="error" onClick={() => runAction(cancelBulkBatch, batch)}>
+                              <CancelIcon />
+                            </IconButton>
+                          </Tooltip>
+                        )}
+                        <Tooltip title={selected ? 'Hide rows' : 'Show rows'}>
+                          <IconButton size="small" onClick={() => onSelect(selected ? null : batch.id)}>
+                            {selected ? <ExpandLess /> : <ExpandMore />}
+                          </IconButton>
+                        </Tooltip>
+                      </TableCell>
+                    </TableRow>
+
+                    {selected && (
+                      <TableRow>
+                        <TableCell colSpan={6} sx={{ bgcolor: 'action.hover' }}>
+                          <Table size="small">
+                            <TableHead>
+                              <TableRow>
+                                <TableCell>Line</TableCell>
+                                <TableCell>URL</TableCell>
+                                <TableCell>Count</TableCell>
+                                <TableCell>Status</TableCell>
+                                <TableCell align="right">Attempts</TableCell>
+                                <TableCell>Outcome</TableCell>
+                              </TableRow>
+                            </TableHead>
+                            <TableBody>
+                              {rows.map((row) => (
+                                <TableRow key={row.id}>
+                                  <TableCell>{row.row}</TableCell>
+                                  <TableCell sx={{ maxWidth: 280, overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>
+                                    {row.params.url}
+                                  </TableCell>
+                                  <TableCell>{row.params.count || '-'}</TableCell>
+                                  <TableCell>
+                                    <Chip
+                                      label={row.status}
+                                      size="small"
+                                      color={STATUS_COLORS[row.status] || 'default'}
+                                    />
+                                  </TableCell>
+                                  <TableCell align="right">{`${row.attempts}/${row.maxAttempts}`}</TableCell>
+                                  <TableCell sx={{ maxWidth: 320 }}>
+                                    <Typography variant="body2" noWrap title={describeRow(row)}>
+                                      {describeRow(row)}
+                                    </Typography>
+                                  </TableCell>
+                                </TableRow>
+                              ))}
+                            </TableBody>
+                          </Table>
+                          {counts.failed + counts.cancelled > 0 && (
+                            <Button
+                              size="small"
+                              startIcon={<RetryIcon />}
+                              onClick={() => runAction(retryBulkBatch, batch)}
+                              sx={{ mt: 1 }}
+                            >
+                              {`Retry ${counts.failed + counts.cancelled} failed rows`}
+                            </Button>
+                          )}
+                        </TableCell>
+                      </TableRow>
+                    )}
+                  </React.Fragment>
+                );
+              })}
+            </TableBody>
+          </Table>
+        </TableContainer>
+      )}
+    </Box>
+  );
+};
+
+export default BulkBatchesPanel;
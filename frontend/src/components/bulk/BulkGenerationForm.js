@@ -0,0 +1,186 @@
+import React, { useState, useRef } from 'react';
+import {
+  Box,
+  Button,
+  TextField,
+  Typography,
+  Alert,
+  CircularProgress,
+  Grid,
+  FormControlLabel,
+  Switch,
+} from '@mui/material';
+import { UploadFile, PlaylistAdd } from '@mui/icons-material';
+import { createBulkBatch } from '../../services/api';
+import TemplateSelect from '../templates/TemplateSelect';
+import FaqCountField from '../crawl/FaqCountField';
+
+const PLACEHOLDER = `https://example.com/pricing
+https://example.com/support, 10
+https://example.com/shipping, auto, Friendly support`;
+
+const BulkGenerationForm = ({ onQueued }) => {
+  const [urls, setUrls] = useState('');
+  const [file, setFile] = useState(null);
+  const [count, setCount] = useState(7);
+  const [templateId, setTemplateId] = useState('');
+  const [force, setForce] = useState(false);
+  const [variants, setVariants] = useState(false);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [success, setSuccess] = useState(null);
+  const fileInputRef = useRef(null);
+
+  const clearFile = () => {
+    setFile(null);
+    if (fileInputRef.current) {
+      fileInputRef.current.value = '';
+    }
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (!file && !urls.trim()) {
+      setError('Paste a list of URLs or choose a CSV file');
+      return;
+    }
+
+    try {
+      setLoading(true);
+      setError(null);
+      setSuccess(null);
+
+      const result = await createBulkBatch({ urls, file, count, templateId, force, variants });
+      const skippedNote = result.skipped.length > 0
+        ? ` Skipped ${result.skipped.length} repeated URLs.`
+        : '';
+      setSuccess(`Queued ${result.batch.rowCount} URLs. Follow them under Bulk Generation.${skippedNote}`);
+
+      if (onQueued) {
+        onQueued(result.batch.id);
+      }
+
+      setUrls('');
+      clearFile();
+    } catch (err) {
+      setError(err.message || 'Failed to queue the URLs. Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <Box>
+      <Typography variant="h6" gutterBottom>
+        Generate FAQs for Many Pages
+      </Typography>
+      <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+        One URL per line, optionally followed by a count and a template name, or a CSV with
+        url, count and template columns. Rows without a count or template use the settings below.
+      </Typography>
+
+      <form onSubmit={handleSubmit}>
+        <Grid container spacing={2} alignItems="center">
+          <Grid item xs={12}>
+            <TextField
+              fullWidth
+              multiline
+              minRows={5}
+              maxRows={12}
+              label="URLs"
+              placeholder={PLACEHOLDER}
+              value={urls}
+              onChange={(e) => setUrls(e.target.value)}
+              disabled={loading || Boolean(file)}
+              helperText={file ? 'The uploaded CSV is used instead' : undefined}
+            />
+          </Grid>
+
+          <Grid item xs={12} md={5}>
+            <Button
+              fullWidth
+              variant="outlined"
+              component="label"
+              startIcon={<UploadFile />}
+              disabled={loading}
+              sx={{ height: '56px', justifyContent: 'flex-start', textTransform: 'none', overflow: 'hidden', whiteSpace: 'nowrap' }}
+            >
+              {file ? file.name : 'Or choose a CSV file'}
+              <input
+                ref={fileInputRef}
+                hidden
+                type="file"
+                accept=".csv,.txt"
+                onChange={(e) => setFile(e.target.files[0] || null)}
+              />
+            </Button>
+          </Grid>
+
+          <Grid item xs={12} md={3}>
+            <TemplateSelect value={templateId} onChange={setTemplateId} disabled={loading} />
+          </Grid>
+
+          <Grid item xs={12} md={2}>
+            <FaqCountField value={count} onChange={setCount} disabled={loading} />
+          </Grid>
+
+          <Grid item xs={12} md={2}>
+            <Button
+              fullWidth
+              variant="contained"
+              type="submit"
+              disabled={loading || (!file && !urls.trim())}
+              startIcon={loading ? <CircularProgress size={20} /> : <PlaylistAdd />}
+              sx={{ height: '56px' }}
+            >
+              {loading ? 'Queuing...' : 'Queue All'}
+            </Button>
+          </Grid>
+
+          <Grid item xs={12}>
+            <FormControlLabel
+              control={
+                <Switch
+                  checked={force}
+                  onChange={(e) => setForce(e.target.checked)}
+                  disabled={loading}
+                />
+              }
+              label="Ignore cache"
+            />
+            <FormControlLabel
+              control={
+                <Switch
+                  checked={variants}
+                  onChange={(e) => setVariants(e.target.checked)}
+                  disabled={loading}
+                />
+              }
+              label="Question variants"
+            />
+            {file && (
+              <Button size="small" onClick={clearFile} disabled={loading}>
+                Remove CSV
+              </Button>
+            )}
+          </Grid>
+        </Grid>
+      </form>
+
+      {error && (
+        <Alert severity="error" sx={{ mt: 2 }} onClose={() => setError(null)}>
+          {error}
+        </Alert>
+      )}
+
+      {success && (
+        <Alert severity="success" sx={{ mt: 2 }} onClose={() => setSuccess(null)}>
+          {success}
+        </Alert>
+      )}
+    </Box>
+  );
+};
+
+export default BulkGenerationForm;
@@ -0,0 +1,150 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Box,
+  Typography,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  Paper,
+  IconButton,
+  Button,
+  CircularProgress,
+  Alert,
+  Tooltip,
+} from '@mui/material';
+import { DeleteSweep as PurgeIcon, Refresh as RefreshIcon } from '@mui/icons-material';
+import { getGenerationCache, purgeGenerationCache } from '../../services/api';
+
+const formatDate = (value) => (value ? new Date(value).toLocaleString() : '-');
+
+const GenerationCachePanel = () => {
+  const [entries, setEntries] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [message, setMessage] = useState(null);
+
+  const fetchEntries = async () => {
+    try {
+      setLoading(true);
+      const data = await getGenerationCache();
+      setEntries(data.entries || []);
+    } catch (err) {
+      setError(err.message || 'Failed to load cache');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchEntries();
+  }, []);
+
+  const handlePurge = async (sourceUrl = null) => {
+    const target = sourceUrl ? `the cached generations for ${sourceUrl}` : 'the whole generation cache';
+    if (!window.confirm(`Purge ${target}?`)) {
+      return;
+    }
+    try {
+      const result = await purgeGenerationCache(sourceUrl);
+      setMessage(result.message);
+      fetchEntries();
+    } catch (err) {
+      setError(err.message || 'Failed to purge cache');
+    }
+  };
+
+  return (
+    <Box>
+      <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 2 }}>
+        <Box>
+          <Typography variant="h6">Generation Cache</Typography>
+          <Typography variant="body2" color="text.secondary">
+            Unchanged content generated with the same settings reuses these FAQs instead of calling the model
+          </Typography>
+        </Box>
+        <Box sx={{ display: 'flex', gap: 1 }}>
+          <Tooltip title="Refresh">
+            <IconButton onClick={fetchEntries} disabled={loading}>
+              <RefreshIcon />
+            </IconButton>
+          </Tooltip>
+          <Button
+            variant="outlined"
+            color="error"
+            startIcon={<PurgeIcon />}
+            onClick={() => handlePurge()}
+            disabled={entries.length === 0}
+          >
+            Purge All
+          </Button>
+        </Box>
+      </Box>
+
+      {error && (
+        <Alert severity="error" sx={{ mb: 2 }} onClose={() => setError(null)}>
+          {error}
+        </Alert>
+      )}
+
+      {message && (
+        <Alert severity="success" sx={{ mb: 2 }} onClose={() => setMessage(null)}>
+          {message}
+        </Alert>
+      )}
+
+      {loading ? (
+        <Box sx={{ display: 'flex', justifyContent: 'center', p: 3 }}>
+          <CircularProgress size={24} />
+        </Box>
+      ) : entries.length === 0 ? (
+        <Typography variant="body2" color="text.secondary">
+          Nothing cached yet.
+        </Typography>
+      ) : (
+        <TableContainer component={Paper} variant="outlined">
+          <Table size="small">
+            <TableHead>
+              <TableRow>
+                <TableCell>Source</TableCell>
+                <TableCell>Model</TableCell>
+                <TableCell align="right">FAQs</TableCell>
+                <TableCell align="right">Hits</TableCell>
+                <TableCell>Cached</TableCell>
+                <TableCell>Expires</TableCell>
+                <TableCell align="right">Actions</TableCell>
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {entries.map((entry) => (
+                <TableRow key={entry._id} hover>
+                  <TableCell sx={{ maxWidth: 280, overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>
+                    {entry.sourceUrl || '(pasted text)'}
+                  </TableCell>
+                  <TableCell>{`${entry.provider}/${entry.model}`}</TableCell>
+                  <TableCell align="right">{entry.count}</TableCell>
+                  <TableCell align="right">{entry.hits}</TableCell>
+                  <TableCell>{formatDate(entry.createdAt)}</TableCell>
+                  <TableCell>{formatDate(entry.expiresAt)}</TableCell>
+                  <TableCell align="right">
+                    {entry.sourceUrl && (
+                      <Tooltip title="Purge this source">
+                        <IconButton size="small" color="error" onClick={() => handlePurge(entry.sourceUrl)}>
+                          <PurgeIcon />
+                        </IconButton>
+                      </Tooltip>
+                    )}
+                  </TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        </TableContainer>
+      )}
+    </Box>
+  );
+};
+
+export default GenerationCachePanel;
@@ -1,4 +1,4 @@
-import React, { useState } from 'react';
+import React, { useState, useRef } from 'react';
 import {
   Box,
   TextField,
@@ -8,16 +8,34 @@ import {
   CircularProgress,
   Grid,
   InputAdornment,
+  FormControlLabel,
+  Switch,
+  LinearProgress,
+  List,
+  ListItem,
+  ListItemText,
 } from '@mui/material';
-import { Language, PlayArrow } from '@mui/icons-material';
-import { generateFAQs } from '../../services/api';
+import { Language, PlayArrow, FileDownload, Stop } from '@mui/icons-material';
+import { streamGenerateFAQs, queueGenerateFAQs, importFAQs } from '../../services/api';
+import TemplateSelect from '../templates/TemplateSelect';
+import FaqCountField from './FaqCountField';
 
-const CrawlForm = ({ onSuccess }) => {
+const CrawlForm = ({ onSuccess, onQueued }) => {
   const [url, setUrl] = useState('');
   const [count, setCount] = useState(7);
+  const [crawlSite, setCrawlSite] = useState(false);
+  const [maxPages, setMaxPages] = useState(20);
+  const [templateId, setTemplateId] = useState('');
+  const [force, setForce] = useState(false);
+  const [variants, setVariants] = useState(false);
+  const [background, setBackground] = useState(false);
   const [loading, setLoading] = useState(false);
+  const [importing, setImporting] = useState(false);
   const [error, setError] = useState(null);
   const [success, setSuccess] = useState(null);
+  const [progress, setProgress] = useState(null);
+  const [streamedFaqs, setStreamedFaqs] = useState([]);
+  const abortRef = useRef(null);
 
   const handleSubmit = async (e) => {
     e.preventDefault();
@@ -27,15 +45,78 @@ const CrawlForm = ({ onSuccess }) => {
       return;
     }
 
+    const controller = new AbortController();
+    abortRef.current = controller;
+
     try {
       setLoading(true);
       setError(null);
       setSuccess(null);
+      setStreamedFaqs([]);
+      setProgress('Starting...');
 
       const trimmedUrl = url.trim();
-      const result = await generateFAQs(trimmedUrl, count);
-      
-      setSuccess(`Successfully generated ${result.faqs.count} FAQs!`);
+      const options = crawlSite
+        ? { mode: 'site', maxPages, templateId, force, variants }
+        : { templateId, force, variants };
+
+      if (background) {
+        await queueGenerateFAQs(trimmedUrl, count, options);
+        setSuccess('Generation queued. Follow it under Background Jobs; the FAQs appear when it finishes.');
+        if (onQueued) onQueued();
+        setUrl('');
+        return;
+      }
+
+      let pageCount = 1;
+      let savedCount = 0;
+      let fromCache = false;
+      let streamError = null;
+
+      await streamGenerateFAQs(
+        trimmedUrl,
+        count,
+        options,
+        (event, data) => {
+          switch (event) {
+            case 'crawl-started':
+              setProgress(crawlSite ? 'Crawling site...' : 'Crawling page...');
+              break;
+            case 'crawl-finished':
+              pageCount = data.crawledPages ? data.crawledPages.length : 1;
+              setProgress(crawlSite ? `Crawled ${pageCount} pages. Generating FAQs...` : 'Page crawled. Generating FAQs...');
+              break;
+            case 'generating':
+              if (data.chunks > 1) setProgress(`Generating FAQs from ${data.chunks} sections...`);
+              break;
+            case 'faq':
+              setStreamedFaqs((prev) => [...prev, data.faq]);
+              break;
+            case 'saved':
+              savedCount = data.count;
+              fromCache = Boolean(data.cache && data.cache.hit);
+              setProgress('Saving...');
+              break;
+            case 'error':
+              streamError = data.error;
+              break;
+            default:
+              break;
+          }
+        },
+        controller.signal
+      );
+
+      if (streamError) {
+        throw new Error(streamError);
+      }
+
+      const cacheNote = fromCache ? ' (served from cache)' : '';
+      setSuccess(
+        crawlSite
+          ? `Successfully generated ${savedCount} FAQs from ${pageCount} pages!${cacheNote}`
+          : `Successfully generated ${savedCount} FAQs!${cacheNote}`
+      );
       
       if (onSuccess) {
         onSuccess(trimmedUrl);
@@ -46,9 +127,52 @@ const CrawlForm = ({ onSuccess }) => {
         setUrl('');
       }, 1000);
     } catch (err) {
-      setError(err.message || 'Failed to generate FAQs. Please try again.');
+      if (err.name === 'AbortError') {
+        setError('Generation cancelled. No FAQs were saved.');
+      } else {
+        setError(err.message || 'Failed to generate FAQs. Please try again.');
+      }
     } finally {
+      abortRef.current = null;
       setLoading(false);
+      setProgress(null);
+      setStreamedFaqs([]);
+    }
+  };
+
+  const handleCancel = () => {
+    if (abortRef.current) {
+      abortRef.current.abort();
+    }
+  };
+
+  const handleImport = async () => {
+    if (!url.trim()) {
+      setError('Please enter a valid URL');
+      return;
+    }
+
+    try {
+      setImporting(true);
+      setError(null);
+      setSuccess(null);
+
+      const trimmedUrl = url.trim();
+      const result = await importFAQs(trimmedUrl);
+
+      setSuccess(
+        result.found === 0
+          ? 'No existing FAQs found on this page.'
+          : `Imported ${result.faqs.count} existing FAQs (${result.skipped} already saved).`
+      );
+
+      if (onSuccess && result.faqs.count > 0) {
+        onSuccess(trimmedUrl);
+      }
+    } catch (err) {
+      setError(err.message || 'Failed to import FAQs. Please try again.');
+    } finally {
+      setImporting(false);
     }
   };
 
@@ -60,7 +184,7 @@ const CrawlForm = ({ onSuccess }) => {
       
       <form onSubmit={handleSubmit}>
         <Grid container spacing={2} alignItems="center">
-          <Grid item xs={12} md={8}>
+          <Grid item xs={12} md={5}>
             <TextField
               fullWidth
               label="Website URL"
@@ -79,37 +203,138 @@ const CrawlForm = ({ onSuccess }) => {
             />
           </Grid>
           
+          <Grid item xs={12} md={3}>
+            <TemplateSelect value={templateId} onChange={setTemplateId} disabled={loading} />
+          </Grid>
+
           <Grid item xs={12} md={2}>
-            <TextField
-              fullWidth
-              label="FAQ Count"
-              type="number"
-              value={count}
-              onChange={(e) => {
-                const value = parseInt(e.target.value) || 5;
-                setCount(Math.min(Math.max(value, 5), 10));
-              }}
-              disabled={loading}
-              inputProps={{ min: 5, max: 10 }}
-              helperText="5-10 FAQs"
-            />
+            <FaqCountField value={count} onChange={setCount} disabled={loading} />
           </Grid>
           
           <Grid item xs={12} md={2}>
+            {loading ? (
+              <Button
+                fullWidth
+                variant="outlined"
+                color="error"
+                onClick={handleCancel}
+                startIcon={<Stop />}
+                sx={{ height: '56px' }}
+              >
+                Cancel
+              </Button>
+            ) : (
+              <Button
+                fullWidth
+                variant="contained"
+                type="submit"
+                disabled={importing || !url.trim()}
+                startIcon={<PlayArrow />}
+                sx={{ height: '56px' }}
+              >
+                Generate FAQs
+              </Button>
+            )}
+          </Grid>
+
+          <Grid item xs={12} md={crawlSite ? 6 : 8}>
+            <FormControlLabel
+              control={
+                <Switch
+                  checked={crawlSite}
+                  onChange={(e) => setCrawlSite(e.target.checked)}
+                  disabled={loading}
+                />
+              }
+              label="Crawl entire site (sitemap.xml and same-domain links)"
+            />
+            <FormControlLabel
+              control={
+                <Switch
+                  checked={force}
+                  onChange={(e) => setForce(e.target.checked)}
+                  disabled={loading}
+                />
+              }
+              label="Ignore cache"
+            />
+            <FormControlLabel
+              control={
+                <Switch
+                  checked={variants}
+                  onChange={(e) => setVariants(e.target.checked)}
+                  disabled={loading}
+                />
+              }
+              label="Question variants"
+            />
+            <FormControlLabel
+              control={
+                <Switch
+                  checked={background}
+                  onChange={(e) => setBackground(e.target.checked)}
+                  disabled={loading}
+                />
+              }
+              label="Run in background"
+            />
+          </Grid>
+
+          <Grid item xs={12} md={4} sx={{ order: { md: 3 } }}>
             <Button
               fullWidth
-              variant="contained"
-              type="submit"
-              disabled={loading || !url.trim()}
-              startIcon={loading ? <CircularProgress size={20} /> : <PlayArrow />}
-              sx={{ height: '56px' }}
+              variant="outlined"
+              onClick={handleImport}
+              disabled={loading || importing || !url.trim()}
+              startIcon={importing ? <CircularProgress size={20} /> : <FileDownload />}
             >
-              {loading ? 'Generating...' : 'Generate FAQs'}
+              {importing ? 'Importing...' : 'Import Existing FAQs'}
             </Button>
           </Grid>
+
+          {crawlSite && (
+            <Grid item xs={12} md={2}>
+              <TextField
+                fullWidth
+                size="small"
+                label="Max Pages"
+                type="number"
+                value={maxPages}
+                onChange={(e) => {
+                  const value = parseInt(e.target.value) || 1;
+                  setMaxPages(Math.min(Math.max(value, 1), 100));
+                }}
+                disabled={loading}
+                inputProps={{ min: 1, max: 100 }}
+              />
+            </Grid>
+          )}
         </Grid>
       </form>
 
+      {loading && (
+        <Box sx={{ mt: 2 }}>
+          <LinearProgress />
+          <Typography variant="body2" color="text.secondary" sx={{ mt: 1 }}>
+            {progress}
+            {streamedFaqs.length > 0 && ` ${streamedFaqs.length} draft FAQs so far; the best ${count === 'auto' ? '' : `${count} `}are kept.`}
+          </Typography>
+          {streamedFaqs.length > 0 && (
+            <List dense>
+              {streamedFaqs.map((faq, index) => (
+                <ListItem key={index} disableGutters>
+                  <ListItemText
+                    primary={faq.question}
+                    secondary={faq.answer}
+                    secondaryTypographyProps={{ noWrap: true }}
+                  />
+                </ListItem>
+              ))}
+            </List>
+          )}
+        </Box>
+      )}
+
       {error && (
         <Alert severity="error" sx={{ mt: 2 }} onClose={() => setError(null)}>
           {error}
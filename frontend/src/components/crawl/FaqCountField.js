@@ -0,0 +1,29 @@
+import React from 'react';
+import { TextField, MenuItem } from '@mui/material';
+
+// Keep in sync with the backend's FAQ_MAX_COUNT
+export const MAX_FAQ_COUNT = Number(process.env.REACT_APP_MAX_FAQ_COUNT) || 20;
+
+const COUNTS = Array.from({ length: MAX_FAQ_COUNT }, (_, index) => index + 1);
+
+// Number of FAQs to generate, or 'auto' to let the server scale it with the content
+const FaqCountField = ({ value, onChange, disabled }) => (
+  <TextField
+    select
+    fullWidth
+    label="FAQ Count"
+    value={value}
+    onChange={(e) => onChange(e.target.value)}
+    disabled={disabled}
+    helperText={value === 'auto' ? 'Based on the content' : `1-${MAX_FAQ_COUNT} FAQs`}
+  >
+    <MenuItem value="auto">Auto</MenuItem>
+    {COUNTS.map((count) => (
+      <MenuItem key={count} value={count}>
+        {count}
+      </MenuItem>
+    ))}
+  </TextField>
+);
+
+export default FaqCountField;
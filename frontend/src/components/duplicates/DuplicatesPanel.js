@@ -0,0 +1,165 @@
+import React, { useState } from 'react';
+import {
+  Box,
+  Typography,
+  Button,
+  TextField,
+  CircularProgress,
+  Alert,
+  Paper,
+  Radio,
+  List,
+  ListItem,
+  ListItemIcon,
+  ListItemText,
+  Chip,
+} from '@mui/material';
+import { ContentCopy as DuplicatesIcon, MergeType as MergeIcon } from '@mui/icons-material';
+import { getDuplicateReport, mergeDuplicateFAQs } from '../../services/api';
+
+const DuplicatesPanel = ({ onMerged }) => {
+  const [domain, setDomain] = useState('');
+  const [report, setReport] = useState(null);
+  // first FAQ id of a cluster -> id of the FAQ to keep
+  const [keep, setKeep] = useState({});
+  const [loading, setLoading] = useState(false);
+  const [merging, setMerging] = useState(null);
+  const [error, setError] = useState(null);
+  const [message, setMessage] = useState(null);
+
+  const findDuplicates = async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      setMessage(null);
+      const data = await getDuplicateReport(domain.trim() ? { domain: domain.trim() } : {});
+      setReport(data);
+      // Keep the oldest FAQ of each cluster unless the editor picks another
+      setKeep(Object.fromEntries(data.clusters.map((cluster) => [cluster.faqs[0].id, cluster.faqs[0].id])));
+    } catch (err) {
+      setError(err.message || 'Failed to load duplicates');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleMerge = async (cluster) => {
+    const key = cluster.faqs[0].id;
+    const keepId = keep[key];
+    const mergeIds = cluster.faqs.map((faq) => faq.id).filter((id) => id !== keepId);
+    if (!window.confirm(`Delete ${mergeIds.length} duplicate FAQs and keep the selected one?`)) {
+      return;
+    }
+    try {
+      setMerging(key);
+      const result = await mergeDuplicateFAQs(keepId, mergeIds);
+      setMessage(result.message);
+      setReport((prev) => ({
+        ...prev,
+        clusters: prev.clusters.filter((other) => other !== cluster),
+      }));
+      if (onMerged) onMerged();
+    } catch (err) {
+      setError(err.message || 'Failed to merge FAQs');
+    } finally {
+      setMerging(null);
+    }
+  };
+
+  return (
+    <Box>
+      <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 2, gap: 2 }}>
+        <Box>
+          <Typography variant="h6">Duplicate FAQs</Typography>
+          <Typography variant="body2" color="text.secondary">
+            {report
+              ? `${report.clusters.length} groups of similar questions among ${report.scanned} FAQs`
+              : 'Groups questions that mean the same thing so you can keep one'}
+          </Typography>
+        </Box>
+        <Box sx={{ display: 'flex', alignItems: 'center', gap: 2 }}>
+          <TextField
+            size="small"
+            label="Domain (optional)"
+            placeholder="help.example.com"
+            value={domain}
+            onChange={(e) => setDomain(e.target.value)}
+            disabled={loading}
+          />
+          <Button
+            variant="outlined"
+            startIcon={loading ? <CircularProgress size={16} /> : <DuplicatesIcon />}
+            onClick={findDuplicates}
+            disabled={loading}
+          >
+            Find Duplicates
+          </Button>
+        </Box>
+      </Box>
+
+      {error && (
+        <Alert severity="error" sx={{ mb: 2 }} onClose={() => setError(null)}>
+          {error}
+        </Alert>
+      )}
+
+      {message && (
+        <Alert severity="success" sx={{ mb: 2 }} onClose={() => setMessage(null)}>
+          {message}
+        </Alert>
+      )}
+
+      {report && report.unembedded > 0 && (
+        <Alert severity="warning" sx={{ mb: 2 }}>
+          {`${report.unembedded} FAQs could not be embedded and were left out of this report.`}
+        </Alert>
+      )}
+
+      {report && report.clusters.length === 0 && (
+        <Typography variant="body2" color="text.secondary">
+          No duplicates found.
+        </Typography>
+      )}
+
+      {report &&
+        report.clusters.map((cluster) => (
+          <Paper key={cluster.faqs[0].id} variant="outlined" sx={{ p: 2, mb: 2 }}>
+            <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+              <Typography variant="subtitle2">
+                {cluster.size} similar FAQs
+                <Chip label={`${Math.round(cluster.score * 100)}%+ similar`} size="small" sx={{ ml: 1 }} />
+              </Typography>
+              <Button
+                size="small"
+                variant="contained"
+                startIcon={merging === cluster.faqs[0].id ? <CircularProgress size={16} /> : <MergeIcon />}
+                onClick={() => handleMerge(cluster)}
+                disabled={merging !== null}
+              >
+                Keep Selected, Delete Others
+              </Button>
+            </Box>
+            <List dense>
+              {cluster.faqs.map((faq) => (
+                <ListItem key={faq.id} disableGutters>
+                  <ListItemIcon sx={{ minWidth: 40 }}>
+                    <Radio
+                      size="small"
+                      checked={keep[cluster.faqs[0].id] === faq.id}
+                      onChange={() => setKeep((prev) => ({ ...prev, [cluster.faqs[0].id]: faq.id }))}
+                    />
+                  </ListItemIcon>
+                  <ListItemText
+                    primary={faq.question}
+                    secondary={`${faq.status} · ${faq.sourceUrl} · ${new Date(faq.createdAt).toLocaleDateString()}`}
+                  />
+                </ListItem>
+              ))}
+            </List>
+          </Paper>
+        ))}
+    </Box>
+  );
+};
+
+export default DuplicatesPanel;
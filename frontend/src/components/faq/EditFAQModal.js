@@ -10,23 +10,77 @@ import {
   Typography,
   Alert,
   CircularProgress,
+  Paper,
 } from '@mui/material';
-import { updateFAQ } from '../../services/api';
+import { AutoFixHigh } from '@mui/icons-material';
+import { updateFAQ, regenerateFAQ, generateFAQVariants } from '../../services/api';
+import RewriteDiff from './RewriteDiff';
+
+// Keep in sync with VARIANTS in the backend constants
+const MIN_VARIANTS = 3;
+const MAX_VARIANTS = 10;
+
+const parseVariants = (text) => text.split('\n').map((line) => line.trim()).filter(Boolean);
 
 const EditFAQModal = ({ open, onClose, faq, onUpdate }) => {
   const [question, setQuestion] = useState('');
   const [answer, setAnswer] = useState('');
+  const [tags, setTags] = useState('');
+  const [variants, setVariants] = useState('');
+  const [generatingVariants, setGeneratingVariants] = useState(false);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
+  const [instructions, setInstructions] = useState('');
+  const [rewriting, setRewriting] = useState(false);
+  const [proposal, setProposal] = useState(null);
 
   useEffect(() => {
     if (faq) {
       setQuestion(faq.question || '');
       setAnswer(faq.answer || '');
+      setTags((faq.tags || []).join(', '));
+      setVariants((faq.variants || []).join('\n'));
       setError(null);
+      setInstructions('');
+      setProposal(null);
     }
   }, [faq]);
 
+  const handleRewrite = async () => {
+    try {
+      setRewriting(true);
+      setError(null);
+      const result = await regenerateFAQ(faq._id, instructions.trim());
+      setProposal(result.proposal);
+    } catch (err) {
+      setError(err.message || 'Failed to rewrite FAQ');
+    } finally {
+      setRewriting(false);
+    }
+  };
+
+  // The generated variants are stored right away; edits to them are saved with the form
+  const handleGenerateVariants = async () => {
+    try {
+      setGeneratingVariants(true);
+      setError(null);
+      const result = await generateFAQVariants(faq._id);
+      setVariants(result.faq.variants.join('\n'));
+      if (onUpdate) onUpdate();
+    } catch (err) {
+      setError(err.message || 'Failed to generate variants');
+    } finally {
+      setGeneratingVariants(false);
+    }
+  };
+
+  // Copies the proposal into the form; it is only stored once the changes are saved
+  const applyProposal = () => {
+    setQuestion(proposal.question);
+    setAnswer(proposal.answer);
+    setProposal(null);
+  };
+
   const handleSubmit = async (e) => {
     e.preventDefault();
 
@@ -35,6 +89,12 @@ const EditFAQModal = ({ open, onClose, faq, onUpdate }) => {
       return;
     }
 
+    const variantList = parseVariants(variants);
+    if (variantList.length > 0 && (variantList.length < MIN_VARIANTS || variantList.length > MAX_VARIANTS)) {
+      setError(`Enter ${MIN_VARIANTS} to ${MAX_VARIANTS} variants, or none`);
+      return;
+    }
+
     try {
       setLoading(true);
       setError(null);
@@ -42,6 +102,10 @@ const EditFAQModal = ({ open, onClose, faq, onUpdate }) => {
       await updateFAQ(faq._id, {
         question: question.trim(),
         answer: answer.trim(),
+        tags,
+        variants: variantList,
+        // Saving an edit counts as reviewing a stale FAQ
+        ...(faq.needsReview ? { needsReview: false } : {}),
       });
 
       if (onUpdate) {
@@ -56,10 +120,11 @@ const EditFAQModal = ({ open, onClose, faq, onUpdate }) => {
   };
 
   const handleClose = () => {
-    if (!loading) {
+    if (!loading && !rewriting && !generatingVariants) {
       setQuestion('');
       setAnswer('');
       setError(null);
+      setProposal(null);
       onClose();
     }
   };
@@ -75,6 +140,15 @@ const EditFAQModal = ({ open, onClose, faq, onUpdate }) => {
             </Alert>
           )}
 
+          {faq?.needsReview && (
+            <Alert severity={faq.staleInfo?.answerSupported === false ? 'error' : 'warning'} sx={{ mb: 2 }}>
+              {faq.staleInfo?.reason || 'The source page changed since this FAQ was generated.'}
+              {faq.staleInfo?.missingTerms?.length > 0 &&
+                ` The page no longer mentions: ${faq.staleInfo.missingTerms.join(', ')}.`}
+              {' '}Saving your changes marks it as reviewed.
+            </Alert>
+          )}
+
           <Box sx={{ mb: 2 }}>
             <Typography variant="caption" color="text.secondary" gutterBottom>
               Source URL
@@ -84,6 +158,14 @@ const EditFAQModal = ({ open, onClose, faq, onUpdate }) => {
             </Typography>
           </Box>
 
+          {faq?.unsupported && (
+            <Alert severity="error" sx={{ mb: 2 }}>
+              The cited source text does not back this answer up
+              {typeof faq.supportScore === 'number' && ` (support ${Math.round(faq.supportScore * 100)}%)`}. Check it
+              against the source before publishing.
+            </Alert>
+          )}
+
           <TextField
             fullWidth
             label="Question"
@@ -106,6 +188,107 @@ const EditFAQModal = ({ open, onClose, faq, onUpdate }) => {
             multiline
             rows={4}
           />
+
+          <TextField
+            fullWidth
+            size="small"
+            label="Tags"
+            placeholder="refunds, credit cards"
+            helperText="Comma separated"
+            value={tags}
+            onChange={(e) => setTags(e.target.value)}
+            disabled={loading}
+            sx={{ mt: 2 }}
+          />
+
+          <Box sx={{ display: 'flex', gap: 2, alignItems: 'flex-start', mt: 2 }}>
+            <TextField
+              fullWidth
+              size="small"
+              label="Question variants"
+              placeholder={'How do I get my money back?\nrefund policy'}
+              helperText={`Other ways users ask this question, one per line (${MIN_VARIANTS}-${MAX_VARIANTS}, or none). Used by FAQ search.`}
+              value={variants}
+              onChange={(e) => setVariants(e.target.value)}
+              disabled={loading || generatingVariants}
+              multiline
+              minRows={3}
+            />
+            <Button
+              variant="outlined"
+              onClick={handleGenerateVariants}
+              disabled={loading || generatingVariants}
+              startIcon={generatingVariants ? <CircularProgress size={16} /> : <AutoFixHigh />}
+              sx={{ whiteSpace: 'nowrap', flexShrink: 0 }}
+            >
+              {generatingVariants ? 'Generating...' : 'Generate Variants'}
+            </Button>
+          </Box>
+
+          <Box sx={{ display: 'flex', gap: 2, alignItems: 'flex-start', mt: 2 }}>
+            <TextField
+              fullWidth
+              size="small"
+              label="Rewrite instructions (optional)"
+              placeholder="e.g. shorter, mention pricing tiers, friendlier tone"
+              value={instructions}
+              onChange={(e) => setInstructions(e.target.value)}
+              disabled={loading || rewriting}
+              inputProps={{ maxLength: 1000 }}
+            />
+            <Button
+              variant="outlined"
+              onClick={handleRewrite}
+              disabled={loading || rewriting}
+              startIcon={rewriting ? <CircularProgress size={16} /> : <AutoFixHigh />}
+              sx={{ whiteSpace: 'nowrap', flexShrink: 0 }}
+            >
+              {rewriting ? 'Rewriting...' : 'Rewrite with AI'}
+            </Button>
+          </Box>
+
+          {proposal && (
+            <Paper variant="outlined" sx={{ p: 2, mt: 2 }}>
+              <RewriteDiff current={{ question, answer }} proposal={proposal} />
+              {proposal.unsupported && (
+                <Alert severity="warning" sx={{ mt: 2 }}>
+                  The source text does not fully back up the proposed answer
+                  {typeof proposal.supportScore === 'number' && ` (support ${Math.round(proposal.supportScore * 100)}%)`}.
+                </Alert>
+              )}
+              <Box sx={{ display: 'flex', justifyContent: 'flex-end', gap: 1, mt: 2 }}>
+                <Button size="small" onClick={() => setProposal(null)}>
+                  Discard
+                </Button>
+                <Button size="small" variant="contained" onClick={applyProposal}>
+                  Use Rewrite
+                </Button>
+              </Box>
+            </Paper>
+          )}
+
+          {faq?.citations?.length > 0 && (
+            <Box sx={{ mt: 2 }}>
+              <Typography variant="caption" color="text.secondary">
+                Citations
+              </Typography>
+              {faq.citations.map((citation, index) => (
+                <Typography
+                  key={`${citation.start}-${index}`}
+                  variant="body2"
+                  color="text.secondary"
+                  sx={{ borderLeft: 3, borderColor: 'divider', pl: 1.5, mt: 1, fontStyle: 'italic' }}
+                >
+                  {citation.text}
+                  {citation.url && citation.url !== faq.sourceUrl && (
+                    <Typography component="span" variant="caption" display="block">
+                      {citation.url}
+                    </Typography>
+                  )}
+                </Typography>
+              ))}
+            </Box>
+          )}
         </DialogContent>
         <DialogActions>
           <Button onClick={handleClose} disabled={loading}>
@@ -114,7 +297,7 @@ const EditFAQModal = ({ open, onClose, faq, onUpdate }) => {
           <Button
             type="submit"
             variant="contained"
-            disabled={loading || !question.trim() || !answer.trim()}
+            disabled={loading || rewriting || !question.trim() || !answer.trim()}
             startIcon={loading ? <CircularProgress size={16} /> : null}
           >
             {loading ? 'Saving...' : 'Save Changes'}
@@ -1,4 +1,4 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
 import {
   Box,
   Typography,
@@ -15,21 +15,81 @@ import {
   CircularProgress,
   Alert,
   Tooltip,
+  FormControlLabel,
+  Switch,
+  TextField,
+  MenuItem,
 } from '@mui/material';
 import {
   Edit as EditIcon,
   Publish as PublishIcon,
   Unpublished as UnpublishIcon,
   Download as DownloadIcon,
+  WarningAmber as WarningIcon,
+  TaskAlt as ReviewedIcon,
 } from '@mui/icons-material';
 import EditFAQModal from './EditFAQModal';
-import { publishFAQ, exportFAQs, updateFAQ } from '../../services/api';
+import { categoriesForFaq } from '../taxonomy/categories';
+import { publishFAQ, exportFAQs, updateFAQ, getTaxonomies } from '../../services/api';
+
+// Keep in sync with QUALITY.LOW_SCORE and the lint rules in the backend qualityService
+const LOW_QUALITY_SCORE = 70;
+const LINT_RULES = {
+  answer_too_short: 'Answer too short',
+  answer_too_long: 'Answer too long',
+  hard_to_read: 'Hard to read',
+  missing_question_mark: 'Missing "?"',
+  repeats_question: 'Repeats the question',
+  filler_phrasing: 'Filler phrasing',
+  banned_term: 'Banned terms',
+};
+
+const qualityColor = (score) =>
+  score >= 90 ? 'success' : score >= LOW_QUALITY_SCORE ? 'warning' : 'error';
+
+const matchesQualityFilter = (faq, filter) => {
+  if (filter === 'all') return true;
+  if (!faq.quality) return false;
+  if (filter === 'low') return faq.quality.score < LOW_QUALITY_SCORE;
+  return faq.quality.warnings.some((warning) => warning.rule === filter);
+};
+
+const UNCATEGORIZED = 'Uncategorized';
+
+const categoryLabel = (faq) => faq.category || UNCATEGORIZED;
+
+const TABLE_COLUMNS = 8;
+
+// Matches the question, any of its variants or the answer
+const matchesSearch = (faq, search) => {
+  const term = search.trim().toLowerCase();
+  if (!term) return true;
+  return [faq.question, faq.answer, ...(faq.variants || [])].some((text) => text.toLowerCase().includes(term));
+};
 
 const FAQList = ({ faqs, loading, onUpdate, currentUrl }) => {
   const [editModalOpen, setEditModalOpen] = useState(false);
   const [selectedFAQ, setSelectedFAQ] = useState(null);
   const [exporting, setExporting] = useState(false);
   const [exportError, setExportError] = useState(null);
+  const [staleOnly, setStaleOnly] = useState(false);
+  const [qualityFilter, setQualityFilter] = useState('all');
+  const [categoryFilter, setCategoryFilter] = useState('all');
+  const [groupByCategory, setGroupByCategory] = useState(false);
+  const [search, setSearch] = useState('');
+  const [taxonomyData, setTaxonomyData] = useState(null);
+
+  // Reloaded with the FAQs so taxonomy edits show up after a refresh
+  useEffect(() => {
+    const fetchTaxonomies = async () => {
+      try {
+        setTaxonomyData(await getTaxonomies());
+      } catch (error) {
+        console.error('Error loading taxonomies:', error);
+      }
+    };
+    fetchTaxonomies();
+  }, [faqs]);
 
   const handleEdit = (faq) => {
     setSelectedFAQ(faq);
@@ -49,6 +109,24 @@ const FAQList = ({ faqs, loading, onUpdate, currentUrl }) => {
     }
   };
 
+  const handleMarkReviewed = async (faq) => {
+    try {
+      await updateFAQ(faq._id, { needsReview: false });
+      if (onUpdate) onUpdate();
+    } catch (error) {
+      console.error('Error marking FAQ as reviewed:', error);
+    }
+  };
+
+  const handleCategoryChange = async (faq, category) => {
+    try {
+      await updateFAQ(faq._id, { category: category || null });
+      if (onUpdate) onUpdate();
+    } catch (error) {
+      console.error('Error updating FAQ category:', error);
+    }
+  };
+
   const handleExport = async () => {
     try {
       setExporting(true);
@@ -74,6 +152,193 @@ const FAQList = ({ faqs, loading, onUpdate, currentUrl }) => {
 
   const publishedCount = faqs.filter(faq => faq.status === 'published').length;
   const draftCount = faqs.filter(faq => faq.status === 'draft').length;
+  const staleCount = faqs.filter(faq => faq.needsReview).length;
+  const lowQualityCount = faqs.filter(faq => faq.quality && faq.quality.score < LOW_QUALITY_SCORE).length;
+  const categoryOptions = [...new Set(faqs.map(categoryLabel))].sort(
+    (a, b) => (a === UNCATEGORIZED) - (b === UNCATEGORIZED) || a.localeCompare(b)
+  );
+  const visibleFaqs = faqs.filter(
+    faq =>
+      (!staleOnly || faq.needsReview) &&
+      matchesQualityFilter(faq, qualityFilter) &&
+      (categoryFilter === 'all' || categoryLabel(faq) === categoryFilter) &&
+      matchesSearch(faq, search)
+  );
+  const groups = groupByCategory
+    ? categoryOptions
+        .map((category) => ({ category, faqs: visibleFaqs.filter((faq) => categoryLabel(faq) === category) }))
+        .filter((group) => group.faqs.length > 0)
+    : [{ category: null, faqs: visibleFaqs }];
+
+  const renderRow = (faq) => (
+    <TableRow key={faq._id} hover>
+      <TableCell sx={{ maxWidth: 300 }}>
+        <Typography variant="body2" noWrap>
+          {faq.question}
+        </Typography>
+        {faq.variants?.length > 0 && (
+          <Tooltip title={faq.variants.join(' · ')}>
+            <Typography variant="caption" color="text.secondary">
+              +{faq.variants.length} variants
+            </Typography>
+          </Tooltip>
+        )}
+        {faq.tags?.length > 0 && (
+          <Box sx={{ mt: 0.5 }}>
+            {faq.tags.map((tag) => (
+              <Chip key={tag} label={tag} size="small" variant="outlined" sx={{ mr: 0.5, height: 20 }} />
+            ))}
+          </Box>
+        )}
+      </TableCell>
+      <TableCell sx={{ maxWidth: 400 }}>
+        <Typography variant="body2" noWrap>
+          {faq.answer}
+        </Typography>
+      </TableCell>
+      <TableCell>
+        <Typography variant="caption" color="text.secondary" noWrap sx={{ maxWidth: 200 }}>
+          {faq.sourceUrl}
+        </Typography>
+        {faq.section && (
+          <Typography variant="caption" color="text.secondary" display="block" noWrap sx={{ maxWidth: 200 }}>
+            § {faq.section}
+          </Typography>
+        )}
+      </TableCell>
+      <TableCell sx={{ minWidth: 140 }}>
+        <TextField
+          select
+          variant="standard"
+          size="small"
+          fullWidth
+          value={faq.category || ''}
+          onChange={(e) => handleCategoryChange(faq, e.target.value)}
+          SelectProps={{ displayEmpty: true }}
+        >
+          <MenuItem value="">
+            <em>{UNCATEGORIZED}</em>
+          </MenuItem>
+          {[...new Set([...categoriesForFaq(faq, taxonomyData), ...(faq.category ? [faq.category] : [])])].map(
+            (category) => (
+              <MenuItem key={category} value={category}>{category}</MenuItem>
+            )
+          )}
+        </TextField>
+      </TableCell>
+      <TableCell>
+        <Chip
+          label={faq.status}
+          color={faq.status === 'published' ? 'success' : 'default'}
+          size="small"
+        />
+        {faq.origin === 'imported' && (
+          <Tooltip title="Imported from Q&A already published on the page">
+            <Chip label="Imported" size="small" variant="outlined" sx={{ ml: 1 }} />
+          </Tooltip>
+        )}
+        {faq.origin === 'manual' && (
+          <Tooltip title="Added by hand rather than generated">
+            <Chip label="Manual" size="small" variant="outlined" sx={{ ml: 1 }} />
+          </Tooltip>
+        )}
+        {faq.unsupported && (
+          <Tooltip
+            title={`The source does not back this answer up (support ${Math.round((faq.supportScore || 0) * 100)}%)`}
+          >
+            <Chip label="Unsupported" color="error" variant="outlined" size="small" sx={{ ml: 1 }} />
+          </Tooltip>
+        )}
+        {faq.duplicateOf && (
+          <Tooltip
+            title={`Nearly repeats "${
+              faqs.find((other) => other._id === faq.duplicateOf)?.question || 'an earlier FAQ'
+            }" (similarity ${Math.round((faq.duplicateScore || 0) * 100)}%)`}
+          >
+            <Chip label="Duplicate" color="warning" variant="outlined" size="small" sx={{ ml: 1 }} />
+          </Tooltip>
+        )}
+        {faq.needsReview && (
+          <Tooltip
+            title={
+              `${faq.staleInfo?.reason || 'Source page changed'}` +
+              (faq.staleInfo?.missingTerms?.length
+                ? ` (no longer mentions: ${faq.staleInfo.missingTerms.join(', ')})`
+                : '')
+            }
+          >
+            <Chip
+              icon={<WarningIcon />}
+              label="Stale"
+              color={faq.staleInfo?.answerSupported === false ? 'error' : 'warning'}
+              size="small"
+              sx={{ ml: 1 }}
+            />
+          </Tooltip>
+        )}
+      </TableCell>
+      <TableCell>
+        {faq.quality ? (
+          <Tooltip
+            title={
+              faq.quality.warnings.length > 0
+                ? faq.quality.warnings.map((warning) => warning.message).join('; ')
+                : `No lint warnings (reading grade ${faq.quality.readingGrade})`
+            }
+          >
+            <Chip
+              label={faq.quality.score}
+              color={qualityColor(faq.quality.score)}
+              variant={faq.quality.warnings.length > 0 ? 'outlined' : 'filled'}
+              size="small"
+            />
+          </Tooltip>
+        ) : (
+          <Typography variant="caption" color="text.secondary">—</Typography>
+        )}
+      </TableCell>
+      <TableCell>
+        <Typography variant="caption" color="text.secondary">
+          {new Date(faq.createdAt).toLocaleDateString()}
+        </Typography>
+      </TableCell>
+      <TableCell align="right">
+        <Tooltip title="Edit FAQ">
+          <IconButton
+            size="small"
+            onClick={() => handleEdit(faq)}
+            color="primary"
+          >
+            <EditIcon fontSize="small" />
+          </IconButton>
+        </Tooltip>
+        {faq.needsReview && (
+          <Tooltip title="Mark as reviewed">
+            <IconButton
+              size="small"
+              onClick={() => handleMarkReviewed(faq)}
+              color="warning"
+            >
+              <ReviewedIcon fontSize="small" />
+            </IconButton>
+          </Tooltip>
+        )}
+        <Tooltip title={faq.status === 'draft' ? 'Publish' : 'Unpublish'}>
+          <IconButton
+            size="small"
+            onClick={() => handlePublish(faq)}
+            color={faq.status === 'draft' ? 'success' : 'default'}
+          >
+            {faq.status === 'draft' ? (
+              <PublishIcon fontSize="small" />
+            ) : (
+              <UnpublishIcon fontSize="small" />
+            )}
+          </IconButton>
+        </Tooltip>
+      </TableCell>
+    </TableRow>
+  );
 
   return (
     <Box>
@@ -88,20 +353,76 @@ const FAQList = ({ faqs, loading, onUpdate, currentUrl }) => {
             )}
           </Typography>
           <Typography variant="body2" color="text.secondary">
-            Published: {publishedCount} | Draft: {draftCount}
+            Published: {publishedCount} | Draft: {draftCount} | Needs review: {staleCount} | Low quality: {lowQualityCount}
             {currentUrl && (
               <span> | Showing only current website</span>
             )}
           </Typography>
         </Box>
-        <Button
-          variant="outlined"
-          startIcon={exporting ? <CircularProgress size={16} /> : <DownloadIcon />}
-          onClick={handleExport}
-          disabled={exporting || faqs.length === 0}
-        >
-          Export JSON
-        </Button>
+        <Box sx={{ display: 'flex', alignItems: 'center', gap: 2, flexWrap: 'wrap', justifyContent: 'flex-end' }}>
+          <TextField
+            size="small"
+            label="Search"
+            placeholder="Question, variant or answer"
+            value={search}
+            onChange={(e) => setSearch(e.target.value)}
+            sx={{ minWidth: 220 }}
+          />
+          <TextField
+            select
+            size="small"
+            label="Category"
+            value={categoryOptions.includes(categoryFilter) ? categoryFilter : 'all'}
+            onChange={(e) => setCategoryFilter(e.target.value)}
+            sx={{ minWidth: 160 }}
+          >
+            <MenuItem value="all">All</MenuItem>
+            {categoryOptions.map((category) => (
+              <MenuItem key={category} value={category}>{category}</MenuItem>
+            ))}
+          </TextField>
+          <FormControlLabel
+            control={
+              <Switch
+                checked={groupByCategory}
+                onChange={(e) => setGroupByCategory(e.target.checked)}
+              />
+            }
+            label="Group by category"
+          />
+          <TextField
+            select
+            size="small"
+            label="Quality"
+            value={qualityFilter}
+            onChange={(e) => setQualityFilter(e.target.value)}
+            sx={{ minWidth: 180 }}
+          >
+            <MenuItem value="all">All</MenuItem>
+            <MenuItem value="low">Low quality (under {LOW_QUALITY_SCORE})</MenuItem>
+            {Object.entries(LINT_RULES).map(([rule, label]) => (
+              <MenuItem key={rule} value={rule}>{label}</MenuItem>
+            ))}
+          </TextField>
+          <FormControlLabel
+            control={
+              <Switch
+                checked={staleOnly}
+                onChange={(e) => setStaleOnly(e.target.checked)}
+                disabled={staleCount === 0 && !staleOnly}
+              />
+            }
+            label="Needs review only"
+          />
+          <Button
+            variant="outlined"
+            startIcon={exporting ? <CircularProgress size={16} /> : <DownloadIcon />}
+            onClick={handleExport}
+            disabled={exporting || faqs.length === 0}
+          >
+            Export JSON
+          </Button>
+        </Box>
       </Box>
 
       {exportError && (
@@ -114,9 +435,11 @@ const FAQList = ({ faqs, loading, onUpdate, currentUrl }) => {
         <Box sx={{ display: 'flex', justifyContent: 'center', p: 4 }}>
           <CircularProgress />
         </Box>
-      ) : faqs.length === 0 ? (
+      ) : visibleFaqs.length === 0 ? (
         <Alert severity="info">
-          {currentUrl 
+          {staleOnly || qualityFilter !== 'all' || categoryFilter !== 'all' || search.trim()
+            ? 'No FAQs match the selected filters.'
+            : currentUrl
             ? `No FAQs found for ${currentUrl}. Generate FAQs by crawling the website above.`
             : 'No FAQs found. Generate some FAQs by crawling a website above.'}
         </Alert>
@@ -128,66 +451,27 @@ const FAQList = ({ faqs, loading, onUpdate, currentUrl }) => {
                 <TableCell>Question</TableCell>
                 <TableCell>Answer</TableCell>
                 <TableCell>Source URL</TableCell>
+                <TableCell>Category</TableCell>
                 <TableCell>Status</TableCell>
+                <TableCell>Quality</TableCell>
                 <TableCell>Created</TableCell>
                 <TableCell align="right">Actions</TableCell>
               </TableRow>
             </TableHead>
             <TableBody>
-              {faqs.map((faq) => (
-                <TableRow key={faq._id} hover>
-                  <TableCell sx={{ maxWidth: 300 }}>
-                    <Typography variant="body2" noWrap>
-                      {faq.question}
-                    </Typography>
-                  </TableCell>
-                  <TableCell sx={{ maxWidth: 400 }}>
-                    <Typography variant="body2" noWrap>
-                      {faq.answer}
-                    </Typography>
-                  </TableCell>
-                  <TableCell>
-                    <Typography variant="caption" color="text.secondary" noWrap sx={{ maxWidth: 200 }}>
-                      {faq.sourceUrl}
-                    </Typography>
-                  </TableCell>
-                  <TableCell>
-                    <Chip
-                      label={faq.status}
-                      color={faq.status === 'published' ? 'success' : 'default'}
-                      size="small"
-                    />
-                  </TableCell>
-                  <TableCell>
-                    <Typography variant="caption" color="text.secondary">
-                      {new Date(faq.createdAt).toLocaleDateString()}
-                    </Typography>
-                  </TableCell>
-                  <TableCell align="right">
-                    <Tooltip title="Edit FAQ">
-                      <IconButton
-                        size="small"
-                        onClick={() => handleEdit(faq)}
-                        color="primary"
-                      >
-                        <EditIcon fontSize="small" />
-                      </IconButton>
-                    </Tooltip>
-                    <Tooltip title={faq.status === 'draft' ? 'Publish' : 'Unpublish'}>
-                      <IconButton
-                        size="small"
-                        onClick={() => handlePublish(faq)}
-                        color={faq.status === 'draft' ? 'success' : 'default'}
-                      >
-                        {faq.status === 'draft' ? (
-                          <PublishIcon fontSize="small" />
-                        ) : (
-                          <UnpublishIcon fontSize="small" />
-                        )}
-                      </IconButton>
-                    </Tooltip>
-                  </TableCell>
-                </TableRow>
+              {groups.map((group) => (
+                <React.Fragment key={group.category || 'all'}>
+                  {group.category && (
+                    <TableRow>
+                      <TableCell colSpan={TABLE_COLUMNS} sx={{ bgcolor: 'action.hover' }}>
+                        <Typography variant="subtitle2">
+                          {group.category} ({group.faqs.length})
+                        </Typography>
+                      </TableCell>
+                    </TableRow>
+                  )}
+                  {group.faqs.map(renderRow)}
+                </React.Fragment>
               ))}
             </TableBody>
           </Table>
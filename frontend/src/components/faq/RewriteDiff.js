@@ -0,0 +1,79 @@
+import React from 'react';
+import { Box, Grid, Typography } from '@mui/material';
+
+// Word-level diff of two texts (longest common subsequence); returns
+// [{ type: 'equal' | 'removed' | 'added', text }] with whitespace kept on the words
+export const diffWords = (before, after) => {
+  const a = before.match(/\S+\s*/g) || [];
+  const b = after.match(/\S+\s*/g) || [];
+  const lengths = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lengths[i][j] = a[i].trim() === b[j].trim()
+        ? lengths[i + 1][j + 1] + 1
+        : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  const parts = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length || j < b.length) {
+    if (i < a.length && j < b.length && a[i].trim() === b[j].trim()) {
+      parts.push({ type: 'equal', text: b[j] });
+      i++;
+      j++;
+    } else if (j < b.length && (i === a.length || lengths[i][j + 1] >= lengths[i + 1][j])) {
+      parts.push({ type: 'added', text: b[j++] });
+    } else {
+      parts.push({ type: 'removed', text: a[i++] });
+    }
+  }
+  return parts;
+};
+
+const PART_STYLES = {
+  removed: { bgcolor: 'error.light', color: 'error.contrastText', textDecoration: 'line-through' },
+  added: { bgcolor: 'success.light', color: 'success.contrastText' },
+};
+
+// One side of the diff: the current text hides additions, the proposal hides removals
+const DiffText = ({ parts, hide }) => (
+  <Typography variant="body2" sx={{ whiteSpace: 'pre-wrap' }}>
+    {parts
+      .filter((part) => part.type !== hide)
+      .map((part, index) => (
+        <Box component="span" key={index} sx={PART_STYLES[part.type]}>
+          {part.text}
+        </Box>
+      ))}
+  </Typography>
+);
+
+// Current and proposed question and answer side by side, changed words highlighted
+const RewriteDiff = ({ current, proposal }) => (
+  <Grid container spacing={2}>
+    {[
+      ['Question', diffWords(current.question, proposal.question)],
+      ['Answer', diffWords(current.answer, proposal.answer)],
+    ].map(([label, parts]) => (
+      <React.Fragment key={label}>
+        <Grid item xs={12} sm={6}>
+          <Typography variant="caption" color="text.secondary">
+            Current {label.toLowerCase()}
+          </Typography>
+          <DiffText parts={parts} hide="added" />
+        </Grid>
+        <Grid item xs={12} sm={6}>
+          <Typography variant="caption" color="text.secondary">
+            Proposed {label.toLowerCase()}
+          </Typography>
+          <DiffText parts={parts} hide="removed" />
+        </Grid>
+      </React.Fragment>
+    ))}
+  </Grid>
+);
+
+export default RewriteDiff;
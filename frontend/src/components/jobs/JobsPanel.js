@@ -0,0 +1,194 @@
+import React, { useState, useEffect, useRef } from 'react';
+import {
+  Box,
+  Typography,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  Paper,
+  IconButton,
+  Chip,
+  CircularProgress,
+  Alert,
+  Tooltip,
+} from '@mui/material';
+import { Cancel as CancelIcon, Refresh as RefreshIcon } from '@mui/icons-material';
+import { getJobs, cancelJob } from '../../services/api';
+
+const RECENT_JOBS = 20;
+const POLL_INTERVAL_MS = 5000;
+const ACTIVE_STATUSES = ['queued', 'running'];
+
+const STATUS_COLORS = {
+  queued: 'default',
+  running: 'info',
+  succeeded: 'success',
+  failed: 'error',
+  cancelled: 'warning',
+};
+
+const STAGE_LABELS = {
+  crawled: 'Crawled, generating...',
+  generating: 'Generating...',
+  faq: 'Generating...',
+};
+
+const formatDate = (value) => (value ? new Date(value).toLocaleString() : '-');
+
+const describeOutcome = (job) => {
+  if (job.status === 'succeeded' && job.result) {
+    const cacheNote = job.result.cache && job.result.cache.hit ? ' (from cache)' : '';
+    return `${job.result.faqs.count} FAQs saved${cacheNote}`;
+  }
+  if (job.status === 'running') {
+    return job.cancelRequested ? 'Cancelling...' : STAGE_LABELS[job.stage] || 'Crawling...';
+  }
+  if (job.status === 'queued' && job.error) {
+    return `Retrying at ${formatDate(job.runAfter)}: ${job.error.message}`;
+  }
+  if (job.error) return job.error.message;
+  return '-';
+};
+
+const JobsPanel = ({ refreshKey, onJobFinished }) => {
+  const [jobs, setJobs] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [reloadKey, setReloadKey] = useState(0);
+  const statusesRef = useRef({});
+  const onJobFinishedRef = useRef(onJobFinished);
+  onJobFinishedRef.current = onJobFinished;
+
+  useEffect(() => {
+    let ignore = false;
+
+    const fetchJobs = async () => {
+      try {
+        setLoading(true);
+        // Bulk rows are listed with their batch in BulkBatchesPanel
+        const data = await getJobs({ type: 'generate-faqs', limit: RECENT_JOBS });
+        if (ignore) return;
+
+        // Jobs that were queued or running on the last load and have since saved FAQs
+        const finished = data.jobs.some(
+          (job) => job.status === 'succeeded' && ACTIVE_STATUSES.includes(statusesRef.current[job.id])
+        );
+        statusesRef.current = Object.fromEntries(data.jobs.map((job) => [job.id, job.status]));
+        setJobs(data.jobs);
+        if (finished && onJobFinishedRef.current) onJobFinishedRef.current();
+      } catch (err) {
+        if (!ignore) setError(err.message || 'Failed to load jobs');
+      } finally {
+        if (!ignore) setLoading(false);
+      }
+    };
+
+    fetchJobs();
+    return () => {
+      ignore = true;
+    };
+  }, [refreshKey, reloadKey]);
+
+  // Keep polling while any job is queued or running
+  useEffect(() => {
+    if (!jobs.some((job) => ACTIVE_STATUSES.includes(job.status))) return undefined;
+    const timer = setTimeout(() => setReloadKey((prev) => prev + 1), POLL_INTERVAL_MS);
+    return () => clearTimeout(timer);
+  }, [jobs]);
+
+  const handleCancel = async (job) => {
+    try {
+      await cancelJob(job.id);
+      setReloadKey((prev) => prev + 1);
+    } catch (err) {
+      setError(err.message || 'Failed to cancel job');
+    }
+  };
+
+  return (
+    <Box>
+      <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 2 }}>
+        <Box>
+          <Typography variant="h6">Background Jobs</Typography>
+          <Typography variant="body2" color="text.secondary">
+            Generations queued with "Run in background"; they keep running if you leave this page.
+          </Typography>
+        </Box>
+        <Tooltip title="Refresh">
+          <IconButton onClick={() => setReloadKey((prev) => prev + 1)} disabled={loading}>
+            <RefreshIcon />
+          </IconButton>
+        </Tooltip>
+      </Box>
+
+      {error && (
+        <Alert severity="error" sx={{ mb: 2 }} onClose={() => setError(null)}>
+          {error}
+        </Alert>
+      )}
+
+      {loading && jobs.length === 0 ? (
+        <Box sx={{ display: 'flex', justifyContent: 'center', p: 3 }}>
+          <CircularProgress size={24} />
+        </Box>
+      ) : jobs.length === 0 ? (
+        <Typography variant="body2" color="text.secondary">
+          No background jobs yet.
+        </Typography>
+      ) : (
+        <TableContainer component={Paper} variant="outlined">
+          <Table size="small">
+            <TableHead>
+              <TableRow>
+                <TableCell>Source</TableCell>
+                <TableCell>Status</TableCell>
+                <TableCell align="right">Attempts</TableCell>
+                <TableCell>Outcome</TableCell>
+                <TableCell>Queued</TableCell>
+                <TableCell>Finished</TableCell>
+                <TableCell align="right">Actions</TableCell>
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {jobs.map((job) => (
+                <TableRow key={job.id} hover>
+                  <TableCell sx={{ maxWidth: 260, overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>
+                    {job.params.url || job.type}
+                    {job.params.mode === 'site' && (
+                      <Chip label="site" size="small" variant="outlined" sx={{ ml: 1 }} />
+                    )}
+                  </TableCell>
+                  <TableCell>
+                    <Chip label={job.status} size="small" color={STATUS_COLORS[job.status] || 'default'} />
+                  </TableCell>
+                  <TableCell align="right">{`${job.attempts}/${job.maxAttempts}`}</TableCell>
+                  <TableCell sx={{ maxWidth: 320 }}>
+                    <Typography variant="body2" noWrap title={describeOutcome(job)}>
+                      {describeOutcome(job)}
+                    </Typography>
+                  </TableCell>
+                  <TableCell>{formatDate(job.createdAt)}</TableCell>
+                  <TableCell>{formatDate(job.finishedAt)}</TableCell>
+                  <TableCell align="right">
+                    {ACTIVE_STATUSES.includes(job.status) && !job.cancelRequested && (
+                      <Tooltip title="Cancel job">
+                        <IconButton size="small" color="error" onClick={() => handleCancel(job)}>
+                          <CancelIcon />
+                        </IconButton>
+                      </Tooltip>
+                    )}
+                  </TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        </TableContainer>
+      )}
+    </Box>
+  );
+};
+
+export default JobsPanel;
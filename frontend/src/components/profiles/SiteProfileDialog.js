@@ -0,0 +1,253 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Button,
+  TextField,
+  Grid,
+  Typography,
+  Alert,
+  CircularProgress,
+  FormControlLabel,
+  Checkbox,
+} from '@mui/material';
+import { createSiteProfile, updateSiteProfile } from '../../services/api';
+
+const EMPTY_FORM = {
+  domain: '',
+  notes: '',
+  cookies: '',
+  username: '',
+  password: '',
+  bearerToken: '',
+  headers: '',
+};
+
+// "Name: value" per line -> { Name: value }
+const parseHeaders = (text) =>
+  text
+    .split('\n')
+    .map((line) => line.trim())
+    .filter(Boolean)
+    .reduce((headers, line) => {
+      const separator = line.indexOf(':');
+      if (separator > 0) {
+        headers[line.slice(0, separator).trim()] = line.slice(separator + 1).trim();
+      }
+      return headers;
+    }, {});
+
+// Secrets are write-only: an existing profile only tells us which credential types it stores
+const SiteProfileDialog = ({ open, onClose, profile, onSaved }) => {
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [removed, setRemoved] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const stored = profile?.credentialTypes || [];
+
+  useEffect(() => {
+    if (open) {
+      setForm({ ...EMPTY_FORM, domain: profile?.domain || '', notes: profile?.notes || '' });
+      setRemoved([]);
+      setError(null);
+    }
+  }, [open, profile]);
+
+  const setField = (field) => (e) => setForm((prev) => ({ ...prev, [field]: e.target.value }));
+
+  const toggleRemoved = (type) => {
+    setRemoved((prev) => (prev.includes(type) ? prev.filter((t) => t !== type) : [...prev, type]));
+  };
+
+  const buildBody = () => {
+    const body = { domain: form.domain.trim(), notes: form.notes };
+    const entered = {
+      cookies: form.cookies.trim() || null,
+      basicAuth: form.username.trim() ? { username: form.username.trim(), password: form.password } : null,
+      bearerToken: form.bearerToken.trim() || null,
+      headers: form.headers.trim() ? parseHeaders(form.headers) : null,
+    };
+
+    Object.entries(entered).forEach(([type, value]) => {
+      if (value) {
+        body[type] = value;
+      } else if (removed.includes(type)) {
+        body[type] = null;
+      }
+    });
+    return body;
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (!form.domain.trim()) {
+      setError('Domain is required');
+      return;
+    }
+
+    try {
+      setLoading(true);
+      setError(null);
+
+      if (profile) {
+        await updateSiteProfile(profile._id, buildBody());
+      } else {
+        await createSiteProfile(buildBody());
+      }
+
+      if (onSaved) onSaved();
+      onClose();
+    } catch (err) {
+      setError(err.message || 'Failed to save site profile');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const storedHint = (type) =>
+    stored.includes(type) ? (
+      <FormControlLabel
+        control={
+          <Checkbox
+            size="small"
+            checked={removed.includes(type)}
+            onChange={() => toggleRemoved(type)}
+            disabled={loading}
+          />
+        }
+        label={<Typography variant="caption">Stored - leave blank to keep, or tick to remove</Typography>}
+      />
+    ) : null;
+
+  return (
+    <Dialog open={open} onClose={() => !loading && onClose()} maxWidth="sm" fullWidth>
+      <DialogTitle>{profile ? `Edit Site Profile: ${profile.domain}` : 'New Site Profile'}</DialogTitle>
+      <form onSubmit={handleSubmit}>
+        <DialogContent>
+          {error && (
+            <Alert severity="error" sx={{ mb: 2 }} onClose={() => setError(null)}>
+              {error}
+            </Alert>
+          )}
+
+          <Grid container spacing={2}>
+            <Grid item xs={12}>
+              <TextField
+                fullWidth
+                label="Domain"
+                placeholder="help.example.com"
+                value={form.domain}
+                onChange={setField('domain')}
+                disabled={loading}
+                required
+                helperText="Also applies to subdomains"
+              />
+            </Grid>
+
+            <Grid item xs={12}>
+              <TextField
+                fullWidth
+                label="Cookies"
+                placeholder="session=abc123; locale=en"
+                value={form.cookies}
+                onChange={setField('cookies')}
+                disabled={loading}
+                type="password"
+                autoComplete="off"
+              />
+              {storedHint('cookies')}
+            </Grid>
+
+            <Grid item xs={12} sm={6}>
+              <TextField
+                fullWidth
+                label="Basic Auth Username"
+                value={form.username}
+                onChange={setField('username')}
+                disabled={loading}
+                autoComplete="off"
+              />
+            </Grid>
+            <Grid item xs={12} sm={6}>
+              <TextField
+                fullWidth
+                label="Basic Auth Password"
+                value={form.password}
+                onChange={setField('password')}
+                disabled={loading}
+                type="password"
+                autoComplete="new-password"
+              />
+            </Grid>
+            {stored.includes('basicAuth') && (
+              <Grid item xs={12} sx={{ pt: '0 !important' }}>
+                {storedHint('basicAuth')}
+              </Grid>
+            )}
+
+            <Grid item xs={12}>
+              <TextField
+                fullWidth
+                label="Bearer Token"
+                value={form.bearerToken}
+                onChange={setField('bearerToken')}
+                disabled={loading}
+                type="password"
+                autoComplete="off"
+              />
+              {storedHint('bearerToken')}
+            </Grid>
+
+            <Grid item xs={12}>
+              <TextField
+                fullWidth
+                label="Custom Headers"
+                placeholder={'X-Staging-Key: abc123\nX-Tenant: docs'}
+                value={form.headers}
+                onChange={setField('headers')}
+                disabled={loading}
+                multiline
+                rows={3}
+                helperText={
+                  profile?.headerNames?.length
+                    ? `One "Name: value" per line. Stored headers: ${profile.headerNames.join(', ')}`
+                    : 'One "Name: value" per line'
+                }
+              />
+              {storedHint('headers')}
+            </Grid>
+
+            <Grid item xs={12}>
+              <TextField
+                fullWidth
+                label="Notes"
+                value={form.notes}
+                onChange={setField('notes')}
+                disabled={loading}
+              />
+            </Grid>
+          </Grid>
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={onClose} disabled={loading}>
+            Cancel
+          </Button>
+          <Button
+            type="submit"
+            variant="contained"
+            disabled={loading || !form.domain.trim()}
+            startIcon={loading ? <CircularProgress size={16} /> : null}
+          >
+            {loading ? 'Saving...' : 'Save Profile'}
+          </Button>
+        </DialogActions>
+      </form>
+    </Dialog>
+  );
+};
+
+export default SiteProfileDialog;
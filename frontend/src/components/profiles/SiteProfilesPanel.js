@@ -0,0 +1,167 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Box,
+  Typography,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  Paper,
+  IconButton,
+  Chip,
+  Button,
+  CircularProgress,
+  Alert,
+  Tooltip,
+} from '@mui/material';
+import { Add as AddIcon, Edit as EditIcon, Delete as DeleteIcon } from '@mui/icons-material';
+import SiteProfileDialog from './SiteProfileDialog';
+import { getSiteProfiles, deleteSiteProfile } from '../../services/api';
+
+const CREDENTIAL_LABELS = {
+  cookies: 'Cookies',
+  basicAuth: 'Basic auth',
+  bearerToken: 'Bearer token',
+  headers: 'Headers',
+};
+
+const SiteProfilesPanel = () => {
+  const [profiles, setProfiles] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [dialogOpen, setDialogOpen] = useState(false);
+  const [selectedProfile, setSelectedProfile] = useState(null);
+
+  const fetchProfiles = async () => {
+    try {
+      setLoading(true);
+      const data = await getSiteProfiles();
+      setProfiles(data.profiles || []);
+    } catch (err) {
+      setError(err.message || 'Failed to load site profiles');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchProfiles();
+  }, []);
+
+  const openDialog = (profile = null) => {
+    setSelectedProfile(profile);
+    setDialogOpen(true);
+  };
+
+  const handleDelete = async (profile) => {
+    if (!window.confirm(`Delete the site profile for ${profile.domain}? Its stored credentials are removed.`)) {
+      return;
+    }
+    try {
+      await deleteSiteProfile(profile._id);
+      fetchProfiles();
+    } catch (err) {
+      setError(err.message || 'Failed to delete site profile');
+    }
+  };
+
+  return (
+    <Box>
+      <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 2 }}>
+        <Box>
+          <Typography variant="h6">Site Profiles</Typography>
+          <Typography variant="body2" color="text.secondary">
+            Credentials the crawler sends to sites behind a login or basic auth. Stored encrypted and never shown again.
+          </Typography>
+        </Box>
+        <Button variant="outlined" startIcon={<AddIcon />} onClick={() => openDialog()}>
+          Add Profile
+        </Button>
+      </Box>
+
+      {error && (
+        <Alert severity="error" sx={{ mb: 2 }} onClose={() => setError(null)}>
+          {error}
+        </Alert>
+      )}
+
+      {loading ? (
+        <Box sx={{ display: 'flex', justifyContent: 'center', p: 3 }}>
+          <CircularProgress size={24} />
+        </Box>
+      ) : profiles.length === 0 ? (
+        <Typography variant="body2" color="text.secondary">
+          No site profiles yet.
+        </Typography>
+      ) : (
+        <TableContainer component={Paper} variant="outlined">
+          <Table size="small">
+            <TableHead>
+              <TableRow>
+                <TableCell>Domain</TableCell>
+                <TableCell>Credentials</TableCell>
+                <TableCell>Notes</TableCell>
+                <TableCell>Updated</TableCell>
+                <TableCell align="right">Actions</TableCell>
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {profiles.map((profile) => (
+                <TableRow key={profile._id} hover>
+                  <TableCell>{profile.domain}</TableCell>
+                  <TableCell>
+                    {profile.credentialTypes.map((type) => (
+                      <Chip
+                        key={type}
+                        label={
+                          type === 'headers' && profile.headerNames.length
+                            ? `${CREDENTIAL_LABELS[type]}: ${profile.headerNames.join(', ')}`
+                            : CREDENTIAL_LABELS[type]
+                        }
+                        size="small"
+                        sx={{ mr: 1 }}
+                      />
+                    ))}
+                  </TableCell>
+                  <TableCell>
+                    <Typography variant="caption" color="text.secondary">
+                      {profile.notes}
+                    </Typography>
+                  </TableCell>
+                  <TableCell>
+                    <Typography variant="caption" color="text.secondary">
+                      {new Date(profile.updatedAt).toLocaleDateString()}
+                    </Typography>
+                  </TableCell>
+                  <TableCell align="right">
+                    <Tooltip title="Edit profile">
+                      <IconButton size="small" color="primary" onClick={() => openDialog(profile)}>
+                        <EditIcon />
+                      </IconButton>
+                    </Tooltip>
+                    <Tooltip title="Delete profile">
+                      <IconButton size="small" color="error" onClick={() => handleDelete(profile)}>
+                        <DeleteIcon />
+                      </IconButton>
+                    </Tooltip>
+                  </TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        </TableContainer>
+      )}
+
+      <SiteProfileDialog
+        open={dialogOpen}
+        onClose={() => setDialogOpen(false)}
+        profile={selectedProfile}
+        onSaved={fetchProfiles}
+      />
+    </Box>
+  );
+};
+
+export default SiteProfilesPanel;
@@ -0,0 +1,120 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Button,
+  TextField,
+  Alert,
+  CircularProgress,
+} from '@mui/material';
+import { setTaxonomy } from '../../services/api';
+
+// One category per line, as "Name: what belongs in it"
+const formatCategories = (categories = []) =>
+  categories
+    .map((category) => (category.description ? `${category.name}: ${category.description}` : category.name))
+    .join('\n');
+
+const parseCategories = (text) =>
+  text
+    .split('\n')
+    .map((line) => line.trim())
+    .filter(Boolean)
+    .map((line) => {
+      const separator = line.indexOf(':');
+      return separator === -1
+        ? { name: line, description: '' }
+        : { name: line.slice(0, separator).trim(), description: line.slice(separator + 1).trim() };
+    });
+
+const TaxonomyDialog = ({ open, onClose, taxonomy, defaultCategories, onSaved }) => {
+  const [project, setProject] = useState('');
+  const [categoriesText, setCategoriesText] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (open) {
+      setProject(taxonomy ? taxonomy.project : '');
+      setCategoriesText(formatCategories(taxonomy ? taxonomy.categories : defaultCategories));
+      setError(null);
+    }
+  }, [open, taxonomy, defaultCategories]);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    const categories = parseCategories(categoriesText);
+    if (!project.trim() || categories.length === 0) {
+      setError('A project and at least one category are required');
+      return;
+    }
+
+    try {
+      setLoading(true);
+      setError(null);
+      await setTaxonomy(project.trim(), categories);
+      if (onSaved) onSaved();
+      onClose();
+    } catch (err) {
+      setError(err.message || 'Failed to save taxonomy');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <Dialog open={open} onClose={() => !loading && onClose()} maxWidth="sm" fullWidth>
+      <DialogTitle>{taxonomy ? `Edit Taxonomy: ${taxonomy.project}` : 'New Taxonomy'}</DialogTitle>
+      <form onSubmit={handleSubmit}>
+        <DialogContent>
+          {error && (
+            <Alert severity="error" sx={{ mb: 2 }} onClose={() => setError(null)}>
+              {error}
+            </Alert>
+          )}
+
+          <TextField
+            fullWidth
+            label="Project"
+            placeholder="help.example.com"
+            helperText='A domain (its subdomains included), or "default" for everything else'
+            value={project}
+            onChange={(e) => setProject(e.target.value)}
+            disabled={loading || Boolean(taxonomy)}
+            required
+            sx={{ mb: 2 }}
+          />
+
+          <TextField
+            fullWidth
+            label="Categories"
+            helperText='One per line, optionally as "Name: what belongs in it"'
+            value={categoriesText}
+            onChange={(e) => setCategoriesText(e.target.value)}
+            disabled={loading}
+            multiline
+            rows={8}
+          />
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={onClose} disabled={loading}>
+            Cancel
+          </Button>
+          <Button
+            type="submit"
+            variant="contained"
+            disabled={loading || !project.trim()}
+            startIcon={loading ? <CircularProgress size={16} /> : null}
+          >
+            {loading ? 'Saving...' : 'Save Taxonomy'}
+          </Button>
+        </DialogActions>
+      </form>
+    </Dialog>
+  );
+};
+
+export default TaxonomyDialog;
@@ -0,0 +1,155 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Box,
+  Typography,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  Paper,
+  IconButton,
+  Chip,
+  Button,
+  CircularProgress,
+  Alert,
+  Tooltip,
+} from '@mui/material';
+import { Add as AddIcon, Edit as EditIcon, Delete as DeleteIcon } from '@mui/icons-material';
+import TaxonomyDialog from './TaxonomyDialog';
+import { getTaxonomies, deleteTaxonomy } from '../../services/api';
+
+const TaxonomyPanel = ({ onSaved }) => {
+  const [data, setData] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [dialogOpen, setDialogOpen] = useState(false);
+  const [selectedTaxonomy, setSelectedTaxonomy] = useState(null);
+
+  const fetchTaxonomies = async () => {
+    try {
+      setLoading(true);
+      setData(await getTaxonomies());
+    } catch (err) {
+      setError(err.message || 'Failed to load taxonomies');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchTaxonomies();
+  }, []);
+
+  const handleSaved = () => {
+    fetchTaxonomies();
+    if (onSaved) onSaved();
+  };
+
+  const openDialog = (taxonomy = null) => {
+    setSelectedTaxonomy(taxonomy);
+    setDialogOpen(true);
+  };
+
+  const handleDelete = async (taxonomy) => {
+    if (!window.confirm(`Delete the taxonomy of ${taxonomy.project}? Its FAQs keep their categories.`)) {
+      return;
+    }
+    try {
+      await deleteTaxonomy(taxonomy.project);
+      handleSaved();
+    } catch (err) {
+      setError(err.message || 'Failed to delete taxonomy');
+    }
+  };
+
+  const taxonomies = data ? data.taxonomies : [];
+
+  return (
+    <Box>
+      <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 2 }}>
+        <Box>
+          <Typography variant="h6">Categories</Typography>
+          <Typography variant="body2" color="text.secondary">
+            Categories generated FAQs are sorted into, per project (source domain).
+          </Typography>
+        </Box>
+        <Button variant="outlined" startIcon={<AddIcon />} onClick={() => openDialog()}>
+          Add Taxonomy
+        </Button>
+      </Box>
+
+      {error && (
+        <Alert severity="error" sx={{ mb: 2 }} onClose={() => setError(null)}>
+          {error}
+        </Alert>
+      )}
+
+      {loading && !data ? (
+        <Box sx={{ display: 'flex', justifyContent: 'center', p: 3 }}>
+          <CircularProgress size={24} />
+        </Box>
+      ) : (
+        <>
+          {!taxonomies.some((taxonomy) => taxonomy.project === 'default') && data && (
+            <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+              Projects without a taxonomy use: {data.defaultCategories.map((category) => category.name).join(', ')}.
+              Save a "default" taxonomy to change this list.
+            </Typography>
+          )}
+
+          {taxonomies.length > 0 && (
+            <TableContainer component={Paper} variant="outlined">
+              <Table size="small">
+                <TableHead>
+                  <TableRow>
+                    <TableCell>Project</TableCell>
+                    <TableCell>Categories</TableCell>
+                    <TableCell align="right">Actions</TableCell>
+                  </TableRow>
+                </TableHead>
+                <TableBody>
+                  {taxonomies.map((taxonomy) => (
+                    <TableRow key={taxonomy.project} hover>
+                      <TableCell>{taxonomy.project}</TableCell>
+                      <TableCell>
+                        {taxonomy.categories.map((category) => (
+                          <Tooltip key={category.name} title={category.description || ''}>
+                            <Chip label={category.name} size="small" sx={{ mr: 0.5, mb: 0.5 }} />
+                          </Tooltip>
+                        ))}
+                      </TableCell>
+                      <TableCell align="right">
+                        <Tooltip title="Edit taxonomy">
+                          <IconButton size="small" color="primary" onClick={() => openDialog(taxonomy)}>
+                            <EditIcon />
+                          </IconButton>
+                        </Tooltip>
+                        <Tooltip title="Delete taxonomy">
+                          <IconButton size="small" color="error" onClick={() => handleDelete(taxonomy)}>
+                            <DeleteIcon />
+                          </IconButton>
+                        </Tooltip>
+                      </TableCell>
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            </TableContainer>
+          )}
+        </>
+      )}
+
+      <TaxonomyDialog
+        open={dialogOpen}
+        onClose={() => setDialogOpen(false)}
+        taxonomy={selectedTaxonomy}
+        defaultCategories={data ? data.defaultCategories : []}
+        onSaved={handleSaved}
+      />
+    </Box>
+  );
+};
+
+export default TaxonomyPanel;
@@ -0,0 +1,23 @@
+// FAQs saved before their domain was stored only have a source URL
+const domainOf = (faq) => {
+  if (faq.domain) return faq.domain;
+  try {
+    return new URL(faq.sourceUrl).hostname.toLowerCase().replace(/^www\./, '');
+  } catch (error) {
+    return null;
+  }
+};
+
+// Category names for an FAQ, resolved like the backend: the taxonomy of its domain or the
+// closest parent domain with one, else the default categories
+export const categoriesForFaq = (faq, taxonomyData) => {
+  if (!taxonomyData) return [];
+
+  const domain = domainOf(faq);
+  const matches = (taxonomyData.taxonomies || [])
+    .filter((taxonomy) => domain && (domain === taxonomy.project || domain.endsWith(`.${taxonomy.project}`)))
+    .sort((a, b) => b.project.length - a.project.length);
+  const categories = matches.length > 0 ? matches[0].categories : taxonomyData.defaultCategories || [];
+
+  return categories.map((category) => category.name);
+};
@@ -0,0 +1,233 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Button,
+  TextField,
+  Grid,
+  MenuItem,
+  Alert,
+  CircularProgress,
+  FormControlLabel,
+  Checkbox,
+} from '@mui/material';
+import { createPromptTemplate, updatePromptTemplate } from '../../services/api';
+
+export const ANSWER_LENGTH_LABELS = {
+  short: 'Short (1-2 sentences)',
+  medium: 'Medium (2-4 sentences)',
+  long: 'Long (4-6 sentences)',
+};
+
+export const READING_LEVEL_LABELS = {
+  simple: 'Simple',
+  general: 'General',
+  technical: 'Technical',
+};
+
+const EMPTY_FORM = {
+  name: '',
+  description: '',
+  tone: 'professional',
+  audience: 'general website visitors',
+  answerLength: 'medium',
+  readingLevel: 'general',
+  language: 'English',
+  instructions: '',
+  isDefault: false,
+};
+
+const PromptTemplateDialog = ({ open, onClose, template, onSaved }) => {
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (open) {
+      setForm(
+        template
+          ? Object.keys(EMPTY_FORM).reduce(
+              (values, field) => ({ ...values, [field]: template[field] ?? EMPTY_FORM[field] }),
+              {}
+            )
+          : EMPTY_FORM
+      );
+      setError(null);
+    }
+  }, [open, template]);
+
+  const setField = (field) => (e) => setForm((prev) => ({ ...prev, [field]: e.target.value }));
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (!form.name.trim()) {
+      setError('Name is required');
+      return;
+    }
+
+    try {
+      setLoading(true);
+      setError(null);
+
+      const body = { ...form, name: form.name.trim() };
+      if (template) {
+        await updatePromptTemplate(template._id, body);
+      } else {
+        await createPromptTemplate(body);
+      }
+
+      if (onSaved) onSaved();
+      onClose();
+    } catch (err) {
+      setError(err.message || 'Failed to save prompt template');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <Dialog open={open} onClose={() => !loading && onClose()} maxWidth="sm" fullWidth>
+      <DialogTitle>{template ? `Edit Template: ${template.name}` : 'New Prompt Template'}</DialogTitle>
+      <form onSubmit={handleSubmit}>
+        <DialogContent>
+          {error && (
+            <Alert severity="error" sx={{ mb: 2 }} onClose={() => setError(null)}>
+              {error}
+            </Alert>
+          )}
+
+          <Grid container spacing={2}>
+            <Grid item xs={12}>
+              <TextField
+                fullWidth
+                label="Name"
+                placeholder="Developer docs"
+                value={form.name}
+                onChange={setField('name')}
+                disabled={loading}
+                required
+              />
+            </Grid>
+
+            <Grid item xs={12}>
+              <TextField
+                fullWidth
+                label="Description"
+                value={form.description}
+                onChange={setField('description')}
+                disabled={loading}
+              />
+            </Grid>
+
+            <Grid item xs={12} sm={6}>
+              <TextField
+                fullWidth
+                label="Tone"
+                placeholder="friendly, formal, enthusiastic..."
+                value={form.tone}
+                onChange={setField('tone')}
+                disabled={loading}
+              />
+            </Grid>
+            <Grid item xs={12} sm={6}>
+              <TextField
+                fullWidth
+                label="Target Audience"
+                placeholder="new customers, developers..."
+                value={form.audience}
+                onChange={setField('audience')}
+                disabled={loading}
+              />
+            </Grid>
+
+            <Grid item xs={12} sm={4}>
+              <TextField
+                select
+                fullWidth
+                label="Answer Length"
+                value={form.answerLength}
+                onChange={setField('answerLength')}
+                disabled={loading}
+              >
+                {Object.entries(ANSWER_LENGTH_LABELS).map(([value, label]) => (
+                  <MenuItem key={value} value={value}>
+                    {label}
+                  </MenuItem>
+                ))}
+              </TextField>
+            </Grid>
+            <Grid item xs={12} sm={4}>
+              <TextField
+                select
+                fullWidth
+                label="Reading Level"
+                value={form.readingLevel}
+                onChange={setField('readingLevel')}
+                disabled={loading}
+              >
+                {Object.entries(READING_LEVEL_LABELS).map(([value, label]) => (
+                  <MenuItem key={value} value={value}>
+                    {label}
+                  </MenuItem>
+                ))}
+              </TextField>
+            </Grid>
+            <Grid item xs={12} sm={4}>
+              <TextField
+                fullWidth
+                label="Language"
+                value={form.language}
+                onChange={setField('language')}
+                disabled={loading}
+              />
+            </Grid>
+
+            <Grid item xs={12}>
+              <TextField
+                fullWidth
+                label="Additional Instructions"
+                placeholder="Refer to the product as Acme Cloud. Never mention pricing."
+                value={form.instructions}
+                onChange={setField('instructions')}
+                disabled={loading}
+                multiline
+                rows={3}
+              />
+            </Grid>
+
+            <Grid item xs={12}>
+              <FormControlLabel
+                control={
+                  <Checkbox
+                    checked={form.isDefault}
+                    onChange={(e) => setForm((prev) => ({ ...prev, isDefault: e.target.checked }))}
+                    disabled={loading}
+                  />
+                }
+                label="Use when no template is selected"
+              />
+            </Grid>
+          </Grid>
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={onClose} disabled={loading}>
+            Cancel
+          </Button>
+          <Button
+            type="submit"
+            variant="contained"
+            disabled={loading || !form.name.trim()}
+            startIcon={loading ? <CircularProgress size={16} /> : null}
+          >
+            {loading ? 'Saving...' : 'Save Template'}
+          </Button>
+        </DialogActions>
+      </form>
+    </Dialog>
+  );
+};
+
+export default PromptTemplateDialog;
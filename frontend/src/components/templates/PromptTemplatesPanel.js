@@ -0,0 +1,155 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Box,
+  Typography,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  Paper,
+  IconButton,
+  Chip,
+  Button,
+  CircularProgress,
+  Alert,
+  Tooltip,
+} from '@mui/material';
+import { Add as AddIcon, Edit as EditIcon, Delete as DeleteIcon } from '@mui/icons-material';
+import PromptTemplateDialog, { ANSWER_LENGTH_LABELS, READING_LEVEL_LABELS } from './PromptTemplateDialog';
+import { getPromptTemplates, deletePromptTemplate } from '../../services/api';
+
+const PromptTemplatesPanel = () => {
+  const [templates, setTemplates] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [dialogOpen, setDialogOpen] = useState(false);
+  const [selectedTemplate, setSelectedTemplate] = useState(null);
+
+  const fetchTemplates = async () => {
+    try {
+      setLoading(true);
+      const data = await getPromptTemplates();
+      setTemplates(data.templates || []);
+    } catch (err) {
+      setError(err.message || 'Failed to load prompt templates');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchTemplates();
+  }, []);
+
+  const openDialog = (template = null) => {
+    setSelectedTemplate(template);
+    setDialogOpen(true);
+  };
+
+  const handleDelete = async (template) => {
+    if (!window.confirm(`Delete the prompt template "${template.name}"?`)) {
+      return;
+    }
+    try {
+      await deletePromptTemplate(template._id);
+      fetchTemplates();
+    } catch (err) {
+      setError(err.message || 'Failed to delete prompt template');
+    }
+  };
+
+  return (
+    <Box>
+      <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 2 }}>
+        <Box>
+          <Typography variant="h6">Prompt Templates</Typography>
+          <Typography variant="body2" color="text.secondary">
+            Tone, audience, answer length, reading level and language used when generating FAQs.
+          </Typography>
+        </Box>
+        <Button variant="outlined" startIcon={<AddIcon />} onClick={() => openDialog()}>
+          Add Template
+        </Button>
+      </Box>
+
+      {error && (
+        <Alert severity="error" sx={{ mb: 2 }} onClose={() => setError(null)}>
+          {error}
+        </Alert>
+      )}
+
+      {loading ? (
+        <Box sx={{ display: 'flex', justifyContent: 'center', p: 3 }}>
+          <CircularProgress size={24} />
+        </Box>
+      ) : templates.length === 0 ? (
+        <Typography variant="body2" color="text.secondary">
+          No prompt templates yet. Generation uses a professional tone and 2-4 sentence answers in English.
+        </Typography>
+      ) : (
+        <TableContainer component={Paper} variant="outlined">
+          <Table size="small">
+            <TableHead>
+              <TableRow>
+                <TableCell>Name</TableCell>
+                <TableCell>Tone / Audience</TableCell>
+                <TableCell>Answers</TableCell>
+                <TableCell>Language</TableCell>
+                <TableCell align="right">Actions</TableCell>
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {templates.map((template) => (
+                <TableRow key={template._id} hover>
+                  <TableCell>
+                    {template.name}
+                    {template.isDefault && <Chip label="Default" size="small" color="primary" sx={{ ml: 1 }} />}
+                    {template.description && (
+                      <Typography variant="caption" color="text.secondary" display="block">
+                        {template.description}
+                      </Typography>
+                    )}
+                  </TableCell>
+                  <TableCell>
+                    <Typography variant="body2">
+                      {template.tone} / {template.audience}
+                    </Typography>
+                  </TableCell>
+                  <TableCell>
+                    <Typography variant="body2">
+                      {ANSWER_LENGTH_LABELS[template.answerLength]}, {READING_LEVEL_LABELS[template.readingLevel]}
+                    </Typography>
+                  </TableCell>
+                  <TableCell>{template.language}</TableCell>
+                  <TableCell align="right">
+                    <Tooltip title="Edit template">
+                      <IconButton size="small" color="primary" onClick={() => openDialog(template)}>
+                        <EditIcon />
+                      </IconButton>
+                    </Tooltip>
+                    <Tooltip title="Delete template">
+                      <IconButton size="small" color="error" onClick={() => handleDelete(template)}>
+                        <DeleteIcon />
+                      </IconButton>
+                    </Tooltip>
+                  </TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        </TableContainer>
+      )}
+
+      <PromptTemplateDialog
+        open={dialogOpen}
+        onClose={() => setDialogOpen(false)}
+        template={selectedTemplate}
+        onSaved={fetchTemplates}
+      />
+    </Box>
+  );
+};
+
+export default PromptTemplatesPanel;
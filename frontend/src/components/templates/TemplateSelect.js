@@ -0,0 +1,39 @@
+import React, { useState, useEffect } from 'react';
+import { TextField, MenuItem } from '@mui/material';
+import { getPromptTemplates } from '../../services/api';
+
+// Picks the prompt template for a generation request; '' leaves the choice to the server default
+const TemplateSelect = ({ value, onChange, disabled }) => {
+  const [templates, setTemplates] = useState([]);
+
+  useEffect(() => {
+    getPromptTemplates()
+      .then((data) => setTemplates(data.templates || []))
+      .catch(() => setTemplates([]));
+  }, []);
+
+  const defaultTemplate = templates.find((template) => template.isDefault);
+
+  return (
+    <TextField
+      select
+      fullWidth
+      label="Prompt Template"
+      value={value}
+      onChange={(e) => onChange(e.target.value)}
+      disabled={disabled}
+      helperText="Tone, audience and answer length"
+    >
+      <MenuItem value="">
+        {defaultTemplate ? `Default (${defaultTemplate.name})` : 'Default style'}
+      </MenuItem>
+      {templates.map((template) => (
+        <MenuItem key={template._id} value={template._id}>
+          {template.name}
+        </MenuItem>
+      ))}
+    </TextField>
+  );
+};
+
+export default TemplateSelect;
@@ -0,0 +1,140 @@
+import React, { useState, useRef } from 'react';
+import {
+  Box,
+  Button,
+  Typography,
+  Alert,
+  CircularProgress,
+  Grid,
+  FormControlLabel,
+  Switch,
+} from '@mui/material';
+import { UploadFile, PlayArrow } from '@mui/icons-material';
+import { generateFAQsFromFile } from '../../services/api';
+import TemplateSelect from '../templates/TemplateSelect';
+import FaqCountField from '../crawl/FaqCountField';
+
+const ACCEPTED_TYPES = '.pdf,.docx,.md,.markdown,.html,.htm,.txt';
+
+const DocumentUploadForm = ({ onSuccess }) => {
+  const [file, setFile] = useState(null);
+  const [count, setCount] = useState(7);
+  const [templateId, setTemplateId] = useState('');
+  const [variants, setVariants] = useState(false);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [success, setSuccess] = useState(null);
+  const fileInputRef = useRef(null);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (!file) {
+      setError('Please choose a file to upload');
+      return;
+    }
+
+    try {
+      setLoading(true);
+      setError(null);
+      setSuccess(null);
+
+      const result = await generateFAQsFromFile(file, count, { templateId, variants });
+
+      setSuccess(`Successfully generated ${result.faqs.count} FAQs from ${result.document.fileName}!`);
+
+      if (onSuccess) {
+        onSuccess(result.document.fileName);
+      }
+
+      setFile(null);
+      if (fileInputRef.current) {
+        fileInputRef.current.value = '';
+      }
+    } catch (err) {
+      setError(err.message || 'Failed to generate FAQs. Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <Box>
+      <Typography variant="h6" gutterBottom>
+        Generate FAQs from Document
+      </Typography>
+
+      <form onSubmit={handleSubmit}>
+        <Grid container spacing={2} alignItems="center">
+          <Grid item xs={12} md={5}>
+            <Button
+              fullWidth
+              variant="outlined"
+              component="label"
+              startIcon={<UploadFile />}
+              disabled={loading}
+              sx={{ height: '56px', justifyContent: 'flex-start', textTransform: 'none', overflow: 'hidden', whiteSpace: 'nowrap' }}
+            >
+              {file ? file.name : 'Choose a PDF, DOCX, Markdown, HTML or TXT file'}
+              <input
+                ref={fileInputRef}
+                hidden
+                type="file"
+                accept={ACCEPTED_TYPES}
+                onChange={(e) => setFile(e.target.files[0] || null)}
+              />
+            </Button>
+          </Grid>
+
+          <Grid item xs={12} md={3}>
+            <TemplateSelect value={templateId} onChange={setTemplateId} disabled={loading} />
+          </Grid>
+
+          <Grid item xs={12} md={2}>
+            <FaqCountField value={count} onChange={setCount} disabled={loading} />
+          </Grid>
+
+          <Grid item xs={12} md={2}>
+            <Button
+              fullWidth
+              variant="contained"
+              type="submit"
+              disabled={loading || !file}
+              startIcon={loading ? <CircularProgress size={20} /> : <PlayArrow />}
+              sx={{ height: '56px' }}
+            >
+              {loading ? 'Generating...' : 'Generate FAQs'}
+            </Button>
+          </Grid>
+
+          <Grid item xs={12}>
+            <FormControlLabel
+              control={
+                <Switch
+                  checked={variants}
+                  onChange={(e) => setVariants(e.target.checked)}
+                  disabled={loading}
+                />
+              }
+              label="Also write question variants for search"
+            />
+          </Grid>
+        </Grid>
+      </form>
+
+      {error && (
+        <Alert severity="error" sx={{ mt: 2 }} onClose={() => setError(null)}>
+          {error}
+        </Alert>
+      )}
+
+      {success && (
+        <Alert severity="success" sx={{ mt: 2 }} onClose={() => setSuccess(null)}>
+          {success}
+        </Alert>
+      )}
+    </Box>
+  );
+};
+
+export default DocumentUploadForm;
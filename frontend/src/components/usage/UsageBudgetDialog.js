@@ -0,0 +1,123 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Button,
+  TextField,
+  Grid,
+  Alert,
+  CircularProgress,
+} from '@mui/material';
+import { setUsageBudget } from '../../services/api';
+
+// Blank limits are not enforced; at least one must be set
+const UsageBudgetDialog = ({ open, onClose, budget, onSaved }) => {
+  const [scope, setScope] = useState('global');
+  const [tokenLimit, setTokenLimit] = useState('');
+  const [costLimit, setCostLimit] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (open) {
+      setScope(budget?.scope || 'global');
+      setTokenLimit(budget?.monthlyTokenLimit ?? '');
+      setCostLimit(budget?.monthlyCostLimit ?? '');
+      setError(null);
+    }
+  }, [open, budget]);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (tokenLimit === '' && costLimit === '') {
+      setError('Set a token limit, a cost limit or both');
+      return;
+    }
+
+    try {
+      setLoading(true);
+      setError(null);
+
+      await setUsageBudget(scope.trim(), {
+        monthlyTokenLimit: tokenLimit === '' ? null : Number(tokenLimit),
+        monthlyCostLimit: costLimit === '' ? null : Number(costLimit),
+      });
+
+      if (onSaved) onSaved();
+      onClose();
+    } catch (err) {
+      setError(err.message || 'Failed to save budget');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <Dialog open={open} onClose={() => !loading && onClose()} maxWidth="xs" fullWidth>
+      <DialogTitle>{budget ? `Edit Budget: ${budget.scope}` : 'New Monthly Budget'}</DialogTitle>
+      <form onSubmit={handleSubmit}>
+        <DialogContent>
+          {error && (
+            <Alert severity="error" sx={{ mb: 2 }} onClose={() => setError(null)}>
+              {error}
+            </Alert>
+          )}
+
+          <Grid container spacing={2}>
+            <Grid item xs={12}>
+              <TextField
+                fullWidth
+                label="Scope"
+                value={scope}
+                onChange={(e) => setScope(e.target.value)}
+                disabled={loading || Boolean(budget)}
+                helperText='"global" for all usage, or a domain such as help.example.com'
+                required
+              />
+            </Grid>
+            <Grid item xs={12} sm={6}>
+              <TextField
+                fullWidth
+                label="Token Limit"
+                type="number"
+                value={tokenLimit}
+                onChange={(e) => setTokenLimit(e.target.value)}
+                disabled={loading}
+                inputProps={{ min: 0 }}
+              />
+            </Grid>
+            <Grid item xs={12} sm={6}>
+              <TextField
+                fullWidth
+                label="Cost Limit (USD)"
+                type="number"
+                value={costLimit}
+                onChange={(e) => setCostLimit(e.target.value)}
+                disabled={loading}
+                inputProps={{ min: 0, step: 0.01 }}
+              />
+            </Grid>
+          </Grid>
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={onClose} disabled={loading}>
+            Cancel
+          </Button>
+          <Button
+            type="submit"
+            variant="contained"
+            disabled={loading || !scope.trim()}
+            startIcon={loading ? <CircularProgress size={16} /> : null}
+          >
+            {loading ? 'Saving...' : 'Save Budget'}
+          </Button>
+        </DialogActions>
+      </form>
+    </Dialog>
+  );
+};
+
+export default UsageBudgetDialog;
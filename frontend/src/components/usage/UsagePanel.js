@@ -0,0 +1,250 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Box,
+  Typography,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  Paper,
+  IconButton,
+  Button,
+  CircularProgress,
+  Alert,
+  Tooltip,
+  ToggleButton,
+  ToggleButtonGroup,
+  TextField,
+  MenuItem,
+  LinearProgress,
+} from '@mui/material';
+import { Add as AddIcon, Edit as EditIcon, Delete as DeleteIcon } from '@mui/icons-material';
+import UsageBudgetDialog from './UsageBudgetDialog';
+import { getUsageReport, getUsageBudgets, deleteUsageBudget } from '../../services/api';
+
+const formatTokens = (value) => Number(value || 0).toLocaleString();
+const formatCost = (value) => `$${Number(value || 0).toFixed(value > 0 && value < 0.01 ? 4 : 2)}`;
+
+// Share of a limit used, capped at 100 for the progress bar
+const percentUsed = (used, limit) => (limit ? Math.min((used / limit) * 100, 100) : 0);
+
+const UsagePanel = () => {
+  const [groupBy, setGroupBy] = useState('day');
+  const [days, setDays] = useState(30);
+  const [report, setReport] = useState(null);
+  const [budgets, setBudgets] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [dialogOpen, setDialogOpen] = useState(false);
+  const [selectedBudget, setSelectedBudget] = useState(null);
+
+  useEffect(() => {
+    const fetchReport = async () => {
+      try {
+        setLoading(true);
+        setReport(await getUsageReport(groupBy, days));
+      } catch (err) {
+        setError(err.message || 'Failed to load usage report');
+      } finally {
+        setLoading(false);
+      }
+    };
+    fetchReport();
+  }, [groupBy, days]);
+
+  const fetchBudgets = async () => {
+    try {
+      const data = await getUsageBudgets();
+      setBudgets(data.budgets || []);
+    } catch (err) {
+      setError(err.message || 'Failed to load budgets');
+    }
+  };
+
+  useEffect(() => {
+    fetchBudgets();
+  }, []);
+
+  const openDialog = (budget = null) => {
+    setSelectedBudget(budget);
+    setDialogOpen(true);
+  };
+
+  const handleDelete = async (budget) => {
+    if (!window.confirm(`Delete the ${budget.scope} budget?`)) {
+      return;
+    }
+    try {
+      await deleteUsageBudget(budget.scope);
+      fetchBudgets();
+    } catch (err) {
+      setError(err.message || 'Failed to delete budget');
+    }
+  };
+
+  const groupLabel = { day: 'Day', source: 'Source', model: 'Model' }[groupBy];
+
+  return (
+    <Box>
+      <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 2, gap: 2 }}>
+        <Box>
+          <Typography variant="h6">LLM Usage</Typography>
+          <Typography variant="body2" color="text.secondary">
+            {report
+              ? `${formatTokens(report.totals.calls)} calls, ${formatTokens(report.totals.totalTokens)} tokens, ${formatCost(report.totals.cost)} estimated in the last ${days} days`
+              : 'Tokens and estimated cost of every model call'}
+          </Typography>
+        </Box>
+        <Box sx={{ display: 'flex', alignItems: 'center', gap: 2 }}>
+          <ToggleButtonGroup
+            size="small"
+            exclusive
+            value={groupBy}
+            onChange={(e, value) => value && setGroupBy(value)}
+          >
+            <ToggleButton value="day">Day</ToggleButton>
+            <ToggleButton value="source">Source</ToggleButton>
+            <ToggleButton value="model">Model</ToggleButton>
+          </ToggleButtonGroup>
+          <TextField select size="small" value={days} onChange={(e) => setDays(e.target.value)}>
+            <MenuItem value={7}>7 days</MenuItem>
+            <MenuItem value={30}>30 days</MenuItem>
+            <MenuItem value={90}>90 days</MenuItem>
+          </TextField>
+        </Box>
+      </Box>
+
+      {error && (
+        <Alert severity="error" sx={{ mb: 2 }} onClose={() => setError(null)}>
+          {error}
+        </Alert>
+      )}
+
+      {loading ? (
+        <Box sx={{ display: 'flex', justifyContent: 'center', p: 3 }}>
+          <CircularProgress size={24} />
+        </Box>
+      ) : !report || report.groups.length === 0 ? (
+        <Typography variant="body2" color="text.secondary">
+          No model calls in this period.
+        </Typography>
+      ) : (
+        <TableContainer component={Paper} variant="outlined">
+          <Table size="small">
+            <TableHead>
+              <TableRow>
+                <TableCell>{groupLabel}</TableCell>
+                <TableCell align="right">Calls</TableCell>
+                <TableCell align="right">Prompt Tokens</TableCell>
+                <TableCell align="right">Completion Tokens</TableCell>
+                <TableCell align="right">Est. Cost</TableCell>
+                <TableCell align="right">Avg Latency</TableCell>
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {report.groups.map((group) => (
+                <TableRow key={group.key} hover>
+                  <TableCell>{group.key}</TableCell>
+                  <TableCell align="right">
+                    {formatTokens(group.calls)}
+                    {group.errors > 0 && (
+                      <Typography component="span" variant="caption" color="error" sx={{ ml: 1 }}>
+                        ({group.errors} failed)
+                      </Typography>
+                    )}
+                  </TableCell>
+                  <TableCell align="right">{formatTokens(group.promptTokens)}</TableCell>
+                  <TableCell align="right">{formatTokens(group.completionTokens)}</TableCell>
+                  <TableCell align="right">
+                    {group.unpricedCalls > 0 ? (
+                      <Tooltip title={`${group.unpricedCalls} calls to models without a known price are not included`}>
+                        <span>{formatCost(group.cost)}*</span>
+                      </Tooltip>
+                    ) : (
+                      formatCost(group.cost)
+                    )}
+                  </TableCell>
+                  <TableCell align="right">{(group.avgLatencyMs / 1000).toFixed(1)}s</TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        </TableContainer>
+      )}
+
+      <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mt: 3, mb: 1 }}>
+        <Typography variant="subtitle1">Monthly Budgets</Typography>
+        <Button size="small" variant="outlined" startIcon={<AddIcon />} onClick={() => openDialog()}>
+          Add Budget
+        </Button>
+      </Box>
+
+      {budgets.length === 0 ? (
+        <Typography variant="body2" color="text.secondary">
+          No budgets set. Generation is refused once a budget is used up for the month.
+        </Typography>
+      ) : (
+        <TableContainer component={Paper} variant="outlined">
+          <Table size="small">
+            <TableHead>
+              <TableRow>
+                <TableCell>Scope</TableCell>
+                <TableCell>Tokens This Month</TableCell>
+                <TableCell>Cost This Month</TableCell>
+                <TableCell align="right">Actions</TableCell>
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {budgets.map((budget) => (
+                <TableRow key={budget.scope} hover>
+                  <TableCell>{budget.scope}</TableCell>
+                  {[
+                    [budget.used.tokens, budget.monthlyTokenLimit, formatTokens],
+                    [budget.used.cost, budget.monthlyCostLimit, formatCost],
+                  ].map(([used, limit, format], index) => (
+                    <TableCell key={index} sx={{ minWidth: 160 }}>
+                      <Typography variant="body2">
+                        {format(used)}
+                        {limit !== null ? ` of ${format(limit)}` : ' (no limit)'}
+                      </Typography>
+                      {limit !== null && (
+                        <LinearProgress
+                          variant="determinate"
+                          value={percentUsed(used, limit)}
+                          color={used >= limit ? 'error' : 'primary'}
+                        />
+                      )}
+                    </TableCell>
+                  ))}
+                  <TableCell align="right">
+                    <Tooltip title="Edit budget">
+                      <IconButton size="small" color="primary" onClick={() => openDialog(budget)}>
+                        <EditIcon />
+                      </IconButton>
+                    </Tooltip>
+                    <Tooltip title="Delete budget">
+                      <IconButton size="small" color="error" onClick={() => handleDelete(budget)}>
+                        <DeleteIcon />
+                      </IconButton>
+                    </Tooltip>
+                  </TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        </TableContainer>
+      )}
+
+      <UsageBudgetDialog
+        open={dialogOpen}
+        onClose={() => setDialogOpen(false)}
+        budget={selectedBudget}
+        onSaved={fetchBudgets}
+      />
+    </Box>
+  );
+};
+
+export default UsagePanel;
@@ -1,8 +1,18 @@
 
 import React, { useState, useEffect } from 'react';
-import { Container, Box, Typography, Paper } from '@mui/material';
+import { Container, Box, Typography, Paper, Tabs, Tab } from '@mui/material';
 import CrawlForm from '../components/crawl/CrawlForm';
+import DocumentUploadForm from '../components/upload/DocumentUploadForm';
 import FAQList from '../components/faq/FAQList';
+import SiteProfilesPanel from '../components/profiles/SiteProfilesPanel';
+import PromptTemplatesPanel from '../components/templates/PromptTemplatesPanel';
+import UsagePanel from '../components/usage/UsagePanel';
+import GenerationCachePanel from '../components/cache/GenerationCachePanel';
+import DuplicatesPanel from '../components/duplicates/DuplicatesPanel';
+import TaxonomyPanel from '../components/taxonomy/TaxonomyPanel';
+import JobsPanel from '../components/jobs/JobsPanel';
+import BulkGenerationForm from '../components/bulk/BulkGenerationForm';
+import BulkBatchesPanel from '../components/bulk/BulkBatchesPanel';
 import { getFAQs } from '../services/api';
 
 const Dashboard = () => {
@@ -10,6 +20,10 @@ const Dashboard = () => {
   const [loading, setLoading] = useState(false);
   const [currentUrl, setCurrentUrl] = useState(null);
   const [refreshKey, setRefreshKey] = useState(0);
+  const [sourceTab, setSourceTab] = useState('website');
+  const [jobsRefreshKey, setJobsRefreshKey] = useState(0);
+  const [bulkRefreshKey, setBulkRefreshKey] = useState(0);
+  const [selectedBatchId, setSelectedBatchId] = useState(null);
 
   const normalizeUrl = (url) => {
     if (!url) return '';
@@ -58,6 +72,15 @@ const Dashboard = () => {
     setRefreshKey(prev => prev + 1);
   };
 
+  const handleQueued = () => {
+    setJobsRefreshKey(prev => prev + 1);
+  };
+
+  const handleBulkQueued = (batchId) => {
+    setSelectedBatchId(batchId);
+    setBulkRefreshKey(prev => prev + 1);
+  };
+
   return (
     <Container maxWidth="lg" sx={{ py: 4 }}>
       <Box sx={{ mb: 4 }}>
@@ -65,12 +88,29 @@ const Dashboard = () => {
           FAQ Generator Admin Dashboard
         </Typography>
         <Typography variant="body2" color="text.secondary">
-          Crawl websites and generate contextual FAQs using AI
+          Crawl websites or upload documents and generate contextual FAQs using AI
         </Typography>
       </Box>
 
       <Paper sx={{ p: 3, mb: 3 }}>
-        <CrawlForm onSuccess={handleSuccess} />
+        <Tabs
+          value={sourceTab}
+          onChange={(e, value) => setSourceTab(value)}
+          sx={{ mb: 2, borderBottom: 1, borderColor: 'divider' }}
+        >
+          <Tab label="Website" value="website" />
+          <Tab label="Document Upload" value="document" />
+          <Tab label="Bulk" value="bulk" />
+        </Tabs>
+        {sourceTab === 'website' && (
+          <CrawlForm onSuccess={handleSuccess} onQueued={handleQueued} />
+        )}
+        {sourceTab === 'document' && (
+          <DocumentUploadForm onSuccess={handleSuccess} />
+        )}
+        {sourceTab === 'bulk' && (
+          <BulkGenerationForm onQueued={handleBulkQueued} />
+        )}
       </Paper>
 
       <Paper sx={{ p: 3 }}>
@@ -81,6 +121,43 @@ const Dashboard = () => {
           currentUrl={currentUrl}
         />
       </Paper>
+
+      <Paper sx={{ p: 3, mt: 3 }}>
+        <JobsPanel refreshKey={jobsRefreshKey} onJobFinished={handleRefresh} />
+      </Paper>
+
+      <Paper sx={{ p: 3, mt: 3 }}>
+        <BulkBatchesPanel
+          refreshKey={bulkRefreshKey}
+          selectedId={selectedBatchId}
+          onSelect={setSelectedBatchId}
+          onRowsFinished={handleRefresh}
+        />
+      </Paper>
+
+      <Paper sx={{ p: 3, mt: 3 }}>
+        <DuplicatesPanel onMerged={handleRefresh} />
+      </Paper>
+
+      <Paper sx={{ p: 3, mt: 3 }}>
+        <TaxonomyPanel onSaved={handleRefresh} />
+      </Paper>
+
+      <Paper sx={{ p: 3, mt: 3 }}>
+        <UsagePanel />
+      </Paper>
+
+      <Paper sx={{ p: 3, mt: 3 }}>
+        <GenerationCachePanel />
+      </Paper>
+
+      <Paper sx={{ p: 3, mt: 3 }}>
+        <PromptTemplatesPanel />
+      </Paper>
+
+      <Paper sx={{ p: 3, mt: 3 }}>
+        <SiteProfilesPanel />
+      </Paper>
     </Container>
   );
 };
@@ -55,8 +55,77 @@ export const crawlWebsite = async (url) => {
   return response.data;
 };
 
-export const generateFAQs = async (url, count = 7) => {
-  const response = await api.post('/faqs/generate-faqs', { url, count });
+export const generateFAQs = async (url, count = 7, options = {}) => {
+  const response = await api.post('/faqs/generate-faqs', { url, count, ...options });
+  return response.data;
+};
+
+// Queues generation as a background job; resolves to { message, job }
+export const queueGenerateFAQs = async (url, count = 7, options = {}) => {
+  const response = await api.post('/faqs/generate-faqs', { url, count, ...options, async: true });
+  return response.data;
+};
+
+/**
+ * Streaming variant of generateFAQs. Calls onEvent(event, data) for each Server-Sent
+ * Event (crawl-started, crawl-finished, generating, faq, saved, done, error) and resolves
+ * when the stream ends. Aborting `signal` cancels generation on the server.
+ */
+export const streamGenerateFAQs = async (url, count = 7, options = {}, onEvent, signal) => {
+  const response = await fetch(`${API_BASE_URL}/faqs/generate-faqs/stream`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', Accept: 'text/event-stream' },
+    body: JSON.stringify({ url, count, ...options }),
+    signal,
+  });
+
+  if (!response.ok) {
+    const data = await response.json().catch(() => ({}));
+    throw new Error(data.error || `Server error: ${response.status}`);
+  }
+
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  for (;;) {
+    const { value, done } = await reader.read();
+    if (done) break;
+    buffer += decoder.decode(value, { stream: true });
+
+    // Events are separated by a blank line; lines starting with ':' are heartbeats
+    let boundary;
+    while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+      const frame = buffer.slice(0, boundary);
+      buffer = buffer.slice(boundary + 2);
+
+      let event = 'message';
+      let data = '';
+      frame.split('\n').forEach((line) => {
+        if (line.startsWith('event:')) event = line.slice(6).trim();
+        else if (line.startsWith('data:')) data += line.slice(5).trim();
+      });
+      if (data) onEvent(event, JSON.parse(data));
+    }
+  }
+};
+
+export const generateFAQsFromFile = async (file, count = 7, options = {}) => {
+  const formData = new FormData();
+  formData.append('file', file);
+  formData.append('count', count);
+  Object.entries(options).forEach(([key, value]) => {
+    if (value !== undefined && value !== null && value !== '') formData.append(key, value);
+  });
+
+  const response = await api.post('/faqs/generate-from-file', formData, {
+    headers: { 'Content-Type': 'multipart/form-data' },
+  });
+  return response.data;
+};
+
+export const importFAQs = async (url) => {
+  const response = await api.post('/faqs/import', { url });
   return response.data;
 };
 
@@ -71,6 +140,18 @@ export const updateFAQ = async (id, data) => {
   return response.data;
 };
 
+// Proposes a rewrite of one FAQ from its source text; nothing is saved
+export const regenerateFAQ = async (id, instructions = '') => {
+  const response = await api.post(`/faqs/${id}/regenerate`, { instructions });
+  return response.data;
+};
+
+// Generates and stores alternate phrasings of an FAQ's question
+export const generateFAQVariants = async (id, count) => {
+  const response = await api.post(`/faqs/${id}/variants`, count ? { count } : {});
+  return response.data;
+};
+
 export const publishFAQ = async (id) => {
   const response = await api.post(`/faqs/${id}/publish`);
   return response.data;
@@ -83,6 +164,151 @@ export const exportFAQs = async (format = 'json') => {
   return response.data;
 };
 
+// Clusters of similar FAQs; params: { sourceUrl, domain, threshold }
+export const getDuplicateReport = async (params = {}) => {
+  const response = await api.get('/faqs/duplicates', { params });
+  return response.data;
+};
+
+export const mergeDuplicateFAQs = async (keepId, mergeIds) => {
+  const response = await api.post('/faqs/duplicates/merge', { keepId, mergeIds });
+  return response.data;
+};
+
+export const getSiteProfiles = async () => {
+  const response = await api.get('/site-profiles');
+  return response.data;
+};
+
+export const createSiteProfile = async (data) => {
+  const response = await api.post('/site-profiles', data);
+  return response.data;
+};
+
+export const updateSiteProfile = async (id, data) => {
+  const response = await api.put(`/site-profiles/${id}`, data);
+  return response.data;
+};
+
+export const deleteSiteProfile = async (id) => {
+  const response = await api.delete(`/site-profiles/${id}`);
+  return response.data;
+};
+
+export const getPromptTemplates = async () => {
+  const response = await api.get('/prompt-templates');
+  return response.data;
+};
+
+export const createPromptTemplate = async (data) => {
+  const response = await api.post('/prompt-templates', data);
+  return response.data;
+};
+
+export const updatePromptTemplate = async (id, data) => {
+  const response = await api.put(`/prompt-templates/${id}`, data);
+  return response.data;
+};
+
+export const deletePromptTemplate = async (id) => {
+  const response = await api.delete(`/prompt-templates/${id}`);
+  return response.data;
+};
+
+export const getUsageReport = async (groupBy = 'day', days = 30) => {
+  const response = await api.get(`/usage?groupBy=${groupBy}&days=${days}`);
+  return response.data;
+};
+
+export const getUsageBudgets = async () => {
+  const response = await api.get('/usage/budgets');
+  return response.data;
+};
+
+export const setUsageBudget = async (scope, data) => {
+  const response = await api.put(`/usage/budgets/${encodeURIComponent(scope)}`, data);
+  return response.data;
+};
+
+export const deleteUsageBudget = async (scope) => {
+  const response = await api.delete(`/usage/budgets/${encodeURIComponent(scope)}`);
+  return response.data;
+};
+
+export const getGenerationCache = async () => {
+  const response = await api.get('/generation-cache');
+  return response.data;
+};
+
+// Purges the cached generations of one source, or all of them when sourceUrl is empty
+export const purgeGenerationCache = async (sourceUrl = null) => {
+  const query = sourceUrl ? `sourceUrl=${encodeURIComponent(sourceUrl)}` : 'all=true';
+  const response = await api.delete(`/generation-cache?${query}`);
+  return response.data;
+};
+
+export const getTaxonomies = async () => {
+  const response = await api.get('/taxonomies');
+  return response.data;
+};
+
+// project is "default" or a domain
+export const setTaxonomy = async (project, categories) => {
+  const response = await api.put(`/taxonomies/${encodeURIComponent(project)}`, { categories });
+  return response.data;
+};
+
+export const deleteTaxonomy = async (project) => {
+  const response = await api.delete(`/taxonomies/${encodeURIComponent(project)}`);
+  return response.data;
+};
+
+// Newest first; params: { status, type, limit }
+export const getJobs = async (params = {}) => {
+  const response = await api.get('/jobs', { params });
+  return response.data;
+};
+
+export const cancelJob = async (id) => {
+  const response = await api.post(`/jobs/${id}/cancel`);
+  return response.data;
+};
+
+// Queues generation for pasted `urls` (one per line) or an uploaded CSV `file`
+export const createBulkBatch = async ({ urls, file, count, ...options }) => {
+  const formData = new FormData();
+  if (file) formData.append('file', file);
+  else formData.append('urls', urls);
+  Object.entries({ count, ...options }).forEach(([key, value]) => {
+    if (value !== undefined && value !== null && value !== '') formData.append(key, value);
+  });
+
+  const response = await api.post('/bulk', formData, {
+    headers: { 'Content-Type': 'multipart/form-data' },
+  });
+  return response.data;
+};
+
+export const getBulkBatches = async () => {
+  const response = await api.get('/bulk');
+  return response.data;
+};
+
+export const getBulkBatch = async (id) => {
+  const response = await api.get(`/bulk/${id}`);
+  return response.data;
+};
+
+export const retryBulkBatch = async (id) => {
+  const response = await api.post(`/bulk/${id}/retry`);
+  return response.data;
+};
+
+export const cancelBulkBatch = async (id) => {
+  const response = await api.post(`/bulk/${id}/cancel`);
+  return response.data;
+};
+
 export default api;
 
 